@@ -0,0 +1,584 @@
+// App de abordaje para choferes: valida los QR contra el manifiesto descargado y guarda los
+// escaneos en IndexedDB para sincronizarlos cuando el autobús vuelve a tener conexión
+
+// Configuración de la API
+const API_BASE_URL = window.location.origin;
+
+// Base de datos local del dispositivo
+const DB_NAME = "transbusAbordaje";
+const DB_VERSION = 1;
+
+// Preferencias del chofer en este dispositivo
+const DRIVER_KEY = "transbusChofer";
+
+// Cada cuánto se reintenta sincronizar los escaneos pendientes (ms)
+const SYNC_INTERVAL_MS = 30000;
+
+// Estado de la app de abordaje
+let boardingState = {
+    routes: {},        // Rutas del sistema (para elegir la salida)
+    manifest: null,    // Manifiesto de la salida elegida
+    scans: [],         // Escaneos de este dispositivo para la salida
+    stream: null,      // Cámara activa
+    lastCode: null,    // Último código leído por la cámara (para no leerlo dos veces seguidas)
+    lastCodeAt: 0,
+    syncing: false
+};
+
+document.addEventListener("DOMContentLoaded", function() {
+    console.log("🚏 Abordaje TransBus");
+
+    const driver = JSON.parse(localStorage.getItem(DRIVER_KEY) || "{}");
+    document.getElementById("operador").value = driver.operador || "";
+    document.getElementById("fecha").value = getLocalDay();
+
+    setupBoardingListeners();
+    updateConnectionStatus();
+    loadRoutes().then(() => restoreManifest(driver.manifiesto));
+    setInterval(syncScans, SYNC_INTERVAL_MS);
+});
+
+function setupBoardingListeners() {
+    document.getElementById("ruta").addEventListener("change", populateSchedules);
+    document.getElementById("btnDescargarManifiesto").addEventListener("click", downloadManifest);
+    document.getElementById("btnCamara").addEventListener("click", toggleCamera);
+    document.getElementById("btnValidar").addEventListener("click", validateManualCode);
+    document.getElementById("codigoManual").addEventListener("keydown", event => {
+        if (event.key === "Enter") validateManualCode();
+    });
+    document.getElementById("btnSincronizar").addEventListener("click", syncScans);
+    document.getElementById("operador").addEventListener("change", saveDriverPreferences);
+
+    window.addEventListener("online", () => {
+        updateConnectionStatus();
+        syncScans();
+    });
+    window.addEventListener("offline", updateConnectionStatus);
+}
+
+// ========================================
+// INDEXEDDB
+// ========================================
+
+let databasePromise = null;
+
+/**
+ * Abrir (o crear) la base local: manifiestos por salida y escaneos por id
+ */
+function openDatabase() {
+    if (!databasePromise) {
+        databasePromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                db.createObjectStore("manifiestos", { keyPath: "key" });
+                const scans = db.createObjectStore("escaneos", { keyPath: "id" });
+                scans.createIndex("manifiesto", "manifiesto");
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+    return databasePromise;
+}
+
+/**
+ * Ejecutar una operación sobre un almacén y esperar a que termine la transacción
+ */
+async function withStore(storeName, mode, action) {
+    const db = await openDatabase();
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(storeName, mode);
+        const request = action(transaction.objectStore(storeName));
+        transaction.oncomplete = () => resolve(request ? request.result : undefined);
+        transaction.onerror = () => reject(transaction.error);
+    });
+}
+
+// ========================================
+// SALIDA Y MANIFIESTO
+// ========================================
+
+/**
+ * Clave de una salida: ruta, fecha y hora de salida
+ */
+function getManifestKey(routeKey, fecha, horario) {
+    return `${routeKey}|${fecha}|${horario}`;
+}
+
+async function loadRoutes() {
+    try {
+        const response = await fetch(`${API_BASE_URL}/api/routes`);
+        if (!response.ok) throw new Error("No se pudieron cargar las rutas");
+        boardingState.routes = await response.json();
+    } catch (error) {
+        console.error("Error:", error);
+        boardingState.routes = {};
+    }
+
+    document.getElementById("ruta").innerHTML = Object.keys(boardingState.routes)
+        .sort()
+        .map(routeKey => `<option value="${routeKey}">${routeKey.replace("-", " → ")}</option>`)
+        .join("");
+    populateSchedules();
+}
+
+function populateSchedules() {
+    const route = boardingState.routes[document.getElementById("ruta").value];
+    document.getElementById("horario").innerHTML = (route ? route.schedules : [])
+        .map(schedule => `<option value="${schedule.time}">${schedule.time} - ${schedule.type}</option>`)
+        .join("");
+}
+
+function saveDriverPreferences() {
+    const driver = JSON.parse(localStorage.getItem(DRIVER_KEY) || "{}");
+    driver.operador = document.getElementById("operador").value.trim();
+    if (boardingState.manifest) {
+        driver.manifiesto = boardingState.manifest.key;
+    }
+    localStorage.setItem(DRIVER_KEY, JSON.stringify(driver));
+}
+
+/**
+ * Descargar el manifiesto de la salida elegida y guardarlo en el dispositivo
+ * Antes se suben los escaneos pendientes para que el manifiesto ya los incluya.
+ */
+async function downloadManifest() {
+    const routeKey = document.getElementById("ruta").value;
+    const fecha = document.getElementById("fecha").value;
+    const horario = document.getElementById("horario").value;
+
+    if (!routeKey || !fecha || !horario) {
+        showError("Elige la ruta, la fecha y la hora de salida");
+        return;
+    }
+
+    const button = document.getElementById("btnDescargarManifiesto");
+    button.disabled = true;
+    button.innerHTML = '<i class="fas fa-spinner fa-spin mr-2"></i>Descargando...';
+
+    try {
+        await syncScans();
+
+        const params = new URLSearchParams({ routeKey, fecha, horario });
+        const response = await fetch(`${API_BASE_URL}/api/boarding/manifest?${params}`);
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(data.error || "No se pudo descargar el manifiesto");
+        }
+
+        const manifest = { key: getManifestKey(routeKey, fecha, horario), ...data };
+        await withStore("manifiestos", "readwrite", store => store.put(manifest));
+        await showManifest(manifest);
+        saveDriverPreferences();
+    } catch (error) {
+        console.error("Error:", error);
+        showError(navigator.onLine ? error.message : "Sin conexión: el manifiesto se descarga en la terminal");
+    } finally {
+        button.disabled = false;
+        button.innerHTML = '<i class="fas fa-download mr-2"></i>Descargar manifiesto';
+    }
+}
+
+/**
+ * Volver a abrir el último manifiesto descargado en este dispositivo
+ */
+async function restoreManifest(key) {
+    if (!key) return;
+
+    const manifest = await withStore("manifiestos", "readonly", store => store.get(key));
+    if (manifest) {
+        document.getElementById("ruta").value = manifest.routeKey;
+        populateSchedules();
+        document.getElementById("fecha").value = manifest.fecha;
+        document.getElementById("horario").value = manifest.horario;
+        await showManifest(manifest);
+        syncScans();
+    }
+}
+
+async function showManifest(manifest) {
+    boardingState.manifest = manifest;
+    boardingState.scans = await withStore("escaneos", "readonly", store => store.index("manifiesto").getAll(manifest.key));
+
+    document.getElementById("manifiestoInfo").innerHTML = `
+        <strong>${manifest.routeKey.replace("-", " → ")}</strong> ${manifest.fecha} ${manifest.horario}
+        · ${manifest.pasajeros.length} boleto(s) · descargado ${formatTime(manifest.generadoEn)}
+    `;
+    ["panelEscaneo", "panelPasajeros"].forEach(id => document.getElementById(id).classList.remove("hidden"));
+    renderBoarding();
+}
+
+// ========================================
+// ESCANEO
+// ========================================
+
+/**
+ * Leer el ID, la salida y el asiento de un código TB1 (sin verificar la firma)
+ */
+function decodeBoardingCode(code) {
+    const [prefix, payload] = code.split(".");
+    if (prefix !== "TB1" || !payload) return null;
+    try {
+        const bytes = Uint8Array.from(atob(payload.replace(/-/g, "+").replace(/_/g, "/")), char => char.charCodeAt(0));
+        return JSON.parse(new TextDecoder().decode(bytes));
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Escaneo vigente del boleto en este dispositivo (los rechazados no cuentan)
+ */
+function getTicketScan(ticketId) {
+    return boardingState.scans.find(scan => scan.ticketId === ticketId && scan.estado !== "rechazado");
+}
+
+/**
+ * Huella SHA-256 (hex) de un código leído, para compararla con las del manifiesto
+ */
+async function digestCode(code) {
+    const hash = await crypto.subtle.digest("SHA-256", new TextEncoder().encode(code));
+    return Array.from(new Uint8Array(hash), byte => byte.toString(16).padStart(2, "0")).join("");
+}
+
+/**
+ * Validar un código contra el manifiesto y registrar el abordaje en el dispositivo
+ * El manifiesto trae la huella de cada código firmado por el servidor: si la del código leído
+ * coincide, la firma es válida.
+ */
+async function handleCode(rawCode) {
+    const code = String(rawCode || "").trim();
+    const manifest = boardingState.manifest;
+    if (!code || !manifest) return;
+
+    const huella = await digestCode(code);
+    const pasajero = manifest.pasajeros.find(p => p.huellaAbordaje === huella);
+    if (!pasajero) {
+        const data = decodeBoardingCode(code);
+        if (data && manifest.pasajeros.some(p => p.ticketId === data.t)) {
+            showScanResult("rechazado", "Boleto anterior a un cambio", "Pide al pasajero el boleto actualizado");
+        } else if (data) {
+            showScanResult("rechazado", "Boleto de otra salida", `${data.o} → ${data.d}, ${data.f} ${data.h}, asiento ${data.a}`);
+        } else {
+            showScanResult("rechazado", "Código no válido", "No es un boleto de TransBus");
+        }
+        return;
+    }
+
+    const detalle = `Asiento ${pasajero.asiento} · ${pasajero.nombre} · ${pasajero.origen} → ${pasajero.destino}`;
+    if (pasajero.estado !== "paid") {
+        showScanResult("rechazado", "Boleto cancelado", detalle);
+        return;
+    }
+    // En una parada después de medianoche (horario "02:50+1") se aborda al día siguiente de la salida
+    const today = getLocalDay();
+    const dayOffset = parseInt(String(pasajero.horario).split("+")[1], 10) || 0;
+    const boardingDay = new Date(Date.parse(`${manifest.fecha}T00:00:00Z`) + dayOffset * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+    if (manifest.fecha !== today && boardingDay !== today) {
+        showScanResult("rechazado", `El manifiesto es del ${manifest.fecha}`, "Descarga el manifiesto de la salida de hoy");
+        return;
+    }
+    const previous = getTicketScan(pasajero.ticketId);
+    if (previous || pasajero.abordaje) {
+        const at = previous ? previous.escaneadoEn : pasajero.abordaje.fecha;
+        showScanResult("duplicado", `Ya abordó a las ${formatTime(at)}`, detalle);
+        return;
+    }
+
+    const scan = {
+        id: generateScanId(),
+        manifiesto: manifest.key,
+        ticketId: pasajero.ticketId,
+        codigo: code,
+        escaneadoEn: new Date().toISOString(),
+        operador: document.getElementById("operador").value.trim() || null,
+        estado: "pendiente"
+    };
+    await withStore("escaneos", "readwrite", store => store.put(scan));
+    boardingState.scans.push(scan);
+
+    showScanResult("abordado", "Puede abordar", detalle);
+    renderBoarding();
+    syncScans();
+}
+
+function validateManualCode() {
+    const input = document.getElementById("codigoManual");
+    handleCode(input.value);
+    input.value = "";
+    input.focus();
+}
+
+/**
+ * Id único del escaneo (crypto.randomUUID solo existe en páginas seguras)
+ */
+function generateScanId() {
+    if (window.crypto && typeof window.crypto.randomUUID === "function") {
+        return window.crypto.randomUUID();
+    }
+    return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+}
+
+function showScanResult(tipo, titulo, detalle) {
+    const styles = {
+        abordado: ["bg-green-100 text-green-800", "fa-check-circle"],
+        duplicado: ["bg-yellow-100 text-yellow-800", "fa-exclamation-triangle"],
+        rechazado: ["bg-red-100 text-red-800", "fa-times-circle"]
+    };
+    const [classes, icon] = styles[tipo];
+    const result = document.getElementById("resultadoEscaneo");
+    result.className = `mt-4 p-4 rounded-lg ${classes}`;
+    result.innerHTML = `
+        <p class="text-lg font-bold"><i class="fas ${icon} mr-2"></i>${titulo}</p>
+        <p class="text-sm">${detalle}</p>
+    `;
+}
+
+// ========================================
+// CÁMARA
+// ========================================
+
+async function toggleCamera() {
+    if (boardingState.stream) {
+        stopCamera();
+        return;
+    }
+    if (!navigator.mediaDevices || typeof jsQR !== "function") {
+        showError("La cámara no está disponible en este dispositivo; usa el lector o captura el código");
+        return;
+    }
+
+    try {
+        boardingState.stream = await navigator.mediaDevices.getUserMedia({ video: { facingMode: "environment" } });
+        const video = document.getElementById("camara");
+        video.srcObject = boardingState.stream;
+        video.classList.remove("hidden");
+        await video.play();
+        document.getElementById("btnCamara").innerHTML = '<i class="fas fa-stop mr-2"></i>Detener cámara';
+        requestAnimationFrame(scanFrame);
+    } catch (error) {
+        console.error("Error:", error);
+        boardingState.stream = null;
+        showError("No se pudo abrir la cámara");
+    }
+}
+
+function stopCamera() {
+    boardingState.stream.getTracks().forEach(track => track.stop());
+    boardingState.stream = null;
+    document.getElementById("camara").classList.add("hidden");
+    document.getElementById("btnCamara").innerHTML = '<i class="fas fa-camera mr-2"></i>Usar cámara';
+}
+
+/**
+ * Buscar un QR en el cuadro actual de la cámara
+ */
+function scanFrame() {
+    if (!boardingState.stream) return;
+
+    const video = document.getElementById("camara");
+    if (video.readyState === video.HAVE_ENOUGH_DATA) {
+        const canvas = document.getElementById("lienzoCamara");
+        canvas.width = video.videoWidth;
+        canvas.height = video.videoHeight;
+        const context = canvas.getContext("2d");
+        context.drawImage(video, 0, 0, canvas.width, canvas.height);
+        const image = context.getImageData(0, 0, canvas.width, canvas.height);
+        const qr = jsQR(image.data, image.width, image.height, { inversionAttempts: "dontInvert" });
+
+        // El mismo QR frente a la cámara se lee muchas veces por segundo
+        if (qr && (qr.data !== boardingState.lastCode || Date.now() - boardingState.lastCodeAt > 3000)) {
+            boardingState.lastCode = qr.data;
+            boardingState.lastCodeAt = Date.now();
+            handleCode(qr.data);
+        }
+    }
+    requestAnimationFrame(scanFrame);
+}
+
+// ========================================
+// SINCRONIZACIÓN
+// ========================================
+
+/**
+ * Subir los escaneos pendientes de todas las salidas
+ * El servidor responde por escaneo: abordado, conflicto (el boleto ya abordó con otro escaneo) o rechazado.
+ */
+async function syncScans() {
+    if (boardingState.syncing || !navigator.onLine) return;
+
+    const pending = await withStore("escaneos", "readonly", store => store.getAll())
+        .then(scans => scans.filter(scan => scan.estado === "pendiente"));
+    if (pending.length === 0) return;
+
+    boardingState.syncing = true;
+    try {
+        const response = await fetch(`${API_BASE_URL}/api/boarding/sync`, {
+            method: "POST",
+            headers: { "Content-Type": "application/json" },
+            body: JSON.stringify({
+                escaneos: pending.map(({ id, codigo, escaneadoEn, operador }) => ({ id, codigo, escaneadoEn, operador }))
+            })
+        });
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(data.error || "No se pudieron sincronizar los escaneos");
+        }
+
+        const results = new Map(data.resultados.map(result => [result.id, result]));
+        const updated = pending
+            .filter(scan => results.has(scan.id))
+            .map(scan => {
+                const result = results.get(scan.id);
+                return {
+                    ...scan,
+                    estado: result.resultado === "abordado" ? "sincronizado" : result.resultado,
+                    error: result.error || null,
+                    abordajeServidor: result.boleto ? result.boleto.abordaje : null,
+                    sincronizadoEn: new Date().toISOString()
+                };
+            });
+        await withStore("escaneos", "readwrite", store => {
+            updated.forEach(scan => store.put(scan));
+        });
+
+        if (boardingState.manifest) {
+            boardingState.scans = boardingState.scans.map(scan => updated.find(u => u.id === scan.id) || scan);
+            // El abordaje que registró el servidor (el de otro dispositivo si hubo conflicto)
+            updated.forEach(scan => {
+                const pasajero = boardingState.manifest.pasajeros.find(p => p.ticketId === scan.ticketId);
+                if (pasajero && scan.abordajeServidor) {
+                    pasajero.abordaje = scan.abordajeServidor;
+                }
+            });
+            renderBoarding();
+        }
+    } catch (error) {
+        // Sin red los escaneos siguen pendientes y se reintentan después
+        console.error("Error:", error);
+    } finally {
+        boardingState.syncing = false;
+        updateConnectionStatus();
+    }
+}
+
+/**
+ * Marcar un conflicto como revisado por el chofer
+ */
+async function dismissConflict(scanId) {
+    const scan = boardingState.scans.find(s => s.id === scanId);
+    if (!scan) return;
+
+    scan.revisado = true;
+    await withStore("escaneos", "readwrite", store => store.put(scan));
+    renderBoarding();
+}
+
+// ========================================
+// PANTALLA
+// ========================================
+
+function renderBoarding() {
+    const manifest = boardingState.manifest;
+    if (!manifest) return;
+
+    const pagados = manifest.pasajeros.filter(p => p.estado === "paid");
+    const abordados = pagados.filter(p => getTicketScan(p.ticketId) || p.abordaje);
+    const pendientes = boardingState.scans.filter(scan => scan.estado === "pendiente");
+    const conflictos = boardingState.scans.filter(scan => (scan.estado === "conflicto" || scan.estado === "rechazado") && !scan.revisado);
+
+    document.getElementById("totalAbordados").textContent = `${abordados.length}/${pagados.length}`;
+    document.getElementById("totalPendientes").textContent = pendientes.length;
+    document.getElementById("totalConflictos").textContent = conflictos.length;
+
+    // Conflictos de sincronización
+    document.getElementById("panelConflictos").classList.toggle("hidden", conflictos.length === 0);
+    document.getElementById("listaConflictos").innerHTML = conflictos.map(scan => {
+        const pasajero = manifest.pasajeros.find(p => p.ticketId === scan.ticketId) || {};
+        const otro = scan.abordajeServidor;
+        return `
+            <div class="border border-red-200 bg-red-50 rounded-lg p-3 text-sm">
+                <div class="flex justify-between items-start">
+                    <div>
+                        <p class="font-semibold">Asiento ${pasajero.asiento} · ${pasajero.nombre}</p>
+                        <p class="text-red-700">${scan.error}</p>
+                        <p class="text-gray-600">Escaneado aquí a las ${formatTime(scan.escaneadoEn)}${otro ? ` · abordaje registrado a las ${formatTime(otro.fecha)}${otro.operador ? ` por ${otro.operador}` : ''}` : ''}</p>
+                    </div>
+                    <button onclick="dismissConflict('${scan.id}')" class="text-gray-600 hover:text-gray-800 text-xs font-semibold">Enterado</button>
+                </div>
+            </div>
+        `;
+    }).join("");
+
+    // Lista de pasajeros
+    document.getElementById("listaPasajeros").innerHTML = manifest.pasajeros.length === 0
+        ? '<tr><td colspan="4" class="px-3 py-4 text-center text-gray-500">No hay boletos vendidos para esta salida</td></tr>'
+        : manifest.pasajeros.map(pasajero => `
+            <tr class="border-b">
+                <td class="px-3 py-2 font-semibold">${pasajero.asiento}</td>
+                <td class="px-3 py-2">
+                    ${pasajero.nombre}
+                    ${pasajero.categoriaNombre ? `<p class="text-xs text-gray-500">${pasajero.categoriaNombre}</p>` : ''}
+                </td>
+                <td class="px-3 py-2 text-xs">${pasajero.origen} → ${pasajero.destino}<br>${pasajero.horario}</td>
+                <td class="px-3 py-2">${getPassengerStatus(pasajero)}</td>
+            </tr>
+        `).join("");
+}
+
+/**
+ * Etiqueta de abordaje de un pasajero del manifiesto
+ */
+function getPassengerStatus(pasajero) {
+    if (pasajero.estado !== "paid") {
+        return '<span class="bg-gray-100 text-gray-600 px-2 py-1 rounded text-xs">Cancelado</span>';
+    }
+    const scan = getTicketScan(pasajero.ticketId);
+    if (scan && scan.estado === "pendiente") {
+        return `<span class="bg-yellow-100 text-yellow-700 px-2 py-1 rounded text-xs">Abordó ${formatTime(scan.escaneadoEn)} (sin sincronizar)</span>`;
+    }
+    if (scan && scan.estado === "conflicto") {
+        return '<span class="bg-red-100 text-red-700 px-2 py-1 rounded text-xs">Doble abordaje</span>';
+    }
+    if (pasajero.abordaje || scan) {
+        const at = pasajero.abordaje ? pasajero.abordaje.fecha : scan.escaneadoEn;
+        return `<span class="bg-green-100 text-green-700 px-2 py-1 rounded text-xs">Abordó ${formatTime(at)}</span>`;
+    }
+    return '<span class="bg-blue-100 text-blue-700 px-2 py-1 rounded text-xs">Sin abordar</span>';
+}
+
+function updateConnectionStatus() {
+    const status = document.getElementById("estadoConexion");
+    status.className = `text-sm font-semibold ${navigator.onLine ? "text-green-600" : "text-red-600"}`;
+    status.innerHTML = navigator.onLine
+        ? '<i class="fas fa-wifi mr-1"></i>En línea'
+        : '<i class="fas fa-plane mr-1"></i>Sin conexión: los escaneos se guardan en el dispositivo';
+}
+
+/**
+ * Día (YYYY-MM-DD) según el reloj del dispositivo; el servidor también compara con el día local de la terminal
+ */
+function getLocalDay(date = new Date()) {
+    return [
+        date.getFullYear(),
+        String(date.getMonth() + 1).padStart(2, "0"),
+        String(date.getDate()).padStart(2, "0")
+    ].join("-");
+}
+
+function formatTime(isoDate) {
+    return new Date(isoDate).toLocaleTimeString('es-ES', { hour: '2-digit', minute: '2-digit' });
+}
+
+function showError(message) {
+    const errorBox = document.getElementById("errorBox");
+    const errorMessage = document.getElementById("errorMessage");
+
+    errorMessage.textContent = message;
+    errorBox.classList.remove("hidden");
+
+    setTimeout(() => {
+        errorBox.classList.add("hidden");
+    }, 5000);
+}
@@ -9,6 +9,19 @@ let adminState = {
     routes: {},
     tickets: [],
     stats: {},
+    layouts: { defaultsByType: {}, layouts: [] },
+    fareCategories: { defaultCategory: null, categories: [], documentTypes: {} },
+    waitlist: [],
+    clerks: [],
+    shifts: [],
+    coupons: { coupons: [], routes: [], scheduleTypes: [] },
+    editingCoupon: null,
+    pricing: { maxIncreasePercent: 0, maxDecreasePercent: 0, rules: [], routes: [], scheduleTypes: [] },
+    pricingDraft: { maxIncreasePercent: 0, maxDecreasePercent: 0, rules: [] },
+    pricingDirty: false,
+    editingPricingRule: null,
+    seasons: [],
+    editingSeason: null,
     currentTab: 'routes'
 };
 
@@ -26,10 +39,399 @@ async function loadInitialData() {
     await Promise.all([
         loadRoutes(),
         loadStats(),
-        loadTickets()
+        loadTickets(),
+        loadLayouts(),
+        loadFareCategories(),
+        loadWaitlist(),
+        loadClerks(),
+        loadShifts(),
+        loadCoupons(),
+        loadPricingRules()
     ]);
 }
 
+/**
+ * Cargar taquilleros
+ */
+async function loadClerks() {
+    try {
+        const response = await fetch(`${API_BASE_URL}/api/admin/clerks`);
+        if (!response.ok) throw new Error('Error cargando taquilleros');
+        
+        const data = await response.json();
+        adminState.clerks = data.clerks || [];
+        
+        console.log('✅ Taquilleros cargados:', adminState.clerks.length);
+    } catch (error) {
+        console.error('❌ Error cargando taquilleros:', error);
+    }
+}
+
+/**
+ * Cargar turnos de caja de la taquilla
+ */
+async function loadShifts() {
+    try {
+        const response = await fetch(`${API_BASE_URL}/api/admin/shifts`);
+        if (!response.ok) throw new Error('Error cargando turnos de caja');
+        
+        const data = await response.json();
+        adminState.shifts = data.shifts || [];
+        
+        console.log('✅ Turnos de caja cargados:', adminState.shifts.length);
+    } catch (error) {
+        console.error('❌ Error cargando turnos de caja:', error);
+    }
+}
+
+// Nombre para mostrar de las formas de pago de taquilla
+const COUNTER_PAYMENT_LABELS = { efectivo: 'Efectivo', terminal: 'Terminal bancaria' };
+
+/**
+ * Texto de una diferencia del corte (cuadra, sobrante o faltante)
+ */
+function formatShiftDifference(diferencia) {
+    if (diferencia === 0) return 'Cuadra';
+    return `${diferencia > 0 ? 'Sobrante' : 'Faltante'} $${Math.abs(diferencia).toFixed(2)}`;
+}
+
+/**
+ * Mostrar los turnos de caja con sus ventas y el resultado del corte
+ */
+function displayShifts() {
+    const container = document.getElementById('shiftsList');
+    if (!container) return;
+    
+    if (adminState.shifts.length === 0) {
+        container.innerHTML = '<p class="text-sm text-gray-500">No hay turnos de caja registrados</p>';
+        return;
+    }
+    
+    container.innerHTML = adminState.shifts.map(shift => {
+        const abierto = new Date(shift.abiertoEn).toLocaleString('es-ES');
+        const cerrado = shift.cerradoEn ? new Date(shift.cerradoEn).toLocaleString('es-ES') : null;
+        const diferencia = shift.corte ? shift.corte.diferenciaTotal : null;
+        
+        return `
+            <div class="flex justify-between items-center p-3 bg-gray-50 rounded">
+                <div>
+                    <p class="font-semibold text-sm">${shift.taquillero}</p>
+                    <p class="text-xs text-gray-600">${abierto}${cerrado ? ` → ${cerrado}` : ' · turno abierto'}</p>
+                    <p class="text-xs text-gray-600">${shift.resumen.boletos} boletos · $${shift.resumen.totalVentas.toFixed(2)} vendidos</p>
+                </div>
+                <div class="flex items-center gap-3">
+                    ${diferencia === null
+                        ? '<span class="bg-yellow-100 text-yellow-700 px-2 py-1 rounded text-xs">Abierto</span>'
+                        : `<span class="${diferencia === 0 ? 'bg-green-100 text-green-700' : 'bg-red-100 text-red-700'} px-2 py-1 rounded text-xs">${formatShiftDifference(diferencia)}</span>`}
+                    <button onclick="printShiftReport('${shift.id}')" class="text-blue-600 hover:text-blue-800" title="${shift.corte ? 'Imprimir corte' : 'Imprimir ventas del turno'}">
+                        <i class="fas fa-print"></i>
+                    </button>
+                </div>
+            </div>
+        `;
+    }).join('');
+}
+
+/**
+ * Abrir el reporte de un turno (corte de caja) en una ventana lista para imprimir
+ */
+async function printShiftReport(shiftId) {
+    try {
+        const response = await fetch(`${API_BASE_URL}/api/admin/shifts/${encodeURIComponent(shiftId)}`);
+        const shift = await response.json();
+        
+        if (!response.ok) {
+            throw new Error(shift.error || 'Error cargando el turno');
+        }
+        
+        const money = amount => `$${amount.toFixed(2)}`;
+        const labels = shift.formasDePago || COUNTER_PAYMENT_LABELS;
+        const methodRows = Object.entries(shift.resumen.porMetodo).map(([metodo, totals]) => {
+            const corte = shift.corte ? shift.corte.porMetodo[metodo] : null;
+            return `
+                <tr>
+                    <td>${labels[metodo] || metodo}</td>
+                    <td>${totals.boletos}</td>
+                    <td>${money(totals.ventas)}</td>
+                    <td>${money(totals.reembolsos)}</td>
+                    <td>${corte ? money(corte.esperado) : '-'}</td>
+                    <td>${corte ? money(corte.declarado) : '-'}</td>
+                    <td>${corte ? formatShiftDifference(corte.diferencia) : '-'}</td>
+                </tr>
+            `;
+        }).join('');
+        const movementRows = shift.movimientos.map(movimiento => `
+            <tr>
+                <td>${new Date(movimiento.fecha).toLocaleTimeString('es-ES')}</td>
+                <td>${movimiento.tipo === 'venta' ? 'Venta' : 'Reembolso'}</td>
+                <td>${movimiento.referencia || ''}</td>
+                <td>${movimiento.nombre}</td>
+                <td>${movimiento.viaje}</td>
+                <td>${labels[movimiento.metodo] || movimiento.metodo}</td>
+                <td>${movimiento.tipo === 'venta' ? '' : '-'}${money(movimiento.monto)}</td>
+            </tr>
+        `).join('');
+        
+        const reportWindow = window.open('', '_blank');
+        reportWindow.document.write(`
+            <html lang="es">
+            <head>
+                <title>Corte de caja - ${shift.taquillero}</title>
+                <style>
+                    body { font-family: Arial, sans-serif; margin: 24px; font-size: 12px; }
+                    h1 { font-size: 18px; margin-bottom: 4px; }
+                    table { width: 100%; border-collapse: collapse; margin: 12px 0 20px; }
+                    th, td { border: 1px solid #ccc; padding: 4px 6px; text-align: left; }
+                    th { background: #f3f4f6; }
+                    .firma { margin-top: 48px; display: flex; justify-content: space-around; }
+                    .firma div { border-top: 1px solid #000; width: 200px; text-align: center; padding-top: 4px; }
+                </style>
+            </head>
+            <body>
+                <h1>TransBus - ${shift.corte ? 'Corte de Caja' : 'Ventas del Turno (abierto)'}</h1>
+                <p>
+                    <strong>Taquillero:</strong> ${shift.taquillero}<br>
+                    <strong>Apertura:</strong> ${new Date(shift.abiertoEn).toLocaleString('es-ES')}<br>
+                    <strong>Cierre:</strong> ${shift.cerradoEn ? new Date(shift.cerradoEn).toLocaleString('es-ES') : 'Turno abierto'}<br>
+                    <strong>Fondo inicial:</strong> ${money(shift.fondoInicial)}
+                </p>
+                <table>
+                    <thead><tr><th>Forma de pago</th><th>Boletos</th><th>Ventas</th><th>Reembolsos</th><th>Esperado</th><th>Declarado</th><th>Diferencia</th></tr></thead>
+                    <tbody>${methodRows}</tbody>
+                </table>
+                ${shift.corte ? `<p><strong>Diferencia total:</strong> ${formatShiftDifference(shift.corte.diferenciaTotal)}</p>` : ''}
+                ${shift.notas ? `<p><strong>Notas:</strong> ${shift.notas}</p>` : ''}
+                <h2 style="font-size: 14px;">Movimientos</h2>
+                <table>
+                    <thead><tr><th>Hora</th><th>Tipo</th><th>Referencia</th><th>Pasajero</th><th>Viaje</th><th>Forma de pago</th><th>Monto</th></tr></thead>
+                    <tbody>${movementRows || '<tr><td colspan="7">Sin movimientos</td></tr>'}</tbody>
+                </table>
+                <div class="firma"><div>Taquillero</div><div>Supervisor</div></div>
+            </body>
+            </html>
+        `);
+        reportWindow.document.close();
+        reportWindow.focus();
+        reportWindow.print();
+        
+    } catch (error) {
+        console.error('Error:', error);
+        showToast(error.message, 'error');
+    }
+}
+
+/**
+ * Mostrar los taquilleros con sus acciones
+ */
+function displayClerks() {
+    const container = document.getElementById('clerksList');
+    if (!container) return;
+    
+    if (adminState.clerks.length === 0) {
+        container.innerHTML = '<p class="text-sm text-gray-500">No hay taquilleros dados de alta</p>';
+        return;
+    }
+    
+    container.innerHTML = adminState.clerks.map(clerk => `
+        <div class="flex justify-between items-center p-3 bg-gray-50 rounded">
+            <div>
+                <p class="font-semibold text-sm">${clerk.nombre}</p>
+                <p class="text-xs ${clerk.activo ? 'text-green-600' : 'text-gray-500'}">${clerk.activo ? 'Activo' : 'Inactivo'}</p>
+            </div>
+            <div class="flex gap-3">
+                <button onclick="resetClerkPin('${clerk.id}')" class="text-blue-600 hover:text-blue-800" title="Cambiar PIN">
+                    <i class="fas fa-key"></i>
+                </button>
+                <button onclick="toggleClerk('${clerk.id}')" class="${clerk.activo ? 'text-red-600 hover:text-red-800' : 'text-green-600 hover:text-green-800'}" title="${clerk.activo ? 'Desactivar' : 'Activar'}">
+                    <i class="fas ${clerk.activo ? 'fa-user-slash' : 'fa-user-check'}"></i>
+                </button>
+            </div>
+        </div>
+    `).join('');
+}
+
+/**
+ * Guardar un taquillero (alta con POST, cambios con PUT)
+ */
+async function saveClerk(url, method, body, successMessage) {
+    try {
+        const response = await fetch(url, {
+            method,
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body)
+        });
+        
+        const data = await response.json();
+        
+        if (!response.ok) {
+            throw new Error(data.error || 'Error guardando taquillero');
+        }
+        
+        showToast(successMessage, 'success');
+        await loadClerks();
+        displayClerks();
+        
+    } catch (error) {
+        console.error('Error:', error);
+        showToast(error.message, 'error');
+    }
+}
+
+/**
+ * Dar de alta un taquillero
+ */
+async function newClerk() {
+    const nombre = prompt('Nombre del taquillero:');
+    if (nombre === null) return;
+    
+    const pin = prompt('PIN de 4 a 8 dígitos con el que entrará a la taquilla:');
+    if (pin === null) return;
+    
+    await saveClerk(`${API_BASE_URL}/api/admin/clerks`, 'POST', { nombre, pin }, 'Taquillero creado exitosamente');
+}
+
+/**
+ * Asignar un PIN nuevo a un taquillero (cierra sus sesiones abiertas)
+ */
+async function resetClerkPin(clerkId) {
+    const clerk = adminState.clerks.find(c => c.id === clerkId);
+    if (!clerk) return;
+    
+    const pin = prompt(`Nuevo PIN de ${clerk.nombre} (4 a 8 dígitos):`);
+    if (pin === null) return;
+    
+    await saveClerk(`${API_BASE_URL}/api/admin/clerks/${encodeURIComponent(clerkId)}`, 'PUT', { pin }, 'PIN actualizado exitosamente');
+}
+
+/**
+ * Activar o desactivar un taquillero
+ */
+async function toggleClerk(clerkId) {
+    const clerk = adminState.clerks.find(c => c.id === clerkId);
+    if (!clerk) return;
+    
+    if (clerk.activo && !confirm(`¿Desactivar a ${clerk.nombre}? Ya no podrá vender en taquilla.`)) {
+        return;
+    }
+    
+    await saveClerk(
+        `${API_BASE_URL}/api/admin/clerks/${encodeURIComponent(clerkId)}`,
+        'PUT',
+        { activo: !clerk.activo },
+        clerk.activo ? 'Taquillero desactivado' : 'Taquillero activado'
+    );
+}
+
+/**
+ * Cargar la lista de espera agrupada por salida
+ */
+async function loadWaitlist() {
+    try {
+        const response = await fetch(`${API_BASE_URL}/api/admin/waitlist`);
+        if (!response.ok) throw new Error('Error cargando lista de espera');
+        
+        const data = await response.json();
+        adminState.waitlist = data.departures || [];
+        
+        console.log('✅ Lista de espera cargada:', adminState.waitlist.length, 'salidas');
+    } catch (error) {
+        console.error('❌ Error cargando lista de espera:', error);
+    }
+}
+
+/**
+ * Mostrar cuántas personas esperan en cada salida agotada
+ */
+function displayWaitlist() {
+    const container = document.getElementById('waitlistByDeparture');
+    if (!container) return;
+    
+    if (adminState.waitlist.length === 0) {
+        container.innerHTML = '<p class="text-sm text-gray-500">No hay personas en lista de espera</p>';
+        return;
+    }
+    
+    container.innerHTML = adminState.waitlist.map(departure => `
+        <div class="p-3 bg-gray-50 rounded">
+            <div class="flex justify-between items-center">
+                <div>
+                    <p class="font-semibold text-sm">${departure.origen} → ${departure.destino}</p>
+                    <p class="text-xs text-gray-600">${departure.fecha} - ${departure.horario}</p>
+                </div>
+                <div class="text-right">
+                    <span class="bg-yellow-100 text-yellow-700 px-3 py-1 rounded-full text-sm">${departure.waiting} en espera</span>
+                    ${departure.offered > 0 ? `<span class="bg-green-100 text-green-700 px-3 py-1 rounded-full text-sm ml-1">${departure.offered} con oferta</span>` : ''}
+                </div>
+            </div>
+            <div class="mt-2 space-y-1">
+                ${departure.entries.map(entry => `
+                    <p class="text-xs text-gray-600">
+                        ${entry.position ? `${entry.position}.` : '<i class="fas fa-bell text-green-600"></i>'}
+                        ${entry.nombre} (${entry.pasajeros} pas.) - ${entry.email || entry.telefono}
+                        ${entry.claimUrl ? `- <a href="${entry.claimUrl}" target="_blank" class="text-blue-600 underline">enlace</a> hasta ${new Date(entry.claimExpiresAt).toLocaleTimeString('es-ES', { hour: '2-digit', minute: '2-digit' })}` : ''}
+                    </p>
+                `).join('')}
+            </div>
+        </div>
+    `).join('');
+}
+
+/**
+ * Cargar categorías de tarifa (adulto, niño, estudiante, INAPAM, maestro)
+ */
+async function loadFareCategories() {
+    try {
+        const response = await fetch(`${API_BASE_URL}/api/admin/fare-categories`);
+        if (!response.ok) throw new Error('Error cargando categorías de tarifa');
+        
+        adminState.fareCategories = await response.json();
+        
+        console.log('✅ Categorías de tarifa cargadas:', adminState.fareCategories.categories.length);
+    } catch (error) {
+        console.error('❌ Error cargando categorías de tarifa:', error);
+    }
+}
+
+/**
+ * Texto del descuento de una categoría (50% o $100)
+ */
+function formatFareDiscount(category) {
+    return category.discountType === 'fixed' ? `$${category.discountValue}` : `${category.discountValue}%`;
+}
+
+/**
+ * Cargar layouts de autobús (distribuciones de asientos)
+ */
+async function loadLayouts() {
+    try {
+        const response = await fetch(`${API_BASE_URL}/api/admin/layouts`);
+        if (!response.ok) throw new Error('Error cargando layouts');
+        
+        adminState.layouts = await response.json();
+        
+        console.log('✅ Layouts cargados:', adminState.layouts.layouts.length);
+    } catch (error) {
+        console.error('❌ Error cargando layouts:', error);
+    }
+}
+
+/**
+ * Nombre del layout que usa un horario (asignado o el de su tipo de servicio)
+ */
+function getScheduleLayoutName(schedule) {
+    const layoutId = schedule.layoutId || adminState.layouts.defaultsByType[schedule.type] || adminState.layouts.defaultsByType.default;
+    const layout = adminState.layouts.layouts.find(l => l.id === layoutId);
+    return layout ? `${layout.name}${schedule.layoutId ? '' : ' (por tipo)'}` : 'Sin layout';
+}
+
+/**
+ * Pedir el layout de un horario (vacío = el del tipo de servicio)
+ */
+function promptLayoutId(currentLayoutId = '') {
+    const available = adminState.layouts.layouts.map(l => `${l.id} (${l.capacity} asientos)`).join('\n');
+    return prompt(`Layout del autobús (vacío = según el tipo de servicio):\n${available}`, currentLayoutId);
+}
+
 /**
  * Cargar rutas desde el backend
  */
@@ -126,6 +528,11 @@ function displayRoutes() {
                         <i class="fas fa-clock mr-1"></i>${routeData.duration} • 
                         <i class="fas fa-road mr-1"></i>${routeData.distance || 'N/A'}
                     </p>
+                    ${routeData.stops ? `
+                        <p class="text-gray-500 text-xs mt-1">
+                            <i class="fas fa-map-marker-alt mr-1"></i>${routeData.stops.map(stop => stop.city).join(' → ')}
+                        </p>
+                    ` : ''}
                 </div>
                 <div class="flex space-x-2">
                     <button onclick="editRoute('${routeKey}')" class="text-blue-600 hover:text-blue-700">
@@ -206,218 +613,1426 @@ function loadSchedulesForRoute() {
     const routeData = adminState.routes[routeKey];
     if (!routeData) return;
     
-    const container = document.getElementById('schedulesList');
-    container.innerHTML = `
-        <div class="flex justify-between items-center mb-4">
-            <h3 class="font-bold text-lg">${routeKey.replace('-', ' → ')}</h3>
-            <button onclick="addNewSchedule('${routeKey}')" class="bg-blue-600 text-white px-3 py-2 rounded hover:bg-blue-700">
-                <i class="fas fa-plus mr-1"></i>Nuevo Horario
-            </button>
-        </div>
-    `;
+    const container = document.getElementById('schedulesList');
+    container.innerHTML = `
+        <div class="flex justify-between items-center mb-4">
+            <h3 class="font-bold text-lg">${routeKey.replace('-', ' → ')}</h3>
+            <button onclick="addNewSchedule('${routeKey}')" class="bg-blue-600 text-white px-3 py-2 rounded hover:bg-blue-700">
+                <i class="fas fa-plus mr-1"></i>Nuevo Horario
+            </button>
+        </div>
+    `;
+    
+    routeData.schedules.forEach(schedule => {
+        const scheduleCard = document.createElement('div');
+        scheduleCard.className = 'bg-white p-4 rounded-lg border-2 border-gray-200 flex justify-between items-center';
+        
+        scheduleCard.innerHTML = `
+            <div class="flex-1">
+                <div class="flex items-center space-x-4">
+                    <div>
+                        <span class="font-bold text-lg">${schedule.time}</span>
+                        <span class="text-gray-500 mx-2">→</span>
+                        <span class="font-bold text-lg">${schedule.arrival}</span>
+                    </div>
+                    <span class="bg-blue-100 text-blue-700 px-3 py-1 rounded-full text-sm">
+                        ${schedule.type}
+                    </span>
+                    <span class="bg-green-100 text-green-700 px-3 py-1 rounded-full text-sm font-bold">
+                        $${schedule.price.toFixed(2)}
+                    </span>
+                    <span class="bg-gray-100 text-gray-700 px-3 py-1 rounded-full text-sm">
+                        <i class="fas fa-chair mr-1"></i>${getScheduleLayoutName(schedule)}
+                    </span>
+                </div>
+            </div>
+            <div class="flex space-x-2">
+                <button onclick="editSchedule('${routeKey}', ${schedule.id})" class="text-blue-600 hover:text-blue-700 px-3 py-1">
+                    <i class="fas fa-edit"></i>
+                </button>
+                <button onclick="deleteSchedule('${routeKey}', ${schedule.id})" class="text-red-600 hover:text-red-700 px-3 py-1">
+                    <i class="fas fa-trash"></i>
+                </button>
+            </div>
+        `;
+        
+        container.appendChild(scheduleCard);
+    });
+}
+
+/**
+ * Mostrar boletos en la tabla
+ */
+function displayTickets() {
+    const tbody = document.getElementById('ticketsTableBody');
+    if (!tbody) return;
+    
+    tbody.innerHTML = '';
+    
+    adminState.tickets.forEach(ticket => {
+        const row = document.createElement('tr');
+        row.className = 'border-b hover:bg-gray-50';
+        
+        const date = new Date(ticket.createdAt);
+        const formattedDate = date.toLocaleDateString('es-ES');
+        
+        row.innerHTML = `
+            <td class="px-4 py-3 text-sm">${formattedDate}</td>
+            <td class="px-4 py-3 text-sm font-medium">
+                ${ticket.nombre}
+                ${ticket.categoriaNombre ? `<p class="text-xs text-gray-500 font-normal">${ticket.categoriaNombre}</p>` : ''}
+            </td>
+            <td class="px-4 py-3 text-sm">${ticket.origen} → ${ticket.destino}</td>
+            <td class="px-4 py-3 text-sm text-center">
+                <span class="bg-blue-100 text-blue-700 px-2 py-1 rounded">${ticket.asiento}</span>
+            </td>
+            <td class="px-4 py-3 text-sm">${ticket.horario} (${ticket.fecha})</td>
+            <td class="px-4 py-3 text-sm font-bold text-green-600">
+                $${ticket.amountPaid.toFixed(2)}
+                ${ticket.cupon ? `<p class="text-xs text-gray-500 font-normal">Cupón ${ticket.cupon} (-$${ticket.descuentoCupon.toFixed(2)})</p>` : ''}
+                ${ticket.desgloseIva ? `<p class="text-xs text-gray-500 font-normal">IVA $${ticket.desgloseIva.iva.toFixed(2)}</p>` : ''}
+                ${ticket.factura ? `<p class="text-xs text-blue-600 font-normal"><i class="fas fa-file-invoice mr-1"></i>Facturado</p>` : ''}
+            </td>
+            <td class="px-4 py-3 text-sm">
+                <span class="${ticket.paymentStatus === 'paid' ? 'bg-green-100 text-green-700' : 'bg-red-100 text-red-700'} px-2 py-1 rounded text-xs">
+                    ${ticket.paymentStatus}
+                </span>
+                ${ticket.cancelacion ? `<p class="text-xs text-gray-500 mt-1">Reembolso $${ticket.cancelacion.montoReembolso.toFixed(2)} (${ticket.cancelacion.actor})</p>` : ''}
+                ${ticket.canal === 'taquilla' ? `<p class="text-xs text-gray-500 mt-1"><i class="fas fa-cash-register mr-1"></i>Taquilla · ${ticket.taquillero ? ticket.taquillero.nombre : ''} · ${ticket.metodoPago}</p>` : ''}
+                ${ticket.abordaje ? `<p class="text-xs text-green-700 mt-1"><i class="fas fa-qrcode mr-1"></i>Abordó ${new Date(ticket.abordaje.fecha).toLocaleTimeString('es-ES', { hour: '2-digit', minute: '2-digit' })}</p>` : ''}
+            </td>
+            <td class="px-4 py-3 text-sm">
+                ${ticket.paymentStatus === 'paid' ? `
+                    <a href="${API_BASE_URL}/api/ticket/${encodeURIComponent(ticket.sessionId)}/pdf?ticketId=${encodeURIComponent(ticket.ticketId)}" target="_blank" class="text-blue-600 hover:text-blue-800 mr-3" title="Reimprimir boleto">
+                        <i class="fas fa-print"></i>
+                    </a>
+                    <button onclick="cancelTicket('${ticket.ticketId}')" class="text-red-600 hover:text-red-800" title="Cancelar y reembolsar">
+                        <i class="fas fa-ban"></i>
+                    </button>
+                ` : ''}
+            </td>
+        `;
+        
+        tbody.appendChild(row);
+    });
+    
+    if (adminState.tickets.length === 0) {
+        tbody.innerHTML = `
+            <tr>
+                <td colspan="8" class="px-4 py-8 text-center text-gray-500">
+                    <i class="fas fa-ticket-alt text-3xl mb-2 opacity-50"></i>
+                    <p>No hay boletos vendidos aún</p>
+                </td>
+            </tr>
+        `;
+    }
+}
+
+/**
+ * Filtrar boletos por búsqueda
+ */
+function filterTickets() {
+    const searchTerm = document.getElementById('ticketSearch').value.toLowerCase();
+    const tbody = document.getElementById('ticketsTableBody');
+    const rows = tbody.getElementsByTagName('tr');
+    
+    Array.from(rows).forEach(row => {
+        const text = row.textContent.toLowerCase();
+        row.style.display = text.includes(searchTerm) ? '' : 'none';
+    });
+}
+
+/**
+ * Cancelar un boleto y reembolsarlo
+ * Sin porcentaje se aplica la política de cancelación según las horas antes de la salida
+ */
+async function cancelTicket(ticketId) {
+    const ticket = adminState.tickets.find(t => t.ticketId === ticketId);
+    if (!ticket) return;
+    
+    const motivo = prompt(`Motivo de la cancelación del boleto de ${ticket.nombre} (${ticket.origen} → ${ticket.destino}, ${ticket.fecha} ${ticket.horario}):`);
+    if (motivo === null) return;
+    
+    const refundPercent = prompt('Porcentaje a reembolsar (0-100). Déjalo vacío para aplicar la política de cancelación:', '');
+    if (refundPercent === null) return;
+    
+    try {
+        const response = await fetch(`${API_BASE_URL}/api/admin/tickets/${encodeURIComponent(ticketId)}/cancel`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ motivo, refundPercent: refundPercent.trim() })
+        });
+        
+        const data = await response.json();
+        
+        if (!response.ok) {
+            throw new Error(data.error || 'Error cancelando boleto');
+        }
+        
+        showToast(data.message, 'success');
+        await Promise.all([loadTickets(), loadStats()]);
+        
+    } catch (error) {
+        console.error('Error:', error);
+        showToast(error.message, 'error');
+    }
+}
+
+/**
+ * Poblar el selector de ruta del manifiesto
+ */
+function populateManifestRoutes() {
+    const select = document.getElementById('manifestRoute');
+    if (!select) return;
+    
+    const selected = select.value;
+    select.innerHTML = Object.keys(adminState.routes)
+        .map(routeKey => `<option value="${routeKey}">${routeKey.replace('-', ' → ')}</option>`)
+        .join('');
+    if (selected && adminState.routes[selected]) {
+        select.value = selected;
+    }
+    
+    const dateInput = document.getElementById('manifestDate');
+    if (!dateInput.value) {
+        dateInput.value = new Date().toISOString().slice(0, 10);
+    }
+    populateManifestSchedules();
+}
+
+/**
+ * Poblar el selector de salida del manifiesto con los horarios de la ruta elegida
+ */
+function populateManifestSchedules() {
+    const route = adminState.routes[document.getElementById('manifestRoute').value];
+    const select = document.getElementById('manifestSchedule');
+    
+    select.innerHTML = route
+        ? route.schedules.map(schedule => `<option value="${schedule.time}">${schedule.time} · ${schedule.type}</option>`).join('')
+        : '';
+}
+
+/**
+ * Parámetros de la salida elegida para el manifiesto
+ */
+function getManifestParams() {
+    const routeKey = document.getElementById('manifestRoute').value;
+    const fecha = document.getElementById('manifestDate').value;
+    const horario = document.getElementById('manifestSchedule').value;
+    
+    if (!routeKey || !fecha || !horario) {
+        showToast('Elige la ruta, la fecha y la salida', 'error');
+        return null;
+    }
+    return new URLSearchParams({ routeKey, fecha, horario });
+}
+
+/**
+ * Descargar el manifiesto de la salida elegida
+ */
+async function fetchManifest() {
+    const params = getManifestParams();
+    if (!params) return null;
+    
+    try {
+        const response = await fetch(`${API_BASE_URL}/api/admin/manifest?${params}`);
+        const manifest = await response.json();
+        
+        if (!response.ok) {
+            throw new Error(manifest.error || 'Error cargando el manifiesto');
+        }
+        return manifest;
+    } catch (error) {
+        console.error('Error:', error);
+        showToast(error.message, 'error');
+        return null;
+    }
+}
+
+/**
+ * Texto del abordaje de un pasajero del manifiesto
+ */
+function formatManifestBoarding(pasajero) {
+    return pasajero.abordaje
+        ? `Abordó ${new Date(pasajero.abordaje.fecha).toLocaleTimeString('es-ES', { hour: '2-digit', minute: '2-digit' })}`
+        : 'Sin abordar';
+}
+
+/**
+ * Mostrar el manifiesto de la salida elegida
+ */
+async function loadManifest() {
+    const manifest = await fetchManifest();
+    if (!manifest) return;
+    
+    const container = document.getElementById('manifestResult');
+    if (manifest.pasajeros.length === 0) {
+        container.innerHTML = '<p class="text-sm text-gray-500">No hay pasajeros en esta salida</p>';
+        return;
+    }
+    
+    container.innerHTML = `
+        <p class="text-sm text-gray-600 mb-2">${manifest.resumen.pasajeros} pasajero(s) · ${manifest.resumen.abordados} abordado(s) · ${manifest.tipo}</p>
+        <div class="overflow-x-auto">
+            <table class="w-full text-sm">
+                <thead class="bg-gray-50">
+                    <tr>
+                        <th class="px-3 py-2 text-left">Asiento</th>
+                        <th class="px-3 py-2 text-left">Pasajero</th>
+                        <th class="px-3 py-2 text-left">Documento</th>
+                        <th class="px-3 py-2 text-left">Tarifa</th>
+                        <th class="px-3 py-2 text-left">Tramo</th>
+                        <th class="px-3 py-2 text-left">Abordaje</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${manifest.pasajeros.map(pasajero => `
+                        <tr class="border-b">
+                            <td class="px-3 py-2 font-semibold">${pasajero.asiento}</td>
+                            <td class="px-3 py-2">${pasajero.nombre}</td>
+                            <td class="px-3 py-2">${pasajero.tipoDocumento || ''} ${pasajero.numeroDocumento || ''}</td>
+                            <td class="px-3 py-2">${pasajero.categoriaNombre || ''}</td>
+                            <td class="px-3 py-2">${pasajero.origen} → ${pasajero.destino} (${pasajero.horaAbordaje})</td>
+                            <td class="px-3 py-2">
+                                <span class="${pasajero.abordaje ? 'bg-green-100 text-green-700' : 'bg-gray-100 text-gray-600'} px-2 py-1 rounded text-xs">${formatManifestBoarding(pasajero)}</span>
+                            </td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        </div>
+    `;
+}
+
+/**
+ * Abrir el manifiesto de la salida en una ventana lista para imprimir
+ */
+async function printManifest() {
+    const manifest = await fetchManifest();
+    if (!manifest) return;
+    
+    const rows = manifest.pasajeros.map(pasajero => `
+        <tr>
+            <td>${pasajero.asiento}</td>
+            <td>${pasajero.nombre}</td>
+            <td>${pasajero.tipoDocumento || ''}</td>
+            <td>${pasajero.numeroDocumento || ''}</td>
+            <td>${pasajero.categoriaNombre || ''}</td>
+            <td>${pasajero.origen} → ${pasajero.destino}</td>
+            <td>${pasajero.horaAbordaje}</td>
+            <td>${formatManifestBoarding(pasajero)}</td>
+        </tr>
+    `).join('');
+    
+    const reportWindow = window.open('', '_blank');
+    reportWindow.document.write(`
+        <html lang="es">
+        <head>
+            <title>Manifiesto - ${manifest.routeKey} ${manifest.fecha} ${manifest.horario}</title>
+            <style>
+                body { font-family: Arial, sans-serif; margin: 24px; font-size: 12px; }
+                h1 { font-size: 18px; margin-bottom: 4px; }
+                table { width: 100%; border-collapse: collapse; margin: 12px 0 20px; }
+                th, td { border: 1px solid #ccc; padding: 4px 6px; text-align: left; }
+                th { background: #f3f4f6; }
+                .firma { margin-top: 48px; display: flex; justify-content: space-around; }
+                .firma div { border-top: 1px solid #000; width: 200px; text-align: center; padding-top: 4px; }
+            </style>
+        </head>
+        <body>
+            <h1>TransBus - Manifiesto de Pasajeros</h1>
+            <p>
+                <strong>Ruta:</strong> ${manifest.paradas.join(' → ')}<br>
+                <strong>Salida:</strong> ${manifest.fecha} ${manifest.horario} · ${manifest.tipo}<br>
+                <strong>Pasajeros:</strong> ${manifest.resumen.pasajeros} · <strong>Abordados:</strong> ${manifest.resumen.abordados}<br>
+                <strong>Generado:</strong> ${new Date(manifest.generadoEn).toLocaleString('es-ES')}
+            </p>
+            <table>
+                <thead><tr><th>Asiento</th><th>Pasajero</th><th>Tipo de documento</th><th>Número de documento</th><th>Tarifa</th><th>Tramo</th><th>Hora de abordaje</th><th>Abordaje</th></tr></thead>
+                <tbody>${rows || '<tr><td colspan="8">Sin pasajeros</td></tr>'}</tbody>
+            </table>
+            <div class="firma"><div>Operador</div><div>Jefe de terminal</div></div>
+        </body>
+        </html>
+    `);
+    reportWindow.document.close();
+    reportWindow.focus();
+    reportWindow.print();
+}
+
+/**
+ * Descargar el manifiesto de la salida en CSV
+ */
+function downloadManifestCsv() {
+    const params = getManifestParams();
+    if (!params) return;
+    
+    params.set('format', 'csv');
+    window.location.href = `${API_BASE_URL}/api/admin/manifest?${params}`;
+}
+
+/**
+ * Cambiar entre tabs
+ */
+function switchTab(tabName) {
+    // Ocultar todos los contenidos
+    document.querySelectorAll('.tab-content').forEach(content => {
+        content.classList.add('hidden');
+    });
+    
+    // Quitar active de todos los tabs
+    document.querySelectorAll('[id^="tab-"]').forEach(tab => {
+        tab.classList.remove('tab-active');
+    });
+    
+    // Mostrar contenido seleccionado
+    document.getElementById(`content-${tabName}`).classList.remove('hidden');
+    document.getElementById(`tab-${tabName}`).classList.add('tab-active');
+    
+    adminState.currentTab = tabName;
+    
+    // Cargar datos específicos del tab
+    if (tabName === 'reports') {
+        loadReports();
+    } else if (tabName === 'tickets') {
+        populateManifestRoutes();
+    } else if (tabName === 'counter') {
+        displayClerks();
+        loadShifts().then(displayShifts);
+    } else if (tabName === 'coupons') {
+        loadCoupons().then(displayCoupons);
+    } else if (tabName === 'pricing') {
+        populateSimulatorRoutes();
+        // Recargar la configuración guardada solo si no hay cambios en pantalla
+        if (adminState.pricingDirty) {
+            displayPricingRules();
+        } else {
+            loadPricingRules().then(displayPricingRules);
+        }
+        loadSeasons().then(displaySeasons);
+    }
+}
+
+/**
+ * Cargar reportes y análisis
+ */
+function loadReports() {
+    // Ventas por ruta
+    const salesByRoute = document.getElementById('salesByRoute');
+    if (salesByRoute && adminState.stats.routeStats) {
+        salesByRoute.innerHTML = '';
+        
+        Object.entries(adminState.stats.routeStats).forEach(([route, data]) => {
+            const div = document.createElement('div');
+            div.className = 'flex justify-between items-center p-3 bg-gray-50 rounded';
+            div.innerHTML = `
+                <div>
+                    <p class="font-semibold text-sm">${route.replace('-', ' → ')}</p>
+                    <p class="text-xs text-gray-600">${data.count} boletos</p>
+                </div>
+                <p class="font-bold text-green-600">$${data.revenue.toFixed(2)}</p>
+            `;
+            salesByRoute.appendChild(div);
+        });
+    }
+    
+    // Ventas por categoría de tarifa
+    const salesByFareCategory = document.getElementById('salesByFareCategory');
+    if (salesByFareCategory && adminState.stats.fareCategoryStats) {
+        salesByFareCategory.innerHTML = Object.values(adminState.stats.fareCategoryStats).map(data => `
+            <div class="flex justify-between items-center p-3 bg-gray-50 rounded">
+                <div>
+                    <p class="font-semibold text-sm">${data.name}</p>
+                    <p class="text-xs text-gray-600">${data.count} boletos</p>
+                </div>
+                <p class="font-bold text-green-600">$${data.revenue.toFixed(2)}</p>
+            </div>
+        `).join('');
+    }
+    
+    // Ventas por canal (web o taquilla)
+    const salesByChannel = document.getElementById('salesByChannel');
+    if (salesByChannel && adminState.stats.channelStats) {
+        salesByChannel.innerHTML = Object.values(adminState.stats.channelStats).map(data => `
+            <div class="flex justify-between items-center p-3 bg-gray-50 rounded">
+                <div>
+                    <p class="font-semibold text-sm">${data.name}</p>
+                    <p class="text-xs text-gray-600">${data.count} boletos</p>
+                </div>
+                <p class="font-bold text-green-600">$${data.revenue.toFixed(2)}</p>
+            </div>
+        `).join('');
+    }
+    
+    // Ventas con cupón de descuento
+    const salesByCoupon = document.getElementById('salesByCoupon');
+    if (salesByCoupon && adminState.stats.couponStats) {
+        const couponEntries = Object.entries(adminState.stats.couponStats);
+        salesByCoupon.innerHTML = couponEntries.length === 0
+            ? '<p class="text-sm text-gray-500">Aún no hay ventas con cupón</p>'
+            : couponEntries.map(([code, data]) => `
+                <div class="flex justify-between items-center p-3 bg-gray-50 rounded">
+                    <div>
+                        <p class="font-semibold text-sm">${code}</p>
+                        <p class="text-xs text-gray-600">${data.count} boletos · $${data.discount.toFixed(2)} de descuento</p>
+                    </div>
+                    <p class="font-bold text-green-600">$${data.revenue.toFixed(2)}</p>
+                </div>
+            `).join('') + `<p class="text-xs text-gray-500 text-right">Descuento total: $${adminState.stats.totalCouponDiscount}</p>`;
+    }
+    
+    // Categorías de tarifa configuradas
+    displayFareCategories();
+    
+    // Lista de espera por salida
+    displayWaitlist();
+    
+    // Ventas recientes
+    const recentSales = document.getElementById('recentSales');
+    if (recentSales) {
+        recentSales.innerHTML = '';
+        
+        adminState.tickets.slice(0, 5).forEach(ticket => {
+            const div = document.createElement('div');
+            div.className = 'flex justify-between items-center p-3 bg-gray-50 rounded';
+            const date = new Date(ticket.createdAt).toLocaleDateString('es-ES', { month: 'short', day: 'numeric' });
+            div.innerHTML = `
+                <div>
+                    <p class="font-semibold text-sm">${ticket.nombre}</p>
+                    <p class="text-xs text-gray-600">${date} - ${ticket.origen} → ${ticket.destino}</p>
+                </div>
+                <p class="font-bold text-green-600">$${ticket.amountPaid.toFixed(2)}</p>
+            `;
+            recentSales.appendChild(div);
+        });
+    }
+    
+    // Asientos más populares
+    const popularSeats = document.getElementById('popularSeats');
+    if (popularSeats) {
+        const seatCount = {};
+        adminState.tickets.forEach(ticket => {
+            seatCount[ticket.asiento] = (seatCount[ticket.asiento] || 0) + 1;
+        });
+        
+        const topSeats = Object.entries(seatCount)
+            .sort((a, b) => b[1] - a[1])
+            .slice(0, 5);
+        
+        popularSeats.innerHTML = topSeats.map(([seat, count]) => `
+            <div class="flex justify-between items-center p-3 bg-gray-50 rounded">
+                <p class="font-semibold">Asiento ${seat}</p>
+                <span class="bg-purple-100 text-purple-700 px-3 py-1 rounded-full text-sm">${count} veces</span>
+            </div>
+        `).join('');
+    }
+    
+    // Horarios populares
+    const popularTimes = document.getElementById('popularTimes');
+    if (popularTimes) {
+        const timeCount = {};
+        adminState.tickets.forEach(ticket => {
+            timeCount[ticket.horario] = (timeCount[ticket.horario] || 0) + 1;
+        });
+        
+        const topTimes = Object.entries(timeCount)
+            .sort((a, b) => b[1] - a[1])
+            .slice(0, 5);
+        
+        popularTimes.innerHTML = topTimes.map(([time, count]) => `
+            <div class="flex justify-between items-center p-3 bg-gray-50 rounded">
+                <p class="font-semibold">${time}</p>
+                <span class="bg-orange-100 text-orange-700 px-3 py-1 rounded-full text-sm">${count} reservas</span>
+            </div>
+        `).join('');
+    }
+}
+
+/**
+ * Mostrar las categorías de tarifa con su descuento, cupo y documentos requeridos
+ */
+function displayFareCategories() {
+    const container = document.getElementById('fareCategoriesList');
+    if (!container) return;
+    
+    const { categories, documentTypes } = adminState.fareCategories;
+    
+    container.innerHTML = categories.map(category => `
+        <div class="flex justify-between items-center p-3 bg-gray-50 rounded">
+            <div>
+                <p class="font-semibold text-sm">${category.name}</p>
+                <p class="text-xs text-gray-600">
+                    Descuento: ${formatFareDiscount(category)} ·
+                    Cupo por salida: ${category.quotaPerDeparture === null ? 'sin límite' : category.quotaPerDeparture}
+                </p>
+                ${category.requiredDocuments.length > 0 ? `
+                    <p class="text-xs text-gray-500">Requiere: ${category.requiredDocuments.map(type => documentTypes[type] || type).join(' o ')}</p>
+                ` : ''}
+            </div>
+            <button onclick="editFareCategory('${category.id}')" class="text-blue-600 hover:text-blue-800" title="Editar tarifa">
+                <i class="fas fa-edit"></i>
+            </button>
+        </div>
+    `).join('');
+}
+
+/**
+ * Editar descuento, cupo y documentos de una categoría de tarifa
+ */
+async function editFareCategory(categoryId) {
+    const { categories, documentTypes } = adminState.fareCategories;
+    const category = categories.find(c => c.id === categoryId);
+    
+    if (!category) {
+        showToast('Categoría no encontrada', 'error');
+        return;
+    }
+    
+    const discount = prompt('Descuento (ej. 50% o $100; 0 = tarifa completa):', formatFareDiscount(category));
+    const quota = prompt('Cupo por salida (vacío = sin límite):', category.quotaPerDeparture ?? '');
+    const documents = prompt(`Documentos requeridos separados por coma (vacío = cualquiera):\n${Object.keys(documentTypes).join(', ')}`, category.requiredDocuments.join(', '));
+    
+    if (discount === null || quota === null || documents === null) {
+        showToast('Operación cancelada', 'info');
+        return;
+    }
+    
+    const discountValue = parseFloat(discount.replace(/[$%\s]/g, ''));
+    const quotaPerDeparture = quota.trim() === '' ? null : parseInt(quota, 10);
+    
+    if (isNaN(discountValue) || (quotaPerDeparture !== null && isNaN(quotaPerDeparture))) {
+        showToast('Descuento o cupo no válido', 'error');
+        return;
+    }
+    
+    try {
+        const response = await fetch(`${API_BASE_URL}/api/admin/fare-categories/${encodeURIComponent(categoryId)}`, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                discountType: discount.trim().startsWith('$') ? 'fixed' : 'percent',
+                discountValue,
+                quotaPerDeparture,
+                requiredDocuments: documents.split(',').map(type => type.trim().toUpperCase()).filter(Boolean)
+            })
+        });
+        
+        const data = await response.json();
+        
+        if (!response.ok) {
+            throw new Error(data.error || 'Error actualizando tarifa');
+        }
+        
+        showToast('Tarifa actualizada exitosamente', 'success');
+        await loadFareCategories();
+        displayFareCategories();
+        
+    } catch (error) {
+        console.error('Error:', error);
+        showToast(error.message, 'error');
+    }
+}
+
+/**
+ * Cargar cupones de descuento con sus usos
+ */
+async function loadCoupons() {
+    try {
+        const response = await fetch(`${API_BASE_URL}/api/admin/coupons`);
+        if (!response.ok) throw new Error('Error cargando cupones');
+        
+        adminState.coupons = await response.json();
+        
+        console.log('✅ Cupones cargados:', adminState.coupons.coupons.length);
+    } catch (error) {
+        console.error('❌ Error cargando cupones:', error);
+    }
+}
+
+/**
+ * Describir el descuento de un cupón (ej. "10%" o "$100 por compra")
+ */
+function formatCouponDiscount(coupon) {
+    return coupon.discountType === 'fixed' ? `$${coupon.discountValue} por compra` : `${coupon.discountValue}%`;
+}
+
+/**
+ * Mostrar los cupones con sus restricciones y usos
+ */
+function displayCoupons() {
+    const tbody = document.getElementById('couponsTable');
+    if (!tbody) return;
+    
+    const { coupons } = adminState.coupons;
+    
+    if (coupons.length === 0) {
+        tbody.innerHTML = `
+            <tr>
+                <td colspan="7" class="px-4 py-8 text-center text-gray-500">
+                    <i class="fas fa-percent text-3xl mb-2 opacity-50"></i>
+                    <p>No hay cupones registrados</p>
+                </td>
+            </tr>
+        `;
+        return;
+    }
+    
+    tbody.innerHTML = coupons.map(coupon => {
+        const vigencia = coupon.validFrom || coupon.validUntil
+            ? `${coupon.validFrom || '...'} a ${coupon.validUntil || '...'}`
+            : 'Sin vencimiento';
+        const aplica = [
+            coupon.routes.length > 0 ? coupon.routes.map(route => route.replace('-', ' → ')).join(', ') : 'Todas las rutas',
+            coupon.scheduleTypes.length > 0 ? coupon.scheduleTypes.join(', ') : 'todas las clases'
+        ].join(' · ');
+        
+        return `
+            <tr class="border-b hover:bg-gray-50">
+                <td class="px-4 py-3 text-sm">
+                    <span class="font-mono font-bold">${coupon.code}</span>
+                    <span class="${coupon.active ? 'bg-green-100 text-green-700' : 'bg-gray-200 text-gray-600'} px-2 py-1 rounded text-xs ml-1">${coupon.active ? 'Activo' : 'Inactivo'}</span>
+                    ${coupon.description ? `<p class="text-xs text-gray-500">${coupon.description}</p>` : ''}
+                </td>
+                <td class="px-4 py-3 text-sm">
+                    ${formatCouponDiscount(coupon)}
+                    ${coupon.minFare > 0 ? `<p class="text-xs text-gray-500">Compra mínima $${coupon.minFare.toFixed(2)}</p>` : ''}
+                </td>
+                <td class="px-4 py-3 text-sm">${vigencia}</td>
+                <td class="px-4 py-3 text-xs">${aplica}</td>
+                <td class="px-4 py-3 text-sm">
+                    ${coupon.uses}${coupon.maxUses !== null ? ` / ${coupon.maxUses}` : ''}
+                    ${coupon.maxUsesPerCustomer !== null ? `<p class="text-xs text-gray-500">Máx. ${coupon.maxUsesPerCustomer} por cliente</p>` : ''}
+                </td>
+                <td class="px-4 py-3 text-sm font-bold text-green-600">$${coupon.totalDiscount.toFixed(2)}</td>
+                <td class="px-4 py-3 text-sm space-x-2">
+                    <button onclick="openCouponModal('${coupon.code}')" class="text-blue-600 hover:text-blue-800" title="Editar cupón">
+                        <i class="fas fa-edit"></i>
+                    </button>
+                    <button onclick="deleteCoupon('${coupon.code}')" class="text-red-600 hover:text-red-800" title="Eliminar cupón">
+                        <i class="fas fa-trash"></i>
+                    </button>
+                </td>
+            </tr>
+        `;
+    }).join('');
+}
+
+/**
+ * Abrir el formulario de cupón (nuevo o para editar uno existente)
+ */
+function openCouponModal(code = null) {
+    const { coupons, routes, scheduleTypes } = adminState.coupons;
+    const coupon = code ? coupons.find(c => c.code === code) : null;
+    
+    if (code && !coupon) {
+        showToast('Cupón no encontrado', 'error');
+        return;
+    }
+    
+    adminState.editingCoupon = coupon ? coupon.code : null;
+    document.getElementById('couponModalTitle').textContent = coupon ? `Editar Cupón ${coupon.code}` : 'Nuevo Cupón';
+    document.getElementById('couponCode').value = coupon ? coupon.code : '';
+    document.getElementById('couponCode').disabled = Boolean(coupon);
+    document.getElementById('couponDescription').value = coupon ? coupon.description : '';
+    document.getElementById('couponDiscountType').value = coupon ? coupon.discountType : 'percent';
+    document.getElementById('couponDiscountValue').value = coupon ? coupon.discountValue : '';
+    document.getElementById('couponValidFrom').value = coupon && coupon.validFrom ? coupon.validFrom : '';
+    document.getElementById('couponValidUntil').value = coupon && coupon.validUntil ? coupon.validUntil : '';
+    document.getElementById('couponMaxUses').value = coupon && coupon.maxUses !== null ? coupon.maxUses : '';
+    document.getElementById('couponMaxUsesPerCustomer').value = coupon && coupon.maxUsesPerCustomer !== null ? coupon.maxUsesPerCustomer : '';
+    document.getElementById('couponMinFare').value = coupon ? coupon.minFare : 0;
+    document.getElementById('couponActive').checked = coupon ? coupon.active : true;
+    
+    const checkbox = (name, value, checked, label) => `
+        <label class="flex items-center">
+            <input type="checkbox" name="${name}" value="${value}" ${checked ? 'checked' : ''} class="mr-2">
+            ${label}
+        </label>
+    `;
+    document.getElementById('couponRoutes').innerHTML = routes
+        .map(route => checkbox('couponRoute', route, coupon && coupon.routes.includes(route), route.replace('-', ' → ')))
+        .join('');
+    document.getElementById('couponScheduleTypes').innerHTML = scheduleTypes
+        .map(type => checkbox('couponScheduleType', type, coupon && coupon.scheduleTypes.includes(type), type))
+        .join('');
+    
+    document.getElementById('couponModal').classList.remove('hidden');
+}
+
+/**
+ * Cerrar el formulario de cupón
+ */
+function closeCouponModal() {
+    document.getElementById('couponModal').classList.add('hidden');
+    document.getElementById('couponForm').reset();
+    adminState.editingCoupon = null;
+}
+
+/**
+ * Guardar el cupón del formulario (crear o actualizar)
+ */
+async function saveCoupon(event) {
+    event.preventDefault();
+    
+    const code = adminState.editingCoupon || document.getElementById('couponCode').value.trim().toUpperCase();
+    const optionalInt = id => {
+        const value = document.getElementById(id).value.trim();
+        return value === '' ? null : parseInt(value, 10);
+    };
+    const checkedValues = name => Array.from(document.querySelectorAll(`input[name="${name}"]:checked`)).map(input => input.value);
+    
+    try {
+        const response = await fetch(`${API_BASE_URL}/api/admin/coupons/${encodeURIComponent(code)}`, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                description: document.getElementById('couponDescription').value.trim(),
+                discountType: document.getElementById('couponDiscountType').value,
+                discountValue: parseFloat(document.getElementById('couponDiscountValue').value),
+                validFrom: document.getElementById('couponValidFrom').value || null,
+                validUntil: document.getElementById('couponValidUntil').value || null,
+                maxUses: optionalInt('couponMaxUses'),
+                maxUsesPerCustomer: optionalInt('couponMaxUsesPerCustomer'),
+                minFare: parseFloat(document.getElementById('couponMinFare').value) || 0,
+                routes: checkedValues('couponRoute'),
+                scheduleTypes: checkedValues('couponScheduleType'),
+                active: document.getElementById('couponActive').checked
+            })
+        });
+        
+        const data = await response.json();
+        
+        if (!response.ok) {
+            throw new Error(data.error || 'Error guardando cupón');
+        }
+        
+        showToast(data.message, 'success');
+        closeCouponModal();
+        await loadCoupons();
+        displayCoupons();
+        
+    } catch (error) {
+        console.error('Error:', error);
+        showToast(error.message, 'error');
+    }
+}
+
+/**
+ * Eliminar un cupón (los boletos que lo usaron conservan su descuento)
+ */
+async function deleteCoupon(code) {
+    if (!confirm(`¿Eliminar el cupón ${code}? Ya no se podrá usar en nuevas compras.`)) {
+        return;
+    }
+    
+    try {
+        const response = await fetch(`${API_BASE_URL}/api/admin/coupons/${encodeURIComponent(code)}`, {
+            method: 'DELETE'
+        });
+        
+        const data = await response.json();
+        
+        if (!response.ok) {
+            throw new Error(data.error || 'Error eliminando cupón');
+        }
+        
+        showToast('Cupón eliminado exitosamente', 'success');
+        await loadCoupons();
+        displayCoupons();
+        
+    } catch (error) {
+        console.error('Error:', error);
+        showToast(error.message, 'error');
+    }
+}
+
+/**
+ * Cargar la configuración de precios dinámicos (la pantalla edita una copia hasta guardar)
+ */
+async function loadPricingRules() {
+    try {
+        const response = await fetch(`${API_BASE_URL}/api/admin/pricing-rules`);
+        if (!response.ok) throw new Error('Error cargando reglas de precio');
+        
+        adminState.pricing = await response.json();
+        resetPricingDraft();
+        
+        console.log('✅ Reglas de precio cargadas:', adminState.pricing.rules.length);
+    } catch (error) {
+        console.error('❌ Error cargando reglas de precio:', error);
+    }
+}
+
+/**
+ * Volver a la configuración guardada, descartando los cambios en pantalla
+ */
+function resetPricingDraft() {
+    const { maxIncreasePercent, maxDecreasePercent, rules } = adminState.pricing;
+    adminState.pricingDraft = {
+        maxIncreasePercent,
+        maxDecreasePercent,
+        rules: rules.map(rule => ({ ...rule, routes: [...rule.routes], scheduleTypes: [...rule.scheduleTypes] }))
+    };
+    adminState.pricingDirty = false;
+}
+
+/**
+ * Marcar que la configuración en pantalla tiene cambios sin guardar
+ */
+function markPricingDirty() {
+    adminState.pricingDirty = true;
+    displayPricingRules();
+}
+
+/**
+ * Describir el ajuste de una regla (ej. "+15%" o "-$50 por boleto")
+ */
+function formatPricingAdjustment(rule) {
+    const sign = rule.adjustmentValue > 0 ? '+' : '-';
+    const value = Math.abs(rule.adjustmentValue);
+    return rule.adjustmentType === 'fixed' ? `${sign}$${value} por boleto` : `${sign}${value}%`;
+}
+
+/**
+ * Describir un rango de una regla (ej. "80% o más", "de 0 a 2 días")
+ */
+function formatPricingRange(min, max, { unit, maxInclusive }) {
+    if (min === null && max === null) return 'Cualquiera';
+    if (max === null) return `${min}${unit} o más`;
+    if (min === null) return maxInclusive ? `Hasta ${max}${unit}` : `Menos de ${max}${unit}`;
+    return maxInclusive ? `De ${min} a ${max}${unit}` : `De ${min}${unit} a menos de ${max}${unit}`;
+}
+
+/**
+ * Mostrar los topes y las reglas de precio en pantalla
+ */
+function displayPricingRules() {
+    const tbody = document.getElementById('pricingRulesTable');
+    if (!tbody) return;
+    
+    const { maxIncreasePercent, maxDecreasePercent, rules } = adminState.pricingDraft;
+    document.getElementById('pricingMaxIncrease').value = maxIncreasePercent;
+    document.getElementById('pricingMaxDecrease').value = maxDecreasePercent;
+    document.getElementById('pricingDirtyNotice').classList.toggle('hidden', !adminState.pricingDirty);
+    
+    if (rules.length === 0) {
+        tbody.innerHTML = `
+            <tr>
+                <td colspan="6" class="px-4 py-8 text-center text-gray-500">
+                    <i class="fas fa-chart-line text-3xl mb-2 opacity-50"></i>
+                    <p>No hay reglas de precio: se cobra la tarifa de cada horario</p>
+                </td>
+            </tr>
+        `;
+        return;
+    }
+    
+    tbody.innerHTML = rules.map(rule => {
+        const aplica = [
+            rule.routes.length > 0 ? rule.routes.map(route => route.replace('-', ' → ')).join(', ') : 'Todas las rutas',
+            rule.scheduleTypes.length > 0 ? rule.scheduleTypes.join(', ') : 'todas las clases'
+        ].join(' · ');
+        
+        return `
+            <tr class="border-b hover:bg-gray-50 ${rule.active ? '' : 'opacity-60'}">
+                <td class="px-4 py-3 text-sm">
+                    <span class="font-bold">${rule.name}</span>
+                    <span class="${rule.active ? 'bg-green-100 text-green-700' : 'bg-gray-200 text-gray-600'} px-2 py-1 rounded text-xs ml-1">${rule.active ? 'Activa' : 'Inactiva'}</span>
+                </td>
+                <td class="px-4 py-3 text-xs">${aplica}</td>
+                <td class="px-4 py-3 text-sm">${formatPricingRange(rule.minOccupancy, rule.maxOccupancy, { unit: '%', maxInclusive: false })}</td>
+                <td class="px-4 py-3 text-sm">${formatPricingRange(rule.minDaysBefore, rule.maxDaysBefore, { unit: ' días', maxInclusive: true })}</td>
+                <td class="px-4 py-3 text-sm font-bold ${rule.adjustmentValue > 0 ? 'text-orange-600' : 'text-green-600'}">${formatPricingAdjustment(rule)}</td>
+                <td class="px-4 py-3 text-sm space-x-2">
+                    <button onclick="openPricingRuleModal('${rule.id}')" class="text-blue-600 hover:text-blue-800" title="Editar regla">
+                        <i class="fas fa-edit"></i>
+                    </button>
+                    <button onclick="togglePricingRule('${rule.id}')" class="text-gray-600 hover:text-gray-800" title="${rule.active ? 'Desactivar' : 'Activar'} regla">
+                        <i class="fas ${rule.active ? 'fa-toggle-on' : 'fa-toggle-off'}"></i>
+                    </button>
+                    <button onclick="deletePricingRule('${rule.id}')" class="text-red-600 hover:text-red-800" title="Eliminar regla">
+                        <i class="fas fa-trash"></i>
+                    </button>
+                </td>
+            </tr>
+        `;
+    }).join('');
+}
+
+/**
+ * Actualizar los topes de subida y bajada en pantalla
+ */
+function updatePricingLimits() {
+    adminState.pricingDraft.maxIncreasePercent = parseFloat(document.getElementById('pricingMaxIncrease').value) || 0;
+    adminState.pricingDraft.maxDecreasePercent = parseFloat(document.getElementById('pricingMaxDecrease').value) || 0;
+    markPricingDirty();
+}
+
+/**
+ * Abrir el formulario de regla de precio (nueva o para editar una existente)
+ */
+function openPricingRuleModal(ruleId = null) {
+    const { routes, scheduleTypes } = adminState.pricing;
+    const rule = ruleId ? adminState.pricingDraft.rules.find(r => r.id === ruleId) : null;
+    
+    if (ruleId && !rule) {
+        showToast('Regla no encontrada', 'error');
+        return;
+    }
+    
+    const optionalValue = value => (value === null || value === undefined ? '' : value);
+    adminState.editingPricingRule = rule ? rule.id : null;
+    document.getElementById('pricingRuleModalTitle').textContent = rule ? `Editar Regla: ${rule.name}` : 'Nueva Regla de Precio';
+    document.getElementById('pricingRuleName').value = rule ? rule.name : '';
+    document.getElementById('pricingRuleMinOccupancy').value = optionalValue(rule && rule.minOccupancy);
+    document.getElementById('pricingRuleMaxOccupancy').value = optionalValue(rule && rule.maxOccupancy);
+    document.getElementById('pricingRuleMinDays').value = optionalValue(rule && rule.minDaysBefore);
+    document.getElementById('pricingRuleMaxDays').value = optionalValue(rule && rule.maxDaysBefore);
+    document.getElementById('pricingRuleAdjustmentType').value = rule ? rule.adjustmentType : 'percent';
+    document.getElementById('pricingRuleAdjustmentValue').value = rule ? rule.adjustmentValue : '';
+    document.getElementById('pricingRuleActive').checked = rule ? rule.active : true;
+    
+    const checkbox = (name, value, checked, label) => `
+        <label class="flex items-center">
+            <input type="checkbox" name="${name}" value="${value}" ${checked ? 'checked' : ''} class="mr-2">
+            ${label}
+        </label>
+    `;
+    document.getElementById('pricingRuleRoutes').innerHTML = routes
+        .map(route => checkbox('pricingRuleRoute', route, rule && rule.routes.includes(route), route.replace('-', ' → ')))
+        .join('');
+    document.getElementById('pricingRuleScheduleTypes').innerHTML = scheduleTypes
+        .map(type => checkbox('pricingRuleScheduleType', type, rule && rule.scheduleTypes.includes(type), type))
+        .join('');
+    
+    document.getElementById('pricingRuleModal').classList.remove('hidden');
+}
+
+/**
+ * Cerrar el formulario de regla de precio
+ */
+function closePricingRuleModal() {
+    document.getElementById('pricingRuleModal').classList.add('hidden');
+    document.getElementById('pricingRuleForm').reset();
+    adminState.editingPricingRule = null;
+}
+
+/**
+ * Generar el id de una regla nueva a partir de su nombre (único entre las reglas en pantalla)
+ */
+function generatePricingRuleId(name) {
+    const base = name.toLowerCase()
+        .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+        .replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '')
+        .slice(0, 30) || 'regla';
+    const ids = new Set(adminState.pricingDraft.rules.map(rule => rule.id));
+    
+    let id = base;
+    for (let n = 2; ids.has(id); n++) {
+        id = `${base}-${n}`;
+    }
+    return id;
+}
+
+/**
+ * Aplicar el formulario a las reglas en pantalla (se guardan con "Guardar Cambios")
+ */
+function applyPricingRuleForm(event) {
+    event.preventDefault();
+    
+    const optionalNumber = (id, parse) => {
+        const value = document.getElementById(id).value.trim();
+        return value === '' ? null : parse(value);
+    };
+    const checkedValues = name => Array.from(document.querySelectorAll(`input[name="${name}"]:checked`)).map(input => input.value);
+    const name = document.getElementById('pricingRuleName').value.trim();
+    const adjustmentValue = parseFloat(document.getElementById('pricingRuleAdjustmentValue').value);
+    
+    if (!adjustmentValue) {
+        showToast('El ajuste debe ser distinto de 0', 'error');
+        return;
+    }
+    
+    const rule = {
+        id: adminState.editingPricingRule || generatePricingRuleId(name),
+        name,
+        active: document.getElementById('pricingRuleActive').checked,
+        routes: checkedValues('pricingRuleRoute'),
+        scheduleTypes: checkedValues('pricingRuleScheduleType'),
+        minOccupancy: optionalNumber('pricingRuleMinOccupancy', parseFloat),
+        maxOccupancy: optionalNumber('pricingRuleMaxOccupancy', parseFloat),
+        minDaysBefore: optionalNumber('pricingRuleMinDays', value => parseInt(value, 10)),
+        maxDaysBefore: optionalNumber('pricingRuleMaxDays', value => parseInt(value, 10)),
+        adjustmentType: document.getElementById('pricingRuleAdjustmentType').value,
+        adjustmentValue
+    };
+    
+    const { rules } = adminState.pricingDraft;
+    const index = rules.findIndex(r => r.id === rule.id);
+    if (index === -1) {
+        rules.push(rule);
+    } else {
+        rules[index] = rule;
+    }
+    
+    closePricingRuleModal();
+    markPricingDirty();
+}
+
+/**
+ * Activar o desactivar una regla en pantalla
+ */
+function togglePricingRule(ruleId) {
+    const rule = adminState.pricingDraft.rules.find(r => r.id === ruleId);
+    if (!rule) return;
+    
+    rule.active = !rule.active;
+    markPricingDirty();
+}
+
+/**
+ * Quitar una regla de las reglas en pantalla
+ */
+function deletePricingRule(ruleId) {
+    const rule = adminState.pricingDraft.rules.find(r => r.id === ruleId);
+    if (!rule || !confirm(`¿Eliminar la regla "${rule.name}"?`)) {
+        return;
+    }
+    
+    adminState.pricingDraft.rules = adminState.pricingDraft.rules.filter(r => r.id !== ruleId);
+    markPricingDirty();
+}
+
+/**
+ * Descartar los cambios en pantalla
+ */
+function discardPricingChanges() {
+    if (adminState.pricingDirty && !confirm('¿Descartar los cambios sin guardar en las reglas de precio?')) {
+        return;
+    }
+    
+    resetPricingDraft();
+    displayPricingRules();
+}
+
+/**
+ * Guardar los topes y las reglas en pantalla; desde ese momento aplican a las ventas
+ */
+async function savePricingRules() {
+    try {
+        const response = await fetch(`${API_BASE_URL}/api/admin/pricing-rules`, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(adminState.pricingDraft)
+        });
+        
+        const data = await response.json();
+        
+        if (!response.ok) {
+            throw new Error(data.error || 'Error guardando reglas de precio');
+        }
+        
+        showToast(data.message, 'success');
+        await loadPricingRules();
+        displayPricingRules();
+        
+    } catch (error) {
+        console.error('Error:', error);
+        showToast(error.message, 'error');
+    }
+}
+
+/**
+ * Poblar el selector de ruta del simulador
+ */
+function populateSimulatorRoutes() {
+    const select = document.getElementById('simulatorRoute');
+    if (!select) return;
+    
+    const selected = select.value;
+    select.innerHTML = Object.keys(adminState.routes)
+        .map(routeKey => `<option value="${routeKey}">${routeKey.replace('-', ' → ')}</option>`)
+        .join('');
+    if (selected && adminState.routes[selected]) {
+        select.value = selected;
+    }
+    populateSimulatorSchedules();
+}
+
+/**
+ * Poblar el selector de horario del simulador con los de la ruta elegida
+ */
+function populateSimulatorSchedules() {
+    const route = adminState.routes[document.getElementById('simulatorRoute').value];
+    const select = document.getElementById('simulatorSchedule');
+    
+    select.innerHTML = route
+        ? route.schedules.map(schedule => `<option value="${schedule.id}">${schedule.time} · ${schedule.type} ($${schedule.price})</option>`).join('')
+        : '';
+}
+
+/**
+ * Simular las tarifas del horario elegido con las reglas en pantalla (sin guardarlas)
+ */
+async function runPricingSimulation() {
+    const routeKey = document.getElementById('simulatorRoute').value;
+    const scheduleId = document.getElementById('simulatorSchedule').value;
+    const container = document.getElementById('simulatorResult');
+    
+    if (!routeKey || !scheduleId) {
+        showToast('Elige una ruta y un horario', 'error');
+        return;
+    }
     
-    routeData.schedules.forEach(schedule => {
-        const scheduleCard = document.createElement('div');
-        scheduleCard.className = 'bg-white p-4 rounded-lg border-2 border-gray-200 flex justify-between items-center';
+    try {
+        const response = await fetch(`${API_BASE_URL}/api/admin/pricing-rules/simulate`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ routeKey, scheduleId, config: adminState.pricingDraft })
+        });
         
-        scheduleCard.innerHTML = `
-            <div class="flex-1">
-                <div class="flex items-center space-x-4">
-                    <div>
-                        <span class="font-bold text-lg">${schedule.time}</span>
-                        <span class="text-gray-500 mx-2">→</span>
-                        <span class="font-bold text-lg">${schedule.arrival}</span>
-                    </div>
-                    <span class="bg-blue-100 text-blue-700 px-3 py-1 rounded-full text-sm">
-                        ${schedule.type}
-                    </span>
-                    <span class="bg-green-100 text-green-700 px-3 py-1 rounded-full text-sm font-bold">
-                        $${schedule.price.toFixed(2)}
-                    </span>
-                </div>
+        const data = await response.json();
+        
+        if (!response.ok) {
+            throw new Error(data.error || 'Error simulando tarifas');
+        }
+        
+        const priceCell = fare => {
+            const color = fare.price > data.basePrice ? 'text-orange-600' : fare.price < data.basePrice ? 'text-green-600' : 'text-gray-800';
+            const title = fare.rules.map(rule => `${rule.name} (${rule.adjustment})`).join(', ') || 'Sin ajustes';
+            return `<span class="font-semibold ${color}" title="${title}">$${fare.price.toFixed(2)}</span>`;
+        };
+        
+        container.innerHTML = `
+            <p class="text-sm text-gray-600 mb-3">
+                Tarifa base ${data.schedule.time} · ${data.schedule.type}: <strong>$${data.basePrice.toFixed(2)} MXN</strong>
+                <span class="text-xs text-gray-400">(pasa el cursor sobre un precio para ver las reglas que aplicaron)</span>
+            </p>
+            <div class="overflow-x-auto mb-6">
+                <table class="w-full text-sm text-center">
+                    <thead class="bg-gray-50">
+                        <tr>
+                            <th class="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Ocupación \\ Días antes</th>
+                            ${data.daysLevels.map(days => `<th class="px-3 py-2 text-xs font-medium text-gray-500">${days}</th>`).join('')}
+                        </tr>
+                    </thead>
+                    <tbody class="divide-y divide-gray-200">
+                        ${data.occupancyLevels.map((occupancy, row) => `
+                            <tr>
+                                <td class="px-3 py-2 text-left font-medium">${occupancy}%</td>
+                                ${data.grid[row].map(fare => `<td class="px-3 py-2">${priceCell(fare)}</td>`).join('')}
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
             </div>
-            <div class="flex space-x-2">
-                <button onclick="editSchedule('${routeKey}', ${schedule.id})" class="text-blue-600 hover:text-blue-700 px-3 py-1">
-                    <i class="fas fa-edit"></i>
-                </button>
-                <button onclick="deleteSchedule('${routeKey}', ${schedule.id})" class="text-red-600 hover:text-red-700 px-3 py-1">
-                    <i class="fas fa-trash"></i>
-                </button>
+            <h4 class="font-bold mb-2">Próximas salidas con su ocupación actual</h4>
+            <div class="grid grid-cols-2 md:grid-cols-7 gap-2">
+                ${data.upcoming.map(departure => `
+                    <div class="border rounded p-2 text-center text-sm">
+                        <p class="text-xs text-gray-500">${departure.fecha}</p>
+                        <p class="text-xs text-gray-500">${departure.occupancy}% ocupado</p>
+                        ${priceCell(departure)}
+                        ${departure.season ? `<p class="text-xs text-orange-600">${departure.season.name} +${departure.season.surchargePercent}%</p>` : ''}
+                    </div>
+                `).join('')}
             </div>
         `;
         
-        container.appendChild(scheduleCard);
-    });
+    } catch (error) {
+        console.error('Error:', error);
+        showToast(error.message, 'error');
+    }
 }
 
 /**
- * Mostrar boletos en la tabla
+ * Cargar el calendario de temporadas
  */
-function displayTickets() {
-    const tbody = document.getElementById('ticketsTableBody');
-    if (!tbody) return;
-    
-    tbody.innerHTML = '';
-    
-    adminState.tickets.forEach(ticket => {
-        const row = document.createElement('tr');
-        row.className = 'border-b hover:bg-gray-50';
-        
-        const date = new Date(ticket.createdAt);
-        const formattedDate = date.toLocaleDateString('es-ES');
+async function loadSeasons() {
+    try {
+        const response = await fetch(`${API_BASE_URL}/api/admin/seasons`);
+        if (!response.ok) throw new Error('Error cargando temporadas');
         
-        row.innerHTML = `
-            <td class="px-4 py-3 text-sm">${formattedDate}</td>
-            <td class="px-4 py-3 text-sm font-medium">${ticket.nombre}</td>
-            <td class="px-4 py-3 text-sm">${ticket.origen} → ${ticket.destino}</td>
-            <td class="px-4 py-3 text-sm text-center">
-                <span class="bg-blue-100 text-blue-700 px-2 py-1 rounded">${ticket.asiento}</span>
-            </td>
-            <td class="px-4 py-3 text-sm">${ticket.horario} (${ticket.fecha})</td>
-            <td class="px-4 py-3 text-sm font-bold text-green-600">$${ticket.amountPaid.toFixed(2)}</td>
-            <td class="px-4 py-3 text-sm">
-                <span class="bg-green-100 text-green-700 px-2 py-1 rounded text-xs">
-                    ${ticket.paymentStatus}
-                </span>
-            </td>
-        `;
+        const data = await response.json();
+        adminState.seasons = data.seasons;
         
-        tbody.appendChild(row);
-    });
+        console.log('✅ Temporadas cargadas:', adminState.seasons.length);
+    } catch (error) {
+        console.error('❌ Error cargando temporadas:', error);
+    }
+}
+
+/**
+ * Mostrar el calendario de temporadas con su recargo y restricciones
+ */
+function displaySeasons() {
+    const tbody = document.getElementById('seasonsTable');
+    if (!tbody) return;
     
-    if (adminState.tickets.length === 0) {
+    const today = new Date().toISOString().slice(0, 10);
+    
+    if (adminState.seasons.length === 0) {
         tbody.innerHTML = `
             <tr>
-                <td colspan="7" class="px-4 py-8 text-center text-gray-500">
-                    <i class="fas fa-ticket-alt text-3xl mb-2 opacity-50"></i>
-                    <p>No hay boletos vendidos aún</p>
+                <td colspan="5" class="px-4 py-8 text-center text-gray-500">
+                    <i class="fas fa-calendar-alt text-3xl mb-2 opacity-50"></i>
+                    <p>No hay temporadas registradas</p>
                 </td>
             </tr>
         `;
+        return;
     }
+    
+    tbody.innerHTML = adminState.seasons.map(season => {
+        const restrictions = [
+            season.blockDiscounts ? 'Sin descuentos' : '',
+            season.blockCoupons ? 'Sin cupones' : ''
+        ].filter(Boolean).join(' · ') || '—';
+        const past = season.endDate < today;
+        
+        return `
+            <tr class="border-b hover:bg-gray-50 ${past ? 'opacity-60' : ''}">
+                <td class="px-4 py-3 text-sm">
+                    <span class="font-semibold">${season.name}</span>
+                    <span class="${season.active ? 'bg-green-100 text-green-700' : 'bg-gray-200 text-gray-600'} px-2 py-1 rounded text-xs ml-1">${season.active ? 'Activa' : 'Inactiva'}</span>
+                    ${past ? '<p class="text-xs text-gray-500">Ya pasó</p>' : ''}
+                </td>
+                <td class="px-4 py-3 text-sm">${season.startDate} a ${season.endDate}</td>
+                <td class="px-4 py-3 text-sm font-semibold text-orange-600">${season.surchargePercent > 0 ? `+${season.surchargePercent}%` : 'Sin recargo'}</td>
+                <td class="px-4 py-3 text-xs">${restrictions}</td>
+                <td class="px-4 py-3 text-sm space-x-2">
+                    <button onclick="openSeasonModal('${season.id}')" class="text-blue-600 hover:text-blue-800" title="Editar temporada">
+                        <i class="fas fa-edit"></i>
+                    </button>
+                    <button onclick="deleteSeason('${season.id}')" class="text-red-600 hover:text-red-800" title="Eliminar temporada">
+                        <i class="fas fa-trash"></i>
+                    </button>
+                </td>
+            </tr>
+        `;
+    }).join('');
 }
 
 /**
- * Filtrar boletos por búsqueda
+ * Abrir el formulario de temporada (nueva o para editar una existente)
  */
-function filterTickets() {
-    const searchTerm = document.getElementById('ticketSearch').value.toLowerCase();
-    const tbody = document.getElementById('ticketsTableBody');
-    const rows = tbody.getElementsByTagName('tr');
+function openSeasonModal(seasonId = null) {
+    const season = seasonId ? adminState.seasons.find(s => s.id === seasonId) : null;
     
-    Array.from(rows).forEach(row => {
-        const text = row.textContent.toLowerCase();
-        row.style.display = text.includes(searchTerm) ? '' : 'none';
-    });
+    if (seasonId && !season) {
+        showToast('Temporada no encontrada', 'error');
+        return;
+    }
+    
+    adminState.editingSeason = season ? season.id : null;
+    document.getElementById('seasonModalTitle').textContent = season ? `Editar ${season.name}` : 'Nueva Temporada';
+    document.getElementById('seasonName').value = season ? season.name : '';
+    document.getElementById('seasonStartDate').value = season ? season.startDate : '';
+    document.getElementById('seasonEndDate').value = season ? season.endDate : '';
+    document.getElementById('seasonSurcharge').value = season ? season.surchargePercent : 0;
+    document.getElementById('seasonBlockDiscounts').checked = season ? season.blockDiscounts : false;
+    document.getElementById('seasonBlockCoupons').checked = season ? season.blockCoupons : false;
+    document.getElementById('seasonActive').checked = season ? season.active : true;
+    
+    document.getElementById('seasonModal').classList.remove('hidden');
 }
 
 /**
- * Cambiar entre tabs
+ * Cerrar el formulario de temporada
  */
-function switchTab(tabName) {
-    // Ocultar todos los contenidos
-    document.querySelectorAll('.tab-content').forEach(content => {
-        content.classList.add('hidden');
-    });
-    
-    // Quitar active de todos los tabs
-    document.querySelectorAll('[id^="tab-"]').forEach(tab => {
-        tab.classList.remove('tab-active');
-    });
-    
-    // Mostrar contenido seleccionado
-    document.getElementById(`content-${tabName}`).classList.remove('hidden');
-    document.getElementById(`tab-${tabName}`).classList.add('tab-active');
-    
-    adminState.currentTab = tabName;
+function closeSeasonModal() {
+    document.getElementById('seasonModal').classList.add('hidden');
+    document.getElementById('seasonForm').reset();
+    adminState.editingSeason = null;
+}
+
+/**
+ * Generar el id de una temporada nueva a partir de su nombre y año (ej. "semana-santa-2027")
+ */
+function generateSeasonId(name, startDate) {
+    const slug = name.toLowerCase()
+        .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+        .replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '')
+        .slice(0, 30) || 'temporada';
+    const base = `${slug}-${startDate.slice(0, 4)}`;
+    const ids = new Set(adminState.seasons.map(season => season.id));
     
-    // Cargar datos específicos del tab
-    if (tabName === 'reports') {
-        loadReports();
+    let id = base;
+    for (let n = 2; ids.has(id); n++) {
+        id = `${base}-${n}`;
     }
+    return id;
 }
 
 /**
- * Cargar reportes y análisis
+ * Guardar la temporada del formulario (crear o actualizar)
  */
-function loadReports() {
-    // Ventas por ruta
-    const salesByRoute = document.getElementById('salesByRoute');
-    if (salesByRoute && adminState.stats.routeStats) {
-        salesByRoute.innerHTML = '';
-        
-        Object.entries(adminState.stats.routeStats).forEach(([route, data]) => {
-            const div = document.createElement('div');
-            div.className = 'flex justify-between items-center p-3 bg-gray-50 rounded';
-            div.innerHTML = `
-                <div>
-                    <p class="font-semibold text-sm">${route.replace('-', ' → ')}</p>
-                    <p class="text-xs text-gray-600">${data.count} boletos</p>
-                </div>
-                <p class="font-bold text-green-600">$${data.revenue.toFixed(2)}</p>
-            `;
-            salesByRoute.appendChild(div);
-        });
-    }
+async function saveSeason(event) {
+    event.preventDefault();
     
-    // Ventas recientes
-    const recentSales = document.getElementById('recentSales');
-    if (recentSales) {
-        recentSales.innerHTML = '';
-        
-        adminState.tickets.slice(0, 5).forEach(ticket => {
-            const div = document.createElement('div');
-            div.className = 'flex justify-between items-center p-3 bg-gray-50 rounded';
-            const date = new Date(ticket.createdAt).toLocaleDateString('es-ES', { month: 'short', day: 'numeric' });
-            div.innerHTML = `
-                <div>
-                    <p class="font-semibold text-sm">${ticket.nombre}</p>
-                    <p class="text-xs text-gray-600">${date} - ${ticket.origen} → ${ticket.destino}</p>
-                </div>
-                <p class="font-bold text-green-600">$${ticket.amountPaid.toFixed(2)}</p>
-            `;
-            recentSales.appendChild(div);
-        });
-    }
+    const name = document.getElementById('seasonName').value.trim();
+    const startDate = document.getElementById('seasonStartDate').value;
+    const seasonId = adminState.editingSeason || generateSeasonId(name, startDate);
     
-    // Asientos más populares
-    const popularSeats = document.getElementById('popularSeats');
-    if (popularSeats) {
-        const seatCount = {};
-        adminState.tickets.forEach(ticket => {
-            seatCount[ticket.asiento] = (seatCount[ticket.asiento] || 0) + 1;
+    try {
+        const response = await fetch(`${API_BASE_URL}/api/admin/seasons/${encodeURIComponent(seasonId)}`, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                name,
+                startDate,
+                endDate: document.getElementById('seasonEndDate').value,
+                surchargePercent: parseFloat(document.getElementById('seasonSurcharge').value) || 0,
+                blockDiscounts: document.getElementById('seasonBlockDiscounts').checked,
+                blockCoupons: document.getElementById('seasonBlockCoupons').checked,
+                active: document.getElementById('seasonActive').checked
+            })
         });
         
-        const topSeats = Object.entries(seatCount)
-            .sort((a, b) => b[1] - a[1])
-            .slice(0, 5);
+        const data = await response.json();
         
-        popularSeats.innerHTML = topSeats.map(([seat, count]) => `
-            <div class="flex justify-between items-center p-3 bg-gray-50 rounded">
-                <p class="font-semibold">Asiento ${seat}</p>
-                <span class="bg-purple-100 text-purple-700 px-3 py-1 rounded-full text-sm">${count} veces</span>
-            </div>
-        `).join('');
+        if (!response.ok) {
+            throw new Error(data.error || 'Error guardando temporada');
+        }
+        
+        showToast(data.message, 'success');
+        closeSeasonModal();
+        await loadSeasons();
+        displaySeasons();
+        
+    } catch (error) {
+        console.error('Error:', error);
+        showToast(error.message, 'error');
+    }
+}
+
+/**
+ * Eliminar una temporada (los boletos ya vendidos conservan su precio)
+ */
+async function deleteSeason(seasonId) {
+    const season = adminState.seasons.find(s => s.id === seasonId);
+    if (!confirm(`¿Eliminar la temporada ${season ? season.name : seasonId}? Las salidas de esas fechas volverán a su tarifa normal.`)) {
+        return;
     }
     
-    // Horarios populares
-    const popularTimes = document.getElementById('popularTimes');
-    if (popularTimes) {
-        const timeCount = {};
-        adminState.tickets.forEach(ticket => {
-            timeCount[ticket.horario] = (timeCount[ticket.horario] || 0) + 1;
+    try {
+        const response = await fetch(`${API_BASE_URL}/api/admin/seasons/${encodeURIComponent(seasonId)}`, {
+            method: 'DELETE'
         });
         
-        const topTimes = Object.entries(timeCount)
-            .sort((a, b) => b[1] - a[1])
-            .slice(0, 5);
+        const data = await response.json();
         
-        popularTimes.innerHTML = topTimes.map(([time, count]) => `
-            <div class="flex justify-between items-center p-3 bg-gray-50 rounded">
-                <p class="font-semibold">${time}</p>
-                <span class="bg-orange-100 text-orange-700 px-3 py-1 rounded-full text-sm">${count} reservas</span>
-            </div>
-        `).join('');
+        if (!response.ok) {
+            throw new Error(data.error || 'Error eliminando temporada');
+        }
+        
+        showToast('Temporada eliminada exitosamente', 'success');
+        await loadSeasons();
+        displaySeasons();
+        
+    } catch (error) {
+        console.error('Error:', error);
+        showToast(error.message, 'error');
     }
 }
 
@@ -456,6 +2071,33 @@ function addScheduleField() {
     container.appendChild(scheduleItem);
 }
 
+/**
+ * Convertir el campo de paradas ("Querétaro:180, León:300") en { city, offsetMinutes }
+ * @returns {Array<Object>} Paradas intermedias (vacío si no se capturaron)
+ */
+function parseStopsInput(value) {
+    return value.split(',')
+        .map(part => part.trim())
+        .filter(Boolean)
+        .map(part => {
+            const separator = part.lastIndexOf(':');
+            return {
+                city: separator === -1 ? part : part.slice(0, separator).trim(),
+                offsetMinutes: separator === -1 ? NaN : parseInt(part.slice(separator + 1), 10)
+            };
+        });
+}
+
+/**
+ * Texto del campo de paradas para una ruta (solo paradas intermedias)
+ */
+function formatStopsInput(route) {
+    if (!route.stops) return '';
+    return route.stops.slice(1, -1)
+        .map(stop => `${stop.city}:${stop.offsetMinutes}`)
+        .join(', ');
+}
+
 /**
  * Guardar nueva ruta
  */
@@ -467,6 +2109,7 @@ async function saveNewRoute(event) {
     const duration = document.getElementById('routeDuration').value.trim();
     const distance = document.getElementById('routeDistance').value.trim();
     const basePrice = parseFloat(document.getElementById('routeBasePrice').value);
+    const stops = parseStopsInput(document.getElementById('routeStops').value);
     
     // Recopilar horarios
     const scheduleItems = document.querySelectorAll('.schedule-item');
@@ -492,6 +2135,7 @@ async function saveNewRoute(event) {
                 duration,
                 distance,
                 basePrice,
+                stops,
                 schedules
             })
         });
@@ -527,6 +2171,7 @@ async function editRoute(routeKey) {
     document.getElementById('routeDuration').value = route.duration;
     document.getElementById('routeDistance').value = route.distance || '';
     document.getElementById('routeBasePrice').value = route.basePrice;
+    document.getElementById('routeStops').value = formatStopsInput(route);
     
     // Limpiar horarios existentes
     const container = document.getElementById('schedulesContainer');
@@ -536,6 +2181,9 @@ async function editRoute(routeKey) {
     route.schedules.forEach(schedule => {
         const scheduleItem = document.createElement('div');
         scheduleItem.className = 'schedule-item grid grid-cols-4 gap-2';
+        // Conservar el ID y el layout del horario al guardar
+        scheduleItem.dataset.scheduleId = schedule.id;
+        scheduleItem.dataset.layoutId = schedule.layoutId || '';
         scheduleItem.innerHTML = `
             <input type="time" value="${schedule.time}" class="p-2 border rounded" required>
             <input type="time" value="${schedule.arrival}" class="p-2 border rounded" required>
@@ -569,6 +2217,7 @@ async function updateRoute(routeKey) {
     const duration = document.getElementById('routeDuration').value.trim();
     const distance = document.getElementById('routeDistance').value.trim();
     const basePrice = parseFloat(document.getElementById('routeBasePrice').value);
+    const stops = parseStopsInput(document.getElementById('routeStops').value);
     
     // Recopilar horarios
     const scheduleItems = document.querySelectorAll('.schedule-item');
@@ -576,12 +2225,15 @@ async function updateRoute(routeKey) {
     
     scheduleItems.forEach((item) => {
         const inputs = item.querySelectorAll('input, select');
-        schedules.push({
+        const schedule = {
             time: inputs[0].value,
             arrival: inputs[1].value,
             type: inputs[2].value,
             price: parseFloat(inputs[3].value)
-        });
+        };
+        if (item.dataset.scheduleId) schedule.id = parseInt(item.dataset.scheduleId);
+        if (item.dataset.layoutId) schedule.layoutId = item.dataset.layoutId;
+        schedules.push(schedule);
     });
     
     try {
@@ -592,6 +2244,7 @@ async function updateRoute(routeKey) {
                 duration,
                 distance,
                 basePrice,
+                stops,
                 schedules
             })
         });
@@ -652,6 +2305,7 @@ async function addNewSchedule(routeKey) {
     const arrival = prompt('Hora de llegada (HH:MM):');
     const type = prompt('Tipo de servicio (Ejecutivo, Primera Clase, Lujo):');
     const price = parseFloat(prompt('Precio (MXN):'));
+    const layoutId = promptLayoutId();
     
     if (!time || !arrival || !type || !price) {
         showToast('Operación cancelada o datos incompletos', 'info');
@@ -662,7 +2316,7 @@ async function addNewSchedule(routeKey) {
         const response = await fetch(`${API_BASE_URL}/api/admin/routes/${encodeURIComponent(routeKey)}/schedules`, {
             method: 'POST',
             headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ time, arrival, type, price })
+            body: JSON.stringify({ time, arrival, type, price, layoutId: layoutId || undefined })
         });
         
         const data = await response.json();
@@ -697,8 +2351,9 @@ async function editSchedule(routeKey, scheduleId) {
     const arrival = prompt('Hora de llegada (HH:MM):', schedule.arrival);
     const type = prompt('Tipo de servicio:', schedule.type);
     const price = parseFloat(prompt('Precio (MXN):', schedule.price));
+    const layoutId = promptLayoutId(schedule.layoutId || '');
     
-    if (!time || !arrival || !type || !price) {
+    if (!time || !arrival || !type || !price || layoutId === null) {
         showToast('Operación cancelada', 'info');
         return;
     }
@@ -707,7 +2362,7 @@ async function editSchedule(routeKey, scheduleId) {
         const response = await fetch(`${API_BASE_URL}/api/admin/routes/${encodeURIComponent(routeKey)}/schedules/${scheduleId}`, {
             method: 'PUT',
             headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ time, arrival, type, price })
+            body: JSON.stringify({ time, arrival, type, price, layoutId: layoutId.trim() })
         });
         
         const data = await response.json();
@@ -787,6 +2442,7 @@ function startAutoRefresh() {
         if (adminState.currentTab === 'tickets') {
             displayTickets();
         } else if (adminState.currentTab === 'reports') {
+            await loadWaitlist();
             loadReports();
         }
     }, 30000);
@@ -0,0 +1,709 @@
+// Configuración de la API
+const API_BASE_URL = window.location.origin;
+
+// Estado del cambio de boleto
+let exchangeState = {
+    sessionId: null, // ID de la transacción con el que se compró el boleto (lo devuelve la búsqueda)
+    tickets: [], // Boletos de la compra
+    ticket: null, // Boleto que se va a cambiar
+    departure: null, // Nueva salida elegida
+    seatMap: null,
+    occupiedSeats: new Set(),
+    heldSeats: new Set(),
+    selectedSeat: null,
+    quote: null // Cotización del cambio
+};
+
+document.addEventListener("DOMContentLoaded", function() {
+    console.log("🧳 Mis viajes TransBus");
+    setupEventListeners();
+    checkExchangeStatus();
+});
+
+function setupEventListeners() {
+    document.getElementById("buscarReservacion").addEventListener("submit", lookupBooking);
+
+    // Un enlace puede traer la referencia ya escrita (mis viajes desde la confirmación de compra)
+    const referencia = new URLSearchParams(window.location.search).get("referencia");
+    if (referencia) {
+        document.getElementById("referencia").value = referencia;
+    }
+
+    document.getElementById("nuevaFecha").addEventListener("change", loadDepartures);
+    document.getElementById("btnConfirmarCambio").addEventListener("click", confirmExchange);
+}
+
+// Estado de un boleto para mostrar al cliente
+const TICKET_STATUS_LABELS = {
+    paid: "Pagado",
+    canceled: "Cancelado",
+    refunded: "Cancelado y reembolsado"
+};
+
+/**
+ * Revisar si se regresa de Stripe después de pagar (o cancelar) la diferencia de un cambio
+ */
+function checkExchangeStatus() {
+    const urlParams = new URLSearchParams(window.location.search);
+    const exchangeSession = urlParams.get("exchange_session");
+    const canceled = urlParams.get("canceled");
+
+    if (exchangeSession) {
+        confirmPaidExchange(exchangeSession);
+    } else if (canceled) {
+        const holdId = urlParams.get("hold");
+        if (holdId) {
+            fetch(`${API_BASE_URL}/api/seat-holds/${encodeURIComponent(holdId)}`, { method: "DELETE" })
+                .catch(error => console.warn("No se pudo liberar el asiento apartado:", error));
+        }
+        showError("Pago cancelado. Tu boleto no se cambió.");
+    }
+
+    if (exchangeSession || canceled) {
+        window.history.replaceState({}, document.title, window.location.pathname);
+    }
+}
+
+/**
+ * Buscar la reservación con la referencia y el número de documento o el email de la compra
+ */
+async function lookupBooking(event) {
+    event.preventDefault();
+
+    const dato = document.getElementById("documentoEmail").value.trim();
+    const button = document.getElementById("btnBuscarBoleto");
+    button.disabled = true;
+
+    try {
+        const response = await fetch(`${API_BASE_URL}/api/bookings/lookup`, {
+            method: "POST",
+            headers: { "Content-Type": "application/json" },
+            body: JSON.stringify({
+                referencia: document.getElementById("referencia").value.trim(),
+                ...(dato.includes("@") ? { email: dato } : { numeroDocumento: dato })
+            })
+        });
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(data.error || "No se encontró la reservación");
+        }
+
+        showBooking(data);
+    } catch (error) {
+        console.error("❌ Error buscando la reservación:", error);
+        showError(error.message);
+    } finally {
+        button.disabled = false;
+    }
+}
+
+/**
+ * Volver a cargar los boletos de la compra (después de cancelar o cambiar un boleto)
+ */
+async function loadTickets(sessionId) {
+    try {
+        const response = await fetch(`${API_BASE_URL}/api/ticket/${encodeURIComponent(sessionId)}`);
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(data.error || "Boleto no encontrado");
+        }
+
+        const boletos = data.boletos || [data];
+        showBooking({
+            referencia: data.referencia,
+            estado: "paid",
+            sessionId: data.sessionId,
+            pdfUrl: boletos.some(ticket => ticket.paymentStatus === "paid")
+                ? `/api/ticket/${encodeURIComponent(data.sessionId)}/pdf`
+                : null,
+            boletos
+        });
+    } catch (error) {
+        console.error("❌ Error cargando boletos:", error);
+        showError(error.message);
+    }
+}
+
+/**
+ * Mostrar el estado de la reservación y sus boletos
+ */
+function showBooking(booking) {
+    exchangeState.sessionId = booking.sessionId;
+    exchangeState.tickets = booking.boletos || [];
+    resetSelection();
+    displayReservation(booking);
+    displayTickets();
+}
+
+/**
+ * Resumen de la reservación: referencia, estado del pago y descarga de todos los boletos
+ */
+function displayReservation(booking) {
+    const container = document.getElementById("reservacion");
+    let estado;
+
+    if (booking.boletos.length > 0) {
+        estado = `${booking.boletos.length} ${booking.boletos.length === 1 ? "boleto" : "boletos"}`;
+    } else if (booking.pagoPendiente) {
+        const metodo = booking.pagoPendiente.metodo === "spei" ? "la transferencia SPEI" : "el pago en OXXO";
+        estado = `<span class="text-yellow-700"><i class="fas fa-clock mr-1"></i>Pago pendiente: completa ${metodo} antes del ${new Date(booking.pagoPendiente.vence).toLocaleString("es-ES")}. Tus boletos aparecerán aquí cuando se confirme.</span>`;
+    } else if (booking.estado === "pending") {
+        estado = '<span class="text-yellow-700"><i class="fas fa-clock mr-1"></i>La compra no se ha pagado todavía.</span>';
+    } else if (booking.estado === "unfulfilled") {
+        estado = '<span class="text-red-600"><i class="fas fa-exclamation-triangle mr-1"></i>Los asientos se vendieron antes de que se confirmara tu pago. Te reembolsaremos el total cobrado.</span>';
+    } else {
+        estado = '<span class="text-red-600"><i class="fas fa-ban mr-1"></i>La reservación no se pagó y los asientos se liberaron.</span>';
+    }
+
+    container.innerHTML = `
+        <div class="bg-gray-50 rounded-lg p-4 flex flex-col md:flex-row md:items-center md:justify-between gap-3">
+            <div class="text-sm">
+                ${booking.referencia ? `<div><strong>Referencia:</strong> <span class="font-mono text-lg">${booking.referencia}</span></div>` : ""}
+                <div class="text-gray-600">${estado}</div>
+            </div>
+            ${booking.pdfUrl ? `
+                <a href="${API_BASE_URL}${booking.pdfUrl}?download=1" class="text-center bg-green-600 text-white px-4 py-2 rounded-lg hover:bg-green-700 transition-colors text-sm font-semibold">
+                    <i class="fas fa-download mr-2"></i>Descargar boletos
+                </a>
+            ` : ""}
+        </div>
+    `;
+    container.classList.remove("hidden");
+}
+
+/**
+ * Estado de un viaje para mostrar al cliente
+ */
+function getTripStatus(ticket, today) {
+    if (ticket.paymentStatus !== "paid") {
+        return { label: TICKET_STATUS_LABELS[ticket.paymentStatus] || ticket.paymentStatus, className: "bg-red-100 text-red-700" };
+    }
+    if (ticket.abordaje) {
+        return { label: "Abordado", className: "bg-blue-100 text-blue-700" };
+    }
+    if (ticket.fecha < today) {
+        return { label: "Viaje realizado", className: "bg-gray-100 text-gray-700" };
+    }
+    if (ticket.cambioPendiente) {
+        return { label: "Cambio por pagar", className: "bg-yellow-100 text-yellow-700" };
+    }
+    return { label: "Confirmado", className: "bg-green-100 text-green-700" };
+}
+
+function resetSelection() {
+    exchangeState.ticket = null;
+    exchangeState.departure = null;
+    exchangeState.selectedSeat = null;
+    exchangeState.quote = null;
+    document.getElementById("nuevaSalida").classList.add("hidden");
+    document.getElementById("seleccionAsiento").classList.add("hidden");
+    document.getElementById("resumenCambio").classList.add("hidden");
+}
+
+function displayTickets() {
+    const container = document.getElementById("boletos");
+    const today = new Date().toISOString().slice(0, 10);
+
+    container.innerHTML = exchangeState.tickets.map(ticket => {
+        // Un boleto ya abordado no se cambia ni se cancela
+        const canChange = ticket.paymentStatus === "paid" && ticket.fecha >= today && !ticket.abordaje;
+        const status = getTripStatus(ticket, today);
+        const saldo = ticket.saldoAFavor > 0
+            ? `<div class="text-xs text-green-700 mt-1"><i class="fas fa-wallet mr-1"></i>Saldo a favor: $${ticket.saldoAFavor.toFixed(2)} MXN</div>`
+            : "";
+        const cancelacion = ticket.cancelacion
+            ? `<div class="text-xs text-red-600 mt-1"><i class="fas fa-ban mr-1"></i>${TICKET_STATUS_LABELS[ticket.paymentStatus]} el ${new Date(ticket.cancelacion.fecha).toLocaleString("es-ES")} - reembolso de $${ticket.cancelacion.montoReembolso.toFixed(2)} MXN</div>`
+            : "";
+
+        return `
+            <div class="border-2 rounded-lg p-4 ${exchangeState.ticket === ticket ? "border-blue-500 bg-blue-50" : "border-gray-200"}">
+                <div class="flex justify-between items-center gap-4">
+                    <div>
+                        <div class="font-semibold">
+                            ${ticket.nombre} - Asiento ${ticket.asiento}
+                            <span class="${status.className} px-2 py-1 rounded text-xs ml-2">${status.label}</span>
+                        </div>
+                        <div class="text-sm text-gray-600">${ticket.origen} → ${ticket.destino}</div>
+                        <div class="text-sm text-gray-600">${formatDate(ticket.fecha)} - Abordaje ${ticket.horaAbordaje || ticket.horario}</div>
+                        ${saldo}
+                        ${cancelacion}
+                    </div>
+                    <div class="flex flex-col gap-2">
+                        ${ticket.paymentStatus === "paid" ? `
+                            <a href="${API_BASE_URL}/api/ticket/${encodeURIComponent(ticket.sessionId)}/pdf?ticketId=${encodeURIComponent(ticket.ticketId)}&download=1" class="text-center bg-gray-600 text-white px-4 py-2 rounded-lg hover:bg-gray-700 transition-colors text-sm">
+                                <i class="fas fa-download mr-1"></i>Boleto
+                            </a>
+                        ` : ""}
+                        <button class="btn-cambiar bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 transition-colors text-sm disabled:bg-gray-300 disabled:cursor-not-allowed" data-ticket-id="${ticket.ticketId}" ${canChange ? "" : "disabled"}>
+                            Cambiar
+                        </button>
+                        <button class="btn-cancelar bg-red-600 text-white px-4 py-2 rounded-lg hover:bg-red-700 transition-colors text-sm disabled:bg-gray-300 disabled:cursor-not-allowed" data-ticket-id="${ticket.ticketId}" ${canChange ? "" : "disabled"}>
+                            Cancelar
+                        </button>
+                    </div>
+                </div>
+                ${renderChangeHistory(ticket)}
+            </div>
+        `;
+    }).join("");
+
+    container.querySelectorAll(".btn-cambiar").forEach(button => {
+        button.addEventListener("click", () => {
+            selectTicket(exchangeState.tickets.find(ticket => ticket.ticketId === button.dataset.ticketId));
+        });
+    });
+
+    container.querySelectorAll(".btn-cancelar").forEach(button => {
+        button.addEventListener("click", () => {
+            cancelTicket(exchangeState.tickets.find(ticket => ticket.ticketId === button.dataset.ticketId));
+        });
+    });
+}
+
+/**
+ * Cancelar un boleto: muestra la política y el reembolso antes de confirmar
+ */
+async function cancelTicket(ticket) {
+    if (!ticket) return;
+
+    try {
+        const params = new URLSearchParams({ sessionId: exchangeState.sessionId });
+        const quoteResponse = await fetch(`${API_BASE_URL}/api/ticket/${encodeURIComponent(ticket.ticketId)}/cancellation-quote?${params}`);
+        const quote = await quoteResponse.json();
+        if (!quoteResponse.ok) {
+            throw new Error(quote.error || "No se pudo cotizar la cancelación");
+        }
+
+        const mensaje = [
+            `¿Cancelar el boleto de ${ticket.nombre} (asiento ${ticket.asiento}, ${ticket.fecha} ${ticket.horaAbordaje || ticket.horario})?`,
+            "",
+            "Política de cancelación:",
+            ...quote.politica.map(linea => `• ${linea}`),
+            "",
+            `Faltan ${quote.horasAntes} horas para la salida: se reembolsarán $${quote.montoReembolso.toFixed(2)} MXN de $${quote.montoPagado.toFixed(2)} MXN pagados.`
+        ].join("\n");
+        if (!confirm(mensaje)) return;
+
+        const response = await fetch(`${API_BASE_URL}/api/ticket/${encodeURIComponent(ticket.ticketId)}/cancel`, {
+            method: "POST",
+            headers: { "Content-Type": "application/json" },
+            body: JSON.stringify({ sessionId: exchangeState.sessionId })
+        });
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(data.error || "No se pudo cancelar el boleto");
+        }
+
+        // Lo cobrado en taquilla se devuelve en ventanilla
+        const enTaquilla = data.cancelacion.reembolsos.some(reembolso => reembolso.estado === "en_taquilla");
+        alert(`Boleto cancelado. Reembolso: $${data.cancelacion.montoReembolso.toFixed(2)} MXN ${enTaquilla ? "a recoger en taquilla" : "a tu método de pago original"}.`);
+        loadTickets(exchangeState.sessionId);
+    } catch (error) {
+        console.error("❌ Error cancelando el boleto:", error);
+        showError(error.message);
+    }
+}
+
+/**
+ * Historial de cambios de un boleto
+ */
+function renderChangeHistory(ticket) {
+    const cambios = ticket.cambios || [];
+    if (cambios.length === 0) return "";
+
+    const items = cambios.map(change => {
+        if (change.estado !== "aplicado") {
+            return `<li class="text-red-600">${new Date(change.fechaCambio).toLocaleString("es-ES")}: ${change.motivo}</li>`;
+        }
+        return `<li>${new Date(change.fechaCambio).toLocaleString("es-ES")}: asiento ${change.anterior.asiento} (${change.anterior.fecha} ${change.anterior.horaAbordaje}) → asiento ${change.nuevo.asiento} (${change.nuevo.fecha} ${change.nuevo.horaAbordaje})</li>`;
+    }).join("");
+
+    return `
+        <div class="mt-3 text-xs text-gray-500">
+            <div class="font-semibold mb-1">Cambios anteriores</div>
+            <ul class="list-disc ml-5 space-y-1">${items}</ul>
+        </div>
+    `;
+}
+
+function selectTicket(ticket) {
+    if (!ticket) return;
+
+    resetSelection();
+    exchangeState.ticket = ticket;
+    displayTickets();
+
+    const fechaInput = document.getElementById("nuevaFecha");
+    fechaInput.min = new Date().toISOString().slice(0, 10);
+    fechaInput.value = ticket.fecha;
+
+    // En un viaje con conexión solo se cambia el asiento (la otra salida no se mueve)
+    const esConexion = ticket.totalTramos > 1 && exchangeState.tickets.some(other =>
+        other.ticketId !== ticket.ticketId && other.nombre === ticket.nombre && other.sentido === ticket.sentido
+    );
+    fechaInput.disabled = esConexion;
+
+    document.getElementById("nuevaSalida").classList.remove("hidden");
+    loadDepartures();
+}
+
+/**
+ * Cargar las salidas del trayecto del boleto en la fecha elegida
+ */
+async function loadDepartures() {
+    const { ticket } = exchangeState;
+    const fecha = document.getElementById("nuevaFecha").value;
+    const container = document.getElementById("salidas");
+    if (!ticket || !fecha) return;
+
+    exchangeState.departure = null;
+    exchangeState.selectedSeat = null;
+    document.getElementById("seleccionAsiento").classList.add("hidden");
+    document.getElementById("resumenCambio").classList.add("hidden");
+
+    try {
+        const params = new URLSearchParams({ origen: ticket.origen, destino: ticket.destino, fecha });
+        const response = await fetch(`${API_BASE_URL}/api/departures?${params}`);
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(data.error || "No se pudieron cargar las salidas");
+        }
+
+        const isConnection = document.getElementById("nuevaFecha").disabled;
+        const departures = data.departures.filter(departure => !isConnection || departure.time === ticket.horario);
+        displayDepartures(departures, fecha);
+    } catch (error) {
+        console.error("❌ Error cargando salidas:", error);
+        container.innerHTML = "";
+        showError(error.message);
+    }
+}
+
+function displayDepartures(departures, fecha) {
+    const { ticket } = exchangeState;
+    const container = document.getElementById("salidas");
+    container.innerHTML = "";
+
+    if (departures.length === 0) {
+        container.innerHTML = '<p class="text-center text-gray-500">No hay salidas para esta fecha</p>';
+        return;
+    }
+
+    departures.forEach(departure => {
+        // En la salida actual del boleto siempre se puede elegir otro asiento libre
+        const isCurrent = fecha === ticket.fecha && departure.time === ticket.horario;
+        const selectable = isCurrent || !departure.soldOut;
+
+        const card = document.createElement("div");
+        card.className = `border-2 rounded-lg p-4 transition-colors ${selectable ? "border-gray-200 hover:border-blue-500 cursor-pointer" : "border-gray-200 bg-gray-100 text-gray-400 cursor-not-allowed"}`;
+        card.innerHTML = `
+            <div class="flex justify-between items-center">
+                <div>
+                    <div class="font-semibold">${departure.boardingTime} → ${departure.arrival}</div>
+                    <div class="text-sm text-gray-600">${departure.type || ""} · ${departure.duration}</div>
+                    ${isCurrent ? '<div class="text-xs text-purple-600 font-semibold mt-1">Salida actual de tu boleto</div>' : ""}
+                </div>
+                <div class="text-right">
+                    <div class="font-bold text-blue-600">$${departure.price.toFixed(2)} MXN</div>
+                    <div class="text-xs ${departure.soldOut ? "text-red-600" : "text-gray-500"}">${departure.soldOut ? "Agotado" : `${departure.seatsLeft} asientos libres`}</div>
+                </div>
+            </div>
+        `;
+
+        if (selectable) {
+            card.addEventListener("click", () => {
+                container.querySelectorAll(".border-blue-500").forEach(el => el.classList.replace("border-blue-500", "border-gray-200"));
+                card.classList.replace("border-gray-200", "border-blue-500");
+                selectDeparture({ ...departure, fecha });
+            });
+        }
+
+        container.appendChild(card);
+    });
+}
+
+/**
+ * Cargar el mapa de asientos y la ocupación de la nueva salida
+ */
+async function selectDeparture(departure) {
+    const { ticket } = exchangeState;
+    exchangeState.departure = departure;
+    exchangeState.selectedSeat = null;
+    document.getElementById("resumenCambio").classList.add("hidden");
+
+    try {
+        const params = new URLSearchParams({ origen: ticket.origen, destino: ticket.destino, fecha: departure.fecha, horario: departure.time });
+        const [layoutResponse, seatsResponse] = await Promise.all([
+            fetch(`${API_BASE_URL}/api/seat-layout?${params}`),
+            fetch(`${API_BASE_URL}/api/occupied-seats?${params}`)
+        ]);
+        if (!layoutResponse.ok || !seatsResponse.ok) {
+            throw new Error("No se pudo cargar el mapa de asientos");
+        }
+
+        const seats = await seatsResponse.json();
+        exchangeState.seatMap = await layoutResponse.json();
+        exchangeState.occupiedSeats = new Set((seats.occupiedSeats || []).map(String));
+        exchangeState.heldSeats = new Set((seats.heldSeats || []).map(String));
+
+        generateSeatMap();
+        document.getElementById("seleccionAsiento").classList.remove("hidden");
+    } catch (error) {
+        console.error("❌ Error cargando asientos:", error);
+        showError(error.message);
+    }
+}
+
+function isCurrentSeat(number) {
+    const { ticket, departure } = exchangeState;
+    return departure.fecha === ticket.fecha && departure.time === ticket.horario && String(number) === String(ticket.asiento);
+}
+
+function generateSeatMap() {
+    const mapaAsientos = document.getElementById("mapaAsientos");
+    const { seatMap } = exchangeState;
+    mapaAsientos.innerHTML = "";
+
+    // Una columna adicional para el pasillo (con el número de fila)
+    const gridColumns = seatMap.columns + 1;
+
+    seatMap.rows.forEach(({ row, cells }) => {
+        const filaDiv = document.createElement("div");
+        filaDiv.className = "grid gap-2 mb-2 items-center";
+        filaDiv.style.gridTemplateColumns = `repeat(${gridColumns}, minmax(0, 1fr))`;
+
+        cells.forEach((cell, index) => {
+            if (index === seatMap.aisleAfter) {
+                filaDiv.appendChild(createRowNumber(row));
+            }
+            filaDiv.appendChild(createLayoutCell(cell));
+        });
+
+        if (seatMap.aisleAfter >= cells.length) {
+            filaDiv.appendChild(createRowNumber(row));
+        }
+
+        mapaAsientos.appendChild(filaDiv);
+    });
+}
+
+function createRowNumber(row) {
+    const numeroFila = document.createElement("div");
+    numeroFila.className = "text-center text-xs text-gray-500 font-bold";
+    numeroFila.textContent = row;
+    return numeroFila;
+}
+
+function createLayoutCell(cell) {
+    const div = document.createElement("div");
+    div.className = "w-10 h-10 rounded border-2 flex items-center justify-center text-xs font-bold";
+
+    if (cell.type === "seat") {
+        const number = String(cell.number);
+        div.textContent = cell.label;
+        div.dataset.seatNumber = number;
+
+        if (isCurrentSeat(number)) {
+            div.classList.add("bg-purple-500", "text-white", "border-purple-600", "cursor-not-allowed");
+            div.title = "Tu asiento actual";
+        } else if (exchangeState.occupiedSeats.has(number) || exchangeState.heldSeats.has(number)) {
+            div.classList.add("bg-red-500", "text-white", "border-red-600", "cursor-not-allowed");
+            div.title = "Asiento no disponible";
+        } else {
+            div.classList.add("bg-green-500", "text-white", "border-green-600", "hover:bg-green-600", "cursor-pointer");
+            div.title = "Asiento disponible - Click para seleccionar";
+            div.addEventListener("click", () => selectSeat(number, div));
+        }
+    } else if (cell.type === "restroom") {
+        div.classList.add("bg-gray-200", "text-gray-600", "border-transparent");
+        div.innerHTML = '<i class="fas fa-restroom"></i>';
+        div.title = "Sanitario";
+    } else if (cell.type === "disabled") {
+        div.classList.add("bg-gray-300", "text-gray-500", "border-gray-400", "cursor-not-allowed");
+        div.textContent = cell.label;
+        div.title = "Asiento no disponible para venta";
+    } else {
+        div.classList.add("border-transparent");
+    }
+
+    return div;
+}
+
+function selectSeat(number, seatElement) {
+    const previous = document.querySelector("#mapaAsientos .bg-blue-500");
+    if (previous) {
+        previous.classList.replace("bg-blue-500", "bg-green-500");
+        previous.classList.replace("border-blue-600", "border-green-600");
+    }
+
+    seatElement.classList.replace("bg-green-500", "bg-blue-500");
+    seatElement.classList.replace("border-green-600", "border-blue-600");
+    exchangeState.selectedSeat = number;
+    loadQuote();
+}
+
+/**
+ * Cotizar el cambio al asiento y salida elegidos
+ */
+async function loadQuote() {
+    const { ticket, departure, selectedSeat } = exchangeState;
+
+    try {
+        const params = new URLSearchParams({
+            sessionId: exchangeState.sessionId,
+            fecha: departure.fecha,
+            horario: departure.time,
+            asiento: selectedSeat
+        });
+        const response = await fetch(`${API_BASE_URL}/api/ticket/${encodeURIComponent(ticket.ticketId)}/exchange-quote?${params}`);
+        const quote = await response.json();
+        if (!response.ok) {
+            throw new Error(quote.error || "No se pudo cotizar el cambio");
+        }
+
+        exchangeState.quote = quote;
+        displayQuote(quote);
+    } catch (error) {
+        console.error("❌ Error cotizando el cambio:", error);
+        document.getElementById("resumenCambio").classList.add("hidden");
+        showError(error.message);
+    }
+}
+
+function displayQuote(quote) {
+    const { ticket } = exchangeState;
+    const row = (label, value, className = "") => `
+        <div class="flex justify-between ${className}"><span>${label}</span><span class="font-semibold">${value}</span></div>
+    `;
+
+    let settlement;
+    if (quote.aPagar > 0) {
+        settlement = row("Diferencia a pagar:", `$${quote.aPagar.toFixed(2)} MXN`, "text-lg text-blue-600 border-t pt-2");
+    } else if (quote.saldoGenerado > 0) {
+        settlement = row("Saldo a favor que se genera:", `$${quote.saldoGenerado.toFixed(2)} MXN`, "text-lg text-green-600 border-t pt-2");
+    } else {
+        settlement = row("Diferencia:", "Sin costo", "text-lg text-green-600 border-t pt-2");
+    }
+
+    document.getElementById("detalleCambio").innerHTML = `
+        ${row("Pasajero:", ticket.nombre)}
+        ${row("Viaje actual:", `${formatDate(ticket.fecha)} ${ticket.horaAbordaje || ticket.horario} - Asiento ${ticket.asiento}`)}
+        ${row("Nuevo viaje:", `${formatDate(quote.fecha)} ${quote.horaAbordaje} - Asiento ${quote.asiento}`)}
+        ${row("Tarifa actual:", `$${quote.precioActual.toFixed(2)} MXN`)}
+        ${row("Tarifa nueva:", `$${quote.precioNuevo.toFixed(2)} MXN`)}
+        ${quote.saldoUsado > 0 ? row("Saldo a favor aplicado:", `-$${quote.saldoUsado.toFixed(2)} MXN`, "text-green-600") : ""}
+        ${settlement}
+    `;
+
+    const button = document.getElementById("btnConfirmarCambio");
+    button.innerHTML = quote.aPagar > 0
+        ? `<i class="fas fa-credit-card mr-2"></i>Pagar $${quote.aPagar.toFixed(2)} MXN y cambiar`
+        : '<i class="fas fa-check mr-2"></i>Confirmar Cambio';
+    document.getElementById("resumenCambio").classList.remove("hidden");
+}
+
+/**
+ * Aplicar el cambio; si hay diferencia a pagar se continúa en Stripe
+ */
+async function confirmExchange() {
+    const { ticket, quote } = exchangeState;
+    if (!ticket || !quote) return;
+
+    const button = document.getElementById("btnConfirmarCambio");
+    button.disabled = true;
+
+    try {
+        const response = await fetch(`${API_BASE_URL}/api/ticket/${encodeURIComponent(ticket.ticketId)}/exchange`, {
+            method: "POST",
+            headers: { "Content-Type": "application/json" },
+            body: JSON.stringify({
+                sessionId: exchangeState.sessionId,
+                fecha: quote.fecha,
+                horario: quote.horario,
+                asiento: quote.asiento
+            })
+        });
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(data.error || "No se pudo cambiar el boleto");
+        }
+
+        if (data.status === "payment_required") {
+            window.location.href = data.url;
+            return;
+        }
+
+        showExchangeResult(data.ticket);
+    } catch (error) {
+        console.error("❌ Error cambiando el boleto:", error);
+        showError(error.message);
+    } finally {
+        button.disabled = false;
+    }
+}
+
+/**
+ * Confirmar el pago de la diferencia al regresar de Stripe
+ */
+async function confirmPaidExchange(sessionId) {
+    try {
+        const response = await fetch(`${API_BASE_URL}/api/ticket-exchange/confirm?session_id=${encodeURIComponent(sessionId)}`);
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(data.error || "No se pudo confirmar el pago");
+        }
+
+        if (data.status === "failed") {
+            showError(`${data.change.motivo}. Lo pagado quedó como saldo a favor en tu boleto.`);
+            loadTickets(data.ticket.sessionId);
+            return;
+        }
+
+        showExchangeResult(data.ticket);
+    } catch (error) {
+        console.error("❌ Error confirmando el cambio:", error);
+        showError(error.message);
+    }
+}
+
+function showExchangeResult(ticket) {
+    resetSelection();
+    document.getElementById("detalleExitoso").innerHTML = `
+        <p><strong>Pasajero:</strong> ${ticket.nombre}</p>
+        <p><strong>Ruta:</strong> ${ticket.origen} → ${ticket.destino}</p>
+        <p><strong>Fecha:</strong> ${formatDate(ticket.fecha)}</p>
+        <p><strong>Abordaje:</strong> ${ticket.horaAbordaje}</p>
+        <p><strong>Asiento:</strong> ${ticket.asiento}</p>
+        ${ticket.saldoAFavor > 0 ? `<p class="text-green-700"><strong>Saldo a favor:</strong> $${ticket.saldoAFavor.toFixed(2)} MXN</p>` : ""}
+        <p class="text-xs text-gray-500 mt-2">Tu boleto anterior ya no es válido: descarga el boleto actualizado para abordar.</p>
+        <a href="${API_BASE_URL}/api/ticket/${encodeURIComponent(ticket.sessionId)}/pdf?ticketId=${encodeURIComponent(ticket.ticketId)}&download=1" class="inline-block mt-3 bg-green-600 text-white px-6 py-2 rounded-lg hover:bg-green-700 transition-colors font-semibold">
+            <i class="fas fa-download mr-2"></i>Descargar boleto actualizado
+        </a>
+    `;
+    document.getElementById("cambioExitoso").classList.remove("hidden");
+
+    // Refrescar la lista de boletos de la compra con el historial
+    loadTickets(ticket.sessionId);
+}
+
+function formatDate(dateString) {
+    const date = new Date(dateString);
+    return date.toLocaleDateString('es-ES', {
+        weekday: 'long',
+        year: 'numeric',
+        month: 'long',
+        day: 'numeric'
+    });
+}
+
+function showError(message) {
+    const errorBox = document.getElementById("errorBox");
+    const errorMessage = document.getElementById("errorMessage");
+
+    errorMessage.textContent = message;
+    errorBox.classList.remove("hidden");
+
+    setTimeout(() => {
+        errorBox.classList.add("hidden");
+    }, 5000);
+}
@@ -0,0 +1,139 @@
+// Configuración de la API
+const API_BASE_URL = window.location.origin;
+
+// Catálogos del SAT para el formulario
+let invoiceCatalogs = {
+    regimenesFiscales: {},
+    usosCfdi: {}
+};
+
+document.addEventListener("DOMContentLoaded", function() {
+    console.log("🧾 Facturación TransBus");
+
+    // La página de confirmación de compra abre la factura con el ID de transacción
+    const sessionId = new URLSearchParams(window.location.search).get("session_id");
+    if (sessionId) {
+        document.getElementById("sessionId").value = sessionId;
+    }
+
+    document.getElementById("facturaForm").addEventListener("submit", requestInvoice);
+    document.getElementById("rfc").addEventListener("input", populateRegimes);
+    loadCatalogs();
+});
+
+/**
+ * Cargar los regímenes fiscales y usos del CFDI
+ */
+async function loadCatalogs() {
+    try {
+        const response = await fetch(`${API_BASE_URL}/api/invoices/catalogs`);
+        if (!response.ok) throw new Error("No se pudieron cargar los catálogos del SAT");
+
+        invoiceCatalogs = await response.json();
+
+        document.getElementById("usoCfdi").innerHTML = Object.entries(invoiceCatalogs.usosCfdi)
+            .map(([clave, descripcion]) => `<option value="${clave}" ${clave === "G03" ? "selected" : ""}>${clave} - ${descripcion}</option>`)
+            .join("");
+        populateRegimes();
+    } catch (error) {
+        console.error("Error:", error);
+        showError(error.message);
+    }
+}
+
+/**
+ * Mostrar solo los regímenes del tipo de persona del RFC (12 caracteres: moral, 13: física)
+ */
+function populateRegimes() {
+    const select = document.getElementById("regimenFiscal");
+    const rfc = document.getElementById("rfc").value.trim();
+    const selected = select.value;
+    const tipo = rfc.length === 12 ? "moral" : rfc.length === 13 ? "fisica" : null;
+
+    const options = Object.entries(invoiceCatalogs.regimenesFiscales)
+        .filter(([, regimen]) => !tipo || regimen[tipo])
+        .map(([clave, regimen]) => `<option value="${clave}" ${clave === selected ? "selected" : ""}>${clave} - ${regimen.descripcion}</option>`);
+
+    select.innerHTML = `<option value="">Selecciona tu régimen fiscal</option>${options.join("")}`;
+}
+
+/**
+ * Solicitar la factura de la compra con los datos del formulario
+ */
+async function requestInvoice(event) {
+    event.preventDefault();
+
+    const button = document.getElementById("btnSolicitarFactura");
+    button.disabled = true;
+    button.innerHTML = '<i class="fas fa-spinner fa-spin mr-2"></i>Generando...';
+
+    try {
+        const response = await fetch(`${API_BASE_URL}/api/invoices`, {
+            method: "POST",
+            headers: { "Content-Type": "application/json" },
+            body: JSON.stringify({
+                sessionId: document.getElementById("sessionId").value.trim(),
+                rfc: document.getElementById("rfc").value,
+                razonSocial: document.getElementById("razonSocial").value,
+                codigoPostal: document.getElementById("codigoPostal").value,
+                regimenFiscal: document.getElementById("regimenFiscal").value,
+                usoCfdi: document.getElementById("usoCfdi").value,
+                email: document.getElementById("email").value.trim() || undefined
+            })
+        });
+        const data = await response.json();
+
+        // Una compra ya facturada muestra la factura que se emitió
+        if (response.status === 409 && data.factura) {
+            showInvoice(data.factura, "Esta compra ya se facturó");
+            return;
+        }
+        if (!response.ok) {
+            throw new Error(data.error || "No se pudo generar la factura");
+        }
+
+        showInvoice(data, "¡Factura Generada!");
+    } catch (error) {
+        console.error("Error:", error);
+        showError(error.message);
+    } finally {
+        button.disabled = false;
+        button.innerHTML = '<i class="fas fa-file-invoice mr-2"></i>Generar Factura';
+    }
+}
+
+/**
+ * Mostrar el folio, el UUID y los totales de una factura timbrada
+ */
+function showInvoice(factura, titulo) {
+    document.getElementById("tituloFactura").textContent = titulo;
+    document.getElementById("detalleFactura").innerHTML = `
+        <div class="grid grid-cols-2 gap-2">
+            <div><strong>Folio:</strong> ${factura.serie}-${factura.folio}</div>
+            <div><strong>Fecha:</strong> ${factura.fechaTimbrado.replace("T", " ")}</div>
+            <div class="col-span-2"><strong>Folio fiscal (UUID):</strong> <span class="font-mono text-xs">${factura.uuid}</span></div>
+            <div class="col-span-2"><strong>Receptor:</strong> ${factura.receptor.rfc} - ${factura.receptor.razonSocial}</div>
+            <div><strong>Boletos:</strong> ${factura.boletos.length}</div>
+            <div><strong>Subtotal:</strong> $${factura.subtotal.toFixed(2)} MXN</div>
+            <div><strong>IVA:</strong> $${factura.iva.toFixed(2)} MXN</div>
+            <div><strong>Total:</strong> $${factura.total.toFixed(2)} MXN</div>
+        </div>
+        ${factura.pac === "stub" ? '<p class="mt-3 text-xs text-orange-600"><i class="fas fa-exclamation-triangle mr-1"></i>Timbrado de prueba: este comprobante no tiene validez fiscal.</p>' : ''}
+    `;
+    document.getElementById("descargarXml").href = factura.xmlUrl;
+
+    document.getElementById("formularioFactura").classList.add("hidden");
+    document.getElementById("facturaEmitida").classList.remove("hidden");
+}
+
+function showError(message) {
+    const errorBox = document.getElementById("errorBox");
+    const errorMessage = document.getElementById("errorMessage");
+
+    errorMessage.textContent = message;
+    errorBox.classList.remove("hidden");
+
+    setTimeout(() => {
+        errorBox.classList.add("hidden");
+    }, 5000);
+}
@@ -4,12 +4,37 @@ const API_BASE_URL = window.location.origin;
 // Estado global de la aplicación TransBus
 let appState = {
     selectedRoute: null,
-    selectedSchedule: null,
-    selectedSeat: null,
+    selectedItinerary: null, // Viaje directo o con conexión elegido (en redondo, ida + regreso)
+    outboundItinerary: null, // Viaje redondo: horario de ida elegido
+    returnItinerary: null, // Viaje redondo: horario de regreso elegido
+    returnDiscountPercent: 0, // Descuento en el regreso de un viaje redondo (lo define el servidor)
+    legIndex: 0, // Tramo del itinerario cuyos asientos se están eligiendo
+    seatsByLeg: [], // Asientos elegidos en cada tramo (alineados por pasajero)
+    selectedSchedule: null, // Tramo actual del itinerario
+    selectedSeats: [], // Un asiento por pasajero en el tramo actual
     occupiedSeats: new Set(),
+    heldSeats: new Set(), // Apartados por otros clientes mientras pagan
+    seatMap: null, // Distribución de asientos del autobús del horario seleccionado
+    fareCategories: null, // Categorías de tarifa con su cupo restante en las salidas elegidas
+    documentTypes: {}, // Tipo de documento -> nombre para mostrar
+    passengerCategories: [], // Categoría de tarifa de cada pasajero
+    claimToken: null, // Enlace de la lista de espera con el que se compra (asientos ya apartados)
+    coupon: null, // Cupón aplicado: { code, descuento } con el descuento que calculó el servidor
     availableRoutes: {} // Se cargará desde el backend
 };
 
+// Máximo de asientos por compra (igual que en el servidor)
+const MAX_SEATS_PER_PURCHASE = 10;
+
+// Solicitudes de lista de espera de este navegador (para avisar cuando haya asientos)
+const WAITLIST_STORAGE_KEY = "transbusListaEspera";
+
+// Documentos que se ofrecen en las tarifas que no exigen uno en particular
+const GENERAL_DOCUMENT_TYPES = ["INE", "PASAPORTE", "CURP", "CEDULA"];
+
+// Canal de venta de la página: "web" (index.html) o "taquilla" (taquilla.html, ver taquilla.js)
+const SALES_CHANNEL = document.body.dataset.canal || "web";
+
 // Inicialización cuando el DOM está listo
 document.addEventListener("DOMContentLoaded", async function() {
     console.log("🚌 TransBus iniciado correctamente");
@@ -22,6 +47,7 @@ function setupApp() {
     setupEventListeners();
     setupDateInput();
     checkPaymentStatus();
+    checkWaitlistRequests();
 }
 
 /**
@@ -91,10 +117,26 @@ function setupEventListeners() {
         btnBuscarViajes.addEventListener("click", handleSearchTrips);
     }
 
+    // Tipo de viaje: la fecha de regreso solo aplica al viaje redondo
+    const tipoViaje = document.getElementById("tipoViaje");
+    if (tipoViaje) {
+        tipoViaje.addEventListener("change", () => {
+            document.getElementById("fechaRegresoContainer")?.classList.toggle("hidden", !isRoundTripSelected());
+            document.getElementById("horariosContainer")?.classList.add("hidden");
+            document.getElementById("horariosRegresoContainer")?.classList.add("hidden");
+        });
+    }
+
     // Botón continuar al pago
     const btnContinuarPago = document.getElementById("btnContinuarPago");
     if (btnContinuarPago) {
-        btnContinuarPago.addEventListener("click", () => showStep(3));
+        btnContinuarPago.addEventListener("click", continueFromSeatSelection);
+    }
+
+    // Lista de espera de una salida agotada
+    const btnListaEspera = document.getElementById("btnListaEspera");
+    if (btnListaEspera) {
+        btnListaEspera.addEventListener("click", joinWaitlist);
     }
 
     // Formulario de pasajero
@@ -103,6 +145,18 @@ function setupEventListeners() {
         formPasajero.addEventListener("submit", handlePayment);
     }
 
+    // Cupón de descuento (Enter aplica el cupón en lugar de enviar el formulario)
+    const btnAplicarCupon = document.getElementById("btnAplicarCupon");
+    if (btnAplicarCupon) {
+        btnAplicarCupon.addEventListener("click", applyCoupon);
+        document.getElementById("cupon").addEventListener("keydown", e => {
+            if (e.key === "Enter") {
+                e.preventDefault();
+                applyCoupon();
+            }
+        });
+    }
+
     // Botón descargar PDF
     const descargarPDF = document.getElementById("descargarPDF");
     if (descargarPDF) {
@@ -112,14 +166,30 @@ function setupEventListeners() {
 
 function setupDateInput() {
     const fechaInput = document.getElementById("fecha");
+    const fechaRegresoInput = document.getElementById("fechaRegreso");
     if (fechaInput) {
         const today = new Date().toISOString().split('T')[0];
         fechaInput.min = today;
         fechaInput.value = today;
+
+        if (fechaRegresoInput) {
+            fechaRegresoInput.min = today;
+            // El regreso no puede ser antes de la ida
+            fechaInput.addEventListener("change", () => {
+                fechaRegresoInput.min = fechaInput.value;
+                if (fechaRegresoInput.value && fechaRegresoInput.value < fechaInput.value) {
+                    fechaRegresoInput.value = fechaInput.value;
+                }
+            });
+        }
     }
 }
 
-function handleSearchTrips() {
+function isRoundTripSelected() {
+    return document.getElementById("tipoViaje")?.value === "redondo";
+}
+
+async function handleSearchTrips() {
     const origen = document.getElementById("origen")?.value;
     const destino = document.getElementById("destino")?.value;
     const fecha = document.getElementById("fecha")?.value;
@@ -134,31 +204,97 @@ function handleSearchTrips() {
         return;
     }
 
+    const isRoundTrip = isRoundTripSelected();
+    const fechaRegreso = document.getElementById("fechaRegreso")?.value;
+
+    if (isRoundTrip && !fechaRegreso) {
+        showError("Selecciona la fecha de regreso");
+        return;
+    }
+
+    if (isRoundTrip && fechaRegreso < fecha) {
+        showError("La fecha de regreso no puede ser anterior a la de ida");
+        return;
+    }
+
     const routeKey = `${origen}-${destino}`;
-    const routeData = appState.availableRoutes[routeKey];
+    const [itineraries, returnItineraries] = await Promise.all([
+        loadItineraries(origen, destino, fecha),
+        isRoundTrip ? loadItineraries(destino, origen, fechaRegreso) : Promise.resolve(null)
+    ]);
 
-    if (!routeData) {
+    if (itineraries.length === 0) {
         showError(`No hay viajes disponibles para la ruta ${origen} → ${destino}`);
         return;
     }
 
-    appState.selectedRoute = { key: routeKey, data: routeData, fecha };
+    if (returnItineraries && returnItineraries.length === 0) {
+        showError(`No hay viajes de regreso ${destino} → ${origen} para esa fecha`);
+        return;
+    }
+
+    appState.selectedRoute = { key: routeKey, fecha, fechaRegreso: isRoundTrip ? fechaRegreso : null };
+    appState.outboundItinerary = null;
+    appState.returnItinerary = null;
     hideError();
     
     // Cargar asientos ocupados y mostrar horarios
-    loadOccupiedSeatsAndDisplaySchedules(origen, destino, fecha, routeData.schedules);
+    loadOccupiedSeatsAndDisplaySchedules(origen, destino, fecha, itineraries, returnItineraries);
+}
+
+/**
+ * Buscar viajes directos y con una conexión para la fecha
+ * @returns {Promise<Array>} Itinerarios con sus tramos (vacío si no hay viajes)
+ */
+async function loadItineraries(origen, destino, fecha) {
+    try {
+        const params = new URLSearchParams({ origen, destino, fecha });
+        const response = await fetch(`${API_BASE_URL}/api/itineraries?${params}`);
+        
+        if (!response.ok) {
+            return [];
+        }
+        
+        const data = await response.json();
+        appState.returnDiscountPercent = data.returnDiscountPercent || 0;
+        return data.itineraries;
+    } catch (error) {
+        console.error('❌ Error buscando itinerarios:', error);
+        return [];
+    }
 }
 
 /**
  * Cargar asientos ocupados y mostrar horarios
  */
-async function loadOccupiedSeatsAndDisplaySchedules(origen, destino, fecha, schedules) {
-    displaySchedules(schedules);
+async function loadOccupiedSeatsAndDisplaySchedules(origen, destino, fecha, itineraries, returnItineraries = null) {
+    const isRoundTrip = Boolean(returnItineraries);
+
+    displaySchedules(itineraries, {
+        onSelect: isRoundTrip ? selectOutboundItinerary : selectItinerary
+    });
     
     const horariosContainer = document.getElementById("horariosContainer");
     if (horariosContainer) {
         horariosContainer.classList.remove("hidden");
     }
+
+    const tituloHorarios = document.getElementById("tituloHorarios");
+    if (tituloHorarios) {
+        tituloHorarios.textContent = isRoundTrip ? "Horarios de Ida" : "Horarios Disponibles";
+    }
+
+    const horariosRegresoContainer = document.getElementById("horariosRegresoContainer");
+    if (isRoundTrip) {
+        displaySchedules(returnItineraries, {
+            containerId: "horariosRegreso",
+            onSelect: selectReturnItinerary,
+            discountPercent: appState.returnDiscountPercent
+        });
+    }
+    if (horariosRegresoContainer) {
+        horariosRegresoContainer.classList.toggle("hidden", !isRoundTrip);
+    }
 }
 
 /**
@@ -175,82 +311,647 @@ async function loadOccupiedSeats(origen, destino, fecha, horario) {
         
         const data = await response.json();
         appState.occupiedSeats = new Set(data.occupiedSeats);
-        console.log(`✅ Asientos ocupados cargados: ${data.occupiedSeats.length} asientos`);
+        appState.heldSeats = new Set(data.heldSeats || []);
+        console.log(`✅ Asientos ocupados cargados: ${data.occupiedSeats.length} asientos (${appState.heldSeats.size} apartados)`);
         
         return data.occupiedSeats;
     } catch (error) {
         console.error('❌ Error cargando asientos ocupados:', error);
         appState.occupiedSeats = new Set();
+        appState.heldSeats = new Set();
         return [];
     }
 }
 
-function displaySchedules(schedules) {
-    const horariosDiv = document.getElementById("horarios");
+/**
+ * Cargar la distribución de asientos del autobús de un horario
+ */
+async function loadSeatLayout(origen, destino, horario) {
+    try {
+        const params = new URLSearchParams({ origen, destino, horario });
+        const response = await fetch(`${API_BASE_URL}/api/seat-layout?${params}`);
+        
+        if (!response.ok) {
+            throw new Error('No se pudo cargar la distribución de asientos');
+        }
+        
+        appState.seatMap = await response.json();
+        console.log(`✅ Distribución cargada: ${appState.seatMap.name} (${appState.seatMap.capacity} asientos)`);
+        
+        return appState.seatMap;
+    } catch (error) {
+        console.error('❌ Error cargando distribución de asientos:', error);
+        appState.seatMap = null;
+        return null;
+    }
+}
+
+/**
+ * Texto de una espera en minutos ("1h 30m")
+ */
+function formatMinutes(minutes) {
+    const hours = Math.floor(minutes / 60);
+    const mins = minutes % 60;
+    return hours > 0 ? `${hours}h ${String(mins).padStart(2, '0')}m` : `${mins}m`;
+}
+
+/**
+ * Mostrar las tarjetas de horarios
+ * @param {Array} itineraries - Itinerarios a mostrar
+ * @param {Object} [options] - containerId, onSelect y discountPercent (descuento de regreso a mostrar)
+ */
+function displaySchedules(itineraries, { containerId = "horarios", onSelect = selectItinerary, discountPercent = 0 } = {}) {
+    const horariosDiv = document.getElementById(containerId);
     if (!horariosDiv) return;
 
     horariosDiv.innerHTML = "";
 
-    schedules.forEach(schedule => {
+    itineraries.forEach((itinerary, index) => {
         const card = document.createElement("div");
-        card.className = "border-2 border-gray-300 rounded-lg p-4 cursor-pointer hover:border-blue-500 transition-colors";
-        card.dataset.scheduleId = schedule.id;
+        card.className = itinerary.soldOut
+            ? "border-2 border-gray-200 bg-gray-50 rounded-lg p-4 opacity-70 cursor-not-allowed"
+            : "border-2 border-gray-300 rounded-lg p-4 cursor-pointer hover:border-blue-500 transition-colors";
+        card.dataset.itineraryIndex = index;
+
+        const [firstLeg] = itinerary.legs;
+        // Paradas intermedias del autobús (sin origen ni destino) en viajes directos
+        const intermediateStops = itinerary.connections === 0 ? (firstLeg.stops || []).slice(1, -1) : [];
+        const nextDay = itinerary.arrivalDate !== itinerary.departureDate ? ' (+1)' : '';
+        // En temporada sin descuentos el regreso no lleva el descuento de viaje redondo
+        const returnPrice = itinerary.legs.reduce((sum, leg) => sum + applyReturnDiscount(leg.price, leg.season), 0);
 
         card.innerHTML = `
             <div class="flex justify-between items-center">
                 <div>
-                    <div class="font-bold text-lg">${schedule.time}</div>
-                    <div class="text-sm text-gray-600">${schedule.type}</div>
+                    <div class="font-bold text-lg">${itinerary.departureTime}</div>
+                    <div class="text-sm text-gray-600">${itinerary.legs.map(leg => leg.type).join(" + ")}</div>
+                    ${intermediateStops.length > 0 ? `
+                        <div class="text-xs text-gray-500">Paradas: ${intermediateStops.join(", ")}</div>
+                    ` : ''}
+                    ${itinerary.connections > 0 ? `
+                        <div class="text-xs text-orange-600">
+                            <i class="fas fa-exchange-alt mr-1"></i>
+                            Conexión en ${itinerary.connectionCities.join(", ")} (espera ${formatMinutes(itinerary.connectionMinutes)})
+                        </div>
+                    ` : ''}
                 </div>
                 <div class="text-right">
-                    <div class="text-sm text-gray-600">Llegada: ${schedule.arrival}</div>
-                    <div class="font-bold text-blue-600">$${schedule.price.toFixed(2)} USD</div>
+                    <div class="text-sm text-gray-600">Llegada: ${itinerary.arrivalTime}${nextDay}</div>
+                    <div class="text-xs text-gray-500">${itinerary.duration}</div>
+                    ${discountPercent > 0 && returnPrice < itinerary.price ? `
+                        <div class="text-xs text-gray-400 line-through">$${itinerary.price.toFixed(2)}</div>
+                        <div class="font-bold text-blue-600">$${returnPrice.toFixed(2)} MXN</div>
+                        <div class="text-xs text-green-600">-${discountPercent}% en el regreso</div>
+                    ` : `
+                        <div class="font-bold text-blue-600">$${itinerary.price.toFixed(2)} MXN</div>
+                    `}
+                    ${getDynamicPriceNote(itinerary)}
+                    ${getAvailabilityBadge(itinerary)}
                 </div>
             </div>
+            ${itinerary.soldOut && itinerary.legs.length === 1 ? `
+                <div class="mt-2 text-right">
+                    <button type="button" class="btn-lista-espera text-sm text-yellow-700 hover:text-yellow-800 font-semibold">
+                        <i class="fas fa-user-clock mr-1"></i>
+                        Unirme a la lista de espera
+                    </button>
+                </div>
+            ` : ''}
         `;
 
-        card.addEventListener("click", () => selectSchedule(schedule));
+        // Una salida agotada no se puede elegir; en un viaje directo se ofrece la lista de espera
+        if (itinerary.soldOut) {
+            card.querySelector(".btn-lista-espera")?.addEventListener("click", () => selectItinerary(itinerary));
+            horariosDiv.appendChild(card);
+            return;
+        }
+
+        card.addEventListener("click", () => {
+            // Marcar solo la tarjeta elegida dentro de esta lista
+            horariosDiv.querySelectorAll("[data-itinerary-index]").forEach(other => {
+                other.classList.remove("border-blue-500", "bg-blue-50");
+                other.classList.add("border-gray-300");
+            });
+            card.classList.remove("border-gray-300");
+            card.classList.add("border-blue-500", "bg-blue-50");
+
+            onSelect(itinerary);
+        });
         horariosDiv.appendChild(card);
     });
 }
 
-function selectSchedule(schedule) {
-    // Quitar selección anterior
-    document.querySelectorAll("[data-schedule-id]").forEach(card => {
-        card.classList.remove("border-blue-500", "bg-blue-50");
-        card.classList.add("border-gray-300");
-    });
+/**
+ * Aviso de asientos restantes de una salida (agotado, últimos asientos o disponibles)
+ */
+function getAvailabilityBadge(itinerary) {
+    if (itinerary.seatsLeft === undefined) return '';
+
+    if (itinerary.soldOut) {
+        return '<div class="mt-1 text-xs font-semibold text-red-600"><i class="fas fa-ban mr-1"></i>Agotado</div>';
+    }
+    if (itinerary.lastSeats) {
+        return `<div class="mt-1 text-xs font-semibold text-orange-600"><i class="fas fa-fire mr-1"></i>¡Últimos ${itinerary.seatsLeft} ${itinerary.seatsLeft === 1 ? 'asiento' : 'asientos'}!</div>`;
+    }
+    return `<div class="mt-1 text-xs text-green-700">${itinerary.seatsLeft} asientos disponibles</div>`;
+}
 
-    // Seleccionar nueva tarjeta
-    const selectedCard = document.querySelector(`[data-schedule-id="${schedule.id}"]`);
-    if (selectedCard) {
-        selectedCard.classList.remove("border-gray-300");
-        selectedCard.classList.add("border-blue-500", "bg-blue-50");
+/**
+ * Aviso cuando el precio de la salida está ajustado por la demanda (más alto o más bajo que la tarifa)
+ * o por la temporada en la que cae su fecha
+ */
+function getDynamicPriceNote(itinerary) {
+    if (itinerary.season) return getSeasonNote(itinerary.season);
+    if (itinerary.basePrice === undefined || itinerary.price === itinerary.basePrice) return '';
+
+    if (itinerary.price > itinerary.basePrice) {
+        return '<div class="text-xs text-orange-600"><i class="fas fa-chart-line mr-1"></i>Tarifa por alta demanda</div>';
     }
+    return `<div class="text-xs text-green-600"><i class="fas fa-tag mr-1"></i>Tarifa reducida (normal $${itinerary.basePrice.toFixed(2)})</div>`;
+}
+
+/**
+ * Aviso de temporada: su recargo y si en esas fechas no aplican descuentos o cupones
+ */
+function getSeasonNote(season) {
+    const blocked = [];
+    if (season.blockDiscounts) blocked.push("descuentos");
+    if (season.blockCoupons) blocked.push("cupones");
+    return `
+        <div class="text-xs text-orange-600">
+            <i class="fas fa-calendar-alt mr-1"></i>Temporada: ${season.name}${season.surchargePercent > 0 ? ` (+${season.surchargePercent}%)` : ''}
+        </div>
+        ${blocked.length > 0 ? `<div class="text-xs text-gray-500">Sin ${blocked.join(" ni ")} en estas fechas</div>` : ''}
+    `;
+}
+
+function selectItinerary(itinerary) {
+    appState.selectedItinerary = itinerary;
+    appState.seatsByLeg = [];
+    appState.claimToken = null;
+
+    selectLeg(0);
+}
+
+/**
+ * Precio de un tramo de regreso con el descuento de viaje redondo
+ * (sin descuento si el tramo cae en una temporada que lo bloquea)
+ */
+function applyReturnDiscount(price, season) {
+    if (season && season.blockDiscounts) return price;
+    return Math.round(price * (100 - appState.returnDiscountPercent)) / 100;
+}
+
+function selectOutboundItinerary(itinerary) {
+    appState.outboundItinerary = itinerary;
+    startRoundTripIfReady();
+}
+
+function selectReturnItinerary(itinerary) {
+    appState.returnItinerary = itinerary;
+    startRoundTripIfReady();
+}
+
+/**
+ * Con ida y regreso elegidos, elegir asientos de todos los tramos (primero la ida)
+ */
+function startRoundTripIfReady() {
+    const { outboundItinerary, returnItinerary } = appState;
+    if (!outboundItinerary || !returnItinerary) return;
+
+    const returnLegs = returnItinerary.legs.map(leg => ({
+        ...leg,
+        sentido: "regreso",
+        price: applyReturnDiscount(leg.price, leg.season)
+    }));
+
+    selectItinerary({
+        ...outboundItinerary,
+        isRoundTrip: true,
+        outbound: outboundItinerary,
+        inbound: returnItinerary,
+        price: outboundItinerary.price + returnLegs.reduce((sum, leg) => sum + leg.price, 0),
+        legs: [...outboundItinerary.legs.map(leg => ({ ...leg, sentido: "ida" })), ...returnLegs]
+    });
+}
+
+/**
+ * Mostrar el mapa de asientos de un tramo del itinerario
+ */
+function selectLeg(legIndex) {
+    const leg = appState.selectedItinerary.legs[legIndex];
+
+    appState.legIndex = legIndex;
+    appState.selectedSchedule = leg;
+    appState.selectedSeats = [];
 
-    appState.selectedSchedule = schedule;
+    const btnContinuar = document.getElementById("btnContinuarPago");
+    if (btnContinuar) {
+        btnContinuar.disabled = true;
+    }
 
     // Cargar asientos ocupados y mostrar mapa
-    const { origen, destino } = getOriginDestinationFromRoute();
-    const fecha = appState.selectedRoute.fecha;
-    
-    loadOccupiedSeats(origen, destino, fecha, schedule.time).then(() => {
+    Promise.all([
+        loadOccupiedSeats(leg.origen, leg.destino, leg.fecha, leg.horario),
+        loadSeatLayout(leg.origen, leg.destino, leg.horario)
+    ]).then(() => {
         // Ir al paso 2 después de cargar los asientos
         setTimeout(() => {
             showStep(2);
             generateSeatMap();
+            updateLegProgress();
             updateTripSummary();
+            updateWaitlistForm();
         }, 300);
     });
 }
 
 /**
- * Obtener origen y destino de la ruta seleccionada
+ * Indicar qué tramo se está eligiendo en un viaje con conexión
+ */
+function updateLegProgress() {
+    const { selectedItinerary, legIndex } = appState;
+    const totalLegs = selectedItinerary.legs.length;
+    const leg = selectedItinerary.legs[legIndex];
+
+    const tramoActual = document.getElementById("tramoActual");
+    if (tramoActual) {
+        tramoActual.textContent = `Tramo ${legIndex + 1} de ${totalLegs}${leg.sentido === "regreso" ? " (regreso)" : ""}: ${leg.origen} → ${leg.destino} (${leg.departureTime})`;
+        tramoActual.classList.toggle("hidden", totalLegs === 1);
+    }
+
+    const btnContinuar = document.getElementById("btnContinuarPago");
+    if (btnContinuar) {
+        btnContinuar.innerHTML = legIndex < totalLegs - 1
+            ? '<i class="fas fa-arrow-right mr-2"></i>Continuar al siguiente tramo'
+            : '<i class="fas fa-credit-card mr-2"></i>Continuar al Pago';
+    }
+}
+
+/**
+ * Guardar los asientos del tramo actual y pasar al siguiente tramo o a los datos de pasajeros
+ */
+async function continueFromSeatSelection() {
+    const { selectedItinerary, legIndex } = appState;
+    appState.seatsByLeg[legIndex] = [...appState.selectedSeats];
+
+    if (legIndex < selectedItinerary.legs.length - 1) {
+        selectLeg(legIndex + 1);
+        return;
+    }
+
+    await loadFareCategories(selectedItinerary.legs);
+    renderPassengerForms();
+    showStep(3);
+}
+
+/**
+ * Cargar las categorías de tarifa con el cupo que queda en cada tramo;
+ * en un viaje con varios tramos el cupo disponible es el menor de todos
+ */
+async function loadFareCategories(legs) {
+    try {
+        const responses = await Promise.all(legs.map(leg => {
+            const params = new URLSearchParams({ origen: leg.origen, destino: leg.destino, fecha: leg.fecha, horario: leg.horario });
+            return fetch(`${API_BASE_URL}/api/fare-categories?${params}`).then(response => {
+                if (!response.ok) throw new Error('No se pudieron cargar las tarifas');
+                return response.json();
+            });
+        }));
+
+        const [first] = responses;
+        appState.documentTypes = first.documentTypes;
+        appState.fareCategories = first.categories.map(category => {
+            const remainingByLeg = responses
+                .map(data => data.categories.find(c => c.id === category.id)?.remaining)
+                .filter(remaining => remaining !== null && remaining !== undefined);
+            return {
+                ...category,
+                isDefault: category.id === first.defaultCategory,
+                remaining: remainingByLeg.length > 0 ? Math.min(...remainingByLeg) : null
+            };
+        });
+    } catch (error) {
+        console.error('❌ Error cargando categorías de tarifa:', error);
+        appState.fareCategories = null;
+    }
+    appState.passengerCategories = [];
+}
+
+/**
+ * Categoría de tarifa de un pasajero (la tarifa por defecto si aún no elige)
+ */
+function getPassengerCategory(index) {
+    const categories = appState.fareCategories || [];
+    const categoryId = appState.passengerCategories[index];
+    return categories.find(category => category.id === categoryId)
+        || categories.find(category => category.isDefault)
+        || null;
+}
+
+/**
+ * Precio de un tramo con el descuento de la categoría (mismo cálculo que el servidor)
+ */
+function applyFareDiscount(price, category) {
+    if (!category || !category.discountValue) return price;
+    const discounted = category.discountType === "fixed"
+        ? price - category.discountValue
+        : price * (100 - category.discountValue) / 100;
+    return Math.max(0, Math.round(discounted * 100) / 100);
+}
+
+/**
+ * Texto del descuento de una categoría para el selector de tarifa
+ */
+function describeFareDiscount(category) {
+    if (!category.discountValue) return "tarifa completa";
+    return category.discountType === "fixed" ? `$${category.discountValue} menos` : `${category.discountValue}% menos`;
+}
+
+/**
+ * Opciones de documento de identidad que acepta una categoría
+ */
+function getDocumentOptions(category) {
+    const required = category && category.requiredDocuments && category.requiredDocuments.length > 0
+        ? category.requiredDocuments
+        : GENERAL_DOCUMENT_TYPES;
+    return required.map(type => `<option value="${type}">${appState.documentTypes[type] || type}</option>`).join("");
+}
+
+/**
+ * Al cambiar la tarifa de un pasajero: ajustar documentos aceptados, requisito y total
+ */
+function handleFareCategoryChange(index) {
+    const select = document.getElementById(`categoria-${index}`);
+    appState.passengerCategories[index] = select.value;
+
+    const category = getPassengerCategory(index);
+    document.getElementById(`tipoDocumento-${index}`).innerHTML = getDocumentOptions(category);
+
+    const requisito = document.getElementById(`requisitoTarifa-${index}`);
+    requisito.textContent = category.requirementNote || "";
+    requisito.classList.toggle("hidden", !category.requirementNote);
+
+    // El descuento de un cupón depende de la tarifa de cada pasajero
+    if (appState.coupon) {
+        applyCoupon();
+    }
+    updateOrderTotal();
+}
+
+/**
+ * Mostrar el total de la compra en el paso de datos de pasajeros
+ */
+function updateOrderTotal() {
+    const total = `$${getOrderTotal().toFixed(2)} MXN`;
+    ["totalCompra", "btnPagarTotal"].forEach(id => {
+        const element = document.getElementById(id);
+        if (element) element.textContent = total;
+    });
+
+    const { coupon } = appState;
+    const descuentoFila = document.getElementById("descuentoCuponFila");
+    if (descuentoFila) {
+        descuentoFila.classList.toggle("hidden", !coupon);
+        if (coupon) {
+            document.getElementById("descuentoCuponNombre").textContent = `Cupón ${coupon.code}:`;
+            document.getElementById("descuentoCupon").textContent = `-$${coupon.descuento.toFixed(2)} MXN`;
+        }
+    }
+}
+
+/**
+ * Mostrar el resultado de aplicar un cupón
+ */
+function showCouponMessage(message, isError) {
+    const cuponMensaje = document.getElementById("cuponMensaje");
+    if (!cuponMensaje) return;
+    cuponMensaje.textContent = message;
+    cuponMensaje.classList.toggle("hidden", !message);
+    cuponMensaje.classList.toggle("text-red-600", isError);
+    cuponMensaje.classList.toggle("text-green-700", !isError);
+}
+
+/**
+ * Quitar el cupón aplicado (p. ej. al empezar otra compra)
+ */
+function resetCoupon() {
+    appState.coupon = null;
+    const cupon = document.getElementById("cupon");
+    if (cupon) cupon.value = "";
+    showCouponMessage("", false);
+}
+
+/**
+ * Validar el cupón capturado con el servidor y mostrar su descuento.
+ * El descuento se vuelve a calcular en el servidor al pagar.
+ */
+async function applyCoupon() {
+    const code = document.getElementById("cupon")?.value?.trim();
+    const { selectedItinerary } = appState;
+
+    if (!code) {
+        resetCoupon();
+        updateOrderTotal();
+        return;
+    }
+    if (!selectedItinerary) return;
+
+    try {
+        const response = await fetch(`${API_BASE_URL}/api/coupons/validate`, {
+            method: "POST",
+            headers: { "Content-Type": "application/json" },
+            body: JSON.stringify({
+                cupon: code,
+                email: document.getElementById("email")?.value?.trim() || null,
+                pasajeros: Array.from({ length: getPassengerCount() }, (_, index) => ({ categoria: getPassengerCategory(index)?.id })),
+                tramos: selectedItinerary.legs.map(leg => ({
+                    origen: leg.origen,
+                    destino: leg.destino,
+                    fecha: leg.fecha,
+                    horario: leg.horario,
+                    sentido: leg.sentido || "ida"
+                }))
+            })
+        });
+        const data = await response.json();
+
+        if (!response.ok) {
+            throw new Error(data.error || "No se pudo aplicar el cupón");
+        }
+
+        appState.coupon = { code: data.cupon.code, descuento: data.descuento };
+        showCouponMessage(`Cupón ${data.cupon.code} aplicado: ${data.cupon.descuento} de descuento${data.cupon.description ? ` (${data.cupon.description})` : ""}`, false);
+    } catch (error) {
+        appState.coupon = null;
+        showCouponMessage(error.message, true);
+    }
+    updateOrderTotal();
+}
+
+/**
+ * Asientos que todavía se pueden elegir en el tramo actual
+ */
+function countFreeSeats() {
+    const { seatMap, occupiedSeats, heldSeats } = appState;
+    if (!seatMap) return null;
+    return seatMap.rows
+        .flatMap(({ cells }) => cells)
+        .filter(cell => cell.type === "seat" && !occupiedSeats.has(String(cell.number)) && !heldSeats.has(String(cell.number)))
+        .length;
+}
+
+/**
+ * Ofrecer la lista de espera cuando un viaje directo está agotado
+ */
+function updateWaitlistForm() {
+    const listaEspera = document.getElementById("listaEspera");
+    if (!listaEspera) return;
+
+    const isDirectTrip = appState.selectedItinerary.legs.length === 1;
+    listaEspera.classList.toggle("hidden", !isDirectTrip || countFreeSeats() !== 0);
+    document.getElementById("listaEsperaEstado")?.classList.add("hidden");
+}
+
+/**
+ * Anotarse en la lista de espera de la salida mostrada
  */
-function getOriginDestinationFromRoute() {
-    if (!appState.selectedRoute) return { origen: '', destino: '' };
-    const parts = appState.selectedRoute.key.split('-');
-    return { origen: parts[0], destino: parts[1] };
+async function joinWaitlist() {
+    const leg = appState.selectedSchedule;
+    const nombre = document.getElementById("esperaNombre")?.value?.trim();
+    const email = document.getElementById("esperaEmail")?.value?.trim();
+    const telefono = document.getElementById("esperaTelefono")?.value?.trim();
+    const pasajeros = parseInt(document.getElementById("esperaPasajeros")?.value, 10) || 1;
+
+    if (!nombre || (!email && !telefono)) {
+        showError("Indica tu nombre y un email o teléfono para la lista de espera");
+        return;
+    }
+
+    try {
+        const response = await fetch(`${API_BASE_URL}/api/waitlist`, {
+            method: "POST",
+            headers: { "Content-Type": "application/json" },
+            body: JSON.stringify({
+                origen: leg.origen,
+                destino: leg.destino,
+                fecha: leg.fecha,
+                horario: leg.horario,
+                nombre,
+                email: email || null,
+                telefono: telefono || null,
+                pasajeros
+            })
+        });
+
+        const data = await response.json();
+
+        if (!response.ok) {
+            throw new Error(data.error || "No se pudo registrar en la lista de espera");
+        }
+
+        const saved = JSON.parse(localStorage.getItem(WAITLIST_STORAGE_KEY) || "[]");
+        localStorage.setItem(WAITLIST_STORAGE_KEY, JSON.stringify([...saved, data.id]));
+
+        hideError();
+        const estado = document.getElementById("listaEsperaEstado");
+        if (estado) {
+            estado.textContent = `Estás en la lista de espera (lugar ${data.position}). Si se libera un asiento verás aquí el enlace para comprarlo.`;
+            estado.classList.remove("hidden");
+        }
+    } catch (error) {
+        showError(error.message);
+    }
+}
+
+/**
+ * Revisar las solicitudes de lista de espera de este navegador y avisar si hay asientos ofrecidos
+ */
+async function checkWaitlistRequests() {
+    const saved = JSON.parse(localStorage.getItem(WAITLIST_STORAGE_KEY) || "[]");
+    if (saved.length === 0) return;
+
+    const requests = await Promise.all(saved.map(async id => {
+        try {
+            const response = await fetch(`${API_BASE_URL}/api/waitlist/${encodeURIComponent(id)}`);
+            return response.ok ? await response.json() : null;
+        } catch (error) {
+            console.error('❌ Error consultando la lista de espera:', error);
+            return { id, status: "waiting" };
+        }
+    }));
+
+    // Olvidar las solicitudes que ya terminaron
+    const active = requests.filter(request => request && ["waiting", "offered"].includes(request.status));
+    localStorage.setItem(WAITLIST_STORAGE_KEY, JSON.stringify(active.map(request => request.id)));
+
+    const offers = active.filter(request => request.status === "offered");
+    const aviso = document.getElementById("avisoListaEspera");
+    if (!aviso || offers.length === 0) return;
+
+    aviso.innerHTML = offers.map(offer => `
+        <div class="bg-yellow-100 border-2 border-yellow-300 rounded-lg p-4 mb-2">
+            <p class="font-semibold">
+                <i class="fas fa-bell text-yellow-600 mr-2"></i>
+                ¡Se liberaron asientos para ${offer.origen} → ${offer.destino} (${offer.fecha}, ${offer.horaAbordaje})!
+            </p>
+            <p class="text-sm text-gray-700 mt-1">Están apartados para ti hasta las ${new Date(offer.claimExpiresAt).toLocaleTimeString('es-ES', { hour: '2-digit', minute: '2-digit' })}.</p>
+            <a href="${offer.claimUrl}" class="inline-block mt-2 bg-green-600 text-white px-4 py-2 rounded-lg hover:bg-green-700 font-semibold">Comprar mis asientos</a>
+        </div>
+    `).join("");
+    aviso.classList.remove("hidden");
+}
+
+/**
+ * Abrir la compra de los asientos ofrecidos por un enlace de la lista de espera
+ */
+async function loadWaitlistClaim(token) {
+    window.history.replaceState({}, document.title, window.location.pathname);
+
+    try {
+        const response = await fetch(`${API_BASE_URL}/api/waitlist/claim/${encodeURIComponent(token)}`);
+        const claim = await response.json();
+
+        if (!response.ok) {
+            throw new Error(claim.error || "El enlace de la lista de espera no es válido");
+        }
+
+        const itineraries = await loadItineraries(claim.origen, claim.destino, claim.fecha);
+        const itinerary = itineraries.find(item => item.legs.length === 1 && item.legs[0].horario === claim.horario);
+        if (!itinerary) {
+            throw new Error("La salida de la lista de espera ya no está disponible");
+        }
+
+        appState.selectedItinerary = itinerary;
+        appState.selectedSchedule = itinerary.legs[0];
+        appState.legIndex = 0;
+        appState.selectedSeats = claim.asientos;
+        appState.seatsByLeg = [claim.asientos];
+        appState.claimToken = token;
+
+        await loadFareCategories(itinerary.legs);
+        renderPassengerForms();
+
+        document.getElementById("email").value = claim.email || "";
+        document.getElementById("telefono").value = claim.telefono || "";
+
+        const avisoReclamo = document.getElementById("avisoReclamo");
+        if (avisoReclamo) {
+            avisoReclamo.innerHTML = `<i class="fas fa-user-clock mr-2"></i>Asientos ${claim.asientos.map(seat => seat.label).join(", ")} apartados de la lista de espera para ${claim.origen} → ${claim.destino} (${claim.fecha}, ${claim.horaAbordaje}) hasta las ${new Date(claim.expiresAt).toLocaleTimeString('es-ES', { hour: '2-digit', minute: '2-digit' })}.`;
+            avisoReclamo.classList.remove("hidden");
+        }
+
+        showStep(3);
+    } catch (error) {
+        showError(error.message);
+    }
+}
+
+/**
+ * Número de pasajeros de la compra: en los tramos siguientes ya lo fijó el primero
+ */
+function getPassengerCount() {
+    return appState.legIndex > 0 ? appState.seatsByLeg[0].length : appState.selectedSeats.length;
 }
 
 function generateSeatMap() {
@@ -259,33 +960,64 @@ function generateSeatMap() {
 
     mapaAsientos.innerHTML = "";
 
-    // Generar 12 filas de asientos
-    for (let fila = 1; fila <= 12; fila++) {
+    const { seatMap } = appState;
+    if (!seatMap) {
+        mapaAsientos.innerHTML = '<p class="text-center text-sm text-red-600">No se pudo cargar la distribución de asientos. Intenta de nuevo.</p>';
+        return;
+    }
+
+    // Una columna adicional para el pasillo (con el número de fila)
+    const gridColumns = seatMap.columns + 1;
+
+    seatMap.rows.forEach(({ row, cells }) => {
         const filaDiv = document.createElement("div");
-        filaDiv.className = "grid grid-cols-5 gap-2 mb-2 items-center";
+        filaDiv.className = "grid gap-2 mb-2 items-center";
+        filaDiv.style.gridTemplateColumns = `repeat(${gridColumns}, minmax(0, 1fr))`;
 
-        // Asientos izquierdos (A, B)
-        for (let col = 0; col < 2; col++) {
-            const seatNumber = (fila - 1) * 4 + col + 1;
-            const seatLabel = `${fila}${String.fromCharCode(65 + col)}`;
-            filaDiv.appendChild(createSeat(seatNumber, seatLabel));
-        }
+        cells.forEach((cell, index) => {
+            if (index === seatMap.aisleAfter) {
+                filaDiv.appendChild(createRowNumber(row));
+            }
+            filaDiv.appendChild(createLayoutCell(cell));
+        });
 
-        // Número de fila en el centro
-        const numeroFila = document.createElement("div");
-        numeroFila.className = "text-center text-xs text-gray-500 font-bold";
-        numeroFila.textContent = fila;
-        filaDiv.appendChild(numeroFila);
-
-        // Asientos derechos (C, D)
-        for (let col = 2; col < 4; col++) {
-            const seatNumber = (fila - 1) * 4 + col + 1;
-            const seatLabel = `${fila}${String.fromCharCode(65 + col)}`;
-            filaDiv.appendChild(createSeat(seatNumber, seatLabel));
+        if (seatMap.aisleAfter >= cells.length) {
+            filaDiv.appendChild(createRowNumber(row));
         }
 
         mapaAsientos.appendChild(filaDiv);
+    });
+}
+
+function createRowNumber(row) {
+    const numeroFila = document.createElement("div");
+    numeroFila.className = "text-center text-xs text-gray-500 font-bold";
+    numeroFila.textContent = row;
+    return numeroFila;
+}
+
+/**
+ * Crear una celda del mapa: asiento, sanitario, asiento no disponible o espacio vacío
+ */
+function createLayoutCell(cell) {
+    if (cell.type === "seat") {
+        return createSeat(cell.number, cell.label);
+    }
+
+    const div = document.createElement("div");
+    div.className = "w-10 h-10 flex items-center justify-center text-xs font-bold";
+
+    if (cell.type === "restroom") {
+        div.classList.add("rounded", "bg-gray-200", "text-gray-600");
+        div.innerHTML = '<i class="fas fa-restroom"></i>';
+        div.title = "Sanitario";
+    } else if (cell.type === "disabled") {
+        div.classList.add("rounded", "border-2", "bg-gray-300", "text-gray-500", "border-gray-400", "cursor-not-allowed");
+        div.textContent = cell.label;
+        div.title = "Asiento no disponible para venta";
     }
+
+    return div;
 }
 
 function createSeat(number, label) {
@@ -297,6 +1029,9 @@ function createSeat(number, label) {
     if (appState.occupiedSeats.has(String(number))) {
         seat.classList.add("bg-red-500", "text-white", "border-red-600", "cursor-not-allowed");
         seat.title = "Asiento ocupado";
+    } else if (appState.heldSeats.has(String(number))) {
+        seat.classList.add("bg-yellow-400", "text-white", "border-yellow-500", "cursor-not-allowed");
+        seat.title = "Asiento apartado temporalmente por otro cliente";
     } else {
         seat.classList.add("bg-green-500", "text-white", "border-green-600", "hover:bg-green-600");
         seat.title = "Asiento disponible - Click para seleccionar";
@@ -307,76 +1042,201 @@ function createSeat(number, label) {
 }
 
 function selectSeat(number, label, seatElement) {
-    if (appState.occupiedSeats.has(String(number))) return;
-
-    // Quitar selección anterior
-    document.querySelectorAll("[data-seat-number]").forEach(seat => {
-        if (seat.classList.contains("bg-blue-500")) {
-            seat.classList.remove("bg-blue-500", "border-blue-600");
-            seat.classList.add("bg-green-500", "border-green-600");
-        }
-    });
+    if (appState.occupiedSeats.has(String(number)) || appState.heldSeats.has(String(number))) return;
 
-    // Seleccionar nuevo asiento
-    seatElement.classList.remove("bg-green-500", "border-green-600");
-    seatElement.classList.add("bg-blue-500", "border-blue-600");
+    const index = appState.selectedSeats.findIndex(seat => seat.number === number);
+    // En los tramos siguientes se elige un asiento por cada pasajero del primer tramo
+    const requiredSeats = appState.legIndex > 0 ? appState.seatsByLeg[0].length : null;
 
-    appState.selectedSeat = { number, label };
+    if (index !== -1) {
+        // Quitar el asiento de la selección
+        appState.selectedSeats.splice(index, 1);
+        seatElement.classList.remove("bg-blue-500", "border-blue-600");
+        seatElement.classList.add("bg-green-500", "border-green-600");
+    } else {
+        if (requiredSeats !== null && appState.selectedSeats.length >= requiredSeats) {
+            showError(`En este tramo selecciona ${requiredSeats} asiento(s), uno por pasajero`);
+            return;
+        }
+        if (appState.selectedSeats.length >= MAX_SEATS_PER_PURCHASE) {
+            showError(`Puedes seleccionar hasta ${MAX_SEATS_PER_PURCHASE} asientos por compra`);
+            return;
+        }
+        appState.selectedSeats.push({ number, label });
+        seatElement.classList.remove("bg-green-500", "border-green-600");
+        seatElement.classList.add("bg-blue-500", "border-blue-600");
+    }
 
-    // Habilitar botón continuar
+    // Habilitar botón continuar si hay al menos un asiento (o todos los del tramo)
     const btnContinuar = document.getElementById("btnContinuarPago");
     if (btnContinuar) {
-        btnContinuar.disabled = false;
+        btnContinuar.disabled = requiredSeats !== null
+            ? appState.selectedSeats.length !== requiredSeats
+            : appState.selectedSeats.length === 0;
     }
 
     updateTripSummary();
 }
 
+/**
+ * Precio total de la compra (tarifa de todos los tramos por cada pasajero, con el descuento
+ * de su categoría salvo en temporada sin descuentos) menos el descuento del cupón aplicado
+ */
+function getOrderTotal() {
+    if (!appState.selectedItinerary) return 0;
+    const { legs } = appState.selectedItinerary;
+    let total = 0;
+    for (let index = 0; index < getPassengerCount(); index++) {
+        const category = getPassengerCategory(index);
+        total += legs.reduce((sum, leg) => sum + (leg.season && leg.season.blockDiscounts ? leg.price : applyFareDiscount(leg.price, category)), 0);
+    }
+    if (appState.coupon) {
+        total = Math.max(0, total - appState.coupon.descuento);
+    }
+    return Math.round(total * 100) / 100;
+}
+
+/**
+ * Generar un bloque de datos por cada asiento seleccionado
+ */
+function renderPassengerForms() {
+    const container = document.getElementById("pasajerosContainer");
+    if (!container) return;
+
+    const { seatsByLeg, fareCategories } = appState;
+    const defaultCategory = getPassengerCategory(0);
+
+    container.innerHTML = seatsByLeg[0].map((seat, index) => `
+        <div class="border-2 border-gray-200 rounded-lg p-4 space-y-4" data-passenger-index="${index}">
+            <h3 class="font-semibold">
+                <i class="fas fa-chair text-blue-600 mr-2"></i>
+                Pasajero ${index + 1} - ${seatsByLeg.length > 1 ? 'Asientos' : 'Asiento'} ${seatsByLeg.map(seats => seats[index].label).join(" / ")}
+            </h3>
+            <div class="grid md:grid-cols-2 gap-4">
+                <div>
+                    <label class="block text-sm font-medium text-gray-700 mb-2">Nombre(s)*</label>
+                    <input type="text" id="nombre-${index}" placeholder="Ej: Juan Carlos" class="w-full p-3 border-2 border-gray-300 rounded-lg focus:border-blue-500 focus:outline-none" required>
+                </div>
+                <div>
+                    <label class="block text-sm font-medium text-gray-700 mb-2">Apellidos*</label>
+                    <input type="text" id="apellidos-${index}" placeholder="Ej: García López" class="w-full p-3 border-2 border-gray-300 rounded-lg focus:border-blue-500 focus:outline-none" required>
+                </div>
+            </div>
+            ${fareCategories ? `
+                <div>
+                    <label class="block text-sm font-medium text-gray-700 mb-2">Tarifa*</label>
+                    <select id="categoria-${index}" onchange="handleFareCategoryChange(${index})" class="w-full p-3 border-2 border-gray-300 rounded-lg focus:border-blue-500 focus:outline-none">
+                        ${fareCategories.map(category => `
+                            <option value="${category.id}" ${category.isDefault ? 'selected' : ''} ${category.remaining === 0 ? 'disabled' : ''}>
+                                ${category.name} (${describeFareDiscount(category)})${category.remaining === 0 ? ' - agotada' : category.remaining !== null ? ` - quedan ${category.remaining}` : ''}
+                            </option>
+                        `).join("")}
+                    </select>
+                    <p id="requisitoTarifa-${index}" class="hidden text-xs text-orange-600 mt-1"></p>
+                </div>
+            ` : ''}
+            <div>
+                <label class="block text-sm font-medium text-gray-700 mb-2">Documento de Identidad*</label>
+                <div class="grid md:grid-cols-3 gap-4">
+                    <select id="tipoDocumento-${index}" class="w-full p-3 border-2 border-gray-300 rounded-lg focus:border-blue-500 focus:outline-none" required>
+                        ${getDocumentOptions(defaultCategory)}
+                    </select>
+                    <input type="text" id="numeroDocumento-${index}" placeholder="Número de documento" class="md:col-span-2 w-full p-3 border-2 border-gray-300 rounded-lg focus:border-blue-500 focus:outline-none" required>
+                </div>
+                <p class="text-xs text-gray-500 mt-1">
+                    <i class="fas fa-info-circle mr-1"></i>
+                    Necesario para validar la identidad al abordar
+                </p>
+            </div>
+        </div>
+    `).join("");
+
+    resetCoupon();
+    updateOrderTotal();
+}
+
 function updateTripSummary() {
     const resumenViaje = document.getElementById("resumenViaje");
-    if (!resumenViaje || !appState.selectedRoute || !appState.selectedSchedule) return;
+    if (!resumenViaje || !appState.selectedItinerary || !appState.selectedSchedule) return;
 
-    const { selectedRoute, selectedSchedule, selectedSeat } = appState;
+    const { selectedItinerary, selectedSchedule, selectedSeats } = appState;
+    const { isRoundTrip, outbound, inbound } = selectedItinerary;
+    const isMultiLeg = selectedItinerary.legs.length > 1;
 
     resumenViaje.innerHTML = `
         <div class="space-y-3">
             <div class="flex justify-between">
                 <span class="text-gray-600">Ruta:</span>
-                <span class="font-semibold">${selectedRoute.key.replace("-", " → ")}</span>
-            </div>
-            <div class="flex justify-between">
-                <span class="text-gray-600">Fecha:</span>
-                <span class="font-semibold">${formatDate(selectedRoute.fecha)}</span>
-            </div>
-            <div class="flex justify-between">
-                <span class="text-gray-600">Horario:</span>
-                <span class="font-semibold">${selectedSchedule.time} - ${selectedSchedule.arrival}</span>
+                <span class="font-semibold">${selectedItinerary.origen} ${isRoundTrip ? '⇄' : '→'} ${selectedItinerary.destino}</span>
             </div>
+            ${isRoundTrip ? `
+                <div class="flex justify-between">
+                    <span class="text-gray-600">Ida:</span>
+                    <span class="font-semibold">${formatDate(outbound.departureDate)}, ${outbound.departureTime} - ${outbound.arrivalTime}</span>
+                </div>
+                <div class="flex justify-between">
+                    <span class="text-gray-600">Regreso:</span>
+                    <span class="font-semibold">${formatDate(inbound.departureDate)}, ${inbound.departureTime} - ${inbound.arrivalTime}</span>
+                </div>
+            ` : `
+                <div class="flex justify-between">
+                    <span class="text-gray-600">Fecha:</span>
+                    <span class="font-semibold">${formatDate(selectedItinerary.departureDate)}</span>
+                </div>
+                <div class="flex justify-between">
+                    <span class="text-gray-600">Horario:</span>
+                    <span class="font-semibold">${selectedItinerary.departureTime} - ${selectedItinerary.arrivalTime}</span>
+                </div>
+            `}
+            ${selectedItinerary.connections > 0 && !isRoundTrip ? `
+                <div class="flex justify-between">
+                    <span class="text-gray-600">Conexión:</span>
+                    <span class="font-semibold">${selectedItinerary.connectionCities.join(", ")} (${formatMinutes(selectedItinerary.connectionMinutes)})</span>
+                </div>
+            ` : ''}
+            ${isMultiLeg ? `
+                <div class="flex justify-between">
+                    <span class="text-gray-600">Tramo actual:</span>
+                    <span class="font-semibold">${selectedSchedule.origen} → ${selectedSchedule.destino}, ${selectedSchedule.departureTime} - ${selectedSchedule.arrivalTime}</span>
+                </div>
+            ` : ''}
             <div class="flex justify-between">
                 <span class="text-gray-600">Clase:</span>
                 <span class="font-semibold">${selectedSchedule.type}</span>
             </div>
-            <div class="flex justify-between">
-                <span class="text-gray-600">Duración:</span>
-                <span class="font-semibold">${selectedRoute.data.duration}</span>
-            </div>
-            ${selectedSeat ? `
+            ${isRoundTrip ? '' : `
                 <div class="flex justify-between">
-                    <span class="text-gray-600">Asiento:</span>
-                    <span class="font-semibold">${selectedSeat.label}</span>
+                    <span class="text-gray-600">Duración:</span>
+                    <span class="font-semibold">${selectedItinerary.duration}</span>
+                </div>
+            `}
+            ${isRoundTrip && appState.returnDiscountPercent > 0 ? `
+                <div class="flex justify-between">
+                    <span class="text-gray-600">Descuento en el regreso:</span>
+                    <span class="font-semibold text-green-600">${appState.returnDiscountPercent}%</span>
+                </div>
+            ` : ''}
+            ${selectedSeats.length > 0 ? `
+                <div class="flex justify-between">
+                    <span class="text-gray-600">Asientos (${selectedSeats.length}):</span>
+                    <span class="font-semibold">${selectedSeats.map(seat => seat.label).join(", ")}</span>
+                </div>
+                <div class="flex justify-between">
+                    <span class="text-gray-600">${isMultiLeg ? 'Precio por pasajero (todos los tramos):' : 'Precio por asiento:'}</span>
+                    <span class="font-semibold">$${selectedItinerary.price.toFixed(2)}</span>
                 </div>
             ` : ''}
             <hr class="my-2">
             <div class="flex justify-between text-lg font-bold">
                 <span>Total:</span>
-                <span class="text-green-600">$${selectedSchedule.price.toFixed(2)} USD</span>
+                <span class="text-green-600">$${getOrderTotal().toFixed(2)} MXN</span>
             </div>
         </div>
     `;
 }
 
 function showStep(step) {
-    const steps = ["paso1", "paso2", "paso3", "pagoExitoso"];
+    const steps = ["paso1", "paso2", "paso3", "pagoExitoso", "pagoPendiente"];
 
     steps.forEach((stepId, index) => {
         const element = document.getElementById(stepId);
@@ -408,7 +1268,7 @@ function selectPaymentMethod(method) {
     
     // Actualizar texto del botón según el método
     const btnPagar = document.getElementById('btnPagar');
-    const price = appState.selectedSchedule ? appState.selectedSchedule.price : 0;
+    const price = getOrderTotal();
     
     const methodNames = {
         card: 'con Tarjeta',
@@ -419,62 +1279,102 @@ function selectPaymentMethod(method) {
     
     btnPagar.innerHTML = `
         <i class="fas fa-lock mr-2"></i>
-        Pagar ${methodNames[method]} ($${price.toFixed(2)} MXN)
+        Pagar ${methodNames[method]} (<span id="btnPagarTotal">$${price.toFixed(2)} MXN</span>)
     `;
 }
 
 async function handlePayment(e) {
     e.preventDefault();
 
-    if (!appState.selectedSeat) {
-        showError("Por favor selecciona un asiento");
+    const { selectedItinerary, seatsByLeg } = appState;
+
+    if (!selectedItinerary || seatsByLeg.length !== selectedItinerary.legs.length || seatsByLeg[0].length === 0) {
+        showError("Por favor selecciona al menos un asiento");
         return;
     }
 
-    const nombre = document.getElementById("nombre")?.value?.trim();
-    const apellidos = document.getElementById("apellidos")?.value?.trim();
-    const tipoDocumento = document.getElementById("tipoDocumento")?.value;
-    const numeroDocumento = document.getElementById("numeroDocumento")?.value?.trim();
     const email = document.getElementById("email")?.value?.trim();
     const telefono = document.getElementById("telefono")?.value?.trim();
     const paymentMethod = document.getElementById("paymentMethod")?.value || 'card';
 
-    if (!nombre || !apellidos || !numeroDocumento) {
-        showError("Por favor completa los campos obligatorios: Nombre, Apellidos y Documento de Identidad");
+    // Un registro por pasajero/asiento
+    const pasajeros = seatsByLeg[0].map((seat, index) => ({
+        nombre: document.getElementById(`nombre-${index}`)?.value?.trim(),
+        apellidos: document.getElementById(`apellidos-${index}`)?.value?.trim(),
+        tipoDocumento: document.getElementById(`tipoDocumento-${index}`)?.value,
+        numeroDocumento: document.getElementById(`numeroDocumento-${index}`)?.value?.trim(),
+        categoria: getPassengerCategory(index)?.id,
+        asiento: seat.number
+    }));
+
+    if (pasajeros.some(p => !p.nombre || !p.apellidos || !p.numeroDocumento)) {
+        showError("Por favor completa los campos obligatorios de cada pasajero: Nombre, Apellidos y Documento de Identidad");
         return;
     }
 
-    const btnPagar = document.getElementById("btnPagar");
-    if (btnPagar) {
-        btnPagar.disabled = true;
-        btnPagar.innerHTML = '<div class="inline-block animate-spin rounded-full h-4 w-4 border-b-2 border-white mr-2"></div>Procesando...';
-    }
-
-    const { origen, destino } = getOriginDestinationFromRoute();
+    const [firstLeg] = selectedItinerary.legs;
     
     const paymentData = {
-        nombre: `${nombre} ${apellidos}`,
-        tipoDocumento,
-        numeroDocumento,
-        origen,
-        destino,
-        asiento: appState.selectedSeat.number,
-        horario: appState.selectedSchedule.time,
-        fecha: appState.selectedRoute.fecha,
-        precio: appState.selectedSchedule.price,
+        pasajeros: pasajeros.map(p => ({
+            nombre: `${p.nombre} ${p.apellidos}`,
+            tipoDocumento: p.tipoDocumento,
+            numeroDocumento: p.numeroDocumento,
+            categoria: p.categoria,
+            asiento: p.asiento
+        })),
+        origen: firstLeg.origen,
+        destino: firstLeg.destino,
+        horario: firstLeg.horario,
+        fecha: firstLeg.fecha,
+        // Un viaje con conexión se paga en una sola compra con todos sus tramos
+        tramos: selectedItinerary.legs.map((leg, legIndex) => ({
+            origen: leg.origen,
+            destino: leg.destino,
+            fecha: leg.fecha,
+            horario: leg.horario,
+            sentido: leg.sentido || "ida",
+            asientos: seatsByLeg[legIndex].map(seat => seat.number)
+        })),
+        claimToken: appState.claimToken || undefined,
+        cupon: appState.coupon ? appState.coupon.code : undefined,
         email: email || null,
         telefono: telefono || null,
         paymentMethod
     };
 
-    try {
-        const response = await fetch(`${API_BASE_URL}/api/create-checkout-session`, {
-            method: "POST",
-            headers: { "Content-Type": "application/json" },
-            body: JSON.stringify(paymentData)
-        });
+    // Se cobra exactamente el precio cotizado por el servidor
+    const quote = await getConfirmedQuote(paymentData);
+    if (!quote) return;
+    paymentData.quoteToken = quote.quoteToken;
 
-        const data = await response.json();
+    // En taquilla se cobra en ventanilla y los boletos se emiten en el acto
+    if (SALES_CHANNEL === "taquilla") {
+        await handleCounterSale(paymentData, quote.total);
+        return;
+    }
+
+    const btnPagar = document.getElementById("btnPagar");
+    if (btnPagar) {
+        btnPagar.disabled = true;
+        btnPagar.innerHTML = '<div class="inline-block animate-spin rounded-full h-4 w-4 border-b-2 border-white mr-2"></div>Procesando...';
+    }
+
+    const createCheckoutSession = () => fetch(`${API_BASE_URL}/api/create-checkout-session`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(paymentData)
+    });
+
+    try {
+        let response = await createCheckoutSession();
+        let data = await response.json();
+
+        // La cotización venció antes de pagar: el servidor responde con una nueva al precio actual
+        if (data.code === "QUOTE_EXPIRED" && data.quote && confirm(data.error)) {
+            paymentData.quoteToken = data.quote.quoteToken;
+            response = await createCheckoutSession();
+            data = await response.json();
+        }
 
         if (!response.ok) {
             throw new Error(data.error || "No se pudo procesar el pago");
@@ -487,12 +1387,42 @@ async function handlePayment(e) {
         showError(error.message);
         if (btnPagar) {
             btnPagar.disabled = false;
-            const price = appState.selectedSchedule.price;
+            const price = getOrderTotal();
             btnPagar.innerHTML = `<i class="fas fa-lock mr-2"></i>Proceder al Pago ($${price.toFixed(2)} MXN)`;
         }
     }
 }
 
+/**
+ * Cotizar la compra con el servidor. Si el precio cotizado difiere del total mostrado
+ * (p. ej. cambió la demanda de la salida), el cliente debe confirmarlo.
+ * @returns {Promise<Object|null>} Cotización, o null si hubo un error o no se aceptó el nuevo precio
+ */
+async function getConfirmedQuote(paymentData) {
+    try {
+        const response = await fetch(`${API_BASE_URL}/api/quotes`, {
+            method: "POST",
+            headers: { "Content-Type": "application/json" },
+            body: JSON.stringify(paymentData)
+        });
+        const quote = await response.json();
+
+        if (!response.ok) {
+            throw new Error(quote.error || "No se pudo cotizar la compra");
+        }
+
+        const shownTotal = getOrderTotal();
+        if (quote.total !== shownTotal
+            && !confirm(`El precio de la compra cambió de $${shownTotal.toFixed(2)} a $${quote.total.toFixed(2)} MXN. ¿Deseas continuar?`)) {
+            return null;
+        }
+        return quote;
+    } catch (error) {
+        showError(error.message);
+        return null;
+    }
+}
+
 function checkPaymentStatus() {
     const urlParams = new URLSearchParams(window.location.search);
 
@@ -501,8 +1431,28 @@ function checkPaymentStatus() {
         if (sessionId) {
             verifyPayment(sessionId);
         }
+    } else if (urlParams.get("claim")) {
+        loadWaitlistClaim(urlParams.get("claim"));
     } else if (urlParams.get("canceled")) {
+        const holdId = urlParams.get("hold");
+        if (holdId) {
+            releaseSeatHold(holdId);
+        }
         showError("El pago fue cancelado. Puedes intentar de nuevo.");
+        window.history.replaceState({}, document.title, window.location.pathname);
+    }
+}
+
+/**
+ * Liberar el asiento apartado cuando el cliente regresa de Stripe sin pagar
+ */
+async function releaseSeatHold(holdId) {
+    try {
+        await fetch(`${API_BASE_URL}/api/seat-holds/${encodeURIComponent(holdId)}`, { method: "DELETE" });
+        console.log('🔓 Asiento liberado');
+    } catch (error) {
+        // La retención expira sola si no se pudo liberar
+        console.error('❌ Error liberando asiento:', error);
     }
 }
 
@@ -511,41 +1461,16 @@ async function verifyPayment(sessionId) {
         const response = await fetch(`/api/checkout/session?session_id=${encodeURIComponent(sessionId)}`);
         const data = await response.json();
 
-        if (!response.ok) {
-            throw new Error(data.error || "No se pudo verificar el pago");
+        if (data.status === "pending") {
+            showPendingPayment(data);
+            return;
         }
 
-        // Mostrar resumen del boleto
-        const resumenBoleto = document.getElementById("resumenBoleto");
-        if (resumenBoleto) {
-            resumenBoleto.innerHTML = `
-                <div class="bg-green-50 border border-green-200 rounded-lg p-4">
-                    <h3 class="font-bold text-lg mb-3 text-center text-green-600">
-                        <i class="fas fa-check-circle mr-2"></i>
-                        Boleto Confirmado
-                    </h3>
-                    <div class="grid grid-cols-1 sm:grid-cols-2 gap-3 text-sm">
-                        <div><strong>Pasajero:</strong> ${data.boleto.nombre}</div>
-                        <div><strong>Ruta:</strong> ${data.boleto.origen} → ${data.boleto.destino}</div>
-                        <div><strong>Asiento:</strong> ${data.boleto.asiento}</div>
-                        <div><strong>Horario:</strong> ${data.boleto.horario}</div>
-                        <div><strong>Fecha:</strong> ${data.boleto.fecha}</div>
-                        <div><strong>Total:</strong> $${(data.amountTotal / 100).toFixed(2)} USD</div>
-                    </div>
-                </div>
-            `;
+        if (!response.ok) {
+            throw new Error(data.error || "No se pudo verificar el pago");
         }
 
-        // Guardar datos para PDF
-        window.ticketData = {
-            ...data.boleto,
-            amount: data.amountTotal / 100,
-            sessionId: data.sessionId,
-            purchaseDate: new Date().toLocaleDateString('es-ES'),
-            purchaseTime: new Date().toLocaleTimeString('es-ES')
-        };
-
-        showStep(4);
+        showPurchaseResult(data);
 
         // Limpiar URL
         window.history.replaceState({}, document.title, window.location.pathname);
@@ -555,84 +1480,92 @@ async function verifyPayment(sessionId) {
     }
 }
 
+/**
+ * Mostrar los boletos de una compra pagada y dejarlos listos para el PDF
+ * (compra en línea verificada o venta en taquilla)
+ */
+function showPurchaseResult(data) {
+    const boletos = data.boletos || [data.boleto];
+
+    // Mostrar resumen de los boletos
+    const resumenBoleto = document.getElementById("resumenBoleto");
+    if (resumenBoleto) {
+        resumenBoleto.innerHTML = `
+            <div class="bg-green-50 border border-green-200 rounded-lg p-4">
+                <h3 class="font-bold text-lg mb-3 text-center text-green-600">
+                    <i class="fas fa-check-circle mr-2"></i>
+                    Boleto Confirmado
+                </h3>
+                <div class="grid grid-cols-1 sm:grid-cols-2 gap-3 text-sm">
+                    ${data.referencia ? `<div class="sm:col-span-2 text-center"><strong>Referencia:</strong> <span class="font-mono text-lg">${data.referencia}</span></div>` : ''}
+                    ${data.referencia ? `<div class="sm:col-span-2 text-center text-xs text-gray-500">Con tu referencia puedes descargar, cambiar o cancelar tus boletos en <a href="cambios.html?referencia=${encodeURIComponent(data.referencia)}" class="text-blue-600 hover:underline">Mis viajes</a></div>` : ''}
+                    <div><strong>Ruta:</strong> ${boletos[0].origen} → ${boletos[boletos.length - 1].destino}</div>
+                    <div><strong>Horario:</strong> ${data.boleto.horaAbordaje || data.boleto.horario}</div>
+                    <div><strong>Fecha:</strong> ${data.boleto.fecha}</div>
+                    <div><strong>Total:</strong> $${(data.amountTotal / 100).toFixed(2)} MXN</div>
+                </div>
+                <div class="mt-3 space-y-1 text-sm text-left">
+                    ${boletos.map(boleto => `
+                        <div><strong>Asiento ${boleto.asiento}${boleto.totalTramos > 1 ? ` (${boleto.sentido === "regreso" ? "regreso, " : ""}${boleto.origen} → ${boleto.destino}, ${boleto.fecha} ${boleto.horaAbordaje})` : ''}:</strong> ${boleto.nombre}${boleto.categoriaNombre ? ` <span class="text-gray-500">- ${boleto.categoriaNombre}</span>` : ''}</div>
+                    `).join("")}
+                </div>
+            </div>
+        `;
+    }
+
+    // Enlace al PDF de los boletos (se genera en el servidor y se puede volver a descargar)
+    window.ticketData = {
+        sessionId: data.sessionId,
+        referencia: data.referencia,
+        pdfUrl: data.pdfUrl || `/api/ticket/${encodeURIComponent(data.sessionId)}/pdf`
+    };
+
+    const solicitarFactura = document.getElementById("solicitarFactura");
+    if (solicitarFactura) {
+        solicitarFactura.href = `factura.html?session_id=${encodeURIComponent(data.sessionId)}`;
+    }
+
+    showStep(4);
+}
+
+/**
+ * Compra pagada en OXXO o por SPEI: los boletos se emiten cuando Stripe confirma el pago
+ */
+function showPendingPayment(data) {
+    const metodo = data.paymentMethod === "spei" ? "la transferencia SPEI" : "el pago en OXXO";
+    const resumenPendiente = document.getElementById("resumenPendiente");
+    if (resumenPendiente) {
+        resumenPendiente.innerHTML = `
+            ${data.referencia ? `<div class="mb-2"><strong>Referencia:</strong> <span class="font-mono text-lg">${data.referencia}</span></div>` : ''}
+            <div class="mb-2">Completa ${metodo} con las instrucciones que te dio Stripe${data.holdUntil ? ` antes del <strong>${new Date(data.holdUntil).toLocaleString('es-ES')}</strong>` : ''}.</div>
+            <div class="text-gray-500">Consulta tus boletos con el ID de transacción: <span class="font-mono">${data.sessionId}</span></div>
+        `;
+    }
+
+    showStep(5);
+    window.history.replaceState({}, document.title, window.location.pathname);
+}
+
 function generatePDF() {
     if (!window.ticketData) {
         showError("No hay boleto para descargar");
         return;
     }
 
-    const { jsPDF } = window.jspdf;
-    const doc = new jsPDF();
-    const ticket = window.ticketData;
-
-    // Header
-    doc.setFontSize(24);
-    doc.setTextColor(59, 130, 246);
-    doc.text("🚌 TransBus", 20, 25);
-
-    doc.setFontSize(18);
-    doc.setTextColor(0, 0, 0);
-    doc.text("BOLETO DE VIAJE", 20, 40);
-
-    // Línea separadora
-    doc.setDrawColor(59, 130, 246);
-    doc.setLineWidth(1);
-    doc.line(20, 45, 190, 45);
-
-    // Información del boleto
-    doc.setFontSize(12);
-    let yPos = 60;
-
-    const info = [
-        ["PASAJERO:", ticket.nombre.toUpperCase()],
-        ["RUTA:", `${ticket.origen.toUpperCase()} → ${ticket.destino.toUpperCase()}`],
-        ["FECHA DE VIAJE:", ticket.fecha || "No especificada"],
-        ["HORARIO:", ticket.horario],
-        ["ASIENTO:", `NÚMERO ${ticket.asiento}`],
-        ["TOTAL PAGADO:", `$${ticket.amount.toFixed(2)} USD`],
-        ["FECHA DE COMPRA:", `${ticket.purchaseDate} ${ticket.purchaseTime}`],
-        ["ID TRANSACCIÓN:", ticket.sessionId]
-    ];
-
-    info.forEach(([label, value]) => {
-        doc.setFont("helvetica", "bold");
-        doc.text(label, 20, yPos);
-        doc.setFont("helvetica", "normal");
-        doc.text(value, 80, yPos);
-        yPos += 10;
-    });
-
-    // Instrucciones
-    yPos += 20;
-    doc.setFont("helvetica", "bold");
-    doc.setFontSize(10);
-    doc.text("INSTRUCCIONES:", 20, yPos);
-    yPos += 8;
-
-    doc.setFont("helvetica", "normal");
-    doc.setFontSize(9);
-    const instructions = [
-        "• Llegue 30 minutos antes de la salida",
-        "• Presente este boleto al abordar",
-        "• Mantenga el boleto durante el viaje",
-        "• Contacte 1-800-TRANSBUS para soporte"
-    ];
-
-    instructions.forEach(instruction => {
-        doc.text(instruction, 20, yPos);
-        yPos += 6;
-    });
+    // El servidor arma el PDF con los boletos guardados
+    window.location.href = `${API_BASE_URL}${window.ticketData.pdfUrl}?download=1`;
+}
 
-    // Footer
-    yPos += 20;
-    doc.setFontSize(8);
-    doc.setTextColor(100, 100, 100);
-    doc.text("TransBus - Tu viaje seguro y cómodo", 20, yPos);
-    doc.text(`Generado: ${new Date().toLocaleString('es-ES')}`, 20, yPos + 8);
+/**
+ * Abrir los boletos para imprimirlos (venta en taquilla)
+ */
+function printTickets() {
+    if (!window.ticketData) {
+        showError("No hay boleto para imprimir");
+        return;
+    }
 
-    // Descargar
-    const fileName = `TransBus_${ticket.nombre.replace(/\s+/g, '_')}_${ticket.fecha || 'sin_fecha'}.pdf`;
-    doc.save(fileName);
+    window.open(`${API_BASE_URL}${window.ticketData.pdfUrl}`, '_blank');
 }
 
 function formatDate(dateString) {
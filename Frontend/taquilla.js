@@ -0,0 +1,452 @@
+// Venta en taquilla: se carga después de script.js y reutiliza su selección de ruta, asientos y pasajeros
+
+// Sesión del taquillero en esta pestaña (se pierde al cerrar el navegador)
+const COUNTER_SESSION_KEY = "transbusTaquilla";
+
+// Estado de la taquilla
+let counterState = {
+    token: null, // Token de la sesión de taquilla
+    clerk: null, // Taquillero que está vendiendo ({ id, nombre })
+    turno: null, // Turno de caja abierto ({ id, fondoInicial, abiertoEn, boletos })
+    metodoPago: "efectivo" // "efectivo" o "terminal"
+};
+
+// Pantallas de la taquilla; solo una visible a la vez
+const COUNTER_PANELS = ["accesoTaquilla", "aperturaTurno", "ventaTaquilla", "corteTurno", "reembolsosTaquilla"];
+
+document.addEventListener("DOMContentLoaded", function() {
+    console.log("🎫 Taquilla TransBus");
+    setupCounterListeners();
+    restoreCounterSession();
+});
+
+function setupCounterListeners() {
+    document.getElementById("btnEntrarTaquilla").addEventListener("click", loginClerk);
+    document.getElementById("pinTaquillero").addEventListener("keydown", event => {
+        if (event.key === "Enter") loginClerk();
+    });
+    document.getElementById("btnSalirTaquilla").addEventListener("click", logoutClerk);
+    document.getElementById("btnAbrirTurno").addEventListener("click", openShift);
+    document.getElementById("btnCorteCaja").addEventListener("click", () => showCounterPanel("corteTurno"));
+    document.getElementById("btnReembolsos").addEventListener("click", showCounterRefunds);
+    document.getElementById("btnCerrarReembolsos").addEventListener("click", () => showCounterPanel("ventaTaquilla"));
+    document.getElementById("btnCancelarCorte").addEventListener("click", () => showCounterPanel("ventaTaquilla"));
+    document.getElementById("btnCerrarTurno").addEventListener("click", closeShift);
+    document.getElementById("btnTerminarTurno").addEventListener("click", logoutClerk);
+    document.getElementById("montoRecibido").addEventListener("input", updateCounterChange);
+    document.getElementById("imprimirBoletos").addEventListener("click", printTickets);
+    document.getElementById("btnNuevaVenta").addEventListener("click", () => window.location.reload());
+}
+
+/**
+ * Llamar a la API de taquilla con el token del taquillero
+ * Si la sesión venció se regresa a la pantalla de ingreso
+ */
+async function counterFetch(path, options = {}) {
+    const response = await fetch(`${API_BASE_URL}${path}`, {
+        ...options,
+        headers: {
+            "Content-Type": "application/json",
+            Authorization: `Bearer ${counterState.token}`,
+            ...(options.headers || {})
+        }
+    });
+
+    if (response.status === 401) {
+        clearCounterSession();
+    }
+    return response;
+}
+
+function showCounterPanel(panelId) {
+    COUNTER_PANELS.forEach(id => document.getElementById(id).classList.toggle("hidden", id !== panelId));
+}
+
+/**
+ * Retomar la sesión guardada en la pestaña o mostrar el ingreso
+ */
+async function restoreCounterSession() {
+    const saved = JSON.parse(sessionStorage.getItem(COUNTER_SESSION_KEY) || "null");
+    if (!saved) {
+        showCounterLogin();
+        return;
+    }
+
+    counterState.token = saved.token;
+    await loadCounterSession();
+}
+
+/**
+ * Consultar el taquillero y su turno; sin turno abierto se pide el fondo inicial
+ */
+async function loadCounterSession() {
+    try {
+        const response = await counterFetch("/api/counter/session");
+        if (!response.ok) return;
+
+        const data = await response.json();
+        startCounterSession(data.clerk, data.turno);
+    } catch (error) {
+        console.error("❌ Error verificando la sesión de taquilla:", error);
+        showCounterLogin();
+    }
+}
+
+/**
+ * Mostrar el ingreso con la lista de taquilleros activos
+ */
+async function showCounterLogin() {
+    showCounterPanel("accesoTaquilla");
+    document.getElementById("barraTaquillero").classList.add("hidden");
+
+    try {
+        const response = await fetch(`${API_BASE_URL}/api/counter/clerks`);
+        const data = await response.json();
+        const select = document.getElementById("taquillero");
+
+        select.innerHTML = data.clerks.length > 0
+            ? data.clerks.map(clerk => `<option value="${clerk.id}">${clerk.nombre}</option>`).join("")
+            : '<option value="">No hay taquilleros dados de alta</option>';
+    } catch (error) {
+        console.error("❌ Error cargando taquilleros:", error);
+        showCounterLoginError("No se pudo cargar la lista de taquilleros");
+    }
+}
+
+function showCounterLoginError(message) {
+    const errorAcceso = document.getElementById("errorAcceso");
+    errorAcceso.textContent = message;
+    errorAcceso.classList.remove("hidden");
+}
+
+async function loginClerk() {
+    const clerkId = document.getElementById("taquillero").value;
+    const pinInput = document.getElementById("pinTaquillero");
+
+    if (!clerkId || !pinInput.value) {
+        showCounterLoginError("Elige tu nombre y captura tu PIN");
+        return;
+    }
+
+    try {
+        const response = await fetch(`${API_BASE_URL}/api/counter/login`, {
+            method: "POST",
+            headers: { "Content-Type": "application/json" },
+            body: JSON.stringify({ clerkId, pin: pinInput.value })
+        });
+        const data = await response.json();
+        pinInput.value = "";
+
+        if (!response.ok) {
+            throw new Error(data.error || "No se pudo ingresar");
+        }
+
+        sessionStorage.setItem(COUNTER_SESSION_KEY, JSON.stringify({ token: data.token }));
+        counterState.token = data.token;
+        await loadCounterSession();
+    } catch (error) {
+        showCounterLoginError(error.message);
+    }
+}
+
+function startCounterSession(clerk, turno) {
+    counterState.clerk = clerk;
+    counterState.turno = turno;
+
+    document.getElementById("errorAcceso").classList.add("hidden");
+    document.getElementById("barraTaquillero").classList.remove("hidden");
+    document.getElementById("taquilleroActual").textContent = clerk.nombre;
+    updateShiftInfo();
+
+    showCounterPanel(turno ? "ventaTaquilla" : "aperturaTurno");
+}
+
+function clearCounterSession() {
+    sessionStorage.removeItem(COUNTER_SESSION_KEY);
+    counterState.token = null;
+    counterState.clerk = null;
+    counterState.turno = null;
+    showCounterLogin();
+}
+
+/**
+ * Turno abierto en la barra del taquillero
+ */
+function updateShiftInfo() {
+    const { turno } = counterState;
+    document.getElementById("turnoActual").textContent = turno
+        ? `Turno desde ${new Date(turno.abiertoEn).toLocaleTimeString("es-ES", { hour: "2-digit", minute: "2-digit" })} · ${turno.boletos} boletos`
+        : "Sin turno abierto";
+    document.getElementById("btnCorteCaja").classList.toggle("hidden", !turno);
+    document.getElementById("btnReembolsos").classList.toggle("hidden", !turno);
+}
+
+/**
+ * Abrir el turno de caja con el fondo inicial
+ */
+async function openShift() {
+    const fondoInicial = document.getElementById("fondoInicial").value;
+    if (fondoInicial === "") {
+        showError("Captura el fondo inicial de la caja (0 si no hay)");
+        return;
+    }
+
+    try {
+        const response = await counterFetch("/api/counter/shifts", {
+            method: "POST",
+            body: JSON.stringify({ fondoInicial })
+        });
+        const data = await response.json();
+
+        if (!response.ok) {
+            throw new Error(data.error || "No se pudo abrir el turno");
+        }
+
+        startCounterSession(counterState.clerk, data.turno);
+    } catch (error) {
+        showError(error.message);
+    }
+}
+
+/**
+ * Cerrar el turno con el conteo por forma de pago y mostrar el corte
+ */
+async function closeShift() {
+    const efectivo = document.getElementById("conteoEfectivo").value;
+    const terminal = document.getElementById("conteoTerminal").value;
+    const notas = document.getElementById("notasCorte").value.trim();
+
+    if (efectivo === "" || terminal === "") {
+        showError("Captura el conteo de efectivo y de terminal (0 si no hubo)");
+        return;
+    }
+    if (!confirm("¿Cerrar el turno? Ya no podrás vender con él.")) return;
+
+    try {
+        const response = await counterFetch("/api/counter/shifts/current/close", {
+            method: "POST",
+            body: JSON.stringify({ efectivo, terminal, notas })
+        });
+        const data = await response.json();
+
+        if (!response.ok) {
+            throw new Error(data.error || "No se pudo cerrar el turno");
+        }
+
+        counterState.turno = null;
+        updateShiftInfo();
+        displayShiftClose(data.turno);
+    } catch (error) {
+        showError(error.message);
+    }
+}
+
+/**
+ * Resultado del corte: esperado contra declarado por forma de pago
+ */
+function displayShiftClose(turno) {
+    const labels = { efectivo: "Efectivo", terminal: "Terminal bancaria" };
+    const colors = { cuadra: "text-green-700", sobrante: "text-blue-700", faltante: "text-red-600" };
+
+    document.getElementById("formCorte").classList.add("hidden");
+    const resultado = document.getElementById("resultadoCorte");
+    resultado.classList.remove("hidden");
+    document.getElementById("detalleCorte").innerHTML = `
+        <p class="mb-3"><strong>Boletos vendidos:</strong> ${turno.resumen.boletos} · <strong>Fondo inicial:</strong> $${turno.fondoInicial.toFixed(2)}</p>
+        ${Object.entries(turno.corte.porMetodo).map(([metodo, item]) => `
+            <div class="flex justify-between items-center p-3 bg-gray-50 rounded mb-2">
+                <div>
+                    <p class="font-semibold">${labels[metodo] || metodo}</p>
+                    <p class="text-xs text-gray-600">Esperado $${item.esperado.toFixed(2)} · Declarado $${item.declarado.toFixed(2)}</p>
+                </div>
+                <p class="font-bold ${colors[item.resultado]}">${item.resultado === "cuadra" ? "Cuadra" : `${item.resultado === "sobrante" ? "Sobrante" : "Faltante"} $${Math.abs(item.diferencia).toFixed(2)}`}</p>
+            </div>
+        `).join("")}
+    `;
+}
+
+/**
+ * Mostrar los boletos cancelados cuyo reembolso se entrega en ventanilla
+ */
+async function showCounterRefunds() {
+    showCounterPanel("reembolsosTaquilla");
+    const lista = document.getElementById("listaReembolsos");
+    lista.innerHTML = '<p class="text-sm text-gray-500 text-center">Cargando...</p>';
+
+    try {
+        const response = await counterFetch("/api/counter/refunds");
+        const data = await response.json();
+
+        if (!response.ok) {
+            throw new Error(data.error || "No se pudieron cargar los reembolsos");
+        }
+
+        const labels = { efectivo: "Efectivo", terminal: "Terminal bancaria" };
+        lista.innerHTML = data.refunds.length > 0
+            ? data.refunds.map(refund => `
+                <div class="flex justify-between items-center p-3 bg-gray-50 rounded">
+                    <div>
+                        <p class="font-semibold">${refund.nombre} · ${refund.referencia || refund.ticketId}</p>
+                        <p class="text-xs text-gray-600">${refund.viaje}</p>
+                        <p class="text-xs text-gray-600">Cancelado el ${new Date(refund.canceladoEn).toLocaleString("es-ES")} · ${labels[refund.metodo] || refund.metodo}</p>
+                    </div>
+                    <button onclick="payCounterRefund('${refund.ticketId}', ${refund.monto})" class="bg-green-600 text-white px-4 py-2 rounded-lg hover:bg-green-700 transition-colors font-semibold whitespace-nowrap">
+                        Entregar $${refund.monto.toFixed(2)}
+                    </button>
+                </div>
+            `).join("")
+            : '<p class="text-sm text-gray-500 text-center">No hay reembolsos por entregar</p>';
+    } catch (error) {
+        lista.innerHTML = "";
+        showError(error.message);
+    }
+}
+
+/**
+ * Registrar que el reembolso se entregó con el dinero de la caja del turno
+ */
+async function payCounterRefund(ticketId, monto) {
+    if (!confirm(`¿Entregar $${monto.toFixed(2)} MXN de reembolso del boleto ${ticketId}?`)) return;
+
+    try {
+        const response = await counterFetch(`/api/counter/refunds/${encodeURIComponent(ticketId)}`, { method: "POST" });
+        const data = await response.json();
+
+        if (!response.ok) {
+            throw new Error(data.error || "No se pudo registrar el reembolso");
+        }
+
+        counterState.turno = data.turno;
+        updateShiftInfo();
+        showCounterRefunds();
+    } catch (error) {
+        showError(error.message);
+    }
+}
+
+async function logoutClerk() {
+    try {
+        await counterFetch("/api/counter/logout", { method: "POST" });
+    } catch (error) {
+        // La sesión vence sola si no se pudo cerrar
+        console.error("❌ Error cerrando la sesión de taquilla:", error);
+    }
+    clearCounterSession();
+}
+
+/**
+ * Elegir la forma de pago de la venta
+ */
+function selectCounterPaymentMethod(method, button) {
+    counterState.metodoPago = method;
+
+    document.querySelectorAll(".counter-payment-btn").forEach(btn => {
+        btn.classList.remove("border-blue-500", "bg-blue-50");
+        btn.classList.add("border-gray-300");
+    });
+    button.classList.remove("border-gray-300");
+    button.classList.add("border-blue-500", "bg-blue-50");
+
+    document.getElementById("campoEfectivo").classList.toggle("hidden", method !== "efectivo");
+    document.getElementById("campoTerminal").classList.toggle("hidden", method !== "terminal");
+}
+
+/**
+ * Calcular el cambio a entregar con el monto recibido
+ */
+function updateCounterChange() {
+    const recibido = parseFloat(document.getElementById("montoRecibido").value);
+    const cambio = document.getElementById("cambioTaquilla");
+
+    if (!Number.isFinite(recibido)) {
+        cambio.textContent = "";
+        return;
+    }
+
+    const diferencia = recibido - getOrderTotal();
+    cambio.textContent = diferencia >= 0
+        ? `Cambio: $${diferencia.toFixed(2)} MXN`
+        : `Faltan $${Math.abs(diferencia).toFixed(2)} MXN`;
+    cambio.classList.toggle("text-red-600", diferencia < 0);
+    cambio.classList.toggle("text-green-700", diferencia >= 0);
+}
+
+/**
+ * Registrar la venta con la forma de pago de taquilla e imprimir los boletos
+ * @param {Object} paymentData - Datos de la compra armados por handlePayment (script.js), con su cotización
+ * @param {number} total - Total cotizado a cobrar
+ */
+async function handleCounterSale(paymentData, total) {
+    const { metodoPago } = counterState;
+    const montoRecibido = parseFloat(document.getElementById("montoRecibido").value);
+    const referenciaTerminal = document.getElementById("referenciaTerminal").value.trim();
+
+    if (metodoPago === "efectivo" && !(montoRecibido >= total)) {
+        showError(`El monto recibido no cubre el total de $${total.toFixed(2)} MXN`);
+        return;
+    }
+    if (metodoPago === "terminal" && !referenciaTerminal) {
+        showError("Captura el número de autorización de la terminal bancaria");
+        return;
+    }
+
+    const btnPagar = document.getElementById("btnPagar");
+    btnPagar.disabled = true;
+    btnPagar.innerHTML = '<div class="inline-block animate-spin rounded-full h-4 w-4 border-b-2 border-white mr-2"></div>Registrando venta...';
+
+    const registerSale = () => counterFetch("/api/counter/sales", {
+        method: "POST",
+        body: JSON.stringify({
+            ...paymentData,
+            metodoPago,
+            montoRecibido: metodoPago === "efectivo" ? montoRecibido : undefined,
+            referenciaTerminal: metodoPago === "terminal" ? referenciaTerminal : undefined
+        })
+    });
+
+    try {
+        let response = await registerSale();
+        let data = await response.json();
+
+        // La cotización venció (el servidor manda una nueva al precio actual) o ya no corresponde
+        // a la compra (se cambió un asiento o una tarifa): se vuelve a cotizar y el taquillero confirma
+        let requote = null;
+        if (data.code === "QUOTE_EXPIRED" && data.quote) {
+            if (!confirm(data.error)) {
+                throw new Error("Venta no registrada: el precio cambió");
+            }
+            requote = data.quote;
+        } else if (data.code === "QUOTE_MISMATCH") {
+            requote = await getConfirmedQuote(paymentData);
+            if (!requote) {
+                throw new Error("Venta no registrada: vuelve a cotizar la compra");
+            }
+        }
+        if (requote) {
+            if (metodoPago === "efectivo" && !(montoRecibido >= requote.total)) {
+                throw new Error(`El monto recibido no cubre el nuevo total de $${requote.total.toFixed(2)} MXN`);
+            }
+            paymentData.quoteToken = requote.quoteToken;
+            response = await registerSale();
+            data = await response.json();
+        }
+
+        if (!response.ok) {
+            throw new Error(data.error || "No se pudo registrar la venta");
+        }
+
+        showPurchaseResult(data);
+
+        const cambioEntregado = document.getElementById("cambioEntregado");
+        cambioEntregado.textContent = data.pago.metodo === "efectivo"
+            ? `Recibido: $${data.pago.montoRecibido.toFixed(2)} MXN · Cambio: $${data.pago.cambio.toFixed(2)} MXN`
+            : `Terminal bancaria · Autorización ${data.pago.referenciaTerminal}`;
+
+        // El boleto se entrega impreso en ventanilla
+        printTickets();
+    } catch (error) {
+        showError(error.message);
+        btnPagar.disabled = false;
+        btnPagar.innerHTML = '<i class="fas fa-cash-register mr-2"></i>Cobrar e imprimir';
+    }
+}
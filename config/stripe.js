@@ -35,7 +35,9 @@ const stripeConfig = {
     // Configuración de checkout
     checkout: {
         mode: 'payment', // payment, subscription, setup
-        allowPromotion: true,
+        // Los cupones se validan y descuentan en el servidor (utils/coupons.js);
+        // los códigos promocionales de Stripe duplicarían el descuento
+        allowPromotion: false,
         billingAddressCollection: 'auto',
         shippingAddressCollection: null,
         submitType: 'pay',
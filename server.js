@@ -1,9 +1,9 @@
 // backend/server.js
 import express from "express";
 import cors from "cors";
-import Stripe from "stripe";
 import dotenv from "dotenv";
 import path from "path";
+import crypto from "crypto";
 import { fileURLToPath } from "url";
 import {
 	loadRoutes,
@@ -12,21 +12,147 @@ import {
 	saveTickets,
 	loadBookings,
 	saveBookings,
+	loadOrders,
+	saveOrders,
+	loadLayouts,
+	saveLayouts,
+	loadFareCategories,
+	saveFareCategories,
+	loadWaitlist,
+	saveWaitlist,
+	loadAuditLog,
+	saveAuditLog,
+	loadClerks,
+	saveClerks,
+	loadShifts,
+	saveShifts,
+	loadCoupons,
+	saveCoupons,
+	loadPricingRules,
+	savePricingRules,
+	loadSeasons,
+	saveSeasons,
+	loadInvoices,
+	saveInvoices,
 	getUniqueCities
 } from "./utils/dataStore.js";
+import {
+	placeHold,
+	placeHoldItems,
+	getHold,
+	getHoldSeats,
+	getHeldSeats,
+	attachSessionToHold,
+	extendHold,
+	releaseHold,
+	releaseHoldBySession,
+	onHoldExpired,
+	startHoldSweeper
+} from "./utils/seatHolds.js";
+import {
+	getLayoutForSchedule,
+	buildSeatMap,
+	getSellableSeatNumbers,
+	validateLayout
+} from "./utils/busLayouts.js";
+import {
+	formatDurationMinutes,
+	normalizeRouteStops,
+	findRouteSegments,
+	getRouteStops,
+	getServiceEndpoints,
+	getSegmentTimes,
+	getSegmentPrice,
+	getSegmentRange,
+	segmentsOverlap,
+	encodeSeatEntry,
+	decodeSeatEntry
+} from "./utils/routeSegments.js";
+import { findItineraries, MIN_CONNECTION_MINUTES } from "./utils/itineraries.js";
+import {
+	getFareCategory,
+	applyFareDiscount,
+	checkCategoryDocument,
+	validateFareCategory,
+	DOCUMENT_TYPES
+} from "./utils/fareCategories.js";
+import {
+	getHoursBeforeDeparture,
+	getCancellationTerms,
+	describeCancellationPolicy
+} from "./utils/cancellationPolicy.js";
+import {
+	hashPin,
+	verifyPin,
+	validateClerk,
+	describeClerk,
+	createClerkSession,
+	getClerkSession,
+	endClerkSession,
+	endClerkSessions,
+	SALES_CHANNELS,
+	COUNTER_PAYMENT_METHODS
+} from "./utils/clerks.js";
+import {
+	parseCashAmount,
+	summarizeShift,
+	buildShiftClose
+} from "./utils/cashShifts.js";
+import {
+	normalizeCouponCode,
+	validateCoupon,
+	describeCouponDiscount,
+	checkCouponAvailability,
+	calculateCouponDiscount
+} from "./utils/coupons.js";
+import {
+	validatePricingConfig,
+	getDaysBeforeDeparture,
+	calculateDynamicPrice,
+	ADJUSTMENT_TYPES
+} from "./utils/pricingRules.js";
+import { validateSeason, getSeasonForDate, applySeasonSurcharge } from "./utils/seasons.js";
+import { createQuote, verifyQuote, QUOTE_SECRET_CONFIGURED } from "./utils/priceQuotes.js";
+import { calculateIvaBreakdown } from "./utils/taxes.js";
+import { normalizeRfc, validateReceptor, buildCfdiXml, formatSatDate, REGIMENES_FISCALES, USOS_CFDI } from "./utils/cfdi.js";
+import { createPacProvider } from "./utils/pacProvider.js";
+import { createBoardingCode, createBoardingCodeDigest, verifyBoardingCode, boardingCodeMatchesTicket, BOARDING_SECRET_CONFIGURED } from "./utils/boardingPasses.js";
+import { renderTicketsPdf } from "./utils/ticketPdf.js";
+import { createPaymentProvider } from "./utils/paymentProvider.js";
+import { MOCK_CHECKOUT_PATH } from "./utils/mockPaymentProvider.js";
 
 dotenv.config();
 const app = express();
 
 // Allow requests from the frontend (same origin if served statically)
 app.use(cors());
-app.use(express.json());
+// El webhook del proveedor de pago verifica su firma sobre el cuerpo original de la solicitud
+app.use(express.json({
+	verify: (req, res, buf) => {
+		req.rawBody = buf;
+	}
+}));
 
 // Resolve __dirname for ES modules
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-const stripe = new Stripe(process.env.STRIPE_SECRET_KEY);
+// Pasarela de pago: Stripe o el simulador local (PAYMENT_PROVIDER=mock)
+const paymentProvider = createPaymentProvider();
+if (paymentProvider.name === "mock") {
+	console.warn("🧪 Pagos simulados activos (PAYMENT_PROVIDER=mock): no se realizan cobros reales");
+}
+// Timbrado de facturas: PAC configurado o el timbrado local de prueba (PAC_PROVIDER=stub)
+const pacProvider = createPacProvider();
+if (pacProvider.name === "stub") {
+	console.warn("🧾 Timbrado de prueba activo (PAC_PROVIDER=stub): las facturas no tienen validez fiscal");
+}
+if (!QUOTE_SECRET_CONFIGURED) {
+	console.warn("⚠️  QUOTE_SECRET no configurado: las cotizaciones dejan de valer al reiniciar el servidor");
+}
+if (!BOARDING_SECRET_CONFIGURED) {
+	console.warn("⚠️  BOARDING_SECRET no configurado: los QR de los boletos se firman con la llave guardada en data/boardingSecret.json");
+}
 
 // ========================================
 // CARGAR DATOS DESDE ARCHIVOS (PERSISTENCIA)
@@ -34,11 +160,32 @@ const stripe = new Stripe(process.env.STRIPE_SECRET_KEY);
 let availableRoutes = loadRoutes();           // Cargar rutas desde archivo JSON
 let bookedSeatsByRoute = loadBookings();      // Cargar reservas desde archivo JSON
 let ticketDatabase = loadTickets();           // Cargar boletos desde archivo JSON
+let ordersById = loadOrders();                // Cargar órdenes de compra desde archivo JSON
+let busLayouts = loadLayouts();               // Cargar distribuciones de asientos desde archivo JSON
+let fareCategories = loadFareCategories();    // Cargar categorías de tarifa desde archivo JSON
+let waitlistById = loadWaitlist();            // Cargar lista de espera desde archivo JSON
+let auditLog = loadAuditLog();                // Cargar bitácora de auditoría desde archivo JSON
+let clerksById = loadClerks();                // Cargar taquilleros desde archivo JSON
+let shiftsById = loadShifts();                // Cargar turnos de caja desde archivo JSON
+let couponsByCode = loadCoupons();            // Cargar cupones de descuento desde archivo JSON
+let pricingRules = loadPricingRules();        // Cargar reglas de precio dinámico desde archivo JSON
+let seasonsById = loadSeasons();              // Cargar calendario de temporadas desde archivo JSON
+let invoicesById = loadInvoices();            // Cargar facturas (CFDI) desde archivo JSON
+
+// Los boletos emitidos antes del desglose de IVA lo calculan con lo que se pagó
+ticketDatabase.forEach(ticket => {
+	if (!ticket.desgloseIva) {
+		ticket.desgloseIva = calculateIvaBreakdown(ticket.amountPaid || 0);
+	}
+});
 
 console.log(`✅ Sistema iniciado con ${Object.keys(availableRoutes).length} rutas disponibles`);
 console.log(`✅ ${ticketDatabase.size} boletos en base de datos`);
 console.log(`✅ ${bookedSeatsByRoute.size} rutas con reservas activas`);
 
+// Liberar periódicamente los asientos apartados cuyo pago nunca se completó
+startHoldSweeper();
+
 // In-memory stores (replace with database in production)
 // const bookedSeatsByRoute = new Map(); // key: `${origen}|${destino}|${fecha}|${horario}` -> Set of seat numbers
 // const ticketDatabase = new Map(); // key: sessionId -> ticket data
@@ -47,500 +194,4391 @@ function getRouteKey(origen, destino, fecha, horario) {
 	return `${(origen || "").trim().toLowerCase()}|${(destino || "").trim().toLowerCase()}|${fecha}|${horario}`;
 }
 
+/**
+ * Tramo de ruta que usa un pasajero de origen a destino.
+ * horario es la salida del autobús desde el origen de la ruta; si varias rutas
+ * pasan por ambas ciudades, se usa la que tiene ese horario.
+ */
+function findSegment(origen, destino, horario) {
+	const segments = findRouteSegments(availableRoutes, origen, destino);
+	return segments.find(segment => segment.routeData.schedules.some(s => s.time === horario)) || segments[0] || null;
+}
+
+/**
+ * Clave de inventario de la salida completa que contiene el tramo.
+ * Sin ruta conocida se usa el par origen/destino tal cual.
+ */
+function getServiceKey(segment, origen, destino, fecha, horario) {
+	if (!segment) return getRouteKey(origen, destino, fecha, horario);
+	const { origin, destination } = getServiceEndpoints(segment);
+	return getRouteKey(origin, destination, fecha, horario);
+}
+
+/**
+ * Asientos vendidos en algún punto del trayecto de origen a destino
+ */
+function getBookedSeats(origen, destino, fecha, horario) {
+	const segment = findSegment(origen, destino, horario);
+	const entries = bookedSeatsByRoute.get(getServiceKey(segment, origen, destino, fecha, horario));
+	if (!entries) return [];
+
+	const range = segment ? getSegmentRange(segment) : null;
+	const seats = new Set();
+	entries.forEach(entry => {
+		const { seat, range: bookedRange } = decodeSeatEntry(entry, segment ? segment.stops : []);
+		if (segmentsOverlap(bookedRange, range)) {
+			seats.add(seat);
+		}
+	});
+	return Array.from(seats);
+}
+
+/**
+ * Asientos apartados (en proceso de pago) en algún punto del trayecto
+ */
+function getHeldSeatsForTrip(origen, destino, fecha, horario) {
+	const segment = findSegment(origen, destino, horario);
+	return getHeldSeats(getServiceKey(segment, origen, destino, fecha, horario), segment ? getSegmentRange(segment) : null);
+}
+
 function isSeatBooked(origen, destino, fecha, horario, asiento) {
-	const key = getRouteKey(origen, destino, fecha, horario);
-	const set = bookedSeatsByRoute.get(key);
-	return set ? set.has(String(asiento)) : false;
+	return getBookedSeats(origen, destino, fecha, horario).includes(String(asiento));
+}
+
+/**
+ * Salida y valor con que se guarda un asiento vendido en bookedSeatsByRoute
+ */
+function getSeatBooking(origen, destino, fecha, horario, asiento) {
+	const segment = findSegment(origen, destino, horario);
+	return {
+		key: getServiceKey(segment, origen, destino, fecha, horario),
+		// Solo se ocupa el tramo del pasajero; la ruta completa se guarda como el número de asiento
+		entry: segment ? encodeSeatEntry(segment, asiento) : String(asiento)
+	};
 }
 
 function bookSeat(origen, destino, fecha, horario, asiento) {
-	const key = getRouteKey(origen, destino, fecha, horario);
+	const { key, entry } = getSeatBooking(origen, destino, fecha, horario, asiento);
 	if (!bookedSeatsByRoute.has(key)) {
 		bookedSeatsByRoute.set(key, new Set());
 	}
-	bookedSeatsByRoute.get(key).add(String(asiento));
+	bookedSeatsByRoute.get(key).add(entry);
 	
 	// Guardar cambios en disco
 	saveBookings(bookedSeatsByRoute);
 }
 
-// ========================================
-// ENDPOINTS DE API
-// ========================================
-
-// API: Obtener rutas disponibles
-app.get("/api/routes", (req, res) => {
-	res.json(availableRoutes);
-});
-
-// API: Obtener ciudades únicas (para los selectores dinámicos)
-app.get("/api/cities", (req, res) => {
-	const cities = getUniqueCities(availableRoutes);
-	res.json({ cities });
-});
-
-// API: Obtener asientos ocupados para una ruta específica
-app.get("/api/occupied-seats", (req, res) => {
-	const { origen, destino, fecha, horario } = req.query;
+/**
+ * Pasar un asiento vendido a otro asiento o salida.
+ * Se libera el anterior y se ocupa el nuevo en el mismo paso y se guardan juntos,
+ * así nunca quedan ocupados los dos ni ninguno.
+ * @param {Object} from - { origen, destino, fecha, horario, asiento } actual
+ * @param {Object} to - { origen, destino, fecha, horario, asiento } nuevo
+ */
+function moveBookedSeat(from, to) {
+	removeSeatBooking(getSeatBooking(from.origen, from.destino, from.fecha, from.horario, from.asiento));
 	
-	if (!origen || !destino || !fecha || !horario) {
-		return res.status(400).json({ error: "Faltan parámetros requeridos" });
+	const next = getSeatBooking(to.origen, to.destino, to.fecha, to.horario, to.asiento);
+	if (!bookedSeatsByRoute.has(next.key)) {
+		bookedSeatsByRoute.set(next.key, new Set());
 	}
+	bookedSeatsByRoute.get(next.key).add(next.entry);
 	
-	const key = getRouteKey(origen, destino, fecha, horario);
-	const occupiedSeats = Array.from(bookedSeatsByRoute.get(key) || []);
-	
-	res.json({ occupiedSeats });
-});
+	saveBookings(bookedSeatsByRoute);
+}
 
-// API: Crear sesión de pago
-app.post("/api/create-checkout-session", async (req, res) => {
-	const { nombre, tipoDocumento, numeroDocumento, origen, destino, asiento, horario, fecha, precio, email, telefono, paymentMethod } = req.body || {};
+/**
+ * Liberar un asiento vendido (boleto cancelado)
+ */
+function releaseBookedSeat(origen, destino, fecha, horario, asiento) {
+	removeSeatBooking(getSeatBooking(origen, destino, fecha, horario, asiento));
+	saveBookings(bookedSeatsByRoute);
+}
 
-	if (!nombre || !origen || !destino || !asiento || !horario || !fecha || !numeroDocumento) {
-		return res.status(400).json({ error: "Faltan datos requeridos (nombre, documento, origen, destino, asiento, horario, fecha)" });
+/**
+ * Quitar una reserva de bookedSeatsByRoute sin guardar en disco
+ */
+function removeSeatBooking({ key, entry }) {
+	const entries = bookedSeatsByRoute.get(key);
+	if (!entries) return;
+	
+	entries.delete(entry);
+	if (entries.size === 0) {
+		bookedSeatsByRoute.delete(key);
 	}
+}
+
+function findSchedule(origen, destino, horario) {
+	const segment = findSegment(origen, destino, horario);
+	if (!segment) return { segment: null, routeData: null, schedule: null };
+	return { segment, routeData: segment.routeData, schedule: segment.routeData.schedules.find(s => s.time === horario) || null };
+}
+
+/**
+ * Horario visto desde el tramo del pasajero: hora de abordaje, llegada y precio del tramo
+ */
+function describeSegmentSchedule(segment, schedule) {
+	const { boardingTime, arrival, durationMinutes } = getSegmentTimes(segment, schedule);
+	return {
+		...schedule,
+		routeKey: segment.routeKey,
+		boardingTime,
+		arrival,
+		duration: formatDurationMinutes(durationMinutes),
+		price: getSegmentPrice(segment, schedule),
+		isFullRoute: segment.isFullRoute,
+		stops: segment.stops.slice(segment.fromIndex, segment.toIndex + 1).map(stop => stop.city)
+	};
+}
+
+/**
+ * Mapa de asientos del autobús que cubre un horario
+ * @returns {Object|null} Mapa de asientos o null si no hay layout configurado
+ */
+function getSeatMapForSchedule(schedule) {
+	const layout = getLayoutForSchedule(busLayouts, schedule);
+	return layout ? buildSeatMap(layout) : null;
+}
+
+/**
+ * Asientos que se pueden vender ahora en un trayecto (ni vendidos ni apartados)
+ */
+function getFreeSeatsForTrip(origen, destino, fecha, horario) {
+	const { schedule } = findSchedule(origen, destino, horario);
+	const seatMap = getSeatMapForSchedule(schedule);
+	if (!seatMap) return [];
+
+	const taken = new Set([
+		...getBookedSeats(origen, destino, fecha, horario),
+		...getHeldSeatsForTrip(origen, destino, fecha, horario)
+	]);
+	return Array.from(getSellableSeatNumbers(seatMap)).filter(seat => !taken.has(seat));
+}
 
-	// Verificar si el asiento está disponible
-	if (isSeatBooked(origen, destino, fecha, horario, asiento)) {
-		return res.status(409).json({ error: "El asiento seleccionado no está disponible" });
+// Con estos asientos libres o menos una salida se marca como "últimos asientos"
+const LAST_SEATS_THRESHOLD = Math.max(1, parseInt(process.env.LAST_SEATS_THRESHOLD, 10) || 5);
+
+/**
+ * Disponibilidad de una salida en la fecha para el trayecto del pasajero
+ * @returns {{capacity: number, seatsLeft: number, soldOut: boolean, lastSeats: boolean}}
+ */
+function getTripAvailability(origen, destino, fecha, horario) {
+	const { schedule } = findSchedule(origen, destino, horario);
+	const seatMap = getSeatMapForSchedule(schedule);
+	const seatsLeft = getFreeSeatsForTrip(origen, destino, fecha, horario).length;
+	return {
+		capacity: seatMap ? seatMap.capacity : 0,
+		seatsLeft,
+		soldOut: seatsLeft === 0,
+		lastSeats: seatsLeft > 0 && seatsLeft <= LAST_SEATS_THRESHOLD
+	};
+}
+
+/**
+ * Ocupación (%) de una salida en el trayecto del pasajero, según los asientos vendidos
+ */
+function getTripOccupancy(origen, destino, fecha, horario) {
+	const { schedule } = findSchedule(origen, destino, horario);
+	const seatMap = getSeatMapForSchedule(schedule);
+	if (!seatMap || seatMap.capacity === 0) return 0;
+	return Math.min(100, roundMoney(getBookedSeats(origen, destino, fecha, horario).length * 100 / seatMap.capacity));
+}
+
+/**
+ * Zona horaria de las terminales: las fechas de las salidas son días locales, no días UTC
+ */
+const TERMINAL_TIME_ZONE = process.env.TERMINAL_TIME_ZONE || "America/Mexico_City";
+
+/**
+ * Día (YYYY-MM-DD) de una fecha en la zona horaria de las terminales
+ */
+function getTerminalDay(date = new Date()) {
+	return new Intl.DateTimeFormat("en-CA", { timeZone: TERMINAL_TIME_ZONE, year: "numeric", month: "2-digit", day: "2-digit" }).format(date);
+}
+
+/**
+ * Tarifa dinámica de un tramo en una fecha: la tarifa del horario ajustada por las reglas
+ * de precio según la ocupación de la salida y los días que faltan para ella, más el recargo
+ * de la temporada en la que cae la fecha
+ * @returns {{price: number, basePrice: number, adjustment: number, rules: Array, season: Object|null}}
+ *   Ver calculateDynamicPrice y getSeasonForDate
+ */
+function getDynamicSegmentPrice(segment, schedule, { origen, destino, fecha }) {
+	const today = getTerminalDay();
+	const dynamic = calculateDynamicPrice(pricingRules, getSegmentPrice(segment, schedule), {
+		routeKey: segment.routeKey,
+		scheduleType: schedule.type,
+		occupancy: getTripOccupancy(origen, destino, fecha, schedule.time),
+		daysBefore: getDaysBeforeDeparture(fecha, today)
+	});
+	const season = getSeasonForDate(seasonsById, fecha);
+	return { ...dynamic, price: applySeasonSurcharge(dynamic.price, season), season };
+}
+
+// Máximo de asientos (pasajeros) en una sola compra
+const MAX_SEATS_PER_PURCHASE = 10;
+
+// Descuento (%) en los tramos de regreso de un viaje redondo; 0 lo desactiva
+const RETURN_TRIP_DISCOUNT_PERCENT = Math.min(100, Math.max(0, parseFloat(process.env.RETURN_TRIP_DISCOUNT_PERCENT) || 0));
+
+function roundMoney(amount) {
+	return Math.round(amount * 100) / 100;
+}
+
+// Sin 0/O ni 1/I para que la referencia se pueda dictar por teléfono
+const REFERENCE_ALPHABET = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789";
+
+/**
+ * Generar la referencia de reservación de una compra (p. ej. "TB-7K4M9Q").
+ * Todos los boletos de la compra (ida y regreso) la comparten.
+ */
+function generateReservationReference() {
+	let reference;
+	do {
+		const bytes = crypto.randomBytes(6);
+		reference = "TB-" + Array.from(bytes, byte => REFERENCE_ALPHABET[byte % REFERENCE_ALPHABET.length]).join("");
+	} while (Array.from(ordersById.values()).some(order => order.referencia === reference));
+	return reference;
+}
+
+/**
+ * Normalizar la lista de pasajeros de una compra.
+ * Acepta también el formato de un solo pasajero (nombre/asiento en la raíz del body).
+ */
+function getPassengersFromBody(body) {
+	if (Array.isArray(body.pasajeros) && body.pasajeros.length > 0) {
+		return body.pasajeros;
 	}
+	const { nombre, tipoDocumento, numeroDocumento, asiento } = body;
+	return [{ nombre, tipoDocumento, numeroDocumento, asiento }];
+}
 
-	// Validar que la ruta existe
-	const routeKey = `${origen}-${destino}`;
-	const routeData = availableRoutes[routeKey];
-	if (!routeData) {
-		return res.status(400).json({ error: "Ruta no válida" });
+/**
+ * Normalizar los tramos de una compra (un viaje con conexión tiene varios).
+ * Sin "tramos" en el body, la compra es un solo viaje con el asiento de cada pasajero.
+ * @returns {Array<{origen, destino, fecha, horario, asientos}>} asientos alineados con los pasajeros
+ */
+function getLegsFromBody(body, pasajeros) {
+	if (Array.isArray(body.tramos) && body.tramos.length > 0) {
+		return body.tramos.map(tramo => ({
+			origen: tramo.origen,
+			destino: tramo.destino,
+			fecha: tramo.fecha,
+			horario: tramo.horario,
+			sentido: tramo.sentido === "regreso" ? "regreso" : "ida",
+			asientos: Array.isArray(tramo.asientos) ? tramo.asientos.map(asiento => (asiento ? String(asiento) : "")) : []
+		}));
 	}
+	const { origen, destino, fecha, horario } = body;
+	return [{ origen, destino, fecha, horario, sentido: "ida", asientos: pasajeros.map(p => (p && p.asiento ? String(p.asiento) : "")) }];
+}
 
-	// Obtener precio correcto según el horario
-	const selectedSchedule = routeData.schedules.find(s => s.time === horario);
-	const finalPrice = selectedSchedule ? selectedSchedule.price : routeData.basePrice;
+/**
+ * Tarifa de un tramo según su horario, las reglas de precio dinámico y la temporada de la salida
+ * (con el descuento del regreso en un viaje redondo), junto con la ruta y la clase de servicio.
+ * @returns {Object|null} { segment, routeData, schedule, precio, ruta, clase, temporada } o null si la ruta no existe
+ */
+function getLegFare({ origen, destino, fecha, horario, sentido }) {
+	const { segment, routeData, schedule } = findSchedule(origen, destino, horario);
+	if (!routeData) return null;
 
-	try {
-		const baseUrl = process.env.FRONTEND_BASE_URL || `${req.protocol}://${req.get("host")}`;
-		
-		// Configurar métodos de pago según la selección
-		const paymentMethodTypes = [];
-		
-		switch(paymentMethod) {
-			case 'oxxo':
-				paymentMethodTypes.push('oxxo');
-				break;
-			case 'spei':
-				paymentMethodTypes.push('customer_balance');
-				break;
-			case 'cash':
-				paymentMethodTypes.push('oxxo'); // OXXO como método de efectivo
-				break;
-			case 'card':
-			default:
-				paymentMethodTypes.push('card');
-				break;
-		}
-		
-		const sessionConfig = {
-			payment_method_types: paymentMethodTypes,
-			mode: "payment",
-			line_items: [
-				{
-					price_data: {
-						currency: "mxn", // Cambio a pesos mexicanos
-						product_data: {
-							name: `TransBus: ${origen} → ${destino}`,
-							description: `Viaje del ${fecha} a las ${horario} - Asiento ${asiento}\nPasajero: ${nombre}\nDocumento: ${tipoDocumento} ${numeroDocumento}`,
-						},
-						unit_amount: Math.round(finalPrice * 100), // Convertir a centavos
-					},
-					quantity: 1,
-				},
-			],
-			success_url: `${baseUrl}/index.html?success=true&session_id={CHECKOUT_SESSION_ID}`,
-			cancel_url: `${baseUrl}/index.html?canceled=true`,
-			metadata: { 
-				nombre, 
-				tipoDocumento: tipoDocumento || 'N/A',
-				numeroDocumento,
-				origen, 
-				destino, 
-				asiento: String(asiento), 
-				horario,
-				fecha,
-				precio: finalPrice.toString(),
-				email: email || 'N/A',
-				telefono: telefono || 'N/A',
-				paymentMethod: paymentMethod || 'card'
-			},
-			customer_email: email || undefined,
-		};
-		
-		// Configuración específica para OXXO
-		if (paymentMethod === 'oxxo' || paymentMethod === 'cash') {
-			sessionConfig.payment_method_options = {
-				oxxo: {
-					expires_after_days: 3 // El voucher expira en 3 días
-				}
-			};
-		}
-		
-		// Configuración para SPEI
-		if (paymentMethod === 'spei') {
-			sessionConfig.payment_method_options = {
-				customer_balance: {
-					funding_type: 'bank_transfer',
-					bank_transfer: {
-						type: 'mx_bank_transfer'
-					}
-				}
-			};
-		}
-		
-		const session = await stripe.checkout.sessions.create(sessionConfig);
+	// Obtener precio correcto según el horario, el tramo, la demanda y la temporada de la salida
+	const dynamic = schedule ? getDynamicSegmentPrice(segment, schedule, { origen, destino, fecha }) : null;
+	const precio = dynamic ? dynamic.price : routeData.basePrice;
+	const temporada = dynamic ? dynamic.season : getSeasonForDate(seasonsById, fecha);
+	const returnDiscount = sentido === "regreso" && !(temporada && temporada.blockDiscounts) ? RETURN_TRIP_DISCOUNT_PERCENT : 0;
+	return {
+		segment,
+		routeData,
+		schedule,
+		precio: returnDiscount > 0 ? roundMoney(precio * (100 - returnDiscount) / 100) : precio,
+		ruta: segment.routeKey,
+		clase: schedule ? schedule.type : null,
+		temporada
+	};
+}
 
-		return res.json({ url: session.url });
-	} catch (err) {
-		console.error("Error creating checkout session:", err);
-		return res.status(500).json({ error: "Error interno del servidor: " + err.message });
-	}
-});
+/**
+ * Tarifa de un pasajero en un tramo con el descuento de su categoría,
+ * salvo en una temporada que bloquea los descuentos
+ * @param {Object} leg - Tramo con su precio y temporada (ver getLegFare)
+ * @param {Object} category - Categoría de tarifa del pasajero
+ */
+function getPassengerFare(leg, category) {
+	return leg.temporada && leg.temporada.blockDiscounts ? leg.precio : applyFareDiscount(leg.precio, category);
+}
 
-// API: Verificar sesión de pago y confirmar reserva
-app.get("/api/checkout/session", async (req, res) => {
-	const { session_id } = req.query || {};
-	
-	if (!session_id) {
-		return res.status(400).json({ error: "Falta session_id" });
+/**
+ * Validar un tramo de la compra y calcular su precio y horarios.
+ * @returns {{leg: Object}|{status: number, body: Object}} Tramo listo para apartar o error HTTP
+ */
+function prepareCheckoutLeg({ origen, destino, fecha, horario, sentido, asientos }) {
+	if (new Set(asientos).size !== asientos.length) {
+		return { status: 400, body: { error: "Cada pasajero debe tener un asiento distinto" } };
 	}
 
-	try {
-		const session = await stripe.checkout.sessions.retrieve(String(session_id));
-		
-		if (!session) {
-			return res.status(404).json({ error: "Sesión no encontrada" });
-		}
+	// Verificar que todos los asientos estén disponibles
+	const unavailableSeats = asientos.filter(asiento => isSeatBooked(origen, destino, fecha, horario, asiento));
+	if (unavailableSeats.length > 0) {
+		return {
+			status: 409,
+			body: { error: `Los asientos seleccionados no están disponibles: ${unavailableSeats.join(", ")}`, unavailableSeats }
+		};
+	}
 
-		if (session.payment_status !== "paid") {
-			return res.status(402).json({ error: "Pago no confirmado" });
-		}
+	// Validar que la ruta existe (directa o como tramo de una ruta con paradas)
+	const fare = getLegFare({ origen, destino, fecha, horario, sentido });
+	if (!fare) {
+		return { status: 400, body: { error: "Ruta no válida" } };
+	}
+	const { segment, schedule } = fare;
 
-		const { nombre, origen, destino, asiento, horario, fecha, precio } = session.metadata || {};
-		
-		if (!nombre || !origen || !destino || !asiento || !horario || !fecha) {
-			return res.status(500).json({ error: "Datos de sesión incompletos" });
+	// Rechazar asientos que no existen en el autobús de este horario
+	const seatMap = getSeatMapForSchedule(schedule);
+	if (seatMap) {
+		const sellableSeats = getSellableSeatNumbers(seatMap);
+		const invalidSeats = asientos.filter(asiento => !sellableSeats.has(asiento));
+		if (invalidSeats.length > 0) {
+			return {
+				status: 400,
+				body: { error: `Los asientos ${invalidSeats.join(", ")} no existen en el autobús de este horario (${seatMap.name})`, invalidSeats }
+			};
 		}
+	}
 
-		// Reservar el asiento si el pago fue exitoso
-		if (!isSeatBooked(origen, destino, fecha, horario, asiento)) {
-			bookSeat(origen, destino, fecha, horario, asiento);
-		}
+	const tripTimes = schedule ? getSegmentTimes(segment, schedule) : null;
 
-		// Guardar el boleto en la base de datos temporal
-		const ticketData = {
-			sessionId: session.id,
-			nombre,
+	return {
+		leg: {
 			origen,
 			destino,
-			asiento,
-			horario,
 			fecha,
-			precio: parseFloat(precio),
-			amountPaid: session.amount_total / 100,
-			currency: session.currency,
-			createdAt: new Date().toISOString(),
-			paymentStatus: "paid"
-		};
-
-		ticketDatabase.set(session.id, ticketData);
+			horario,
+			horaAbordaje: tripTimes ? tripTimes.boardingTime : horario,
+			horaLlegada: tripTimes ? tripTimes.arrival : null,
+			sentido,
+			asientos,
+			precio: fare.precio,
+			ruta: fare.ruta,
+			clase: fare.clase,
+			temporada: fare.temporada,
+			holdItem: {
+				routeKey: getServiceKey(segment, origen, destino, fecha, horario),
+				seats: asientos,
+				range: getSegmentRange(segment)
+			}
+		}
+	};
+}
 
-		// Guardar boleto en disco
-		saveTickets(ticketDatabase);
+/**
+ * Tramos de una orden con el asiento y precio de cada pasajero.
+ * Las órdenes de un solo viaje anteriores a las conexiones no guardan "tramos".
+ */
+function getOrderLegs(order) {
+	if (Array.isArray(order.tramos) && order.tramos.length > 0) {
+		return order.tramos;
+	}
+	const { origen, destino, fecha, horario, horaAbordaje, horaLlegada, pasajeros } = order;
+	return [{
+		origen,
+		destino,
+		fecha,
+		horario,
+		horaAbordaje,
+		horaLlegada,
+		sentido: "ida",
+		pasajeros: pasajeros.map(({ asiento, precio }) => ({ asiento, precio }))
+	}];
+}
 
-		return res.json({
-			status: "paid",
-			sessionId: session.id,
-			amountTotal: session.amount_total,
-			currency: session.currency,
-			boleto: { nombre, origen, destino, asiento, horario, fecha }
-		});
+/**
+ * Clave de la salida (autobús) en la que viaja un boleto o tramo
+ */
+function getTripServiceKey({ origen, destino, fecha, horario }) {
+	return getServiceKey(findSegment(origen, destino, horario), origen, destino, fecha, horario);
+}
 
+/**
+ * Boletos de una categoría de tarifa ocupados en una salida: los vendidos más
+ * los de compras pendientes cuya retención sigue vigente.
+ */
+function countFareCategoryUsage(serviceKey, categoryId) {
+	const isCategory = categoria => (categoria || fareCategories.defaultCategory) === categoryId;
+	let count = 0;
+
+	ticketDatabase.forEach(ticket => {
+		if (ticket.paymentStatus !== "paid") return;
+		if (isCategory(ticket.categoria) && getTripServiceKey(ticket) === serviceKey) count++;
+	});
+
+	ordersById.forEach(order => {
+		if (order.status !== "pending" || !getHold(order.holdId)) return;
+		getOrderLegs(order).forEach(leg => {
+			if (getTripServiceKey(leg) !== serviceKey) return;
+			count += order.pasajeros.filter(pasajero => isCategory(pasajero.categoria)).length;
+		});
+	});
+
+	return count;
+}
+
+/**
+ * Boletos que aún se pueden vender de una categoría en una salida
+ * @returns {number|null} Lugares restantes o null si la categoría no tiene cupo
+ */
+function getFareCategoryRemaining(serviceKey, category) {
+	if (category.quotaPerDeparture === null || category.quotaPerDeparture === undefined) return null;
+	return Math.max(0, category.quotaPerDeparture - countFareCategoryUsage(serviceKey, category.id));
+}
+
+/**
+ * Verificar que una salida tenga cupo para las categorías de los pasajeros
+ * @returns {string|null} Mensaje de error o null si hay cupo para todos
+ */
+function getFareQuotaError(serviceKey, categories) {
+	const requested = new Map();
+	categories.forEach(category => requested.set(category, (requested.get(category) || 0) + 1));
+
+	for (const [category, count] of requested) {
+		const remaining = getFareCategoryRemaining(serviceKey, category);
+		if (remaining !== null && count > remaining) {
+			return remaining === 0
+				? `Se agotaron los boletos con tarifa ${category.name} en esta salida`
+				: `Solo ${remaining === 1 ? "queda 1 boleto" : `quedan ${remaining} boletos`} con tarifa ${category.name} en esta salida`;
+		}
+	}
+	return null;
+}
+
+// ========================================
+// CUPONES DE DESCUENTO
+// ========================================
+
+/**
+ * Email del cliente normalizado para contar sus usos de un cupón
+ * @returns {string|null} Email en minúsculas o null si la compra no trae email
+ */
+function getCustomerKey(email) {
+	const customer = String(email || "").trim().toLowerCase();
+	return customer && customer !== "n/a" ? customer : null;
+}
+
+/**
+ * Compras que usaron un cupón: las pagadas más las pendientes cuya retención sigue vigente.
+ * @param {string} code - Código del cupón
+ * @param {string|null} [customer] - Contar solo las compras de este cliente (getCustomerKey)
+ */
+function countCouponUses(code, customer = null) {
+	let count = 0;
+	ordersById.forEach(order => {
+		if (!order.cupon || order.cupon.code !== code) return;
+		if (order.status !== "paid" && !(order.status === "pending" && getHold(order.holdId))) return;
+		if (customer && getCustomerKey(order.email) !== customer) return;
+		count++;
+	});
+	return count;
+}
+
+/**
+ * Aplicar un cupón a una compra
+ * @param {string} code - Código capturado por el cliente
+ * @param {Array} legs - Tramos de la compra con su ruta y clase de servicio ({ ruta, clase })
+ * @param {Array<Array<number>>} fares - Tarifa de cada pasajero en cada tramo (ya con el descuento de su categoría)
+ * @param {string} [email] - Email del cliente (para el límite de usos por cliente)
+ * @returns {{coupon: Object, discounts: Array<Array<number>>, total: number}|{status: number, error: string}}
+ *   Descuento de cada pasajero en cada tramo y total, o error HTTP
+ */
+function applyCouponToPurchase(code, legs, fares, email) {
+	const coupon = couponsByCode.get(normalizeCouponCode(code));
+	if (!coupon) {
+		return { status: 404, error: `El cupón ${normalizeCouponCode(code)} no existe` };
+	}
+
+	const customer = getCustomerKey(email);
+	const availabilityError = checkCouponAvailability(coupon, {
+		today: getTerminalDay(),
+		uses: countCouponUses(coupon.code),
+		customerUses: customer ? countCouponUses(coupon.code, customer) : 0,
+		customer
+	});
+	if (availabilityError) {
+		return { status: 400, error: availabilityError };
+	}
+
+	// Las salidas en temporada sin cupones no reciben descuento
+	const blockedLegs = legs.filter(leg => leg.temporada && leg.temporada.blockCoupons);
+	if (blockedLegs.length === legs.length) {
+		return { status: 400, error: `Los cupones no aplican en temporada: ${blockedLegs[0].temporada.name}` };
+	}
+
+	const seats = legs.flatMap((leg, legIndex) => fares[legIndex].map(precio => ({
+		precio,
+		routeKey: leg.ruta,
+		scheduleType: leg.clase,
+		blackout: Boolean(leg.temporada && leg.temporada.blockCoupons)
+	})));
+	const result = calculateCouponDiscount(coupon, seats);
+	if (result.error) {
+		return { status: 400, error: result.error };
+	}
+
+	// Volver a agrupar el descuento de cada boleto por tramo
+	let offset = 0;
+	const discounts = fares.map(legFares => {
+		const legDiscounts = result.discounts.slice(offset, offset + legFares.length);
+		offset += legFares.length;
+		return legDiscounts;
+	});
+
+	return { coupon, discounts, total: result.total };
+}
+
+function getTicketsBySession(sessionId) {
+	return Array.from(ticketDatabase.values()).filter(ticket => ticket.sessionId === sessionId);
+}
+
+/**
+ * Obtener la orden de compra de una sesión de Stripe.
+ * Las sesiones creadas antes de existir las órdenes traen un solo pasajero en metadata.
+ */
+function getOrderForSession(session) {
+	const metadata = session.metadata || {};
+	
+	if (metadata.orderId) {
+		return ordersById.get(metadata.orderId) || null;
+	}
+	
+	const { nombre, tipoDocumento, numeroDocumento, origen, destino, asiento, horario, fecha, precio, email, telefono } = metadata;
+	if (!nombre || !origen || !destino || !asiento || !horario || !fecha) {
+		return null;
+	}
+	
+	return {
+		id: null,
+		origen,
+		destino,
+		fecha,
+		horario,
+		pasajeros: [{ nombre, tipoDocumento, numeroDocumento, asiento, precio: parseFloat(precio) }],
+		email,
+		telefono
+	};
+}
+
+/**
+ * Emitir los boletos de una sesión pagada: reserva los asientos y crea un boleto por pasajero.
+ * Es idempotente: si la sesión ya tiene boletos, devuelve los existentes.
+ * @returns {Array|null} Boletos de la sesión (vacío si sus asientos ya estaban vendidos) o null si la sesión no tiene datos suficientes
+ */
+function issueTicketsForSession(session) {
+	const existingTickets = getTicketsBySession(session.id);
+	if (existingTickets.length > 0) {
+		return existingTickets;
+	}
+
+	const order = getOrderForSession(session);
+	if (!order) {
+		return null;
+	}
+	
+	// La orden ya se rechazó por asientos vendidos (el evento puede llegar repetido)
+	if (order.status === "unfulfilled") {
+		return [];
+	}
+
+	return issueTicketsForOrder(order, {
+		sessionId: session.id,
+		amountTotal: session.amount_total / 100,
+		currency: session.currency
+	});
+}
+
+/**
+ * Emitir los boletos de una orden pagada (en línea o en taquilla)
+ * @param {Object} order - Orden de compra
+ * @param {Object} payment - { sessionId, amountTotal (pesos), currency } y, en taquilla, { canal, taquillero, metodoPago, turnoId }
+ * @returns {Array} Boletos emitidos; vacío si alguno de los asientos ya estaba vendido
+ */
+function issueTicketsForOrder(order, { sessionId, amountTotal, currency, canal = "web", taquillero = null, metodoPago = null, turnoId = null }) {
+	const legs = getOrderLegs(order);
+	// Un boleto por pasajero en cada tramo
+	const seats = legs.flatMap((leg, legIndex) => leg.pasajeros.map((seat, passengerIndex) => ({
+		leg,
+		legIndex,
+		pasajero: order.pasajeros[passengerIndex],
+		asiento: seat.asiento,
+		precio: seat.precio,
+		descuentoCupon: seat.descuentoCupon || 0
+	})));
+	
+	// Un pago de OXXO o SPEI puede llegar cuando su retención ya venció y el asiento se vendió:
+	// no se emiten boletos duplicados, la orden se rechaza y lo cobrado se reembolsa
+	const soldSeats = seats.filter(({ leg, asiento }) => isSeatBooked(leg.origen, leg.destino, leg.fecha, leg.horario, asiento));
+	if (soldSeats.length > 0) {
+		rejectOrderWithSoldSeats(order, { sessionId, amountTotal, soldSeats });
+		return [];
+	}
+	
+	const orderTotal = seats.reduce((sum, seat) => sum + seat.precio, 0);
+	const createdAt = new Date().toISOString();
+	let remaining = amountTotal;
+
+	const tickets = seats.map(({ leg, legIndex, pasajero, asiento, precio, descuentoCupon }, index) => {
+		const { origen, destino, fecha, horario } = leg;
+
+		// Reservar el asiento ahora que el pago fue exitoso
+		bookSeat(origen, destino, fecha, horario, asiento);
+
+		// Repartir el monto cobrado en proporción a la tarifa de cada boleto
+		const isLast = index === seats.length - 1;
+		const amountPaid = isLast
+			? roundMoney(remaining)
+			: roundMoney(orderTotal > 0 ? amountTotal * precio / orderTotal : 0);
+		remaining -= amountPaid;
+
+		const ticket = {
+			ticketId: `${sessionId}-${index + 1}`,
+			sessionId,
+			orderId: order.id,
+			nombre: pasajero.nombre,
+			tipoDocumento: pasajero.tipoDocumento,
+			numeroDocumento: pasajero.numeroDocumento,
+			categoria: pasajero.categoria || fareCategories.defaultCategory,
+			categoriaNombre: pasajero.categoriaNombre || (getFareCategory(fareCategories, pasajero.categoria) || {}).name || null,
+			origen,
+			destino,
+			asiento,
+			horario,
+			horaAbordaje: leg.horaAbordaje || horario,
+			horaLlegada: leg.horaLlegada || null,
+			fecha,
+			tramo: legIndex + 1,
+			totalTramos: legs.length,
+			sentido: leg.sentido || "ida",
+			referencia: order.referencia || null,
+			precio,
+			cupon: order.cupon ? order.cupon.code : null,
+			descuentoCupon,
+			amountPaid,
+			desgloseIva: calculateIvaBreakdown(amountPaid),
+			currency,
+			email: order.email,
+			telefono: order.telefono,
+			canal,
+			taquillero,
+			metodoPago: metodoPago || order.paymentMethod || "card",
+			turnoId,
+			createdAt,
+			paymentStatus: "paid"
+		};
+
+		ticketDatabase.set(ticket.ticketId, ticket);
+		return ticket;
+	});
+
+	// Guardar boletos en disco
+	saveTickets(ticketDatabase);
+
+	if (order.id) {
+		order.status = "paid";
+		order.paidAt = createdAt;
+		saveOrders(ordersById);
+	}
+
+	// Los asientos ya están vendidos: la retención deja de ser necesaria
+	releaseHoldBySession(sessionId);
+
+	return tickets;
+}
+
+/**
+ * Rechazar una orden pagada cuyos asientos ya se vendieron: no se emiten boletos y
+ * lo cobrado se reembolsa completo. Si el reembolso falla, la orden y la
+ * bitácora lo registran como fallido para que el administrador lo atienda.
+ * @param {Object} order - Orden de compra
+ * @param {Object} payment - { sessionId, amountTotal (pesos), soldSeats }
+ */
+function rejectOrderWithSoldSeats(order, { sessionId, amountTotal, soldSeats }) {
+	const asientos = soldSeats.map(({ leg, asiento }) => `${leg.origen} → ${leg.destino} ${leg.fecha} ${leg.horario} asiento ${asiento}`);
+	const rechazo = {
+		fecha: new Date().toISOString(),
+		motivo: `Asientos vendidos antes de confirmar el pago: ${soldSeats.map(seat => seat.asiento).join(", ")}`,
+		asientos,
+		pagado: amountTotal,
+		reembolso: { estado: "pendiente", refundId: null }
+	};
+	
+	if (order.id) {
+		order.status = "unfulfilled";
+		order.sessionId = order.sessionId || sessionId;
+		order.rechazo = rechazo;
+		saveOrders(ordersById);
+	}
+	
+	if (releaseHoldBySession(sessionId)) {
+		processWaitlist();
+	}
+	console.warn(`⚠️ Orden ${order.referencia || sessionId} pagada con asientos ya vendidos (${asientos.join("; ")}): se reembolsan $${amountTotal}`);
+	
+	paymentProvider.refundPayment({
+		sessionId,
+		amount: Math.round(amountTotal * 100),
+		metadata: { referencia: order.referencia || sessionId },
+		// Un evento repetido no reembolsa dos veces
+		idempotencyKey: `rechazo-${sessionId}`
+	}).then(refund => {
+		rechazo.reembolso = { estado: refund.status, refundId: refund.id };
+	}).catch(err => {
+		rechazo.reembolso = { estado: "fallido", refundId: null, error: err.message };
+		console.error(`Reembolso fallido de la sesión ${sessionId}:`, err.message);
+	}).finally(() => {
+		if (order.id) saveOrders(ordersById);
+		addAuditEntry("pago_sin_asiento", "sistema", { sessionId, referencia: order.referencia || null, ...rechazo });
+	});
+}
+
+// ========================================
+// LISTA DE ESPERA
+// ========================================
+
+/**
+ * Solicitudes de una salida en orden de llegada
+ * @param {string} routeKey - Clave de la salida (getRouteKey)
+ * @param {Array<string>} statuses - Estados a incluir
+ */
+function getWaitlistEntries(routeKey, statuses) {
+	return Array.from(waitlistById.values())
+		.filter(entry => entry.routeKey === routeKey && statuses.includes(entry.status))
+		.sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+}
+
+/**
+ * Posición de una solicitud entre las que siguen esperando en su salida (1 = la siguiente)
+ */
+function getWaitlistPosition(entry) {
+	if (entry.status !== "waiting") return null;
+	return getWaitlistEntries(entry.routeKey, ["waiting"]).findIndex(e => e.id === entry.id) + 1;
+}
+
+/**
+ * Oferta vigente de la lista de espera para un enlace de reclamo
+ */
+function findWaitlistOffer(token) {
+	const entry = Array.from(waitlistById.values()).find(e => e.status === "offered" && e.offer && e.offer.token === token);
+	return entry && getHold(entry.offer.holdId) ? entry : null;
+}
+
+/**
+ * Descartar una orden pendiente que no llegó a la pasarela de pago.
+ * Si venía de un enlace de la lista de espera, los asientos vuelven a apartarse para
+ * la oferta y el enlace sigue sirviendo; si no, se liberan.
+ * @param {Object} order - Orden pendiente
+ * @param {Object} hold - Retención de la orden
+ */
+function discardPendingOrder(order, hold) {
+	ordersById.delete(order.id);
+
+	const entry = Array.from(waitlistById.values()).find(e => e.status === "claimed" && e.orderId === order.id);
+	const offerHold = entry ? placeHoldItems(hold.items, { replacesHoldId: hold.id }) : null;
+	if (offerHold) {
+		entry.status = "offered";
+		entry.orderId = null;
+		entry.offer.holdId = offerHold.id;
+		entry.offer.expiresAt = new Date(offerHold.expiresAt).toISOString();
+		saveWaitlist(waitlistById);
+	} else {
+		releaseHold(hold.id);
+	}
+	processWaitlist();
+}
+
+/**
+ * Ofrecer los asientos libres a las siguientes personas de la lista de espera.
+ * Cada oferta aparta los asientos con una retención normal; si el enlace no se usa
+ * antes de que expire, los asientos pasan a la siguiente persona.
+ * Se respeta el orden de llegada: si la primera solicitud de una salida no cabe,
+ * las siguientes de esa salida siguen esperando.
+ */
+function processWaitlist() {
+	const today = getTerminalDay();
+	const waiting = Array.from(waitlistById.values()).filter(entry => entry.status === "waiting");
+	const departures = new Set(waiting.map(entry => entry.routeKey));
+	let changed = false;
+
+	departures.forEach(routeKey => {
+		for (const entry of getWaitlistEntries(routeKey, ["waiting"])) {
+			// La salida ya pasó: la solicitud ya no se puede atender
+			if (entry.fecha < today) {
+				entry.status = "expired";
+				changed = true;
+				continue;
+			}
+
+			const freeSeats = getFreeSeatsForTrip(entry.origen, entry.destino, entry.fecha, entry.horario);
+			if (freeSeats.length < entry.pasajeros) break;
+
+			const segment = findSegment(entry.origen, entry.destino, entry.horario);
+			const seats = freeSeats.slice(0, entry.pasajeros);
+			const hold = placeHold(getServiceKey(segment, entry.origen, entry.destino, entry.fecha, entry.horario), seats, segment ? getSegmentRange(segment) : null);
+			if (!hold) break;
+
+			entry.status = "offered";
+			entry.offer = {
+				token: crypto.randomBytes(16).toString("hex"),
+				holdId: hold.id,
+				asientos: seats,
+				offeredAt: new Date().toISOString(),
+				expiresAt: new Date(hold.expiresAt).toISOString()
+			};
+			changed = true;
+			console.log(`📨 Lista de espera: asientos ${seats.join(", ")} ofrecidos a ${entry.nombre} (${entry.email || entry.telefono}) - /index.html?claim=${entry.offer.token}`);
+		}
+	});
+
+	if (changed) {
+		saveWaitlist(waitlistById);
+	}
+}
+
+// Una oferta no reclamada a tiempo hace perder el turno; los asientos de cualquier
+// retención vencida se ofrecen a la lista de espera. Se difiere porque la expiración
+// se detecta mientras se consultan los asientos apartados.
+onHoldExpired(hold => {
+	const entry = Array.from(waitlistById.values()).find(e => e.status === "offered" && e.offer.holdId === hold.id);
+	if (entry) {
+		entry.status = "expired";
+		saveWaitlist(waitlistById);
+	}
+	setImmediate(processWaitlist);
+});
+
+// ========================================
+// CAMBIOS DE BOLETO
+// ========================================
+
+/**
+ * Un boleto es parte de un viaje con conexión si su compra tiene otro tramo en el mismo sentido
+ */
+function isConnectionTicket(ticket) {
+	if (!ticket.totalTramos || ticket.totalTramos < 2) return false;
+	return getTicketsBySession(ticket.sessionId).some(other =>
+		other.ticketId !== ticket.ticketId && other.nombre === ticket.nombre && other.sentido === ticket.sentido
+	);
+}
+
+/**
+ * Validar y cotizar el cambio de un boleto a otro asiento u otra salida del mismo trayecto.
+ * La tarifa nueva conserva la categoría del pasajero y el descuento de regreso de la compra.
+ * @returns {{quote: Object}|{status: number, body: Object}} Cotización o error HTTP
+ */
+function prepareTicketExchange(ticket, { fecha, horario, asiento }) {
+	const today = getTerminalDay();
+	
+	if (ticket.paymentStatus !== "paid") {
+		return { status: 409, body: { error: "Solo se pueden cambiar boletos pagados" } };
+	}
+	if (ticket.fecha < today) {
+		return { status: 409, body: { error: "El viaje de este boleto ya pasó" } };
+	}
+	if (ticket.abordaje) {
+		return { status: 409, body: { error: "Este boleto ya se usó para abordar" } };
+	}
+	if (!fecha || !horario || !asiento) {
+		return { status: 400, body: { error: "Faltan datos requeridos (fecha, horario y asiento nuevos)" } };
+	}
+	if (fecha < today) {
+		return { status: 400, body: { error: "La nueva fecha ya pasó" } };
+	}
+	
+	const seat = String(asiento);
+	const sameDeparture = fecha === ticket.fecha && horario === ticket.horario;
+	if (sameDeparture && seat === String(ticket.asiento)) {
+		return { status: 400, body: { error: "Elige otro asiento u otra salida" } };
+	}
+	if (!sameDeparture && isConnectionTicket(ticket)) {
+		return { status: 400, body: { error: "Los boletos de un viaje con conexión solo pueden cambiar de asiento" } };
+	}
+	
+	const { segment, routeData, schedule } = findSchedule(ticket.origen, ticket.destino, horario);
+	if (!routeData || !schedule) {
+		return { status: 404, body: { error: "Horario no encontrado" } };
+	}
+	
+	const seatMap = getSeatMapForSchedule(schedule);
+	if (seatMap && !getSellableSeatNumbers(seatMap).has(seat)) {
+		return { status: 400, body: { error: `El asiento ${seat} no existe en el autobús de este horario (${seatMap.name})` } };
+	}
+	
+	const taken = isSeatBooked(ticket.origen, ticket.destino, fecha, horario, seat)
+		|| getHeldSeatsForTrip(ticket.origen, ticket.destino, fecha, horario).includes(seat);
+	if (taken) {
+		return { status: 409, body: { error: `El asiento ${seat} no está disponible en esa salida` } };
+	}
+	
+	// Otra salida se cotiza con su precio dinámico actual y la misma tarifa que en la compra:
+	// descuento de regreso y de la categoría del pasajero. Cambiar solo de asiento conserva
+	// lo que se pagó, aunque la demanda de la salida haya movido su precio.
+	// Si la nueva fecha cae en una temporada sin descuentos, se cotiza la tarifa completa.
+	const order = ticket.orderId ? ordersById.get(ticket.orderId) : null;
+	const dynamic = getDynamicSegmentPrice(segment, schedule, { origen: ticket.origen, destino: ticket.destino, fecha });
+	const blockDiscounts = Boolean(dynamic.season && dynamic.season.blockDiscounts);
+	const returnDiscount = ticket.sentido === "regreso" && order && !blockDiscounts ? order.descuentoRegreso || 0 : 0;
+	const basePrice = roundMoney(dynamic.price * (100 - returnDiscount) / 100);
+	const precioNuevo = sameDeparture
+		? ticket.precio
+		: getPassengerFare({ precio: basePrice, temporada: dynamic.season }, getFareCategory(fareCategories, ticket.categoria));
+	
+	const diferencia = roundMoney(precioNuevo - ticket.precio);
+	const saldoDisponible = ticket.saldoAFavor || 0;
+	const saldoUsado = diferencia > 0 ? Math.min(saldoDisponible, diferencia) : 0;
+	const tripTimes = getSegmentTimes(segment, schedule);
+	
+	return {
+		quote: {
+			fecha,
+			horario,
+			asiento: seat,
+			horaAbordaje: tripTimes.boardingTime,
+			horaLlegada: tripTimes.arrival,
+			precioActual: ticket.precio,
+			precioNuevo,
+			diferencia,
+			saldoDisponible,
+			saldoUsado,
+			aPagar: diferencia > 0 ? roundMoney(diferencia - saldoUsado) : 0,
+			saldoGenerado: diferencia < 0 ? -diferencia : 0,
+			holdItem: {
+				routeKey: getServiceKey(segment, ticket.origen, ticket.destino, fecha, horario),
+				seats: [seat],
+				range: getSegmentRange(segment)
+			}
+		}
+	};
+}
+
+/**
+ * Aplicar un cambio cotizado: mueve el asiento, actualiza el boleto y guarda el historial
+ * @param {Object} ticket - Boleto a cambiar
+ * @param {Object} quote - Cotización de prepareTicketExchange
+ * @param {Object} payment - { pagado, sessionId } cobrado por Stripe (0 y null si no hubo cobro)
+ * @returns {Object} Registro del cambio en el historial del boleto
+ */
+function applyTicketExchange(ticket, quote, { pagado = 0, sessionId = null } = {}) {
+	const change = {
+		id: crypto.randomUUID(),
+		estado: "aplicado",
+		fechaCambio: new Date().toISOString(),
+		anterior: { fecha: ticket.fecha, horario: ticket.horario, horaAbordaje: ticket.horaAbordaje, asiento: ticket.asiento, precio: ticket.precio },
+		nuevo: { fecha: quote.fecha, horario: quote.horario, horaAbordaje: quote.horaAbordaje, asiento: quote.asiento, precio: quote.precioNuevo },
+		diferencia: quote.diferencia,
+		saldoUsado: quote.saldoUsado,
+		saldoGenerado: quote.saldoGenerado,
+		pagado,
+		sessionId
+	};
+	
+	moveBookedSeat(ticket, { origen: ticket.origen, destino: ticket.destino, fecha: quote.fecha, horario: quote.horario, asiento: quote.asiento });
+	
+	ticket.fecha = quote.fecha;
+	ticket.horario = quote.horario;
+	ticket.horaAbordaje = quote.horaAbordaje;
+	ticket.horaLlegada = quote.horaLlegada;
+	ticket.asiento = quote.asiento;
+	ticket.precio = quote.precioNuevo;
+	ticket.amountPaid = roundMoney(ticket.amountPaid + pagado);
+	ticket.desgloseIva = calculateIvaBreakdown(ticket.amountPaid);
+	ticket.saldoAFavor = roundMoney((ticket.saldoAFavor || 0) - quote.saldoUsado + quote.saldoGenerado);
+	ticket.cambios = [...(ticket.cambios || []), change];
+	saveTickets(ticketDatabase);
+	
+	console.log(`🔁 Boleto ${ticket.ticketId} cambiado: asiento ${change.anterior.asiento} (${change.anterior.fecha} ${change.anterior.horario}) → ${change.nuevo.asiento} (${change.nuevo.fecha} ${change.nuevo.horario})`);
+	
+	// El asiento anterior puede atender a la lista de espera
+	processWaitlist();
+	
+	return change;
+}
+
+/**
+ * Completar el cambio de boleto pagado con una sesión de Stripe.
+ * Es idempotente: si el cambio de esa sesión ya se aplicó, lo devuelve.
+ * @returns {{ticket: Object, change: Object}|null} null si la sesión no es de un cambio pendiente
+ */
+function completeTicketExchange(session) {
+	const ticket = ticketDatabase.get((session.metadata || {}).ticketId);
+	if (!ticket) return null;
+	
+	const done = (ticket.cambios || []).find(change => change.sessionId === session.id);
+	if (done) return { ticket, change: done };
+	
+	const pending = ticket.cambioPendiente;
+	if (!pending || pending.sessionId !== session.id) return null;
+	
+	releaseHold(pending.holdId);
+	delete ticket.cambioPendiente;
+	const pagado = session.amount_total / 100;
+	const { quote } = pending;
+	
+	// Si el asiento se vendió mientras se pagaba (la retención venció), lo cobrado queda como saldo a favor
+	if (isSeatBooked(ticket.origen, ticket.destino, quote.fecha, quote.horario, quote.asiento)) {
+		const change = {
+			id: crypto.randomUUID(),
+			estado: "fallido",
+			fechaCambio: new Date().toISOString(),
+			motivo: `El asiento ${quote.asiento} se vendió antes de confirmar el pago`,
+			pagado,
+			saldoGenerado: pagado,
+			sessionId: session.id
+		};
+		ticket.amountPaid = roundMoney(ticket.amountPaid + pagado);
+		ticket.desgloseIva = calculateIvaBreakdown(ticket.amountPaid);
+		ticket.saldoAFavor = roundMoney((ticket.saldoAFavor || 0) + pagado);
+		ticket.cambios = [...(ticket.cambios || []), change];
+		saveTickets(ticketDatabase);
+		return { ticket, change };
+	}
+	
+	return { ticket, change: applyTicketExchange(ticket, quote, { pagado, sessionId: session.id }) };
+}
+
+// ========================================
+// CANCELACIONES Y REEMBOLSOS
+// ========================================
+
+// Boletos cuya cancelación está en curso (esperando la respuesta del proveedor de pago)
+const cancellationsInProgress = new Set();
+
+/**
+ * Registrar una operación en la bitácora de auditoría
+ * @param {string} accion - Operación realizada (p. ej. "cancelacion_boleto")
+ * @param {string} actor - Quién la realizó ("cliente" o "admin")
+ * @param {Object} datos - Datos de la operación
+ * @returns {Object} Entrada registrada
+ */
+function addAuditEntry(accion, actor, datos) {
+	const entry = { id: crypto.randomUUID(), fecha: new Date().toISOString(), accion, actor, ...datos };
+	auditLog.push(entry);
+	saveAuditLog(auditLog);
+	return entry;
+}
+
+/**
+ * Pagos con los que se cubrió un boleto: su parte de la compra original y las diferencias
+ * pagadas en sus cambios, del más reciente al más antiguo
+ * @returns {Array<{sessionId: string, amount: number}>}
+ */
+function getTicketPayments(ticket) {
+	const changePayments = (ticket.cambios || [])
+		.filter(change => change.pagado > 0 && change.sessionId)
+		.map(change => ({ sessionId: change.sessionId, amount: change.pagado }));
+	const original = roundMoney(ticket.amountPaid - changePayments.reduce((sum, payment) => sum + payment.amount, 0));
+	
+	return [...changePayments.reverse(), { sessionId: ticket.sessionId, amount: original }].filter(payment => payment.amount > 0);
+}
+
+/**
+ * Validar y cotizar la cancelación de un boleto.
+ * El porcentaje de la política se aplica a la tarifa; el saldo a favor se devuelve completo.
+ * @param {Object} ticket - Boleto a cancelar
+ * @param {Object} [options] - { refundPercent } fijado por un administrador (en lugar de la política)
+ * @returns {{quote: Object}|{status: number, body: Object}} Cotización o error HTTP
+ */
+function prepareTicketCancellation(ticket, { refundPercent = null } = {}) {
+	if (ticket.paymentStatus === "canceled" || ticket.paymentStatus === "refunded") {
+		return { status: 409, body: { error: "Este boleto ya fue cancelado" } };
+	}
+	if (ticket.paymentStatus !== "paid") {
+		return { status: 409, body: { error: "Solo se pueden cancelar boletos pagados" } };
+	}
+	if (cancellationsInProgress.has(ticket.ticketId)) {
+		return { status: 409, body: { error: "La cancelación de este boleto ya está en proceso" } };
+	}
+	// Un administrador puede cancelar un boleto ya abordado fijando el reembolso
+	if (ticket.abordaje && refundPercent === null) {
+		return { status: 409, body: { error: "Este boleto ya se usó para abordar" } };
+	}
+	
+	const hoursBefore = getHoursBeforeDeparture(ticket.fecha, ticket.horaAbordaje || ticket.horario);
+	let porcentaje = refundPercent;
+	if (porcentaje === null) {
+		const terms = getCancellationTerms(hoursBefore);
+		if (!terms.allowed) {
+			return { status: 409, body: { error: terms.reason } };
+		}
+		porcentaje = terms.refundPercent;
+	}
+	
+	const saldoAFavor = ticket.saldoAFavor || 0;
+	const montoReembolso = roundMoney(Math.min(ticket.amountPaid, (ticket.amountPaid - saldoAFavor) * porcentaje / 100 + saldoAFavor));
+	
+	return {
+		quote: {
+			horasAntes: Math.floor(hoursBefore),
+			porcentaje,
+			montoPagado: ticket.amountPaid,
+			saldoAFavor,
+			montoReembolso,
+			politica: describeCancellationPolicy()
+		}
+	};
+}
+
+/**
+ * Cancelar un boleto: reembolsa con el proveedor de pago, libera el asiento y registra la cancelación.
+ * Si el proveedor rechaza el primer reembolso el boleto no cambia; si falla uno posterior
+ * (boletos con diferencias pagadas en cambios) lo que faltó queda como reembolso pendiente.
+ * @param {Object} ticket - Boleto a cancelar
+ * @param {Object} quote - Cotización de prepareTicketCancellation
+ * @param {Object} request - { actor, motivo }
+ * @returns {Promise<Object>} Registro de la cancelación
+ */
+async function cancelTicket(ticket, quote, { actor, motivo }) {
+	cancellationsInProgress.add(ticket.ticketId);
+	
+	try {
+		const reembolsos = [];
+		let remaining = quote.montoReembolso;
+		
+		for (const payment of getTicketPayments(ticket)) {
+			if (remaining <= 0) break;
+			const amount = roundMoney(Math.min(remaining, payment.amount));
+			
+			// Lo cobrado en taquilla se devuelve en taquilla, no con el proveedor de pago
+			if (isCounterSale(payment.sessionId)) {
+				reembolsos.push({ refundId: null, sessionId: payment.sessionId, monto: amount, estado: "en_taquilla", metodo: ticket.metodoPago });
+				remaining = roundMoney(remaining - amount);
+				continue;
+			}
+			
+			try {
+				const refund = await paymentProvider.refundPayment({
+					sessionId: payment.sessionId,
+					amount: Math.round(amount * 100),
+					reason: "requested_by_customer",
+					metadata: { ticketId: ticket.ticketId },
+					// Un reintento de la misma cancelación no reembolsa dos veces
+					idempotencyKey: `cancelacion-${ticket.ticketId}-${payment.sessionId}`
+				});
+				reembolsos.push({ refundId: refund.id, sessionId: payment.sessionId, monto: amount, estado: refund.status });
+				remaining = roundMoney(remaining - amount);
+			} catch (err) {
+				if (reembolsos.length === 0) throw err;
+				console.error(`Reembolso incompleto del boleto ${ticket.ticketId} (sesión ${payment.sessionId}):`, err.message);
+				break;
+			}
+		}
+		
+		// Un cambio que se estaba pagando ya no aplica
+		const pending = ticket.cambioPendiente;
+		if (pending) {
+			releaseHold(pending.holdId);
+			delete ticket.cambioPendiente;
+			paymentProvider.expireCheckoutSession(pending.sessionId).catch(err => {
+				console.warn(`No se pudo expirar la sesión ${pending.sessionId}:`, err.message);
+			});
+		}
+		
+		const montoReembolsado = roundMoney(quote.montoReembolso - remaining);
+		const cancelacion = {
+			fecha: new Date().toISOString(),
+			actor,
+			motivo: motivo || null,
+			horasAntes: quote.horasAntes,
+			porcentaje: quote.porcentaje,
+			montoReembolso: montoReembolsado,
+			reembolsoPendiente: remaining,
+			reembolsos
+		};
+		
+		releaseBookedSeat(ticket.origen, ticket.destino, ticket.fecha, ticket.horario, ticket.asiento);
+		ticket.paymentStatus = montoReembolsado > 0 ? "refunded" : "canceled";
+		ticket.saldoAFavor = 0;
+		ticket.cancelacion = cancelacion;
+		saveTickets(ticketDatabase);
+		
+		addAuditEntry("cancelacion_boleto", actor, {
+			ticketId: ticket.ticketId,
+			sessionId: ticket.sessionId,
+			referencia: ticket.referencia || null,
+			viaje: `${ticket.origen} → ${ticket.destino} ${ticket.fecha} ${ticket.horario} asiento ${ticket.asiento}`,
+			...cancelacion
+		});
+		console.log(`🚫 Boleto ${ticket.ticketId} cancelado por ${actor}: reembolso $${montoReembolsado} (${quote.porcentaje}%)`);
+		
+		// El asiento liberado puede atender a la lista de espera
+		processWaitlist();
+		
+		return cancelacion;
+	} finally {
+		cancellationsInProgress.delete(ticket.ticketId);
+	}
+}
+
+// ========================================
+// PAGOS ASÍNCRONOS (OXXO / SPEI)
+// ========================================
+
+/**
+ * Días que el asiento sigue apartado mientras se paga en OXXO o por SPEI
+ * (el voucher de OXXO vence a los 3 días)
+ */
+const ASYNC_PAYMENT_HOLD_DAYS = Math.max(1, parseInt(process.env.ASYNC_PAYMENT_HOLD_DAYS, 10) || 3);
+
+/**
+ * Momento de salida del primer tramo de una orden
+ * @returns {number} Fecha y hora en ms
+ */
+function getOrderDepartureTime(order) {
+	const times = getOrderLegs(order).map(leg => new Date(`${leg.fecha}T${leg.horaAbordaje || leg.horario}:00`).getTime());
+	return Math.min(...times);
+}
+
+/**
+ * La sesión terminó sin cobrarse todavía (voucher de OXXO o referencia SPEI emitidos):
+ * el asiento se mantiene apartado hasta que se pague, sin pasar de la salida del autobús.
+ * @returns {Object|null} Orden en espera del pago o null si no aplica
+ */
+function markOrderAwaitingPayment(session) {
+	const order = getOrderForSession(session);
+	if (!order || !order.id || order.status !== "pending") return null;
+	
+	// El plazo se fija la primera vez; consultas posteriores no lo recorren
+	const holdUntil = order.awaitingPayment
+		? new Date(order.awaitingPayment.holdUntil).getTime()
+		: Math.min(Date.now() + ASYNC_PAYMENT_HOLD_DAYS * 24 * 60 * 60 * 1000, getOrderDepartureTime(order));
+	if (!extendHold(order.holdId, holdUntil)) {
+		console.warn(`⚠️ La retención de la orden ${order.id} ya no existe; el asiento puede venderse antes de que llegue el pago`);
+	}
+	
+	if (!order.awaitingPayment) {
+		order.awaitingPayment = {
+			since: new Date().toISOString(),
+			holdUntil: new Date(holdUntil).toISOString()
+		};
+		saveOrders(ordersById);
+		console.log(`🧾 Orden ${order.referencia || order.id} en espera de pago (${order.paymentMethod})`);
+	}
+	
+	return order;
+}
+
+/**
+ * Volver a apartar los asientos de las órdenes que esperan un pago de OXXO o SPEI y perdieron
+ * su retención (p. ej. retenciones anteriores a que se guardaran en disco), hasta el mismo plazo.
+ * Si otro ya los apartó, se avisa: el pago que llegue después se rechaza y se reembolsa.
+ */
+function restoreAwaitingPaymentHolds() {
+	const now = Date.now();
+	ordersById.forEach(order => {
+		if (order.status !== "pending" || !order.awaitingPayment || getHold(order.holdId)) return;
+		const holdUntil = new Date(order.awaitingPayment.holdUntil).getTime();
+		if (!(holdUntil > now)) return;
+		
+		const hold = placeHoldItems(getOrderLegs(order).map(leg => {
+			const segment = findSegment(leg.origen, leg.destino, leg.horario);
+			return {
+				routeKey: getServiceKey(segment, leg.origen, leg.destino, leg.fecha, leg.horario),
+				seats: leg.pasajeros.map(pasajero => pasajero.asiento),
+				range: segment ? getSegmentRange(segment) : null
+			};
+		}));
+		if (!hold) {
+			console.warn(`⚠️ No se pudo volver a apartar los asientos de la orden ${order.referencia || order.id}: ya están apartados por otra compra`);
+			return;
+		}
+		
+		extendHold(hold.id, holdUntil);
+		if (order.sessionId) attachSessionToHold(hold.id, order.sessionId);
+		order.holdId = hold.id;
+		saveOrders(ordersById);
+	});
+}
+
+// Al arrancar, las órdenes en espera de pago recuperan sus asientos apartados
+restoreAwaitingPaymentHolds();
+
+/**
+ * El pago de una sesión no se completó (falló o la sesión expiró): libera los
+ * asientos apartados y cierra la orden o el cambio de boleto pendiente.
+ * @param {Object} session - Sesión de Stripe
+ * @param {string} status - Estado final de la orden ("failed" o "expired")
+ */
+function closeUnpaidSession(session, status) {
+	const metadata = session.metadata || {};
+	
+	if (metadata.tipo === "cambio") {
+		const ticket = ticketDatabase.get(metadata.ticketId);
+		if (ticket && ticket.cambioPendiente && ticket.cambioPendiente.sessionId === session.id) {
+			delete ticket.cambioPendiente;
+			saveTickets(ticketDatabase);
+		}
+	} else {
+		const order = getOrderForSession(session);
+		// Una orden ya pagada o cerrada no cambia (el evento puede llegar repetido)
+		if (order && order.id && order.status === "pending") {
+			order.status = status;
+			order.closedAt = new Date().toISOString();
+			saveOrders(ordersById);
+			console.log(`❌ Orden ${order.referencia || order.id} sin pagar (${status})`);
+		}
+	}
+	
+	if (releaseHoldBySession(session.id)) {
+		processWaitlist();
+	}
+}
+
+/**
+ * Procesar una sesión pagada: emite los boletos de la compra o aplica el cambio de boleto
+ * @returns {Array|Object|null} Resultado o null si la sesión no corresponde a nada pendiente
+ */
+function fulfillPaidSession(session) {
+	if ((session.metadata || {}).tipo === "cambio") {
+		return completeTicketExchange(session);
+	}
+	return issueTicketsForSession(session);
+}
+
+/**
+ * Procesar un evento del proveedor de pago (webhook de Stripe o evento del simulador)
+ * @param {Object} event - { id, type, data: { object: sesión } }
+ */
+function handlePaymentEvent(event) {
+	const session = event.data.object;
+	console.log(`📬 Evento de pago (${paymentProvider.name}): ${event.type} (${session.id})`);
+	
+	switch (event.type) {
+		case "checkout.session.completed":
+			if (session.payment_status === "paid") {
+				fulfillPaidSession(session);
+			} else {
+				markOrderAwaitingPayment(session);
+			}
+			break;
+		
+		case "checkout.session.async_payment_succeeded":
+			fulfillPaidSession(session);
+			break;
+		
+		case "checkout.session.async_payment_failed":
+			closeUnpaidSession(session, "failed");
+			break;
+		
+		case "checkout.session.expired":
+			closeUnpaidSession(session, "expired");
+			break;
+		
+		default:
+			console.log(`Evento no manejado: ${event.type}`);
+	}
+}
+
+// El simulador entrega sus eventos directamente, sin webhook HTTP
+paymentProvider.onEvent(handlePaymentEvent);
+
+// ========================================
+// VENTA EN TAQUILLA
+// ========================================
+
+// Prefijo del ID de transacción de una venta en taquilla (hace las veces del ID de sesión de Stripe)
+const COUNTER_SALE_PREFIX = "taq_";
+
+/**
+ * Indica si un ID de transacción corresponde a una venta en taquilla
+ */
+function isCounterSale(sessionId) {
+	return typeof sessionId === "string" && sessionId.startsWith(COUNTER_SALE_PREFIX);
+}
+
+/**
+ * Middleware: exige una sesión de taquilla (Authorization: Bearer <token>)
+ * y deja al taquillero en req.clerk
+ */
+function requireClerk(req, res, next) {
+	const [scheme, token] = String(req.get("authorization") || "").split(" ");
+	const session = scheme === "Bearer" ? getClerkSession(token) : null;
+	const clerk = session ? clerksById.get(session.clerkId) : null;
+	
+	if (!clerk || !clerk.activo) {
+		return res.status(401).json({ error: "Sesión de taquilla no válida o vencida. Vuelve a ingresar con tu PIN." });
+	}
+	
+	req.clerk = clerk;
+	req.clerkToken = token;
+	next();
+}
+
+/**
+ * Turno de caja abierto de un taquillero
+ * @returns {Object|null} Turno o null si no tiene uno abierto
+ */
+function getOpenShift(clerkId) {
+	return Array.from(shiftsById.values()).find(shift => shift.clerkId === clerkId && shift.estado === "abierto") || null;
+}
+
+/**
+ * Movimientos de caja de un turno: lo cobrado por cada boleto vendido en él y los
+ * reembolsos que se entregaron en ventanilla durante el turno, sin importar en qué turno
+ * se vendió el boleto (el dinero sale de la caja que lo entrega)
+ * @returns {Array<{metodo: string, tipo: string, monto: number, ticketId: string}>}
+ */
+function getShiftMovements(shift) {
+	const movements = [];
+	
+	ticketDatabase.forEach(ticket => {
+		if (ticket.turnoId === shift.id) {
+			// Solo la parte cobrada en taquilla; las diferencias de cambios se pagan en línea
+			const sale = getTicketPayments(ticket).find(payment => payment.sessionId === ticket.sessionId);
+			movements.push({ metodo: ticket.metodoPago, tipo: "venta", monto: sale ? sale.amount : 0, ticketId: ticket.ticketId });
+		}
+		
+		const refunded = ticket.cancelacion
+			? ticket.cancelacion.reembolsos.filter(reembolso => reembolso.estado === "entregado" && reembolso.turnoId === shift.id)
+			: [];
+		refunded.forEach(reembolso => movements.push({ metodo: reembolso.metodo, tipo: "reembolso", monto: reembolso.monto, ticketId: ticket.ticketId }));
+	});
+	
+	return movements;
+}
+
+/**
+ * Reembolsos de boletos de taquilla cancelados que todavía no se entregan en ventanilla
+ * (estado "en_taquilla"); se registran en el turno que los entrega
+ */
+function getPendingCounterRefunds(ticket) {
+	return ticket.cancelacion ? ticket.cancelacion.reembolsos.filter(reembolso => reembolso.estado === "en_taquilla") : [];
+}
+
+/**
+ * Turno con sus totales: los de un turno cerrado son los que se guardaron en el corte
+ */
+function describeShift(shift) {
+	return {
+		...shift,
+		resumen: shift.resumen || summarizeShift(getShiftMovements(shift))
+	};
+}
+
+// ========================================
+// ENDPOINTS DE API
+// ========================================
+
+// API: Obtener rutas disponibles
+app.get("/api/routes", (req, res) => {
+	res.json(availableRoutes);
+});
+
+// API: Obtener ciudades únicas (para los selectores dinámicos)
+app.get("/api/cities", (req, res) => {
+	const cities = getUniqueCities(availableRoutes);
+	res.json({ cities });
+});
+
+// API: Obtener asientos ocupados para una ruta específica
+app.get("/api/occupied-seats", (req, res) => {
+	const { origen, destino, fecha, horario } = req.query;
+	
+	if (!origen || !destino || !fecha || !horario) {
+		return res.status(400).json({ error: "Faltan parámetros requeridos" });
+	}
+	
+	// Solo cuentan los asientos ocupados en el tramo consultado
+	const occupiedSeats = getBookedSeats(origen, destino, fecha, horario);
+	// Asientos apartados mientras otro cliente paga (aún no vendidos)
+	const heldSeats = getHeldSeatsForTrip(origen, destino, fecha, horario).filter(seat => !occupiedSeats.includes(seat));
+	
+	res.json({ occupiedSeats, heldSeats });
+});
+
+// API: Horarios entre dos ciudades, directos o como tramo de una ruta con paradas
+app.get("/api/route-segment", (req, res) => {
+	const { origen, destino } = req.query;
+	
+	if (!origen || !destino) {
+		return res.status(400).json({ error: "Faltan parámetros requeridos" });
+	}
+	
+	const segments = findRouteSegments(availableRoutes, origen, destino);
+	if (segments.length === 0) {
+		return res.status(404).json({ error: `No hay viajes disponibles para la ruta ${origen} → ${destino}` });
+	}
+	
+	// Un horario por hora de salida (la misma que resuelve findSegment)
+	const seenTimes = new Set();
+	const schedules = [];
+	segments.forEach(segment => {
+		segment.routeData.schedules.forEach(schedule => {
+			if (seenTimes.has(schedule.time)) return;
+			seenTimes.add(schedule.time);
+			schedules.push(describeSegmentSchedule(segment, schedule));
+		});
+	});
+	schedules.sort((a, b) => a.boardingTime.localeCompare(b.boardingTime));
+	
+	res.json({ origen, destino, schedules });
+});
+
+// API: Salidas de un trayecto en una fecha con los asientos que quedan
+app.get("/api/departures", (req, res) => {
+	const { origen, destino, fecha } = req.query;
+	
+	if (!origen || !destino || !fecha) {
+		return res.status(400).json({ error: "Faltan parámetros requeridos" });
+	}
+	
+	const segments = findRouteSegments(availableRoutes, origen, destino);
+	if (segments.length === 0) {
+		return res.status(404).json({ error: `No hay viajes disponibles para la ruta ${origen} → ${destino}` });
+	}
+	
+	// Un horario por hora de salida (la misma que resuelve findSegment)
+	const seenTimes = new Set();
+	const departures = [];
+	segments.forEach(segment => {
+		segment.routeData.schedules.forEach(schedule => {
+			if (seenTimes.has(schedule.time)) return;
+			seenTimes.add(schedule.time);
+			const fare = getDynamicSegmentPrice(segment, schedule, { origen, destino, fecha });
+			departures.push({
+				...describeSegmentSchedule(segment, schedule),
+				fecha,
+				price: fare.price,
+				basePrice: fare.basePrice,
+				priceRules: fare.rules,
+				season: fare.season,
+				...getTripAvailability(origen, destino, fecha, schedule.time)
+			});
+		});
+	});
+	departures.sort((a, b) => a.boardingTime.localeCompare(b.boardingTime));
+	
+	res.json({ origen, destino, fecha, lastSeatsThreshold: LAST_SEATS_THRESHOLD, departures });
+});
+
+// API: Buscar itinerarios directos y con un transbordo para una fecha
+app.get("/api/itineraries", (req, res) => {
+	const { origen, destino, fecha } = req.query;
+	
+	if (!origen || !destino || !fecha) {
+		return res.status(400).json({ error: "Faltan parámetros requeridos" });
+	}
+	
+	// Cada tramo lleva su precio dinámico y su temporada; un itinerario con conexión tiene
+	// los asientos que queden en su tramo más lleno
+	const itineraries = findItineraries(availableRoutes, origen, destino, fecha).map(itinerary => {
+		const legs = itinerary.legs.map(leg => {
+			const { segment, schedule } = findSchedule(leg.origen, leg.destino, leg.horario);
+			const fare = getDynamicSegmentPrice(segment, schedule, leg);
+			return {
+				...leg,
+				price: fare.price,
+				basePrice: fare.basePrice,
+				priceRules: fare.rules,
+				season: fare.season,
+				...getTripAvailability(leg.origen, leg.destino, leg.fecha, leg.horario)
+			};
+		});
+		const seatsLeft = Math.min(...legs.map(leg => leg.seatsLeft));
+		const seasonLeg = legs.find(leg => leg.season);
+		return {
+			...itinerary,
+			legs,
+			price: roundMoney(legs.reduce((sum, leg) => sum + leg.price, 0)),
+			basePrice: roundMoney(legs.reduce((sum, leg) => sum + leg.basePrice, 0)),
+			season: seasonLeg ? seasonLeg.season : null,
+			seatsLeft,
+			soldOut: seatsLeft === 0,
+			lastSeats: seatsLeft > 0 && legs.some(leg => leg.lastSeats)
+		};
+	});
+	res.json({
+		origen,
+		destino,
+		fecha,
+		minConnectionMinutes: MIN_CONNECTION_MINUTES,
+		returnDiscountPercent: RETURN_TRIP_DISCOUNT_PERCENT,
+		itineraries
+	});
+});
+
+// API: Categorías de tarifa; con una salida (origen, destino, fecha, horario) incluye el cupo restante
+app.get("/api/fare-categories", (req, res) => {
+	const { origen, destino, fecha, horario } = req.query;
+	const serviceKey = origen && destino && fecha && horario
+		? getTripServiceKey({ origen, destino, fecha, horario })
+		: null;
+	
+	const categories = Object.values(fareCategories.categories).map(category => ({
+		...category,
+		remaining: serviceKey ? getFareCategoryRemaining(serviceKey, category) : category.quotaPerDeparture
+	}));
+	
+	res.json({
+		defaultCategory: fareCategories.defaultCategory,
+		categories,
+		documentTypes: DOCUMENT_TYPES
+	});
+});
+
+// API: Validar un cupón para una compra (mismos datos que create-checkout-session más "cupon")
+// Devuelve el descuento que se aplicará al pagar; no aparta asientos ni cuenta como uso
+app.post("/api/coupons/validate", (req, res) => {
+	const body = req.body || {};
+	if (!normalizeCouponCode(body.cupon)) {
+		return res.status(400).json({ error: "Captura el código del cupón" });
+	}
+	
+	const pasajeros = getPassengersFromBody(body);
+	const categories = pasajeros.map(p => getFareCategory(fareCategories, p && p.categoria));
+	if (categories.some(category => !category)) {
+		return res.status(400).json({ error: "Categoría de tarifa no válida" });
+	}
+	
+	const legs = [];
+	for (const leg of getLegsFromBody(body, pasajeros)) {
+		const fare = leg.origen && leg.destino && leg.fecha && leg.horario ? getLegFare(leg) : null;
+		if (!fare) {
+			return res.status(400).json({ error: "Ruta no válida" });
+		}
+		legs.push(fare);
+	}
+	
+	const fares = legs.map(leg => categories.map(category => getPassengerFare(leg, category)));
+	const result = applyCouponToPurchase(body.cupon, legs, fares, body.email);
+	if (result.error) {
+		return res.status(result.status).json({ error: result.error });
+	}
+	
+	const subtotal = roundMoney(fares.flat().reduce((sum, fare) => sum + fare, 0));
+	res.json({
+		cupon: {
+			code: result.coupon.code,
+			description: result.coupon.description,
+			descuento: describeCouponDiscount(result.coupon)
+		},
+		subtotal,
+		descuento: result.total,
+		total: roundMoney(subtotal - result.total)
+	});
+});
+
+// API: Distribución de asientos del autobús de un horario
+app.get("/api/seat-layout", (req, res) => {
+	const { origen, destino, horario } = req.query;
+	
+	if (!origen || !destino || !horario) {
+		return res.status(400).json({ error: "Faltan parámetros requeridos" });
+	}
+	
+	const { routeData, schedule } = findSchedule(origen, destino, horario);
+	if (!routeData || !schedule) {
+		return res.status(404).json({ error: "Horario no encontrado" });
+	}
+	
+	const seatMap = getSeatMapForSchedule(schedule);
+	if (!seatMap) {
+		return res.status(404).json({ error: "No hay distribución de asientos configurada para este horario" });
+	}
+	
+	res.json(seatMap);
+});
+
+// API: Liberar un asiento apartado (el cliente regresó de Stripe sin pagar)
+app.delete("/api/seat-holds/:holdId", async (req, res) => {
+	const hold = getHold(req.params.holdId);
+	
+	if (!hold) {
+		return res.status(404).json({ error: "Retención no encontrada o ya expirada" });
+	}
+	
+	// Con la ficha de OXXO o la referencia SPEI emitida el pago todavía puede llegar:
+	// sus asientos solo se liberan cuando el pago vence o falla
+	const order = Array.from(ordersById.values()).find(o => o.holdId === hold.id && o.status === "pending");
+	if (order && order.awaitingPayment) {
+		return res.status(409).json({ error: "La reservación espera su pago en OXXO o SPEI; los asientos se liberan solo si el pago vence", code: "AWAITING_PAYMENT" });
+	}
+	
+	releaseHold(hold.id);
+	if (order) {
+		order.status = "canceled";
+		saveOrders(ordersById);
+	}
+	
+	// Cerrar la sesión de Stripe para que ya no pueda pagarse
+	if (hold.sessionId) {
+		try {
+			await paymentProvider.expireCheckoutSession(hold.sessionId);
+		} catch (err) {
+			console.warn(`No se pudo expirar la sesión ${hold.sessionId}:`, err.message);
+		}
+	}
+	
+	// Los asientos liberados pueden atender a la lista de espera
+	processWaitlist();
+	
+	res.json({ released: true, seats: getHoldSeats(hold) });
+});
+
+/**
+ * Datos públicos de una solicitud de lista de espera
+ */
+function describeWaitlistEntry(entry, baseUrl) {
+	const offer = entry.status === "offered" ? entry.offer : null;
+	return {
+		id: entry.id,
+		status: entry.status,
+		position: getWaitlistPosition(entry),
+		origen: entry.origen,
+		destino: entry.destino,
+		fecha: entry.fecha,
+		horario: entry.horario,
+		horaAbordaje: entry.horaAbordaje,
+		pasajeros: entry.pasajeros,
+		createdAt: entry.createdAt,
+		claimUrl: offer ? `${baseUrl}/index.html?claim=${offer.token}` : null,
+		claimExpiresAt: offer ? offer.expiresAt : null
+	};
+}
+
+// API: Anotarse en la lista de espera de una salida agotada
+app.post("/api/waitlist", (req, res) => {
+	const { origen, destino, fecha, horario, nombre, email, telefono } = req.body || {};
+	const pasajeros = parseInt((req.body || {}).pasajeros, 10) || 1;
+	
+	if (!origen || !destino || !fecha || !horario || !nombre || (!email && !telefono)) {
+		return res.status(400).json({ error: "Faltan datos requeridos (salida, nombre y un email o teléfono de contacto)" });
+	}
+	
+	if (pasajeros < 1 || pasajeros > MAX_SEATS_PER_PURCHASE) {
+		return res.status(400).json({ error: `La lista de espera admite de 1 a ${MAX_SEATS_PER_PURCHASE} pasajeros por solicitud` });
+	}
+	
+	const { segment, routeData, schedule } = findSchedule(origen, destino, horario);
+	if (!routeData || !schedule) {
+		return res.status(404).json({ error: "Horario no encontrado" });
+	}
+	
+	const freeSeats = getFreeSeatsForTrip(origen, destino, fecha, horario);
+	if (freeSeats.length >= pasajeros) {
+		return res.status(409).json({ error: `Aún hay ${freeSeats.length} asientos disponibles en esta salida`, availableSeats: freeSeats.length });
+	}
+	
+	const routeKey = getRouteKey(origen, destino, fecha, horario);
+	const duplicate = getWaitlistEntries(routeKey, ["waiting", "offered"])
+		.find(entry => (email && entry.email === email) || (telefono && entry.telefono === telefono));
+	if (duplicate) {
+		return res.status(409).json({ error: "Ya estás en la lista de espera de esta salida", id: duplicate.id, position: getWaitlistPosition(duplicate) });
+	}
+	
+	const entry = {
+		id: crypto.randomUUID(),
+		routeKey,
+		origen,
+		destino,
+		fecha,
+		horario,
+		horaAbordaje: getSegmentTimes(segment, schedule).boardingTime,
+		nombre,
+		email: email || null,
+		telefono: telefono || null,
+		pasajeros,
+		status: "waiting",
+		offer: null,
+		orderId: null,
+		createdAt: new Date().toISOString()
+	};
+	
+	waitlistById.set(entry.id, entry);
+	saveWaitlist(waitlistById);
+	
+	console.log(`📋 ${nombre} se anotó en la lista de espera de ${routeKey} (${pasajeros} pasajeros)`);
+	
+	const baseUrl = process.env.FRONTEND_BASE_URL || `${req.protocol}://${req.get("host")}`;
+	res.status(201).json(describeWaitlistEntry(entry, baseUrl));
+});
+
+// API: Estado de una solicitud de lista de espera (incluye el enlace cuando hay asientos ofrecidos)
+app.get("/api/waitlist/:id", (req, res) => {
+	const entry = waitlistById.get(req.params.id);
+	
+	if (!entry) {
+		return res.status(404).json({ error: "Solicitud no encontrada" });
+	}
+	
+	// Vence la oferta si su retención ya expiró
+	if (entry.status === "offered") {
+		getHold(entry.offer.holdId);
+	}
+	
+	const baseUrl = process.env.FRONTEND_BASE_URL || `${req.protocol}://${req.get("host")}`;
+	res.json(describeWaitlistEntry(entry, baseUrl));
+});
+
+// API: Salir de la lista de espera
+app.delete("/api/waitlist/:id", (req, res) => {
+	const entry = waitlistById.get(req.params.id);
+	
+	if (!entry) {
+		return res.status(404).json({ error: "Solicitud no encontrada" });
+	}
+	
+	if (!["waiting", "offered"].includes(entry.status)) {
+		return res.status(409).json({ error: "La solicitud ya no está activa" });
+	}
+	
+	const wasOffered = entry.status === "offered";
+	entry.status = "canceled";
+	saveWaitlist(waitlistById);
+	
+	// Los asientos ofrecidos pasan a la siguiente persona
+	if (wasOffered) {
+		releaseHold(entry.offer.holdId);
+		processWaitlist();
+	}
+	
+	res.json({ success: true, status: entry.status });
+});
+
+// API: Asientos ofrecidos por un enlace de la lista de espera
+app.get("/api/waitlist/claim/:token", (req, res) => {
+	const entry = findWaitlistOffer(req.params.token);
+	
+	if (!entry) {
+		return res.status(410).json({ error: "El enlace ya no es válido: la oferta expiró o ya se usó" });
+	}
+	
+	const { schedule } = findSchedule(entry.origen, entry.destino, entry.horario);
+	const seatMap = getSeatMapForSchedule(schedule);
+	const labels = new Map();
+	if (seatMap) {
+		seatMap.rows.forEach(({ cells }) => cells.forEach(cell => {
+			if (cell.type === "seat") labels.set(String(cell.number), cell.label);
+		}));
+	}
+	
+	res.json({
+		id: entry.id,
+		nombre: entry.nombre,
+		email: entry.email,
+		telefono: entry.telefono,
+		origen: entry.origen,
+		destino: entry.destino,
+		fecha: entry.fecha,
+		horario: entry.horario,
+		horaAbordaje: entry.horaAbordaje,
+		asientos: entry.offer.asientos.map(seat => ({ number: Number(seat), label: labels.get(seat) || seat })),
+		expiresAt: entry.offer.expiresAt
+	});
+});
+
+// API: Crear sesión de pago
+/**
+ * Validar los datos de una compra y calcular el precio de cada pasajero en cada tramo:
+ * precio dinámico de la salida, descuento de regreso, de la categoría y del cupón.
+ * La cotización la usa sin exigir los datos personales de los pasajeros.
+ * @param {Object} body - Datos de la compra (pasajeros, tramos, cupón, email)
+ * @param {Object} [options] - { requirePassengerData } para exigir nombre y documento de cada pasajero
+ * @returns {{purchase: Object}|{status: number, body: Object}} Compra con sus precios, o error HTTP
+ */
+function preparePurchase(body, { requirePassengerData = true } = {}) {
+	const { email } = body;
+	const pasajeros = getPassengersFromBody(body);
+	const requestedLegs = getLegsFromBody(body, pasajeros);
+
+	const missingPassengerData = pasajeros.some(p => !p || (requirePassengerData && (!p.nombre || !p.numeroDocumento)));
+	const missingLegData = requestedLegs.some(leg => !leg.origen || !leg.destino || !leg.horario || !leg.fecha
+		|| leg.asientos.length !== pasajeros.length || leg.asientos.some(asiento => !asiento));
+	if (missingPassengerData || missingLegData) {
+		const error = requirePassengerData
+			? "Faltan datos requeridos (nombre, documento y asiento de cada pasajero, origen, destino, horario, fecha)"
+			: "Faltan datos requeridos (asiento de cada pasajero, origen, destino, horario, fecha)";
+		return { status: 400, body: { error } };
+	}
+
+	if (pasajeros.length > MAX_SEATS_PER_PURCHASE) {
+		return { status: 400, body: { error: `Solo se pueden comprar hasta ${MAX_SEATS_PER_PURCHASE} asientos por compra` } };
+	}
+
+	// Categoría de tarifa de cada pasajero y el documento que exige
+	const passengerCategories = [];
+	for (const p of pasajeros) {
+		const category = getFareCategory(fareCategories, p.categoria);
+		if (!category) {
+			return { status: 400, body: { error: `Categoría de tarifa no válida: ${p.categoria}` } };
+		}
+		const documentError = requirePassengerData ? checkCategoryDocument(category, p.tipoDocumento) : null;
+		if (documentError) {
+			return { status: 400, body: { error: `${p.nombre}: ${documentError}` } };
+		}
+		passengerCategories.push(category);
+	}
+
+	// En un viaje redondo el regreso no puede salir antes que la ida
+	const outboundDates = requestedLegs.filter(leg => leg.sentido === "ida").map(leg => leg.fecha);
+	const returnDates = requestedLegs.filter(leg => leg.sentido === "regreso").map(leg => leg.fecha);
+	if (outboundDates.length === 0) {
+		return { status: 400, body: { error: "La compra debe incluir el viaje de ida" } };
+	}
+	if (returnDates.length > 0 && returnDates[0] < outboundDates[outboundDates.length - 1]) {
+		return { status: 400, body: { error: "La fecha de regreso no puede ser anterior a la de ida" } };
+	}
+
+	// Validar cada tramo; en un viaje con conexión o redondo el error indica el tramo
+	const legs = [];
+	for (const requestedLeg of requestedLegs) {
+		const prepared = prepareCheckoutLeg(requestedLeg);
+		if (!prepared.leg) {
+			const error = requestedLegs.length > 1
+				? `${requestedLeg.origen} → ${requestedLeg.destino}: ${prepared.body.error}`
+				: prepared.body.error;
+			return { status: prepared.status, body: { ...prepared.body, error } };
+		}
+		legs.push(prepared.leg);
+	}
+
+	// Cupo por salida de las tarifas con descuento; el checkout lo verifica junto con el apartado
+	// de asientos para que dos compras simultáneas no rebasen el cupo
+	for (const leg of legs) {
+		const quotaError = getFareQuotaError(leg.holdItem.routeKey, passengerCategories);
+		if (quotaError) {
+			const error = legs.length > 1 ? `${leg.origen} → ${leg.destino}: ${quotaError}` : quotaError;
+			return { status: 409, body: { error } };
+		}
+	}
+
+	// Tarifa de cada pasajero en cada tramo con el descuento de su categoría (si la temporada lo permite)
+	const fares = legs.map(leg => leg.asientos.map((asiento, index) => getPassengerFare(leg, passengerCategories[index])));
+
+	// El cupón se valida y se calcula aquí; sus usos se cuentan con las órdenes,
+	// por lo que el checkout también lo verifica junto con el apartado
+	let couponDiscount = null;
+	if (normalizeCouponCode(body.cupon)) {
+		couponDiscount = applyCouponToPurchase(body.cupon, legs, fares, email);
+		if (couponDiscount.error) {
+			return { status: couponDiscount.status, body: { error: couponDiscount.error } };
+		}
+	}
+	const discounts = fares.map((legFares, legIndex) => legFares.map((fare, index) => (couponDiscount ? couponDiscount.discounts[legIndex][index] : 0)));
+	const prices = fares.map((legFares, legIndex) => legFares.map((fare, index) => roundMoney(fare - discounts[legIndex][index])));
+
+	return {
+		purchase: {
+			pasajeros,
+			passengerCategories,
+			legs,
+			couponDiscount,
+			discounts,
+			prices,
+			total: roundMoney(prices.flat().reduce((sum, price) => sum + price, 0))
+		}
+	};
+}
+
+/**
+ * Lo que fija una cotización de una compra: salida y asientos de cada tramo,
+ * tarifa de cada pasajero, cupón y el precio de cada boleto
+ */
+function describePurchaseForQuote({ legs, passengerCategories, couponDiscount, discounts, prices, total }) {
+	return {
+		tramos: legs.map((leg, legIndex) => ({
+			origen: leg.origen,
+			destino: leg.destino,
+			fecha: leg.fecha,
+			horario: leg.horario,
+			sentido: leg.sentido,
+			asientos: leg.asientos,
+			temporada: leg.temporada ? leg.temporada.name : null,
+			precios: prices[legIndex],
+			descuentos: discounts[legIndex]
+		})),
+		categorias: passengerCategories.map(category => category.id),
+		cupon: couponDiscount ? couponDiscount.coupon.code : null,
+		descuentoCupon: couponDiscount ? couponDiscount.total : 0,
+		total
+	};
+}
+
+/**
+ * Indica si una cotización corresponde a la compra (mismas salidas, asientos, tarifas y cupón)
+ */
+function quoteMatchesPurchase(quote, quoted) {
+	const describe = ({ tramos, categorias, cupon }) => JSON.stringify({
+		tramos: tramos.map(({ origen, destino, fecha, horario, sentido, asientos }) => ({ origen, destino, fecha, horario, sentido, asientos })),
+		categorias,
+		cupon
+	});
+	return describe(quote) === describe(quoted);
+}
+
+/**
+ * Cotizar una compra: valida salidas, asientos, tarifas y cupón sin apartar asientos
+ * y devuelve la cotización firmada que acepta el checkout
+ * @returns {{quote: Object}|{status: number, body: Object}} Cotización o error HTTP
+ */
+function createPriceQuote(body) {
+	const prepared = preparePurchase(body, { requirePassengerData: false });
+	if (!prepared.purchase) {
+		return prepared;
+	}
+
+	const { token, quote } = createQuote(describePurchaseForQuote(prepared.purchase));
+	return {
+		quote: {
+			quoteToken: token,
+			quoteId: quote.id,
+			expiresAt: new Date(quote.expiresAt).toISOString(),
+			tramos: quote.tramos.map(({ descuentos, ...tramo }) => tramo),
+			cupon: quote.cupon,
+			descuentoCupon: quote.descuentoCupon,
+			total: quote.total
+		}
+	};
+}
+
+/**
+ * Validar una compra y crear su orden pendiente: revisa la cotización, pasajeros, tarifas
+ * y tramos, y aparta los asientos de todos los tramos (todos o ninguno).
+ * La usan la compra en línea (Stripe Checkout) y la venta en taquilla.
+ * Se cobra exactamente el precio de la cotización firmada; el que envía el navegador no se usa.
+ * @param {Object} body - Datos de la compra (pasajeros, tramos, email, teléfono, método de pago, quoteToken)
+ * @returns {{order: Object, hold: Object}|{status: number, body: Object}} Orden y retención, o error HTTP
+ */
+function createPendingOrder(body) {
+	const { email, telefono, paymentMethod } = body;
+
+	if (!body.quoteToken) {
+		return { status: 400, body: { error: "Falta la cotización del precio: solicítala en /api/quotes", code: "QUOTE_REQUIRED" } };
+	}
+	const verified = verifyQuote(body.quoteToken);
+	if (verified.expired) {
+		// Responder con una cotización nueva para que el cliente confirme el precio actual
+		const requote = createPriceQuote(body);
+		if (!requote.quote) {
+			return requote;
+		}
+		return {
+			status: 409,
+			body: {
+				error: `La cotización venció. El precio actual es $${requote.quote.total.toFixed(2)} MXN; confírmalo para continuar.`,
+				code: "QUOTE_EXPIRED",
+				quote: requote.quote
+			}
+		};
+	}
+	if (!verified.quote) {
+		return { status: 400, body: { error: verified.error, code: "QUOTE_INVALID" } };
+	}
+	const { quote } = verified;
+
+	const prepared = preparePurchase(body);
+	if (!prepared.purchase) {
+		return prepared;
+	}
+	const { pasajeros, passengerCategories, legs, couponDiscount } = prepared.purchase;
+	if (!quoteMatchesPurchase(quote, describePurchaseForQuote(prepared.purchase))) {
+		return {
+			status: 400,
+			body: { error: "La cotización no corresponde a esta compra (salidas, asientos, tarifas o cupón); solicita una nueva", code: "QUOTE_MISMATCH" }
+		};
+	}
+
+	// Compra desde un enlace de la lista de espera: los asientos ofrecidos ya están apartados para esta persona
+	const claimEntry = body.claimToken ? findWaitlistOffer(String(body.claimToken)) : null;
+	if (body.claimToken) {
+		if (!claimEntry) {
+			return { status: 410, body: { error: "El enlace de la lista de espera ya no es válido: la oferta expiró o ya se usó" } };
+		}
+		const offeredSeats = new Set(claimEntry.offer.asientos);
+		const [leg] = legs;
+		const matchesOffer = legs.length === 1
+			&& getRouteKey(leg.origen, leg.destino, leg.fecha, leg.horario) === claimEntry.routeKey
+			&& leg.asientos.length === offeredSeats.size
+			&& leg.asientos.every(asiento => offeredSeats.has(asiento));
+		if (!matchesOffer) {
+			return { status: 400, body: { error: "La compra no corresponde a los asientos ofrecidos por la lista de espera" } };
+		}
+	}
+
+	// Precio y descuento de cada boleto tal como se cotizaron
+	const getDiscount = (legIndex, index) => quote.tramos[legIndex].descuentos[index];
+	const getPrice = (legIndex, index) => quote.tramos[legIndex].precios[index];
+
+	// Apartar todos los asientos de todos los tramos mientras el cliente paga (todos o ninguno).
+	// La retención de la oferta se cambia por la de la compra en el mismo paso: si no se puede apartar,
+	// la oferta sigue en pie
+	const hold = placeHoldItems(legs.map(leg => leg.holdItem), { replacesHoldId: claimEntry ? claimEntry.offer.holdId : null });
+	if (!hold) {
+		const unavailableSeats = legs.flatMap(leg => {
+			const heldSeats = getHeldSeatsForTrip(leg.origen, leg.destino, leg.fecha, leg.horario);
+			return leg.asientos.filter(asiento => heldSeats.includes(asiento));
+		});
+		return {
+			status: 409,
+			body: {
+				error: "Uno o más asientos están apartados por otro cliente. Intenta con otros asientos o espera unos minutos.",
+				unavailableSeats: Array.from(new Set(unavailableSeats))
+			}
+		};
+	}
+
+	// Origen y destino de la orden son los del viaje de ida
+	const outboundLegs = legs.filter(leg => leg.sentido === "ida");
+	const returnLegs = legs.filter(leg => leg.sentido === "regreso");
+	const firstLeg = outboundLegs[0];
+	const lastLeg = outboundLegs[outboundLegs.length - 1];
+	const order = {
+		id: crypto.randomUUID(),
+		referencia: generateReservationReference(),
+		holdId: hold.id,
+		sessionId: null,
+		status: "pending",
+		tipoViaje: returnLegs.length > 0 ? "redondo" : "sencillo",
+		origen: firstLeg.origen,
+		destino: lastLeg.destino,
+		fecha: firstLeg.fecha,
+		horario: firstLeg.horario,
+		horaAbordaje: firstLeg.horaAbordaje,
+		horaLlegada: lastLeg.horaLlegada,
+		fechaRegreso: returnLegs.length > 0 ? returnLegs[0].fecha : null,
+		descuentoRegreso: returnLegs.length > 0 ? RETURN_TRIP_DISCOUNT_PERCENT : 0,
+		pasajeros: pasajeros.map((p, index) => ({
+			nombre: p.nombre,
+			tipoDocumento: p.tipoDocumento || "N/A",
+			numeroDocumento: p.numeroDocumento,
+			categoria: passengerCategories[index].id,
+			categoriaNombre: passengerCategories[index].name,
+			asiento: firstLeg.asientos[index],
+			precio: roundMoney(legs.reduce((sum, leg, legIndex) => sum + getPrice(legIndex, index), 0))
+		})),
+		tramos: legs.map((leg, legIndex) => ({
+			origen: leg.origen,
+			destino: leg.destino,
+			fecha: leg.fecha,
+			horario: leg.horario,
+			horaAbordaje: leg.horaAbordaje,
+			horaLlegada: leg.horaLlegada,
+			sentido: leg.sentido,
+			tarifaBase: leg.precio,
+			temporada: leg.temporada ? leg.temporada.name : null,
+			pasajeros: leg.asientos.map((asiento, index) => ({ asiento, precio: getPrice(legIndex, index), descuentoCupon: getDiscount(legIndex, index) }))
+		})),
+		total: quote.total,
+		cotizacion: quote.id,
+		cupon: couponDiscount
+			? { code: couponDiscount.coupon.code, discountType: couponDiscount.coupon.discountType, discountValue: couponDiscount.coupon.discountValue }
+			: null,
+		descuentoCupon: quote.descuentoCupon,
+		email: email || "N/A",
+		telefono: telefono || "N/A",
+		paymentMethod: paymentMethod || "card",
+		createdAt: new Date().toISOString()
+	};
+
+	// La orden pendiente cuenta para el cupo de tarifas desde este momento
+	ordersById.set(order.id, order);
+
+	if (claimEntry) {
+		claimEntry.status = "claimed";
+		claimEntry.orderId = order.id;
+		saveWaitlist(waitlistById);
+	}
+
+	return { order, hold };
+}
+
+// API: Cotizar una compra (mismos datos que create-checkout-session, sin los datos personales)
+// Devuelve la cotización firmada que el checkout exige; no aparta asientos
+app.post("/api/quotes", (req, res) => {
+	const prepared = createPriceQuote(req.body || {});
+	if (!prepared.quote) {
+		return res.status(prepared.status).json(prepared.body);
+	}
+	res.json(prepared.quote);
+});
+
+app.post("/api/create-checkout-session", async (req, res) => {
+	const prepared = createPendingOrder(req.body || {});
+	if (!prepared.order) {
+		return res.status(prepared.status).json(prepared.body);
+	}
+	const { order, hold } = prepared;
+	const { email, paymentMethod } = req.body || {};
+
+	// Stripe no puede cobrar una compra en ceros (p. ej. con un cupón del 100%)
+	if (order.total <= 0) {
+		discardPendingOrder(order, hold);
+		return res.status(400).json({ error: "El total con el cupón debe ser mayor a cero para pagar en línea" });
+	}
+
+	try {
+		const baseUrl = process.env.FRONTEND_BASE_URL || `${req.protocol}://${req.get("host")}`;
+		
+		// Configurar métodos de pago según la selección
+		const paymentMethodTypes = [];
+		
+		switch(paymentMethod) {
+			case 'oxxo':
+				paymentMethodTypes.push('oxxo');
+				break;
+			case 'spei':
+				paymentMethodTypes.push('customer_balance');
+				break;
+			case 'cash':
+				paymentMethodTypes.push('oxxo'); // OXXO como método de efectivo
+				break;
+			case 'card':
+			default:
+				paymentMethodTypes.push('card');
+				break;
+		}
+		
+		const sessionConfig = {
+			payment_method_types: paymentMethodTypes,
+			mode: "payment",
+			// Una línea por pasajero en cada tramo
+			line_items: order.tramos.flatMap(tramo => tramo.pasajeros.map((seat, index) => {
+				const pasajero = order.pasajeros[index];
+				return {
+					price_data: {
+						currency: "mxn", // Cambio a pesos mexicanos
+						product_data: {
+							name: `TransBus: ${tramo.origen} → ${tramo.destino}${tramo.sentido === "regreso" ? " (regreso)" : ""}`,
+							description: `Viaje del ${tramo.fecha} a las ${tramo.horaAbordaje} - Asiento ${seat.asiento}\nPasajero: ${pasajero.nombre}\nDocumento: ${pasajero.tipoDocumento} ${pasajero.numeroDocumento}\nTarifa: ${pasajero.categoriaNombre}${seat.descuentoCupon > 0 ? `\nCupón ${order.cupon.code}: -$${seat.descuentoCupon.toFixed(2)}` : ""}`,
+						},
+						unit_amount: Math.round(seat.precio * 100), // Convertir a centavos
+					},
+					quantity: 1,
+				};
+			})),
+			success_url: `${baseUrl}/index.html?success=true&session_id={CHECKOUT_SESSION_ID}`,
+			cancel_url: `${baseUrl}/index.html?canceled=true&hold=${hold.id}`,
+			// La sesión expira junto con la retención del asiento
+			expires_at: Math.floor(hold.expiresAt / 1000),
+			// Los datos completos de los pasajeros viven en la orden (límite de 500 caracteres por campo en Stripe)
+			metadata: { 
+				orderId: order.id,
+				referencia: order.referencia,
+				tipoViaje: order.tipoViaje,
+				holdId: hold.id,
+				origen: order.origen, 
+				destino: order.destino, 
+				horario: order.horario,
+				fecha: order.fecha,
+				// Asientos de cada tramo separados por "|"
+				asientos: order.tramos.map(tramo => tramo.pasajeros.map(seat => seat.asiento).join(",")).join("|"),
+				tramos: String(order.tramos.length),
+				pasajeros: String(order.pasajeros.length),
+				email: order.email,
+				telefono: order.telefono,
+				paymentMethod: order.paymentMethod,
+				cupon: order.cupon ? order.cupon.code : ""
+			},
+			customer_email: email || undefined,
+		};
+		
+		// Configuración específica para OXXO
+		if (paymentMethod === 'oxxo' || paymentMethod === 'cash') {
+			sessionConfig.payment_method_options = {
+				oxxo: {
+					expires_after_days: 3 // El voucher expira en 3 días
+				}
+			};
+		}
+		
+		// Configuración para SPEI
+		if (paymentMethod === 'spei') {
+			sessionConfig.payment_method_options = {
+				customer_balance: {
+					funding_type: 'bank_transfer',
+					bank_transfer: {
+						type: 'mx_bank_transfer'
+					}
+				}
+			};
+		}
+		
+		const session = await paymentProvider.createCheckoutSession(sessionConfig);
+		attachSessionToHold(hold.id, session.id);
+
+		order.sessionId = session.id;
+		saveOrders(ordersById);
+
+		return res.json({ url: session.url, holdId: hold.id, holdExpiresAt: new Date(hold.expiresAt).toISOString() });
+	} catch (err) {
+		discardPendingOrder(order, hold);
+		console.error("Error creating checkout session:", err);
+		return res.status(500).json({ error: "Error interno del servidor: " + err.message });
+	}
+});
+
+/**
+ * Datos de los boletos emitidos que se devuelven al comprador (para mostrarlos e imprimirlos)
+ */
+function describeIssuedTickets(tickets) {
+	return tickets.map(ticket => {
+		const { ticketId, nombre, categoriaNombre, origen, destino, asiento, horario, horaAbordaje, horaLlegada, fecha, tramo, totalTramos, sentido, amountPaid, desgloseIva } = ticket;
+		return { ticketId, nombre, categoriaNombre, origen, destino, asiento, horario, horaAbordaje, horaLlegada, fecha, tramo, totalTramos, sentido, amountPaid, desgloseIva, codigoAbordaje: createBoardingCode(ticket) };
+	});
+}
+
+/**
+ * Enlace al PDF de los boletos de una compra (sirve para volver a descargarlos)
+ */
+function getTicketPdfUrl(sessionId) {
+	return `/api/ticket/${encodeURIComponent(sessionId)}/pdf`;
+}
+
+// API: Verificar sesión de pago y confirmar reserva
+app.get("/api/checkout/session", async (req, res) => {
+	const { session_id } = req.query || {};
+	
+	if (!session_id) {
+		return res.status(400).json({ error: "Falta session_id" });
+	}
+
+	try {
+		const session = await paymentProvider.retrieveCheckoutSession(String(session_id));
+		
+		if (!session) {
+			return res.status(404).json({ error: "Sesión no encontrada" });
+		}
+
+		// OXXO y SPEI: la sesión se completa al emitir la referencia y el pago llega después
+		if (session.status === "complete" && session.payment_status === "unpaid") {
+			const order = markOrderAwaitingPayment(session);
+			return res.status(402).json({
+				error: "Pago pendiente",
+				status: "pending",
+				sessionId: session.id,
+				referencia: order ? order.referencia : null,
+				paymentMethod: order ? order.paymentMethod : null,
+				holdUntil: order && order.awaitingPayment ? order.awaitingPayment.holdUntil : null
+			});
+		}
+
+		if (session.payment_status !== "paid") {
+			return res.status(402).json({ error: "Pago no confirmado" });
+		}
+
+		const tickets = issueTicketsForSession(session);
+		
+		if (!tickets) {
+			return res.status(500).json({ error: "Datos de sesión incompletos" });
+		}
+		
+		if (tickets.length === 0) {
+			const order = getOrderForSession(session);
+			return res.status(409).json({
+				error: "Los asientos se vendieron antes de que se confirmara tu pago. Te reembolsaremos el total cobrado.",
+				code: "SEATS_SOLD",
+				sessionId: session.id,
+				referencia: order ? order.referencia || null : null
+			});
+		}
+
+		const boletos = describeIssuedTickets(tickets);
+
+		return res.json({
+			status: "paid",
+			sessionId: session.id,
+			referencia: tickets[0].referencia,
+			amountTotal: session.amount_total,
+			currency: session.currency,
+			pdfUrl: getTicketPdfUrl(session.id),
+			boleto: boletos[0],
+			boletos
+		});
+
+	} catch (err) {
+		console.error("Error verifying session:", err);
+		return res.status(500).json({ error: "Error verificando el pago" });
+	}
+});
+
+// API: Taquilleros activos (para el selector de ingreso de la taquilla)
+app.get("/api/counter/clerks", (req, res) => {
+	const clerks = Array.from(clerksById.values())
+		.filter(clerk => clerk.activo)
+		.map(({ id, nombre }) => ({ id, nombre }))
+		.sort((a, b) => a.nombre.localeCompare(b.nombre));
+	res.json({ clerks, paymentMethods: COUNTER_PAYMENT_METHODS });
+});
+
+// API: Ingreso de un taquillero con su PIN
+app.post("/api/counter/login", (req, res) => {
+	const { clerkId, pin } = req.body || {};
+	const clerk = clerksById.get(String(clerkId || ""));
+	
+	if (!clerk || !clerk.activo || !verifyPin(clerk, String(pin || ""))) {
+		return res.status(401).json({ error: "Taquillero o PIN incorrecto" });
+	}
+	
+	const session = createClerkSession(clerk);
+	console.log(`🎫 Taquilla abierta por ${clerk.nombre}`);
+	
+	res.json({
+		token: session.token,
+		clerk: { id: clerk.id, nombre: clerk.nombre },
+		expiresAt: new Date(session.expiresAt).toISOString()
+	});
+});
+
+/**
+ * Datos del turno que ve el taquillero: sin los totales esperados, para que el conteo del corte sea a ciegas
+ */
+function describeShiftForClerk(shift) {
+	if (!shift) return null;
+	const { id, estado, fondoInicial, abiertoEn } = shift;
+	return { id, estado, fondoInicial, abiertoEn, boletos: Array.from(ticketDatabase.values()).filter(ticket => ticket.turnoId === id).length };
+}
+
+// API: Taquillero de la sesión actual y su turno abierto
+app.get("/api/counter/session", requireClerk, (req, res) => {
+	res.json({
+		clerk: { id: req.clerk.id, nombre: req.clerk.nombre },
+		turno: describeShiftForClerk(getOpenShift(req.clerk.id))
+	});
+});
+
+// API: Abrir turno de caja con el fondo inicial
+app.post("/api/counter/shifts", requireClerk, (req, res) => {
+	const clerk = req.clerk;
+	if (getOpenShift(clerk.id)) {
+		return res.status(409).json({ error: "Ya tienes un turno abierto; ciérralo antes de abrir otro" });
+	}
+	
+	const fondo = parseCashAmount((req.body || {}).fondoInicial, "El fondo inicial");
+	if (fondo.error) {
+		return res.status(400).json({ error: fondo.error });
+	}
+	
+	const shift = {
+		id: crypto.randomUUID(),
+		clerkId: clerk.id,
+		taquillero: clerk.nombre,
+		estado: "abierto",
+		fondoInicial: fondo.amount,
+		abiertoEn: new Date().toISOString(),
+		cerradoEn: null
+	};
+	shiftsById.set(shift.id, shift);
+	saveShifts(shiftsById);
+	
+	addAuditEntry("apertura_turno", "taquilla", { turnoId: shift.id, taquillero: { id: clerk.id, nombre: clerk.nombre }, fondoInicial: shift.fondoInicial });
+	console.log(`🗃️ Turno abierto por ${clerk.nombre} con fondo de $${shift.fondoInicial}`);
+	
+	res.status(201).json({ turno: describeShiftForClerk(shift) });
+});
+
+// API: Turno abierto del taquillero
+app.get("/api/counter/shifts/current", requireClerk, (req, res) => {
+	const shift = getOpenShift(req.clerk.id);
+	if (!shift) {
+		return res.status(404).json({ error: "No tienes un turno abierto" });
+	}
+	res.json({ turno: describeShiftForClerk(shift) });
+});
+
+// API: Cerrar el turno con el conteo por forma de pago (corte de caja)
+app.post("/api/counter/shifts/current/close", requireClerk, (req, res) => {
+	const clerk = req.clerk;
+	const shift = getOpenShift(clerk.id);
+	if (!shift) {
+		return res.status(404).json({ error: "No tienes un turno abierto" });
+	}
+	
+	const body = req.body || {};
+	const declarado = {};
+	for (const [metodo, nombre] of Object.entries(COUNTER_PAYMENT_METHODS)) {
+		const counted = parseCashAmount(body[metodo], `El conteo de ${nombre.toLowerCase()}`);
+		if (counted.error) {
+			return res.status(400).json({ error: counted.error });
+		}
+		declarado[metodo] = counted.amount;
+	}
+	
+	shift.cerradoEn = new Date().toISOString();
+	shift.resumen = summarizeShift(getShiftMovements(shift));
+	shift.declarado = declarado;
+	shift.corte = buildShiftClose(shift, shift.resumen, declarado);
+	shift.notas = body.notas ? String(body.notas).trim() : null;
+	shift.estado = "cerrado";
+	saveShifts(shiftsById);
+	
+	addAuditEntry("corte_caja", "taquilla", {
+		turnoId: shift.id,
+		taquillero: { id: clerk.id, nombre: clerk.nombre },
+		fondoInicial: shift.fondoInicial,
+		declarado,
+		diferenciaTotal: shift.corte.diferenciaTotal,
+		notas: shift.notas
+	});
+	console.log(`🧾 Corte de caja de ${clerk.nombre}: diferencia $${shift.corte.diferenciaTotal}`);
+	
+	res.json({ turno: describeShift(shift) });
+});
+
+// API: Boletos cancelados con reembolso pendiente de entregar en ventanilla
+app.get("/api/counter/refunds", requireClerk, (req, res) => {
+	const refunds = Array.from(ticketDatabase.values())
+		.filter(ticket => getPendingCounterRefunds(ticket).length > 0)
+		.map(ticket => {
+			const pendientes = getPendingCounterRefunds(ticket);
+			return {
+				ticketId: ticket.ticketId,
+				referencia: ticket.referencia || null,
+				nombre: ticket.nombre,
+				viaje: `${ticket.origen} → ${ticket.destino} ${ticket.fecha} ${ticket.horario} asiento ${ticket.asiento}`,
+				metodo: pendientes[0].metodo,
+				monto: roundMoney(pendientes.reduce((sum, reembolso) => sum + reembolso.monto, 0)),
+				canceladoEn: ticket.cancelacion.fecha
+			};
+		})
+		.sort((a, b) => a.canceladoEn.localeCompare(b.canceladoEn));
+	
+	res.json({ refunds });
+});
+
+// API: Entregar en ventanilla el reembolso de un boleto cancelado; sale de la caja del turno abierto
+app.post("/api/counter/refunds/:ticketId", requireClerk, (req, res) => {
+	const clerk = req.clerk;
+	const shift = getOpenShift(clerk.id);
+	if (!shift) {
+		return res.status(409).json({ error: "Abre tu turno de caja antes de entregar reembolsos" });
+	}
+	
+	const ticket = ticketDatabase.get(req.params.ticketId);
+	const pendientes = ticket ? getPendingCounterRefunds(ticket) : [];
+	if (pendientes.length === 0) {
+		return res.status(404).json({ error: "El boleto no tiene un reembolso pendiente de entregar en taquilla" });
+	}
+	
+	const entregadoEn = new Date().toISOString();
+	const taquillero = { id: clerk.id, nombre: clerk.nombre };
+	pendientes.forEach(reembolso => {
+		reembolso.estado = "entregado";
+		reembolso.turnoId = shift.id;
+		reembolso.entregadoEn = entregadoEn;
+		reembolso.taquillero = taquillero;
+	});
+	saveTickets(ticketDatabase);
+	
+	const monto = roundMoney(pendientes.reduce((sum, reembolso) => sum + reembolso.monto, 0));
+	addAuditEntry("reembolso_taquilla", "taquilla", {
+		ticketId: ticket.ticketId,
+		referencia: ticket.referencia || null,
+		taquillero,
+		turnoId: shift.id,
+		metodo: pendientes[0].metodo,
+		monto
+	});
+	console.log(`💵 Reembolso de $${monto} del boleto ${ticket.ticketId} entregado por ${clerk.nombre}`);
+	
+	res.json({ ticketId: ticket.ticketId, monto, metodo: pendientes[0].metodo, turno: describeShiftForClerk(shift) });
+});
+
+// API: Salir de la taquilla
+app.post("/api/counter/logout", requireClerk, (req, res) => {
+	endClerkSession(req.clerkToken);
+	res.json({ success: true });
+});
+
+// API: Venta en taquilla cobrada en efectivo o con terminal bancaria; los boletos se emiten en el acto
+app.post("/api/counter/sales", requireClerk, (req, res) => {
+	const body = req.body || {};
+	const { metodoPago } = body;
+	const referenciaTerminal = String(body.referenciaTerminal || "").trim();
+	
+	if (!COUNTER_PAYMENT_METHODS[metodoPago]) {
+		return res.status(400).json({ error: `Forma de pago no válida. Usa: ${Object.keys(COUNTER_PAYMENT_METHODS).join(", ")}` });
+	}
+	if (metodoPago === "terminal" && !referenciaTerminal) {
+		return res.status(400).json({ error: "Captura el número de autorización de la terminal bancaria" });
+	}
+	
+	// Lo cobrado entra a la caja del turno abierto del taquillero
+	const shift = getOpenShift(req.clerk.id);
+	if (!shift) {
+		return res.status(409).json({ error: "Abre tu turno de caja antes de vender" });
+	}
+	
+	// Las ventas de taquilla no usan enlaces de la lista de espera
+	const prepared = createPendingOrder({ ...body, claimToken: undefined, paymentMethod: metodoPago });
+	if (!prepared.order) {
+		return res.status(prepared.status).json(prepared.body);
+	}
+	const { order, hold } = prepared;
+	
+	let montoRecibido = order.total;
+	if (metodoPago === "efectivo") {
+		montoRecibido = roundMoney(parseFloat(body.montoRecibido));
+		if (!Number.isFinite(montoRecibido) || montoRecibido < order.total) {
+			releaseHold(hold.id);
+			ordersById.delete(order.id);
+			processWaitlist();
+			return res.status(400).json({ error: `El monto recibido no cubre el total de $${order.total.toFixed(2)} MXN` });
+		}
+	}
+	
+	const clerk = req.clerk;
+	const sessionId = `${COUNTER_SALE_PREFIX}${crypto.randomBytes(12).toString("hex")}`;
+	attachSessionToHold(hold.id, sessionId);
+	
+	order.sessionId = sessionId;
+	order.canal = "taquilla";
+	order.taquillero = { id: clerk.id, nombre: clerk.nombre };
+	order.turnoId = shift.id;
+	order.pagoTaquilla = {
+		metodo: metodoPago,
+		montoRecibido,
+		cambio: roundMoney(montoRecibido - order.total),
+		referenciaTerminal: metodoPago === "terminal" ? referenciaTerminal : null
+	};
+	
+	const tickets = issueTicketsForOrder(order, {
+		sessionId,
+		amountTotal: order.total,
+		currency: "mxn",
+		canal: "taquilla",
+		taquillero: order.taquillero,
+		metodoPago,
+		turnoId: shift.id
+	});
+	
+	addAuditEntry("venta_taquilla", "taquilla", {
+		sessionId,
+		referencia: order.referencia,
+		taquillero: order.taquillero,
+		turnoId: shift.id,
+		boletos: tickets.map(ticket => ticket.ticketId),
+		total: order.total,
+		...order.pagoTaquilla
+	});
+	console.log(`🎫 Venta en taquilla ${order.referencia} por ${clerk.nombre}: $${order.total} (${COUNTER_PAYMENT_METHODS[metodoPago]})`);
+	
+	const boletos = describeIssuedTickets(tickets);
+	res.json({
+		status: "paid",
+		sessionId,
+		referencia: order.referencia,
+		amountTotal: Math.round(order.total * 100),
+		currency: "mxn",
+		canal: "taquilla",
+		taquillero: clerk.nombre,
+		pago: order.pagoTaquilla,
+		pdfUrl: getTicketPdfUrl(sessionId),
+		boleto: boletos[0],
+		boletos
+	});
+});
+
+// API: Obtener información de un boleto (por ID de boleto o ID de sesión)
+app.get("/api/ticket/:sessionId", (req, res) => {
+	const { sessionId } = req.params;
+	const ticket = ticketDatabase.get(sessionId);
+	
+	if (ticket) {
+		return res.json(ticket);
+	}
+	
+	// Una compra con varios pasajeros tiene un boleto por asiento
+	const sessionTickets = getTicketsBySession(sessionId);
+	if (sessionTickets.length === 0) {
+		return res.status(404).json({ error: "Boleto no encontrado" });
+	}
+	
+	res.json({ ...sessionTickets[0], boletos: sessionTickets });
+});
+
+/**
+ * Normalizar una referencia de reservación escrita por el cliente ("tb 7k4m9q", "7K4M9Q" → "TB-7K4M9Q")
+ */
+function normalizeReservationReference(value) {
+	const code = String(value || "").toUpperCase().replace(/[\s-]/g, "").replace(/^TB/, "");
+	return code ? `TB-${code}` : "";
+}
+
+/**
+ * Normalizar un número de documento para compararlo (sin espacios ni guiones)
+ */
+function normalizeDocumentNumber(value) {
+	return String(value || "").toUpperCase().replace(/[\s-]/g, "");
+}
+
+// API: Mis viajes - buscar una reservación por referencia y número de documento o email
+app.post("/api/bookings/lookup", (req, res) => {
+	const { referencia, numeroDocumento, email } = req.body || {};
+	const reference = normalizeReservationReference(referencia);
+	const documento = normalizeDocumentNumber(numeroDocumento);
+	const correo = String(email || "").trim().toLowerCase();
+	
+	if (!reference || (!documento && !correo)) {
+		return res.status(400).json({ error: "Ingresa la referencia y el número de documento o el email de la compra" });
+	}
+	
+	// Mismo error si la referencia no existe o los datos no coinciden: no se revela qué reservaciones existen
+	// Los datos que no se capturaron se guardan como "N/A" y nunca coinciden
+	const order = Array.from(ordersById.values()).find(item => item.referencia === reference);
+	const matches = order && (
+		(correo && order.email !== "N/A" && String(order.email || "").trim().toLowerCase() === correo) ||
+		(documento && (order.pasajeros || []).some(pasajero => pasajero.numeroDocumento !== "N/A" && normalizeDocumentNumber(pasajero.numeroDocumento) === documento))
+	);
+	if (!matches) {
+		return res.status(404).json({ error: "No encontramos una reservación con esos datos" });
+	}
+	
+	// Los boletos existen cuando la compra se pagó; antes solo está la orden
+	const tickets = order.sessionId ? getTicketsBySession(order.sessionId) : [];
+	res.json({
+		referencia: order.referencia,
+		estado: order.status,
+		tipoViaje: order.tipoViaje,
+		origen: order.origen,
+		destino: order.destino,
+		fecha: order.fecha,
+		horaAbordaje: order.horaAbordaje,
+		fechaRegreso: order.fechaRegreso,
+		pagoPendiente: order.status === "pending" && order.awaitingPayment
+			? { metodo: order.paymentMethod, vence: order.awaitingPayment.holdUntil }
+			: null,
+		sessionId: tickets.length > 0 ? order.sessionId : null,
+		pdfUrl: tickets.some(ticket => ticket.paymentStatus === "paid") ? getTicketPdfUrl(order.sessionId) : null,
+		boletos: tickets
+	});
+});
+
+// API: PDF de los boletos de una compra (?ticketId= para uno solo, ?download=1 para descargarlo)
+app.get("/api/ticket/:sessionId/pdf", async (req, res) => {
+	const { sessionId } = req.params;
+	const { ticketId, download } = req.query;
+	
+	let tickets = getTicketsBySession(sessionId);
+	if (ticketId) {
+		tickets = tickets.filter(ticket => ticket.ticketId === ticketId);
+	}
+	if (tickets.length === 0) {
+		return res.status(404).json({ error: "Boleto no encontrado" });
+	}
+	
+	// Los boletos cancelados no se imprimen: ya no sirven para abordar
+	const paidTickets = tickets.filter(ticket => ticket.paymentStatus === "paid");
+	if (paidTickets.length === 0) {
+		return res.status(409).json({ error: "Los boletos de esta compra están cancelados" });
+	}
+	
+	try {
+		const pdf = await renderTicketsPdf(paidTickets);
+		const fileName = `TransBus_${paidTickets[0].referencia || sessionId}${ticketId ? `_asiento_${paidTickets[0].asiento}` : ""}`;
+		res.set({
+			"Content-Type": "application/pdf",
+			"Content-Disposition": `${download ? "attachment" : "inline"}; filename="${fileName.replace(/[^\w-]/g, "_")}.pdf"`,
+			"Cache-Control": "no-store"
+		});
+		res.send(pdf);
+	} catch (err) {
+		console.error("Error generando el PDF de boletos:", err);
+		res.status(500).json({ error: "No se pudo generar el PDF de los boletos" });
+	}
+});
+
+/**
+ * Boleto que se quiere cambiar; el ID de la sesión de pago sirve como comprobante de compra
+ */
+function findTicketForExchange(ticketId, sessionId) {
+	const ticket = ticketDatabase.get(ticketId);
+	return ticket && sessionId && ticket.sessionId === sessionId ? ticket : null;
+}
+
+/**
+ * Datos de la cotización que se muestran al cliente
+ */
+function describeExchangeQuote({ holdItem, ...quote }) {
+	return quote;
+}
+
+// API: Cotizar el cambio de un boleto a otro asiento u otra salida
+app.get("/api/ticket/:ticketId/exchange-quote", (req, res) => {
+	const { sessionId, fecha, horario, asiento } = req.query;
+	const ticket = findTicketForExchange(req.params.ticketId, sessionId);
+	
+	if (!ticket) {
+		return res.status(404).json({ error: "Boleto no encontrado" });
+	}
+	
+	const prepared = prepareTicketExchange(ticket, { fecha, horario, asiento });
+	if (!prepared.quote) {
+		return res.status(prepared.status).json(prepared.body);
+	}
+	
+	res.json(describeExchangeQuote(prepared.quote));
+});
+
+// API: Cambiar un boleto de asiento o de salida
+// Sin diferencia a pagar el cambio se aplica en el momento; si la tarifa nueva es mayor
+// se aparta el asiento y se cobra la diferencia con Stripe
+app.post("/api/ticket/:ticketId/exchange", async (req, res) => {
+	const { sessionId, fecha, horario, asiento } = req.body || {};
+	const ticket = findTicketForExchange(req.params.ticketId, sessionId);
+	
+	if (!ticket) {
+		return res.status(404).json({ error: "Boleto no encontrado" });
+	}
+	
+	// Un cambio anterior que no se pagó se descarta
+	const previous = ticket.cambioPendiente;
+	if (previous) {
+		releaseHold(previous.holdId);
+		delete ticket.cambioPendiente;
+		try {
+			await paymentProvider.expireCheckoutSession(previous.sessionId);
+		} catch (err) {
+			console.warn(`No se pudo expirar la sesión ${previous.sessionId}:`, err.message);
+		}
+	}
+	
+	const prepared = prepareTicketExchange(ticket, { fecha, horario, asiento });
+	if (!prepared.quote) {
+		return res.status(prepared.status).json(prepared.body);
+	}
+	const { quote } = prepared;
+	
+	if (quote.aPagar === 0) {
+		const change = applyTicketExchange(ticket, quote);
+		return res.json({ status: "completed", ticket, change });
+	}
+	
+	const hold = placeHoldItems([quote.holdItem]);
+	if (!hold) {
+		return res.status(409).json({ error: `El asiento ${quote.asiento} está apartado por otro cliente. Intenta con otro asiento.` });
+	}
+	
+	try {
+		const baseUrl = process.env.FRONTEND_BASE_URL || `${req.protocol}://${req.get("host")}`;
+		const session = await paymentProvider.createCheckoutSession({
+			payment_method_types: ["card"],
+			mode: "payment",
+			line_items: [{
+				price_data: {
+					currency: "mxn",
+					product_data: {
+						name: `TransBus: cambio de boleto ${ticket.origen} → ${ticket.destino}`,
+						description: `Nuevo viaje del ${quote.fecha} a las ${quote.horaAbordaje} - Asiento ${quote.asiento}\nPasajero: ${ticket.nombre}`
+					},
+					unit_amount: Math.round(quote.aPagar * 100)
+				},
+				quantity: 1
+			}],
+			success_url: `${baseUrl}/cambios.html?exchange_session={CHECKOUT_SESSION_ID}`,
+			cancel_url: `${baseUrl}/cambios.html?canceled=true&hold=${hold.id}`,
+			expires_at: Math.floor(hold.expiresAt / 1000),
+			// Sin orderId: la sesión no emite boletos nuevos, solo completa el cambio
+			metadata: {
+				tipo: "cambio",
+				ticketId: ticket.ticketId,
+				holdId: hold.id,
+				fecha: quote.fecha,
+				horario: quote.horario,
+				asiento: quote.asiento
+			},
+			customer_email: ticket.email && ticket.email !== "N/A" ? ticket.email : undefined
+		});
+		attachSessionToHold(hold.id, session.id);
+		
+		ticket.cambioPendiente = {
+			sessionId: session.id,
+			holdId: hold.id,
+			quote: describeExchangeQuote(quote),
+			createdAt: new Date().toISOString()
+		};
+		saveTickets(ticketDatabase);
+		
+		return res.json({ status: "payment_required", url: session.url, aPagar: quote.aPagar, holdExpiresAt: new Date(hold.expiresAt).toISOString() });
+	} catch (err) {
+		releaseHold(hold.id);
+		console.error("Error creating exchange session:", err);
+		return res.status(500).json({ error: "Error interno del servidor: " + err.message });
+	}
+});
+
+// API: Confirmar el pago de la diferencia y aplicar el cambio de boleto
+app.get("/api/ticket-exchange/confirm", async (req, res) => {
+	const { session_id } = req.query || {};
+	
+	if (!session_id) {
+		return res.status(400).json({ error: "Falta session_id" });
+	}
+	
+	try {
+		const session = await paymentProvider.retrieveCheckoutSession(String(session_id));
+		
+		if (!session || (session.metadata || {}).tipo !== "cambio") {
+			return res.status(404).json({ error: "Sesión de cambio no encontrada" });
+		}
+		
+		if (session.payment_status !== "paid") {
+			return res.status(402).json({ error: "Pago no confirmado" });
+		}
+		
+		const result = completeTicketExchange(session);
+		if (!result) {
+			return res.status(404).json({ error: "No hay un cambio pendiente para esta sesión" });
+		}
+		
+		res.json({ status: result.change.estado === "aplicado" ? "completed" : "failed", ...result });
 	} catch (err) {
-		console.error("Error verifying session:", err);
+		console.error("Error verifying exchange session:", err);
 		return res.status(500).json({ error: "Error verificando el pago" });
 	}
 });
 
-// API: Obtener información de un boleto
-app.get("/api/ticket/:sessionId", (req, res) => {
-	const { sessionId } = req.params;
-	const ticket = ticketDatabase.get(sessionId);
+// API: Cotizar la cancelación de un boleto según la política de reembolso
+app.get("/api/ticket/:ticketId/cancellation-quote", (req, res) => {
+	const ticket = findTicketForExchange(req.params.ticketId, req.query.sessionId);
+	
+	if (!ticket) {
+		return res.status(404).json({ error: "Boleto no encontrado" });
+	}
+	
+	const prepared = prepareTicketCancellation(ticket);
+	if (!prepared.quote) {
+		return res.status(prepared.status).json({ ...prepared.body, politica: describeCancellationPolicy() });
+	}
+	
+	res.json(prepared.quote);
+});
+
+// API: Cancelar un boleto (cliente) y reembolsar según la política
+app.post("/api/ticket/:ticketId/cancel", async (req, res) => {
+	const { sessionId, motivo } = req.body || {};
+	const ticket = findTicketForExchange(req.params.ticketId, sessionId);
+	
+	if (!ticket) {
+		return res.status(404).json({ error: "Boleto no encontrado" });
+	}
+	
+	const prepared = prepareTicketCancellation(ticket);
+	if (!prepared.quote) {
+		return res.status(prepared.status).json(prepared.body);
+	}
+	
+	try {
+		const cancelacion = await cancelTicket(ticket, prepared.quote, { actor: "cliente", motivo });
+		res.json({ status: ticket.paymentStatus, ticket, cancelacion });
+	} catch (err) {
+		console.error("Error canceling ticket:", err);
+		return res.status(502).json({ error: "No se pudo procesar el reembolso: " + err.message });
+	}
+});
+
+// Webhook de Stripe: confirma los pagos aunque el cliente no regrese al sitio
+// (OXXO y SPEI se pagan días después de terminar el Checkout).
+// Cada evento puede llegar más de una vez; procesarlo de nuevo no tiene efecto.
+app.post("/api/webhooks/stripe", (req, res) => {
+	let event;
+	try {
+		event = paymentProvider.parseWebhookEvent(req.rawBody, req.headers);
+	} catch (err) {
+		console.error("Error en verificación de webhook:", err.message);
+		return res.status(400).json({ error: `Webhook Error: ${err.message}` });
+	}
+	
+	try {
+		handlePaymentEvent(event);
+	} catch (err) {
+		// Stripe reintenta el evento si la respuesta no es 2xx
+		console.error(`Error procesando webhook ${event.type}:`, err);
+		return res.status(500).json({ error: "Error procesando webhook" });
+	}
+	
+	res.json({ received: true });
+});
+
+// API: Cancelar un boleto desde administración
+// Sin refundPercent se aplica la política; con él se reembolsa ese porcentaje a cualquier hora
+// (p. ej. una salida cancelada por la empresa)
+app.post("/api/admin/tickets/:ticketId/cancel", async (req, res) => {
+	const { motivo, refundPercent } = req.body || {};
+	const ticket = ticketDatabase.get(req.params.ticketId);
+	
+	if (!ticket) {
+		return res.status(404).json({ success: false, error: "Boleto no encontrado" });
+	}
+	
+	let percent = null;
+	if (refundPercent !== undefined && refundPercent !== null && refundPercent !== "") {
+		percent = Number(refundPercent);
+		if (!Number.isFinite(percent) || percent < 0 || percent > 100) {
+			return res.status(400).json({ success: false, error: "refundPercent debe ser un número entre 0 y 100" });
+		}
+	}
+	
+	const prepared = prepareTicketCancellation(ticket, { refundPercent: percent });
+	if (!prepared.quote) {
+		return res.status(prepared.status).json({ success: false, ...prepared.body });
+	}
+	
+	try {
+		const cancelacion = await cancelTicket(ticket, prepared.quote, { actor: "admin", motivo });
+		res.json({
+			success: true,
+			message: `Boleto cancelado; reembolso de $${cancelacion.montoReembolso.toFixed(2)}`,
+			ticket,
+			cancelacion
+		});
+	} catch (err) {
+		console.error("Error canceling ticket:", err);
+		return res.status(502).json({ success: false, error: "No se pudo procesar el reembolso: " + err.message });
+	}
+});
+
+// API: Bitácora de auditoría (cancelaciones y reembolsos)
+app.get("/api/admin/audit-log", (req, res) => {
+	res.json({
+		total: auditLog.length,
+		entries: [...auditLog].reverse()
+	});
+});
+
+// API: Listar todos los boletos (para administración)
+app.get("/api/admin/tickets", (req, res) => {
+	const tickets = Array.from(ticketDatabase.values());
+	res.json({ 
+		total: tickets.length,
+		tickets: tickets.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+	});
+});
+
+/**
+ * Texto CSV de una tabla (la primera fila son los encabezados)
+ * Lleva BOM para que Excel reconozca los acentos.
+ */
+function toCsv(rows) {
+	const escape = value => {
+		const text = value === null || value === undefined ? "" : String(value);
+		return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+	};
+	return "\uFEFF" + rows.map(row => row.map(escape).join(",")).join("\r\n") + "\r\n";
+}
+
+/**
+ * GET /api/admin/manifest - Manifiesto de pasajeros de una salida (routeKey, fecha, horario)
+ * Solo los boletos pagados, ordenados por asiento. Con format=csv se descarga como CSV.
+ */
+app.get("/api/admin/manifest", (req, res) => {
+	const found = findManifestDeparture(req.query);
+	if (!found.departure) {
+		return res.status(found.status).json(found.body);
+	}
+	const { routeKey, fecha, horario } = found.departure;
+	
+	const pasajeros = getDepartureTickets(routeKey, fecha, horario)
+		.filter(ticket => ticket.paymentStatus === "paid")
+		.map(ticket => ({
+			ticketId: ticket.ticketId,
+			referencia: ticket.referencia || null,
+			asiento: ticket.asiento,
+			nombre: ticket.nombre,
+			tipoDocumento: ticket.tipoDocumento || null,
+			numeroDocumento: ticket.numeroDocumento || null,
+			categoriaNombre: ticket.categoriaNombre || null,
+			origen: ticket.origen,
+			destino: ticket.destino,
+			horaAbordaje: ticket.horaAbordaje || ticket.horario,
+			canal: ticket.canal || "web",
+			abordaje: ticket.abordaje || null
+		}));
+	
+	if (req.query.format === "csv") {
+		const rows = [
+			["Asiento", "Pasajero", "Tipo de documento", "Número de documento", "Tarifa", "Sube en", "Baja en", "Hora de abordaje", "Referencia", "Abordaje"],
+			...pasajeros.map(p => [
+				p.asiento,
+				p.nombre,
+				p.tipoDocumento,
+				p.numeroDocumento,
+				p.categoriaNombre,
+				p.origen,
+				p.destino,
+				p.horaAbordaje,
+				p.referencia,
+				p.abordaje ? `Abordó ${p.abordaje.fecha}` : "Sin abordar"
+			])
+		];
+		const fileName = `manifiesto_${routeKey}_${fecha}_${horario}`.replace(/[^\w-]+/g, "_");
+		res.set("Content-Type", "text/csv; charset=utf-8");
+		res.set("Content-Disposition", `attachment; filename="${fileName}.csv"`);
+		return res.send(toCsv(rows));
+	}
+	
+	res.json({
+		...found.departure,
+		generadoEn: new Date().toISOString(),
+		resumen: {
+			pasajeros: pasajeros.length,
+			abordados: pasajeros.filter(p => p.abordaje).length
+		},
+		pasajeros
+	});
+});
+
+// API: Estadísticas básicas
+app.get("/api/admin/stats", (req, res) => {
+	const allTickets = Array.from(ticketDatabase.values());
+	// Los boletos cancelados no cuentan como vendidos; lo que no se reembolsó sí es ingreso
+	const tickets = allTickets.filter(ticket => ticket.paymentStatus === "paid");
+	const canceledTickets = allTickets.filter(ticket => ticket.cancelacion);
+	const totalRefunded = canceledTickets.reduce((sum, ticket) => sum + ticket.cancelacion.montoReembolso, 0);
+	const totalRevenue = allTickets.reduce((sum, ticket) => sum + ticket.amountPaid, 0) - totalRefunded;
+	const routeStats = {};
+	const fareCategoryStats = {};
+	const channelStats = {};
+	const couponStats = {};
+	
+	tickets.forEach(ticket => {
+		const route = `${ticket.origen}-${ticket.destino}`;
+		if (!routeStats[route]) {
+			routeStats[route] = { count: 0, revenue: 0 };
+		}
+		routeStats[route].count++;
+		routeStats[route].revenue += ticket.amountPaid;
+
+		// Los boletos anteriores a las categorías de tarifa son de la categoría por defecto
+		const categoryId = ticket.categoria || fareCategories.defaultCategory;
+		if (!fareCategoryStats[categoryId]) {
+			const category = getFareCategory(fareCategories, categoryId);
+			fareCategoryStats[categoryId] = { name: ticket.categoriaNombre || (category ? category.name : categoryId), count: 0, revenue: 0 };
+		}
+		fareCategoryStats[categoryId].count++;
+		fareCategoryStats[categoryId].revenue += ticket.amountPaid;
+
+		// Los boletos anteriores a la venta en taquilla se vendieron en línea
+		const channel = ticket.canal || "web";
+		if (!channelStats[channel]) {
+			channelStats[channel] = { name: SALES_CHANNELS[channel] || channel, count: 0, revenue: 0 };
+		}
+		channelStats[channel].count++;
+		channelStats[channel].revenue += ticket.amountPaid;
+
+		if (ticket.cupon) {
+			if (!couponStats[ticket.cupon]) {
+				couponStats[ticket.cupon] = { count: 0, discount: 0, revenue: 0 };
+			}
+			couponStats[ticket.cupon].count++;
+			couponStats[ticket.cupon].discount += ticket.descuentoCupon;
+			couponStats[ticket.cupon].revenue += ticket.amountPaid;
+		}
+	});
+	
+	res.json({
+		totalTickets: tickets.length,
+		totalRevenue: totalRevenue.toFixed(2),
+		averageTicketPrice: tickets.length > 0 ? (tickets.reduce((sum, ticket) => sum + ticket.amountPaid, 0) / tickets.length).toFixed(2) : 0,
+		canceledTickets: canceledTickets.length,
+		totalRefunded: totalRefunded.toFixed(2),
+		routeStats,
+		fareCategoryStats,
+		channelStats,
+		couponStats,
+		totalCouponDiscount: Object.values(couponStats).reduce((sum, stats) => sum + stats.discount, 0).toFixed(2)
+	});
+});
+
+// ========================================
+// FACTURACIÓN (CFDI 4.0)
+// ========================================
+
+// Datos fiscales del emisor (por defecto, el contribuyente de pruebas del SAT)
+const CFDI_EMISOR = {
+	rfc: process.env.CFDI_EMISOR_RFC || "EKU9003173C9",
+	nombre: process.env.CFDI_EMISOR_NOMBRE || "ESCUELA KEMPER URGATE",
+	regimenFiscal: process.env.CFDI_EMISOR_REGIMEN || "601",
+	lugarExpedicion: process.env.CFDI_LUGAR_EXPEDICION || "42501"
+};
+const CFDI_SERIE = process.env.CFDI_SERIE || "TB";
+
+/**
+ * Factura ya emitida para una compra (una compra se factura una sola vez)
+ */
+function findInvoiceForSession(sessionId) {
+	return Array.from(invoicesById.values()).find(invoice => invoice.sessionId === sessionId) || null;
+}
+
+/**
+ * Datos de una factura que se devuelven al cliente (sin el XML, que se descarga aparte)
+ */
+function describeInvoice({ xml, ...invoice }) {
+	return { ...invoice, xmlUrl: `/api/invoices/${invoice.id}/xml` };
+}
+
+/**
+ * Generar y timbrar la factura de una compra con los boletos pagados (los cancelados no se facturan)
+ * @param {Array} tickets - Boletos pagados de la compra
+ * @param {Object} receptor - Datos fiscales del cliente ya validados
+ * @param {string} email - Email al que se envía la factura
+ * @returns {Promise<Object>} Factura timbrada
+ */
+async function createInvoice(tickets, receptor, email) {
+	const folio = Math.max(0, ...Array.from(invoicesById.values()).map(invoice => invoice.folio)) + 1;
+	const fecha = formatSatDate(new Date());
+	const cfdi = buildCfdiXml({
+		emisor: CFDI_EMISOR,
+		receptor,
+		serie: CFDI_SERIE,
+		folio,
+		fecha,
+		metodoPago: tickets[0].metodoPago,
+		conceptos: tickets.map(ticket => ({
+			noIdentificacion: ticket.ticketId,
+			descripcion: `Boleto ${ticket.origen} - ${ticket.destino}, ${ticket.fecha} ${ticket.horaAbordaje || ticket.horario}, asiento ${ticket.asiento} (${ticket.nombre})`,
+			total: ticket.amountPaid
+		}))
+	});
+	
+	const stamped = await pacProvider.stamp({ xml: cfdi.xml, emisor: CFDI_EMISOR });
+	
+	const invoice = {
+		id: crypto.randomUUID(),
+		serie: CFDI_SERIE,
+		folio,
+		uuid: stamped.uuid,
+		fechaEmision: fecha,
+		fechaTimbrado: stamped.fechaTimbrado,
+		pac: pacProvider.name,
+		sessionId: tickets[0].sessionId,
+		referencia: tickets[0].referencia || null,
+		boletos: tickets.map(ticket => ticket.ticketId),
+		receptor,
+		email,
+		subtotal: cfdi.subtotal,
+		iva: cfdi.iva,
+		total: cfdi.total,
+		xml: stamped.xml,
+		createdAt: new Date().toISOString()
+	};
+	
+	invoicesById.set(invoice.id, invoice);
+	saveInvoices(invoicesById);
+	
+	tickets.forEach(ticket => {
+		ticket.factura = { id: invoice.id, uuid: invoice.uuid };
+	});
+	saveTickets(ticketDatabase);
+	
+	return invoice;
+}
+
+// API: Catálogos del SAT para el formulario de facturación
+app.get("/api/invoices/catalogs", (req, res) => {
+	res.json({
+		regimenesFiscales: REGIMENES_FISCALES,
+		usosCfdi: USOS_CFDI
+	});
+});
+
+// API: Solicitar la factura de una compra con el ID de transacción y los datos fiscales del cliente
+app.post("/api/invoices", async (req, res) => {
+	const body = req.body || {};
+	const receptor = {
+		rfc: normalizeRfc(body.rfc),
+		razonSocial: String(body.razonSocial || "").trim().toUpperCase(),
+		codigoPostal: String(body.codigoPostal || "").trim(),
+		regimenFiscal: String(body.regimenFiscal || ""),
+		usoCfdi: String(body.usoCfdi || "")
+	};
+	
+	if (!body.sessionId) {
+		return res.status(400).json({ error: "Captura el ID de transacción de tu compra" });
+	}
+	const errors = validateReceptor(receptor);
+	if (errors.length > 0) {
+		return res.status(400).json({ error: errors.join(". ") });
+	}
+	
+	const sessionTickets = getTicketsBySession(body.sessionId);
+	if (sessionTickets.length === 0) {
+		return res.status(404).json({ error: "Compra no encontrada" });
+	}
+	
+	const existing = findInvoiceForSession(body.sessionId);
+	if (existing) {
+		return res.status(409).json({ error: `Esta compra ya se facturó (folio ${existing.serie}-${existing.folio})`, factura: describeInvoice(existing) });
+	}
+	
+	const tickets = sessionTickets.filter(ticket => ticket.paymentStatus === "paid");
+	if (tickets.length === 0) {
+		return res.status(409).json({ error: "La compra no tiene boletos pagados por facturar" });
+	}
+	
+	try {
+		const ticketEmail = sessionTickets.map(ticket => ticket.email).find(email => email && email !== "N/A");
+		const invoice = await createInvoice(tickets, receptor, body.email || ticketEmail || null);
+		console.log(`🧾 Factura ${invoice.serie}-${invoice.folio} (${invoice.uuid}) para ${receptor.rfc}: $${invoice.total}`);
+		res.status(201).json(describeInvoice(invoice));
+	} catch (err) {
+		console.error("Error stamping invoice:", err);
+		return res.status(502).json({ error: "No se pudo timbrar la factura: " + err.message });
+	}
+});
+
+// API: Descargar el XML timbrado de una factura
+app.get("/api/invoices/:invoiceId/xml", (req, res) => {
+	const invoice = invoicesById.get(req.params.invoiceId);
+	if (!invoice) {
+		return res.status(404).json({ error: "Factura no encontrada" });
+	}
+	
+	res.set("Content-Type", "application/xml; charset=utf-8");
+	res.set("Content-Disposition", `attachment; filename="${invoice.serie}-${invoice.folio}_${invoice.uuid}.xml"`);
+	res.send(invoice.xml);
+});
+
+/**
+ * GET /api/admin/invoices - Facturas emitidas (sin el XML), de la más reciente a la más antigua
+ */
+app.get("/api/admin/invoices", (req, res) => {
+	const invoices = Array.from(invoicesById.values())
+		.sort((a, b) => b.folio - a.folio)
+		.map(describeInvoice);
+	
+	res.json({
+		total: invoices.length,
+		pac: pacProvider.name,
+		invoices
+	});
+});
+
+// ========================================
+// ABORDAJE
+// ========================================
+
+/**
+ * Datos del boleto que ve el chofer al escanearlo
+ */
+function describeBoardingTicket(ticket) {
+	return {
+		ticketId: ticket.ticketId,
+		nombre: ticket.nombre,
+		categoriaNombre: ticket.categoriaNombre || null,
+		origen: ticket.origen,
+		destino: ticket.destino,
+		fecha: ticket.fecha,
+		horario: ticket.horaAbordaje || ticket.horario,
+		asiento: ticket.asiento,
+		abordaje: ticket.abordaje || null
+	};
+}
+
+/**
+ * Boletos de una salida completa (ruta, fecha y hora de salida del origen de la ruta), ordenados por asiento.
+ * En una ruta con paradas el mismo asiento puede venderse en varios tramos; se ordenan por ciudad de subida.
+ * @param {string} routeKey - Clave de la ruta en availableRoutes
+ * @param {string} fecha - Fecha de la salida (YYYY-MM-DD)
+ * @param {string} horario - Hora de salida del origen de la ruta
+ * @returns {Array} Boletos emitidos para la salida (incluye los cancelados)
+ */
+function getDepartureTickets(routeKey, fecha, horario) {
+	return Array.from(ticketDatabase.values())
+		.filter(ticket => ticket.fecha === fecha && ticket.horario === horario)
+		.map(ticket => ({ ticket, segment: findSegment(ticket.origen, ticket.destino, ticket.horario) }))
+		.filter(({ segment }) => segment && segment.routeKey === routeKey)
+		.sort((a, b) =>
+			String(a.ticket.asiento).localeCompare(String(b.ticket.asiento), "es", { numeric: true }) ||
+			a.segment.fromIndex - b.segment.fromIndex
+		)
+		.map(({ ticket }) => ticket);
+}
+
+/**
+ * Registrar el abordaje de un boleto a partir del código de su QR
+ * Valida la firma, que el boleto esté pagado, que el código sea el vigente y que la salida sea del día del escaneo.
+ * @param {string} codigo - Código leído del QR
+ * @param {Object} [scan] - { operador, escaneadoEn (escaneos hechos sin conexión), scanId (id del escaneo en el dispositivo) }
+ * @returns {{status: number, body: Object}} Respuesta HTTP
+ */
+function registerBoarding(codigo, { operador = null, escaneadoEn = null, scanId = null } = {}) {
+	const verified = verifyBoardingCode(codigo);
+	if (verified.error) {
+		return { status: 400, body: { error: verified.error, code: "INVALID_CODE" } };
+	}
+	
+	const ticket = ticketDatabase.get(verified.pass.ticketId);
+	if (!ticket) {
+		return { status: 404, body: { error: "Boleto no encontrado", code: "NOT_FOUND" } };
+	}
+	const boleto = describeBoardingTicket(ticket);
+	
+	if (!boardingCodeMatchesTicket(codigo, ticket)) {
+		return { status: 409, body: { error: "El boleto se cambió de salida o de asiento; pide el boleto actualizado", code: "TICKET_CHANGED", boleto } };
+	}
+	if (ticket.paymentStatus !== "paid") {
+		const error = ticket.cancelacion ? "El boleto está cancelado" : "El boleto no está pagado";
+		return { status: 409, body: { error, code: "NOT_PAID", boleto } };
+	}
+	
+	// Un escaneo sin conexión cuenta con la hora en que se hizo (nunca en el futuro)
+	const now = Date.now();
+	const scannedAt = Date.parse(escaneadoEn);
+	const fecha = new Date(Number.isNaN(scannedAt) ? now : Math.min(scannedAt, now));
+	const day = getTerminalDay(fecha);
+	// En una parada después de medianoche (horaAbordaje "02:50+1") se aborda al día siguiente de la salida
+	const dayOffset = parseInt(String(ticket.horaAbordaje || "").split("+")[1], 10) || 0;
+	const boardingDay = new Date(Date.parse(`${ticket.fecha}T00:00:00Z`) + dayOffset * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+	if (ticket.fecha !== day && boardingDay !== day) {
+		return { status: 409, body: { error: `El boleto es para el ${ticket.fecha}, no para el ${day}`, code: "WRONG_DATE", boleto } };
+	}
+	if (ticket.abordaje) {
+		const hora = new Date(ticket.abordaje.fecha).toLocaleTimeString("es-MX", { hour: "2-digit", minute: "2-digit", timeZone: TERMINAL_TIME_ZONE });
+		return { status: 409, body: { error: `El boleto ya se usó para abordar a las ${hora}`, code: "ALREADY_BOARDED", boleto } };
+	}
+	
+	ticket.abordaje = {
+		fecha: fecha.toISOString(),
+		operador: operador ? String(operador).trim() : null,
+		scanId: scanId ? String(scanId) : null
+	};
+	saveTickets(ticketDatabase);
+	
+	console.log(`🚏 Abordaje: boleto ${ticket.ticketId}, asiento ${ticket.asiento} (${ticket.origen} → ${ticket.destino} ${boleto.horario})`);
+	return { status: 200, body: { message: "Abordaje registrado", boleto: describeBoardingTicket(ticket) } };
+}
+
+// API: Escanear el QR de un boleto al abordar
+app.post("/api/boarding/scan", (req, res) => {
+	const { codigo, operador } = req.body || {};
+	const result = registerBoarding(codigo, { operador });
+	res.status(result.status).json(result.body);
+});
+
+/**
+ * Salida de un manifiesto a partir de los parámetros de la consulta
+ * @param {Object} query - { routeKey, fecha, horario }
+ * @returns {{departure: Object}|{status: number, body: Object}} Datos de la salida o error HTTP
+ */
+function findManifestDeparture({ routeKey, fecha, horario } = {}) {
+	if (!routeKey || !fecha || !horario) {
+		return { status: 400, body: { error: "Faltan parámetros requeridos (routeKey, fecha y horario)" } };
+	}
+	const route = availableRoutes[routeKey];
+	if (!route) {
+		return { status: 404, body: { error: "Ruta no encontrada" } };
+	}
+	const schedule = route.schedules.find(s => s.time === horario);
+	if (!schedule) {
+		return { status: 404, body: { error: "Horario no encontrado" } };
+	}
+	
+	return {
+		departure: {
+			routeKey,
+			fecha,
+			horario,
+			tipo: schedule.type,
+			paradas: getRouteStops(routeKey, route).map(stop => stop.city)
+		}
+	};
+}
+
+// API: Manifiesto de una salida para la app de abordaje
+// Incluye el código de abordaje de cada boleto para validar los QR en el autobús sin conexión.
+app.get("/api/boarding/manifest", (req, res) => {
+	const found = findManifestDeparture(req.query);
+	if (!found.departure) {
+		return res.status(found.status).json(found.body);
+	}
+	const { routeKey, fecha, horario } = found.departure;
+	
+	const pasajeros = getDepartureTickets(routeKey, fecha, horario).map(ticket => ({
+		...describeBoardingTicket(ticket),
+		estado: ticket.paymentStatus,
+		huellaAbordaje: createBoardingCodeDigest(ticket)
+	}));
+	
+	res.json({
+		...found.departure,
+		generadoEn: new Date().toISOString(),
+		pasajeros
+	});
+});
+
+// API: Sincronizar los escaneos que la app de abordaje hizo sin conexión
+// Cada escaneo se aplica en orden; si el boleto ya abordó con otro escaneo (otro dispositivo
+// o el mismo boleto dos veces) se reporta como conflicto. Reenviar un escaneo ya aplicado no lo duplica.
+app.post("/api/boarding/sync", (req, res) => {
+	const { escaneos, operador } = req.body || {};
+	
+	if (!Array.isArray(escaneos) || escaneos.length === 0) {
+		return res.status(400).json({ error: "No hay escaneos por sincronizar" });
+	}
+	if (escaneos.length > 500) {
+		return res.status(400).json({ error: "Máximo 500 escaneos por sincronización" });
+	}
+	
+	const resultados = escaneos.map(scan => {
+		const { id, codigo, escaneadoEn } = scan || {};
+		const result = registerBoarding(codigo, { operador: (scan && scan.operador) || operador, escaneadoEn, scanId: id });
+		const { boleto = null, code = null, error = null } = result.body;
+		
+		if (result.status === 200) {
+			return { id, resultado: "abordado", boleto };
+		}
+		if (code === "ALREADY_BOARDED") {
+			// El mismo escaneo reenviado (p. ej. se perdió la respuesta) ya está aplicado
+			if (id && boleto.abordaje && boleto.abordaje.scanId === String(id)) {
+				return { id, resultado: "abordado", boleto };
+			}
+			return { id, resultado: "conflicto", code, error, boleto };
+		}
+		return { id, resultado: "rechazado", code, error, boleto };
+	});
+	
+	const conflictos = resultados.filter(r => r.resultado === "conflicto").length;
+	if (conflictos > 0) {
+		console.warn(`⚠️  Sincronización de abordaje con ${conflictos} conflicto(s) de doble abordaje`);
+	}
+	res.json({ resultados });
+});
+
+// ========================================
+// ENDPOINTS DE ADMINISTRACIÓN - CRUD DE RUTAS
+// ========================================
+
+/**
+ * POST /api/admin/routes - Crear nueva ruta
+ */
+app.post("/api/admin/routes", (req, res) => {
+	const { origin, destination, duration, distance, basePrice, schedules, stops } = req.body;
+	
+	if (!origin || !destination || !duration || !basePrice || !schedules) {
+		return res.status(400).json({ 
+			success: false,
+			error: "Faltan datos requeridos: origin, destination, duration, basePrice, schedules" 
+		});
+	}
+	
+	// Paradas intermedias opcionales ({ city, offsetMinutes } desde la salida)
+	const normalizedStops = normalizeRouteStops(origin, destination, duration, stops);
+	if (normalizedStops.error) {
+		return res.status(400).json({ 
+			success: false,
+			error: normalizedStops.error 
+		});
+	}
+	
+	const routeKey = `${origin}-${destination}`;
+	
+	// Verificar si ya existe
+	if (availableRoutes[routeKey]) {
+		return res.status(409).json({ 
+			success: false,
+			error: "Esta ruta ya existe. Use PUT para actualizar." 
+		});
+	}
+	
+	// Asignar IDs únicos a los horarios
+	const schedulesWithIds = schedules.map((schedule, index) => ({
+		...schedule,
+		id: Date.now() + index
+	}));
+	
+	availableRoutes[routeKey] = {
+		duration,
+		distance: distance || "N/A",
+		basePrice: parseFloat(basePrice),
+		schedules: schedulesWithIds
+	};
+	if (normalizedStops.stops) availableRoutes[routeKey].stops = normalizedStops.stops;
+	
+	// Guardar cambios en disco
+	saveRoutes(availableRoutes);
+	
+	res.json({
+		success: true,
+		message: "Ruta creada exitosamente",
+		route: {
+			key: routeKey,
+			data: availableRoutes[routeKey]
+		}
+	});
+});
+
+/**
+ * PUT /api/admin/routes/:routeKey - Actualizar ruta existente
+ */
+app.put("/api/admin/routes/:routeKey", (req, res) => {
+	const { routeKey } = req.params;
+	const { duration, distance, basePrice, schedules, stops } = req.body;
+	
+	if (!availableRoutes[routeKey]) {
+		return res.status(404).json({ 
+			success: false,
+			error: "Ruta no encontrada" 
+		});
+	}
+	
+	// Paradas: un arreglo vacío deja la ruta sin paradas intermedias
+	if (stops !== undefined) {
+		const [origin, destination] = routeKey.split('-');
+		const normalizedStops = normalizeRouteStops(origin, destination, duration || availableRoutes[routeKey].duration, stops);
+		if (normalizedStops.error) {
+			return res.status(400).json({ 
+				success: false,
+				error: normalizedStops.error 
+			});
+		}
+		if (normalizedStops.stops) {
+			availableRoutes[routeKey].stops = normalizedStops.stops;
+		} else {
+			delete availableRoutes[routeKey].stops;
+		}
+	}
+	
+	// Actualizar campos proporcionados
+	if (duration) availableRoutes[routeKey].duration = duration;
+	if (distance) availableRoutes[routeKey].distance = distance;
+	if (basePrice) availableRoutes[routeKey].basePrice = parseFloat(basePrice);
+	if (schedules) {
+		const schedulesWithIds = schedules.map((schedule, index) => ({
+			...schedule,
+			id: schedule.id || Date.now() + index
+		}));
+		availableRoutes[routeKey].schedules = schedulesWithIds;
+	}
+	
+	// Guardar cambios en disco
+	saveRoutes(availableRoutes);
+	
+	res.json({
+		success: true,
+		message: "Ruta actualizada exitosamente",
+		route: {
+			key: routeKey,
+			data: availableRoutes[routeKey]
+		}
+	});
+});
+
+/**
+ * DELETE /api/admin/routes/:routeKey - Eliminar ruta
+ */
+app.delete("/api/admin/routes/:routeKey", (req, res) => {
+	const { routeKey } = req.params;
+	
+	if (!availableRoutes[routeKey]) {
+		return res.status(404).json({ 
+			success: false,
+			error: "Ruta no encontrada" 
+		});
+	}
+	
+	delete availableRoutes[routeKey];
+	
+	// Guardar cambios en disco
+	saveRoutes(availableRoutes);
+	
+	res.json({
+		success: true,
+		message: "Ruta eliminada exitosamente",
+		deletedRoute: routeKey
+	});
+});
+
+/**
+ * POST /api/admin/routes/:routeKey/schedules - Agregar horario a una ruta
+ */
+app.post("/api/admin/routes/:routeKey/schedules", (req, res) => {
+	const { routeKey } = req.params;
+	const { time, arrival, type, price, layoutId } = req.body;
+	
+	if (!availableRoutes[routeKey]) {
+		return res.status(404).json({ 
+			success: false,
+			error: "Ruta no encontrada" 
+		});
+	}
+	
+	if (layoutId && !busLayouts.layouts[layoutId]) {
+		return res.status(400).json({ 
+			success: false,
+			error: `Layout no encontrado: ${layoutId}` 
+		});
+	}
+	
+	if (!time || !arrival || !type || !price) {
+		return res.status(400).json({ 
+			success: false,
+			error: "Faltan datos: time, arrival, type, price" 
+		});
+	}
+	
+	const newSchedule = {
+		id: Date.now(),
+		time,
+		arrival,
+		type,
+		price: parseFloat(price)
+	};
+	if (layoutId) newSchedule.layoutId = layoutId;
+	
+	availableRoutes[routeKey].schedules.push(newSchedule);
+	
+	// Guardar cambios en disco
+	saveRoutes(availableRoutes);
+	
+	res.json({
+		success: true,
+		message: "Horario agregado exitosamente",
+		schedule: newSchedule
+	});
+});
+
+/**
+ * PUT /api/admin/routes/:routeKey/schedules/:scheduleId - Actualizar horario
+ */
+app.put("/api/admin/routes/:routeKey/schedules/:scheduleId", (req, res) => {
+	const { routeKey, scheduleId } = req.params;
+	const { time, arrival, type, price, layoutId } = req.body;
+	
+	if (!availableRoutes[routeKey]) {
+		return res.status(404).json({ 
+			success: false,
+			error: "Ruta no encontrada" 
+		});
+	}
+	
+	const schedule = availableRoutes[routeKey].schedules.find(s => s.id === parseInt(scheduleId));
+	
+	if (!schedule) {
+		return res.status(404).json({ 
+			success: false,
+			error: "Horario no encontrado" 
+		});
+	}
+	
+	// Actualizar campos
+	if (time) schedule.time = time;
+	if (arrival) schedule.arrival = arrival;
+	if (type) schedule.type = type;
+	if (price) schedule.price = parseFloat(price);
+	if (layoutId !== undefined) {
+		if (layoutId && !busLayouts.layouts[layoutId]) {
+			return res.status(400).json({ 
+				success: false,
+				error: `Layout no encontrado: ${layoutId}` 
+			});
+		}
+		// Cadena vacía: volver al layout del tipo de servicio
+		if (layoutId) {
+			schedule.layoutId = layoutId;
+		} else {
+			delete schedule.layoutId;
+		}
+	}
+	
+	// Guardar cambios en disco
+	saveRoutes(availableRoutes);
+	
+	res.json({
+		success: true,
+		message: "Horario actualizado exitosamente",
+		schedule
+	});
+});
+
+/**
+ * DELETE /api/admin/routes/:routeKey/schedules/:scheduleId - Eliminar horario
+ */
+app.delete("/api/admin/routes/:routeKey/schedules/:scheduleId", (req, res) => {
+	const { routeKey, scheduleId } = req.params;
+	
+	if (!availableRoutes[routeKey]) {
+		return res.status(404).json({ 
+			success: false,
+			error: "Ruta no encontrada" 
+		});
+	}
+	
+	const scheduleIndex = availableRoutes[routeKey].schedules.findIndex(s => s.id === parseInt(scheduleId));
+	
+	if (scheduleIndex === -1) {
+		return res.status(404).json({ 
+			success: false,
+			error: "Horario no encontrado" 
+		});
+	}
+	
+	const deletedSchedule = availableRoutes[routeKey].schedules.splice(scheduleIndex, 1)[0];
+	
+	// Guardar cambios en disco
+	saveRoutes(availableRoutes);
+	
+	res.json({
+		success: true,
+		message: "Horario eliminado exitosamente",
+		deletedSchedule
+	});
+});
+
+// ========================================
+// ENDPOINTS DE ADMINISTRACIÓN - LAYOUTS DE AUTOBÚS
+// ========================================
+
+/**
+ * GET /api/admin/layouts - Listar layouts y el layout por defecto de cada tipo de servicio
+ */
+app.get("/api/admin/layouts", (req, res) => {
+	const layouts = Object.values(busLayouts.layouts).map(layout => ({
+		...layout,
+		capacity: buildSeatMap(layout).capacity
+	}));
+	
+	res.json({
+		defaultsByType: busLayouts.defaultsByType,
+		layouts
+	});
+});
+
+/**
+ * PUT /api/admin/layouts/:layoutId - Crear o actualizar un layout
+ */
+app.put("/api/admin/layouts/:layoutId", (req, res) => {
+	const { layoutId } = req.params;
+	const layout = { ...req.body, id: layoutId };
+	
+	const errors = validateLayout(layout);
+	if (errors.length > 0) {
+		return res.status(400).json({ 
+			success: false,
+			error: errors.join(". ") 
+		});
+	}
+	
+	busLayouts.layouts[layoutId] = layout;
+	
+	// Guardar cambios en disco
+	saveLayouts(busLayouts);
+	
+	res.json({
+		success: true,
+		message: "Layout guardado exitosamente",
+		layout: buildSeatMap(layout)
+	});
+});
+
+// ========================================
+// ENDPOINTS DE ADMINISTRACIÓN - CATEGORÍAS DE TARIFA
+// ========================================
+
+/**
+ * GET /api/admin/fare-categories - Listar categorías de tarifa y tipos de documento
+ */
+app.get("/api/admin/fare-categories", (req, res) => {
+	res.json({
+		defaultCategory: fareCategories.defaultCategory,
+		categories: Object.values(fareCategories.categories),
+		documentTypes: DOCUMENT_TYPES
+	});
+});
+
+/**
+ * PUT /api/admin/fare-categories/:categoryId - Crear o actualizar una categoría de tarifa
+ */
+app.put("/api/admin/fare-categories/:categoryId", (req, res) => {
+	const { categoryId } = req.params;
+	const current = fareCategories.categories[categoryId] || {};
+	const category = {
+		requiredDocuments: [],
+		requirementNote: "",
+		quotaPerDeparture: null,
+		...current,
+		...req.body,
+		id: categoryId
+	};
 	
-	if (!ticket) {
-		return res.status(404).json({ error: "Boleto no encontrado" });
+	const errors = validateFareCategory(category);
+	if (errors.length > 0) {
+		return res.status(400).json({ 
+			success: false,
+			error: errors.join(". ") 
+		});
 	}
 	
-	res.json(ticket);
+	fareCategories.categories[categoryId] = category;
+	
+	// Guardar cambios en disco
+	saveFareCategories(fareCategories);
+	
+	res.json({
+		success: true,
+		message: "Categoría de tarifa guardada exitosamente",
+		category
+	});
 });
 
-// API: Listar todos los boletos (para administración)
-app.get("/api/admin/tickets", (req, res) => {
-	const tickets = Array.from(ticketDatabase.values());
-	res.json({ 
-		total: tickets.length,
-		tickets: tickets.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+// ========================================
+// ENDPOINTS DE ADMINISTRACIÓN - PRECIOS DINÁMICOS
+// ========================================
+
+// Ocupación (%) y días de anticipación que muestra el simulador si no se indican otros
+const SIMULATOR_OCCUPANCY_LEVELS = [0, 25, 50, 75, 90, 100];
+const SIMULATOR_DAYS_LEVELS = [0, 1, 3, 7, 14, 30, 60];
+// Días hacia adelante con las salidas reales que muestra el simulador
+const SIMULATOR_UPCOMING_DAYS = 14;
+
+/**
+ * GET /api/admin/pricing-rules - Configuración de precios dinámicos, junto con
+ * las rutas y clases de servicio a las que se pueden restringir las reglas
+ */
+app.get("/api/admin/pricing-rules", (req, res) => {
+	const scheduleTypes = new Set();
+	Object.values(availableRoutes).forEach(route => route.schedules.forEach(schedule => scheduleTypes.add(schedule.type)));
+	
+	res.json({
+		...pricingRules,
+		adjustmentTypes: ADJUSTMENT_TYPES,
+		routes: Object.keys(availableRoutes),
+		scheduleTypes: Array.from(scheduleTypes)
 	});
 });
 
-// API: Estadísticas básicas
-app.get("/api/admin/stats", (req, res) => {
-	const tickets = Array.from(ticketDatabase.values());
-	const totalRevenue = tickets.reduce((sum, ticket) => sum + ticket.amountPaid, 0);
-	const routeStats = {};
+/**
+ * PUT /api/admin/pricing-rules - Reemplazar la configuración de precios dinámicos
+ * (topes de subida y bajada y la lista completa de reglas)
+ */
+app.put("/api/admin/pricing-rules", (req, res) => {
+	const { maxIncreasePercent, maxDecreasePercent, rules } = req.body || {};
+	const config = { maxIncreasePercent, maxDecreasePercent, rules };
 	
-	tickets.forEach(ticket => {
-		const route = `${ticket.origen}-${ticket.destino}`;
-		if (!routeStats[route]) {
-			routeStats[route] = { count: 0, revenue: 0 };
-		}
-		routeStats[route].count++;
-		routeStats[route].revenue += ticket.amountPaid;
-	});
+	const errors = validatePricingConfig(config);
+	if (errors.length > 0) {
+		return res.status(400).json({ 
+			success: false,
+			error: errors.join(". ") 
+		});
+	}
+	
+	pricingRules = config;
+	
+	// Guardar cambios en disco
+	savePricingRules(pricingRules);
 	
 	res.json({
-		totalTickets: tickets.length,
-		totalRevenue: totalRevenue.toFixed(2),
-		averageTicketPrice: tickets.length > 0 ? (totalRevenue / tickets.length).toFixed(2) : 0,
-		routeStats
+		success: true,
+		message: "Reglas de precio guardadas exitosamente",
+		pricingRules
 	});
 });
 
-// ========================================
-// ENDPOINTS DE ADMINISTRACIÓN - CRUD DE RUTAS
-// ========================================
-
 /**
- * POST /api/admin/routes - Crear nueva ruta
+ * POST /api/admin/pricing-rules/simulate - Vista previa de las tarifas de un horario
+ * Con "config" se simula una configuración sin guardar; si no, la vigente.
+ * Devuelve la tarifa para cada combinación de ocupación y días de anticipación, y las
+ * próximas salidas reales del horario con su ocupación actual y el recargo de su temporada.
  */
-app.post("/api/admin/routes", (req, res) => {
-	const { origin, destination, duration, distance, basePrice, schedules } = req.body;
+app.post("/api/admin/pricing-rules/simulate", (req, res) => {
+	const { routeKey, scheduleId, config = pricingRules, occupancyLevels = SIMULATOR_OCCUPANCY_LEVELS, daysLevels = SIMULATOR_DAYS_LEVELS } = req.body || {};
+	const routeData = availableRoutes[routeKey];
+	const schedule = routeData ? routeData.schedules.find(s => String(s.id) === String(scheduleId)) : null;
 	
-	if (!origin || !destination || !duration || !basePrice || !schedules) {
-		return res.status(400).json({ 
+	if (!schedule) {
+		return res.status(404).json({ 
 			success: false,
-			error: "Faltan datos requeridos: origin, destination, duration, basePrice, schedules" 
+			error: "Ruta u horario no encontrado" 
 		});
 	}
 	
-	const routeKey = `${origin}-${destination}`;
+	const isNumberList = list => Array.isArray(list) && list.every(value => typeof value === "number" && value >= 0);
+	if (!isNumberList(occupancyLevels) || !isNumberList(daysLevels)) {
+		return res.status(400).json({ 
+			success: false,
+			error: "occupancyLevels y daysLevels deben ser listas de números mayores o iguales a 0" 
+		});
+	}
 	
-	// Verificar si ya existe
-	if (availableRoutes[routeKey]) {
-		return res.status(409).json({ 
+	const errors = validatePricingConfig(config);
+	if (errors.length > 0) {
+		return res.status(400).json({ 
 			success: false,
-			error: "Esta ruta ya existe. Use PUT para actualizar." 
+			error: errors.join(". ") 
 		});
 	}
 	
-	// Asignar IDs únicos a los horarios
-	const schedulesWithIds = schedules.map((schedule, index) => ({
-		...schedule,
-		id: Date.now() + index
-	}));
+	const stops = getRouteStops(routeKey, routeData);
+	const origen = stops[0].city;
+	const destino = stops[stops.length - 1].city;
+	const segment = findRouteSegments(availableRoutes, origen, destino).find(s => s.routeKey === routeKey);
+	const basePrice = getSegmentPrice(segment, schedule);
+	const departure = { routeKey, scheduleType: schedule.type };
 	
-	availableRoutes[routeKey] = {
-		duration,
-		distance: distance || "N/A",
-		basePrice: parseFloat(basePrice),
-		schedules: schedulesWithIds
-	};
+	const grid = occupancyLevels.map(occupancy => daysLevels.map(daysBefore =>
+		calculateDynamicPrice(config, basePrice, { ...departure, occupancy, daysBefore })
+	));
 	
-	// Guardar cambios en disco
-	saveRoutes(availableRoutes);
+	const today = getTerminalDay();
+	const upcoming = Array.from({ length: SIMULATOR_UPCOMING_DAYS }, (_, daysBefore) => {
+		const fecha = new Date(Date.parse(`${today}T00:00:00Z`) + daysBefore * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+		const occupancy = getTripOccupancy(origen, destino, fecha, schedule.time);
+		const dynamic = calculateDynamicPrice(config, basePrice, { ...departure, occupancy, daysBefore });
+		const season = getSeasonForDate(seasonsById, fecha);
+		return {
+			fecha,
+			daysBefore,
+			occupancy,
+			...dynamic,
+			price: applySeasonSurcharge(dynamic.price, season),
+			season
+		};
+	});
 	
 	res.json({
-		success: true,
-		message: "Ruta creada exitosamente",
-		route: {
-			key: routeKey,
-			data: availableRoutes[routeKey]
-		}
+		routeKey,
+		schedule: { id: schedule.id, time: schedule.time, type: schedule.type },
+		basePrice,
+		occupancyLevels,
+		daysLevels,
+		grid,
+		upcoming
 	});
 });
 
+// ========================================
+// ENDPOINTS DE ADMINISTRACIÓN - TEMPORADAS
+// ========================================
+
 /**
- * PUT /api/admin/routes/:routeKey - Actualizar ruta existente
+ * GET /api/admin/seasons - Calendario de temporadas ordenado por fecha de inicio
  */
-app.put("/api/admin/routes/:routeKey", (req, res) => {
-	const { routeKey } = req.params;
-	const { duration, distance, basePrice, schedules } = req.body;
+app.get("/api/admin/seasons", (req, res) => {
+	const seasons = Object.values(seasonsById).sort((a, b) => a.startDate.localeCompare(b.startDate));
 	
-	if (!availableRoutes[routeKey]) {
-		return res.status(404).json({ 
+	res.json({
+		total: seasons.length,
+		seasons
+	});
+});
+
+/**
+ * PUT /api/admin/seasons/:seasonId - Crear o actualizar una temporada
+ * Las compras ya pagadas conservan su precio; el recargo aplica a las nuevas cotizaciones.
+ */
+app.put("/api/admin/seasons/:seasonId", (req, res) => {
+	const { seasonId } = req.params;
+	const current = seasonsById[seasonId];
+	const season = {
+		surchargePercent: 0,
+		blockDiscounts: false,
+		blockCoupons: false,
+		active: true,
+		...current,
+		...req.body,
+		id: seasonId
+	};
+	
+	const errors = validateSeason(season);
+	if (errors.length > 0) {
+		return res.status(400).json({ 
 			success: false,
-			error: "Ruta no encontrada" 
+			error: errors.join(". ") 
 		});
 	}
 	
-	// Actualizar campos proporcionados
-	if (duration) availableRoutes[routeKey].duration = duration;
-	if (distance) availableRoutes[routeKey].distance = distance;
-	if (basePrice) availableRoutes[routeKey].basePrice = parseFloat(basePrice);
-	if (schedules) {
-		const schedulesWithIds = schedules.map((schedule, index) => ({
-			...schedule,
-			id: schedule.id || Date.now() + index
-		}));
-		availableRoutes[routeKey].schedules = schedulesWithIds;
-	}
+	seasonsById[seasonId] = season;
 	
 	// Guardar cambios en disco
-	saveRoutes(availableRoutes);
+	saveSeasons(seasonsById);
 	
 	res.json({
 		success: true,
-		message: "Ruta actualizada exitosamente",
-		route: {
-			key: routeKey,
-			data: availableRoutes[routeKey]
-		}
+		message: current ? "Temporada actualizada exitosamente" : "Temporada creada exitosamente",
+		season
 	});
 });
 
 /**
- * DELETE /api/admin/routes/:routeKey - Eliminar ruta
+ * DELETE /api/admin/seasons/:seasonId - Eliminar una temporada
  */
-app.delete("/api/admin/routes/:routeKey", (req, res) => {
-	const { routeKey } = req.params;
+app.delete("/api/admin/seasons/:seasonId", (req, res) => {
+	const { seasonId } = req.params;
 	
-	if (!availableRoutes[routeKey]) {
+	if (!seasonsById[seasonId]) {
 		return res.status(404).json({ 
 			success: false,
-			error: "Ruta no encontrada" 
+			error: "Temporada no encontrada" 
 		});
 	}
 	
-	delete availableRoutes[routeKey];
+	delete seasonsById[seasonId];
 	
 	// Guardar cambios en disco
-	saveRoutes(availableRoutes);
+	saveSeasons(seasonsById);
 	
 	res.json({
 		success: true,
-		message: "Ruta eliminada exitosamente",
-		deletedRoute: routeKey
+		message: "Temporada eliminada exitosamente",
+		deletedSeason: seasonId
 	});
 });
 
+// ========================================
+// ENDPOINTS DE ADMINISTRACIÓN - LISTA DE ESPERA
+// ========================================
+
 /**
- * POST /api/admin/routes/:routeKey/schedules - Agregar horario a una ruta
+ * GET /api/admin/waitlist - Solicitudes activas agrupadas por salida
  */
-app.post("/api/admin/routes/:routeKey/schedules", (req, res) => {
-	const { routeKey } = req.params;
-	const { time, arrival, type, price } = req.body;
+app.get("/api/admin/waitlist", (req, res) => {
+	const baseUrl = process.env.FRONTEND_BASE_URL || `${req.protocol}://${req.get("host")}`;
+	const departures = new Map();
 	
-	if (!availableRoutes[routeKey]) {
-		return res.status(404).json({ 
-			success: false,
-			error: "Ruta no encontrada" 
+	// Vencer primero las ofertas cuya retención ya expiró
+	Array.from(waitlistById.values())
+		.filter(entry => entry.status === "offered")
+		.forEach(entry => getHold(entry.offer.holdId));
+	
+	Array.from(waitlistById.values())
+		.filter(entry => ["waiting", "offered"].includes(entry.status))
+		.sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt))
+		.forEach(entry => {
+			if (!departures.has(entry.routeKey)) {
+				departures.set(entry.routeKey, {
+					routeKey: entry.routeKey,
+					origen: entry.origen,
+					destino: entry.destino,
+					fecha: entry.fecha,
+					horario: entry.horario,
+					waiting: 0,
+					offered: 0,
+					entries: []
+				});
+			}
+			const departure = departures.get(entry.routeKey);
+			departure[entry.status]++;
+			departure.entries.push({ ...describeWaitlistEntry(entry, baseUrl), nombre: entry.nombre, email: entry.email, telefono: entry.telefono });
 		});
-	}
 	
-	if (!time || !arrival || !type || !price) {
+	res.json({
+		departures: Array.from(departures.values()).sort((a, b) => a.fecha.localeCompare(b.fecha) || a.horario.localeCompare(b.horario))
+	});
+});
+
+// ========================================
+// ENDPOINTS DE ADMINISTRACIÓN - TAQUILLEROS
+// ========================================
+
+/**
+ * GET /api/admin/clerks - Listar taquilleros
+ */
+app.get("/api/admin/clerks", (req, res) => {
+	const clerks = Array.from(clerksById.values())
+		.map(describeClerk)
+		.sort((a, b) => a.nombre.localeCompare(b.nombre));
+	res.json({ total: clerks.length, clerks });
+});
+
+/**
+ * POST /api/admin/clerks - Dar de alta un taquillero con su PIN
+ */
+app.post("/api/admin/clerks", (req, res) => {
+	const body = req.body || {};
+	const errors = validateClerk(body);
+	if (errors.length > 0) {
 		return res.status(400).json({ 
 			success: false,
-			error: "Faltan datos: time, arrival, type, price" 
+			error: errors.join(". ") 
 		});
 	}
 	
-	const newSchedule = {
-		id: Date.now(),
-		time,
-		arrival,
-		type,
-		price: parseFloat(price)
+	const clerk = {
+		id: crypto.randomUUID(),
+		nombre: String(body.nombre).trim(),
+		...hashPin(body.pin),
+		activo: true,
+		createdAt: new Date().toISOString()
 	};
-	
-	availableRoutes[routeKey].schedules.push(newSchedule);
+	clerksById.set(clerk.id, clerk);
 	
 	// Guardar cambios en disco
-	saveRoutes(availableRoutes);
+	saveClerks(clerksById);
 	
-	res.json({
+	res.status(201).json({
 		success: true,
-		message: "Horario agregado exitosamente",
-		schedule: newSchedule
+		message: "Taquillero creado exitosamente",
+		clerk: describeClerk(clerk)
 	});
 });
 
 /**
- * PUT /api/admin/routes/:routeKey/schedules/:scheduleId - Actualizar horario
+ * PUT /api/admin/clerks/:clerkId - Cambiar nombre o PIN, o activar/desactivar un taquillero
  */
-app.put("/api/admin/routes/:routeKey/schedules/:scheduleId", (req, res) => {
-	const { routeKey, scheduleId } = req.params;
-	const { time, arrival, type, price } = req.body;
-	
-	if (!availableRoutes[routeKey]) {
+app.put("/api/admin/clerks/:clerkId", (req, res) => {
+	const clerk = clerksById.get(req.params.clerkId);
+	if (!clerk) {
 		return res.status(404).json({ 
 			success: false,
-			error: "Ruta no encontrada" 
+			error: "Taquillero no encontrado" 
 		});
 	}
 	
-	const schedule = availableRoutes[routeKey].schedules.find(s => s.id === parseInt(scheduleId));
-	
-	if (!schedule) {
-		return res.status(404).json({ 
+	const { nombre, pin, activo } = req.body || {};
+	const errors = validateClerk({ nombre, pin }, { isNew: false });
+	if (activo !== undefined && typeof activo !== "boolean") {
+		errors.push("activo debe ser true o false");
+	}
+	if (errors.length > 0) {
+		return res.status(400).json({ 
 			success: false,
-			error: "Horario no encontrado" 
+			error: errors.join(". ") 
 		});
 	}
 	
-	// Actualizar campos
-	if (time) schedule.time = time;
-	if (arrival) schedule.arrival = arrival;
-	if (type) schedule.type = type;
-	if (price) schedule.price = parseFloat(price);
+	if (nombre !== undefined) clerk.nombre = String(nombre).trim();
+	if (pin !== undefined) Object.assign(clerk, hashPin(pin));
+	if (activo !== undefined) clerk.activo = activo;
+	
+	// Un PIN nuevo o la baja cierran las sesiones abiertas del taquillero
+	if (pin !== undefined || activo === false) {
+		endClerkSessions(clerk.id);
+	}
 	
 	// Guardar cambios en disco
-	saveRoutes(availableRoutes);
+	saveClerks(clerksById);
 	
 	res.json({
 		success: true,
-		message: "Horario actualizado exitosamente",
-		schedule
+		message: "Taquillero actualizado exitosamente",
+		clerk: describeClerk(clerk)
 	});
 });
 
 /**
- * DELETE /api/admin/routes/:routeKey/schedules/:scheduleId - Eliminar horario
+ * GET /api/admin/shifts - Turnos de caja, del más reciente al más antiguo
+ * Los abiertos traen sus totales al momento; los cerrados, los de su corte
  */
-app.delete("/api/admin/routes/:routeKey/schedules/:scheduleId", (req, res) => {
-	const { routeKey, scheduleId } = req.params;
+app.get("/api/admin/shifts", (req, res) => {
+	const shifts = Array.from(shiftsById.values())
+		.sort((a, b) => new Date(b.abiertoEn) - new Date(a.abiertoEn))
+		.map(describeShift);
+	res.json({ total: shifts.length, shifts });
+});
+
+/**
+ * GET /api/admin/shifts/:shiftId - Reporte de un turno con el detalle de sus boletos
+ */
+app.get("/api/admin/shifts/:shiftId", (req, res) => {
+	const shift = shiftsById.get(req.params.shiftId);
+	if (!shift) {
+		return res.status(404).json({ error: "Turno no encontrado" });
+	}
 	
-	if (!availableRoutes[routeKey]) {
-		return res.status(404).json({ 
+	const movimientos = getShiftMovements(shift).map(movement => {
+		const ticket = ticketDatabase.get(movement.ticketId);
+		return {
+			...movement,
+			referencia: ticket.referencia,
+			nombre: ticket.nombre,
+			viaje: `${ticket.origen} → ${ticket.destino} ${ticket.fecha} ${ticket.horario} asiento ${ticket.asiento}`,
+			fecha: movement.tipo === "venta" ? ticket.createdAt : ticket.cancelacion.fecha
+		};
+	}).sort((a, b) => a.fecha.localeCompare(b.fecha));
+	
+	res.json({ ...describeShift(shift), movimientos, formasDePago: COUNTER_PAYMENT_METHODS });
+});
+
+// ========================================
+// ENDPOINTS DE ADMINISTRACIÓN - CUPONES
+// ========================================
+
+/**
+ * GET /api/admin/coupons - Listar cupones con sus usos y el descuento otorgado,
+ * junto con las rutas y clases de servicio a las que se pueden restringir
+ */
+app.get("/api/admin/coupons", (req, res) => {
+	const tickets = Array.from(ticketDatabase.values());
+	const coupons = Array.from(couponsByCode.values())
+		.sort((a, b) => a.code.localeCompare(b.code))
+		.map(coupon => ({
+			...coupon,
+			uses: countCouponUses(coupon.code),
+			totalDiscount: roundMoney(tickets
+				.filter(ticket => ticket.cupon === coupon.code)
+				.reduce((sum, ticket) => sum + ticket.descuentoCupon, 0))
+		}));
+	const scheduleTypes = new Set();
+	Object.values(availableRoutes).forEach(route => route.schedules.forEach(schedule => scheduleTypes.add(schedule.type)));
+	
+	res.json({
+		total: coupons.length,
+		coupons,
+		routes: Object.keys(availableRoutes),
+		scheduleTypes: Array.from(scheduleTypes)
+	});
+});
+
+/**
+ * PUT /api/admin/coupons/:code - Crear o actualizar un cupón
+ */
+app.put("/api/admin/coupons/:code", (req, res) => {
+	const code = normalizeCouponCode(req.params.code);
+	const current = couponsByCode.get(code);
+	const coupon = {
+		description: "",
+		validFrom: null,
+		validUntil: null,
+		routes: [],
+		scheduleTypes: [],
+		maxUses: null,
+		maxUsesPerCustomer: null,
+		minFare: 0,
+		active: true,
+		createdAt: new Date().toISOString(),
+		...current,
+		...req.body,
+		code
+	};
+	
+	const errors = validateCoupon(coupon);
+	if (errors.length > 0) {
+		return res.status(400).json({ 
 			success: false,
-			error: "Ruta no encontrada" 
+			error: errors.join(". ") 
 		});
 	}
 	
-	const scheduleIndex = availableRoutes[routeKey].schedules.findIndex(s => s.id === parseInt(scheduleId));
+	couponsByCode.set(code, coupon);
 	
-	if (scheduleIndex === -1) {
+	// Guardar cambios en disco
+	saveCoupons(couponsByCode);
+	
+	res.json({
+		success: true,
+		message: current ? "Cupón actualizado exitosamente" : "Cupón creado exitosamente",
+		coupon
+	});
+});
+
+/**
+ * DELETE /api/admin/coupons/:code - Eliminar un cupón
+ * Los boletos y órdenes que lo usaron conservan el código y el descuento aplicado
+ */
+app.delete("/api/admin/coupons/:code", (req, res) => {
+	const code = normalizeCouponCode(req.params.code);
+	
+	if (!couponsByCode.has(code)) {
 		return res.status(404).json({ 
 			success: false,
-			error: "Horario no encontrado" 
+			error: "Cupón no encontrado" 
 		});
 	}
 	
-	const deletedSchedule = availableRoutes[routeKey].schedules.splice(scheduleIndex, 1)[0];
+	couponsByCode.delete(code);
 	
 	// Guardar cambios en disco
-	saveRoutes(availableRoutes);
+	saveCoupons(couponsByCode);
 	
 	res.json({
 		success: true,
-		message: "Horario eliminado exitosamente",
-		deletedSchedule
+		message: "Cupón eliminado exitosamente",
+		deletedCoupon: code
 	});
 });
 
@@ -549,10 +4587,16 @@ app.get("/api/health", (req, res) => {
 	res.json({ 
 		status: "OK", 
 		timestamp: new Date().toISOString(),
-		uptime: process.uptime()
+		uptime: process.uptime(),
+		paymentProvider: paymentProvider.name
 	});
 });
 
+// Página de checkout del simulador de pagos
+if (paymentProvider.createCheckoutRouter) {
+	app.use(MOCK_CHECKOUT_PATH, paymentProvider.createCheckoutRouter());
+}
+
 // Serve frontend statically
 app.use(express.static(path.join(__dirname, "../Frontend")));
 
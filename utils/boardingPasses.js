@@ -0,0 +1,129 @@
+/**
+ * @fileoverview Códigos de abordaje de TransBus
+ * Cada boleto lleva un QR con su ID, la salida y el asiento firmados con HMAC; al abordar, el chofer
+ * escanea el código y el servidor comprueba la firma antes de buscar el boleto.
+ * @author TransBus Team
+ * @version 1.0.0
+ */
+
+import crypto from 'crypto';
+import { loadBoardingSecret, saveBoardingSecret } from './dataStore.js';
+
+/**
+ * Prefijo y versión del formato del código
+ */
+const BOARDING_CODE_PREFIX = 'TB1';
+
+/**
+ * Llave para firmar los códigos de abordaje.
+ * Sin BOARDING_SECRET se genera una la primera vez y se guarda en data/boardingSecret.json,
+ * así los QR ya impresos o enviados siguen valiendo después de reiniciar el servidor.
+ */
+const BOARDING_SECRET = process.env.BOARDING_SECRET || loadBoardingSecret() || createBoardingSecret();
+const BOARDING_SECRET_CONFIGURED = Boolean(process.env.BOARDING_SECRET);
+
+/**
+ * Generar y guardar la llave de abordaje del servidor
+ */
+function createBoardingSecret() {
+    const secret = crypto.randomBytes(32).toString('hex');
+    saveBoardingSecret(secret);
+    return secret;
+}
+
+/**
+ * Firma HMAC de la parte de datos de un código
+ */
+function signPayload(payload) {
+    return crypto.createHmac('sha256', BOARDING_SECRET).update(payload).digest('base64url');
+}
+
+/**
+ * Datos que identifican la salida y el asiento de un boleto
+ * Un boleto de un tramo con conexión aborda en la ciudad y a la hora de su tramo.
+ */
+function getBoardingData(ticket) {
+    return {
+        t: ticket.ticketId,
+        o: ticket.origen,
+        d: ticket.destino,
+        f: ticket.fecha,
+        h: ticket.horaAbordaje || ticket.horario,
+        a: String(ticket.asiento)
+    };
+}
+
+/**
+ * Generar el código de abordaje de un boleto (el texto del QR)
+ * Es determinista: el mismo boleto siempre produce el mismo código mientras no cambie de salida o asiento.
+ * @param {Object} ticket - Boleto
+ * @returns {string} Código TB1.<datos>.<firma>
+ */
+function createBoardingCode(ticket) {
+    const payload = Buffer.from(JSON.stringify(getBoardingData(ticket))).toString('base64url');
+    return `${BOARDING_CODE_PREFIX}.${payload}.${signPayload(payload)}`;
+}
+
+/**
+ * Verificar la firma de un código de abordaje
+ * @param {string} code - Código leído del QR
+ * @returns {{pass: {ticketId: string, origen: string, destino: string, fecha: string, horario: string, asiento: string}}|{error: string}}
+ *   Datos del código o motivo del rechazo
+ */
+function verifyBoardingCode(code) {
+    const [prefix, payload, signature, ...rest] = String(code || '').trim().split('.');
+    if (prefix !== BOARDING_CODE_PREFIX || !payload || !signature || rest.length > 0) {
+        return { error: 'El código no es un boleto de TransBus' };
+    }
+
+    const expected = Buffer.from(signPayload(payload));
+    const actual = Buffer.from(signature);
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+        return { error: 'La firma del boleto no es válida' };
+    }
+
+    let data;
+    try {
+        data = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    } catch (error) {
+        return { error: 'El código no es un boleto de TransBus' };
+    }
+
+    return {
+        pass: {
+            ticketId: data.t,
+            origen: data.o,
+            destino: data.d,
+            fecha: data.f,
+            horario: data.h,
+            asiento: data.a
+        }
+    };
+}
+
+/**
+ * ¿El código corresponde a la salida y el asiento vigentes del boleto?
+ * Un boleto que se cambió de salida o de asiento invalida el QR que se imprimió antes del cambio.
+ */
+function boardingCodeMatchesTicket(code, ticket) {
+    return code.trim() === createBoardingCode(ticket);
+}
+
+/**
+ * Huella SHA-256 (hex) del código de abordaje de un boleto
+ * El manifiesto lleva la huella y no el código: con ella la app valida un QR sin conexión,
+ * pero no sirve para fabricar boletos que pasen el escaneo.
+ * @param {Object} ticket - Boleto
+ * @returns {string} Huella del código
+ */
+function createBoardingCodeDigest(ticket) {
+    return crypto.createHash('sha256').update(createBoardingCode(ticket)).digest('hex');
+}
+
+export {
+    createBoardingCode,
+    createBoardingCodeDigest,
+    verifyBoardingCode,
+    boardingCodeMatchesTicket,
+    BOARDING_SECRET_CONFIGURED
+};
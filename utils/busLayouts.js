@@ -0,0 +1,151 @@
+/**
+ * @fileoverview Distribuciones de asientos (layouts) de los autobuses TransBus
+ * Convierte la definición de un layout en el mapa de asientos que usa el frontend
+ * y permite validar que un número de asiento exista en el autobús.
+ * @author TransBus Team
+ * @version 1.0.0
+ */
+
+/**
+ * Tipos de posición que no son un asiento vendible
+ * - empty: no existe asiento (puerta, pasillo ampliado)
+ * - restroom: sanitario
+ * - disabled: el asiento existe pero no se vende (tripulación, dañado)
+ */
+const SPECIAL_POSITION_TYPES = ['empty', 'restroom', 'disabled'];
+
+/**
+ * Letra de una columna (0 -> A, 1 -> B, ...)
+ * @param {number} column - Índice de la columna
+ * @returns {string} Letra de la columna
+ */
+function columnLetter(column) {
+    return String.fromCharCode(65 + column);
+}
+
+/**
+ * Obtener el layout que usa un horario
+ * Primero el layout asignado al horario (layoutId), después el del tipo de servicio
+ * @param {Object} layoutsData - Contenido de layouts.json ({ defaultsByType, layouts })
+ * @param {Object} schedule - Horario de la ruta
+ * @returns {Object|null} Definición del layout o null si no hay ninguno
+ */
+function getLayoutForSchedule(layoutsData, schedule) {
+    const { layouts = {}, defaultsByType = {} } = layoutsData;
+    const layoutId = (schedule && schedule.layoutId) || defaultsByType[schedule && schedule.type] || defaultsByType.default;
+    return layouts[layoutId] || null;
+}
+
+/**
+ * Construir el mapa de asientos de un layout
+ * Los asientos se numeran de forma consecutiva, fila por fila, saltando las
+ * posiciones especiales, por lo que el número de asiento es estable mientras
+ * no cambie la definición.
+ * @param {Object} layout - Definición del layout
+ * @param {string} layout.id - Identificador
+ * @param {string} layout.name - Nombre descriptivo
+ * @param {number} layout.rows - Número de filas
+ * @param {number} layout.columns - Posiciones por fila
+ * @param {number} layout.aisleAfter - Columna después de la cual va el pasillo
+ * @param {Object} [layout.specialPositions] - Posición ("12C") -> tipo especial
+ * @param {string} [layout.seatLabels='position'] - "position" (12C) o "number" (45)
+ * @returns {Object} Mapa con filas de celdas y capacidad vendible
+ */
+function buildSeatMap(layout) {
+    const specialPositions = layout.specialPositions || {};
+    const rows = [];
+    let nextNumber = 1;
+
+    for (let row = 1; row <= layout.rows; row++) {
+        const cells = [];
+
+        for (let column = 0; column < layout.columns; column++) {
+            const position = `${row}${columnLetter(column)}`;
+            const special = specialPositions[position];
+
+            if (special === 'empty' || special === 'restroom') {
+                cells.push({ type: special, position });
+            } else if (special === 'disabled') {
+                cells.push({ type: 'disabled', position, label: position });
+            } else {
+                const number = nextNumber++;
+                cells.push({
+                    type: 'seat',
+                    position,
+                    number,
+                    label: layout.seatLabels === 'number' ? String(number) : position
+                });
+            }
+        }
+
+        rows.push({ row, cells });
+    }
+
+    return {
+        id: layout.id,
+        name: layout.name,
+        columns: layout.columns,
+        aisleAfter: layout.aisleAfter,
+        capacity: nextNumber - 1,
+        rows
+    };
+}
+
+/**
+ * Números de asiento vendibles de un mapa
+ * @param {Object} seatMap - Mapa generado por buildSeatMap
+ * @returns {Set<string>} Números de asiento como texto
+ */
+function getSellableSeatNumbers(seatMap) {
+    const numbers = new Set();
+    seatMap.rows.forEach(({ cells }) => {
+        cells.forEach(cell => {
+            if (cell.type === 'seat') numbers.add(String(cell.number));
+        });
+    });
+    return numbers;
+}
+
+/**
+ * Validar una definición de layout
+ * @param {Object} layout - Definición del layout
+ * @returns {Array<string>} Lista de errores (vacía si es válido)
+ */
+function validateLayout(layout) {
+    const errors = [];
+
+    if (!layout || typeof layout !== 'object') {
+        return ['El layout debe ser un objeto'];
+    }
+    if (!layout.name) {
+        errors.push('Falta el nombre del layout');
+    }
+    if (!Number.isInteger(layout.rows) || layout.rows < 1) {
+        errors.push('rows debe ser un entero mayor a 0');
+    }
+    if (!Number.isInteger(layout.columns) || layout.columns < 1 || layout.columns > 6) {
+        errors.push('columns debe ser un entero entre 1 y 6');
+    }
+    if (!Number.isInteger(layout.aisleAfter) || layout.aisleAfter < 0 || layout.aisleAfter > layout.columns) {
+        errors.push('aisleAfter debe estar entre 0 y columns');
+    }
+    if (layout.seatLabels && !['position', 'number'].includes(layout.seatLabels)) {
+        errors.push('seatLabels debe ser "position" o "number"');
+    }
+
+    Object.entries(layout.specialPositions || {}).forEach(([position, type]) => {
+        if (!SPECIAL_POSITION_TYPES.includes(type)) {
+            errors.push(`Tipo de posición no válido en ${position}: ${type}`);
+        }
+    });
+
+    return errors;
+}
+
+export {
+    getLayoutForSchedule,
+    buildSeatMap,
+    getSellableSeatNumbers,
+    validateLayout,
+    SPECIAL_POSITION_TYPES
+};
@@ -0,0 +1,76 @@
+/**
+ * @fileoverview Política de cancelación y reembolso de boletos de TransBus
+ * El porcentaje que se reembolsa depende de las horas que faltan para la salida;
+ * con menos de 2 horas ya no se puede cancelar (misma regla que para modificar una reserva).
+ * @author TransBus Team
+ * @version 1.0.0
+ */
+
+/**
+ * Tramos de la política, de mayor a menor anticipación
+ * minHours: horas mínimas antes de la salida -> refundPercent: porcentaje de lo pagado que se reembolsa
+ */
+const CANCELLATION_POLICY = [
+    { minHours: 48, refundPercent: 100 },
+    { minHours: 24, refundPercent: 75 },
+    { minHours: 2, refundPercent: 50 }
+];
+
+/**
+ * Horas mínimas de anticipación para cancelar
+ */
+const MIN_CANCELLATION_HOURS = CANCELLATION_POLICY[CANCELLATION_POLICY.length - 1].minHours;
+
+/**
+ * Horas que faltan para una salida
+ * @param {string} fecha - Fecha del viaje (YYYY-MM-DD)
+ * @param {string} hora - Hora de abordaje (HH:MM)
+ * @param {number} [now=Date.now()] - Momento de referencia
+ * @returns {number} Horas hasta la salida (negativo si ya pasó)
+ */
+function getHoursBeforeDeparture(fecha, hora, now = Date.now()) {
+    const departure = new Date(`${fecha}T${hora}:00`).getTime();
+    return (departure - now) / (1000 * 60 * 60);
+}
+
+/**
+ * Condiciones de cancelación según la anticipación
+ * @param {number} hoursBefore - Horas que faltan para la salida
+ * @returns {{allowed: boolean, refundPercent: number, reason: string|null}}
+ */
+function getCancellationTerms(hoursBefore) {
+    const tier = CANCELLATION_POLICY.find(t => hoursBefore >= t.minHours);
+
+    if (!tier) {
+        return {
+            allowed: false,
+            refundPercent: 0,
+            reason: `No se pueden cancelar boletos con menos de ${MIN_CANCELLATION_HOURS} horas de anticipación`
+        };
+    }
+
+    return { allowed: true, refundPercent: tier.refundPercent, reason: null };
+}
+
+/**
+ * Texto de la política para mostrar al cliente
+ * @returns {Array<string>} Una línea por tramo
+ */
+function describeCancellationPolicy() {
+    const lines = CANCELLATION_POLICY.map((tier, index) => {
+        const range = index === 0
+            ? `${tier.minHours} horas o más`
+            : `Entre ${tier.minHours} y ${CANCELLATION_POLICY[index - 1].minHours} horas`;
+        return `${range} antes de la salida: reembolso del ${tier.refundPercent}%`;
+    });
+    lines.push(`Menos de ${MIN_CANCELLATION_HOURS} horas antes de la salida: no se puede cancelar`);
+    return lines;
+}
+
+export {
+    getHoursBeforeDeparture,
+    getCancellationTerms,
+    describeCancellationPolicy,
+    CANCELLATION_POLICY,
+    MIN_CANCELLATION_HOURS
+};
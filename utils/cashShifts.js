@@ -0,0 +1,110 @@
+/**
+ * @fileoverview Turnos de caja de la taquilla de TransBus (apertura y corte de caja)
+ * Cada taquillero abre su turno con un fondo inicial y lo cierra contando lo que tiene
+ * por forma de pago; el corte compara lo declarado contra lo esperado según los boletos del turno.
+ * @author TransBus Team
+ * @version 1.0.0
+ */
+
+import { COUNTER_PAYMENT_METHODS } from './clerks.js';
+
+/**
+ * Redondear a centavos
+ */
+function roundMoney(amount) {
+    return Math.round(amount * 100) / 100;
+}
+
+/**
+ * Validar un monto de caja (fondo inicial o conteo)
+ * @param {*} value - Monto capturado
+ * @param {string} label - Nombre del monto para el mensaje de error
+ * @returns {{amount: number}|{error: string}} Monto redondeado a centavos o error
+ */
+function parseCashAmount(value, label) {
+    const amount = typeof value === 'number' ? value : parseFloat(value);
+    if (value === undefined || value === null || value === '' || !Number.isFinite(amount) || amount < 0) {
+        return { error: `${label} debe ser un número mayor o igual a 0` };
+    }
+    return { amount: roundMoney(amount) };
+}
+
+/**
+ * Totales de un turno por forma de pago
+ * @param {Array<{metodo: string, tipo: string, monto: number, ticketId: string}>} movements - Ventas
+ *   (tipo "venta") y reembolsos entregados en ventanilla (tipo "reembolso") del turno
+ * @returns {Object} { porMetodo: { [metodo]: { boletos, ventas, reembolsos, neto } }, boletos, totalVentas, totalReembolsos }
+ */
+function summarizeShift(movements) {
+    const porMetodo = {};
+    Object.keys(COUNTER_PAYMENT_METHODS).forEach(metodo => {
+        porMetodo[metodo] = { boletos: 0, ventas: 0, reembolsos: 0, neto: 0 };
+    });
+
+    movements.forEach(({ metodo, tipo, monto }) => {
+        const totals = porMetodo[metodo];
+        if (!totals) return;
+
+        if (tipo === 'venta') {
+            totals.boletos++;
+            totals.ventas = roundMoney(totals.ventas + monto);
+        } else {
+            totals.reembolsos = roundMoney(totals.reembolsos + monto);
+        }
+        totals.neto = roundMoney(totals.ventas - totals.reembolsos);
+    });
+
+    const methods = Object.values(porMetodo);
+    return {
+        porMetodo,
+        boletos: methods.reduce((sum, totals) => sum + totals.boletos, 0),
+        totalVentas: roundMoney(methods.reduce((sum, totals) => sum + totals.ventas, 0)),
+        totalReembolsos: roundMoney(methods.reduce((sum, totals) => sum + totals.reembolsos, 0))
+    };
+}
+
+/**
+ * Clasificar una diferencia del corte
+ * @param {number} diferencia - Declarado menos esperado
+ * @returns {string} "cuadra", "sobrante" o "faltante"
+ */
+function describeDifference(diferencia) {
+    if (diferencia > 0) return 'sobrante';
+    if (diferencia < 0) return 'faltante';
+    return 'cuadra';
+}
+
+/**
+ * Calcular el corte de caja de un turno
+ * El efectivo esperado incluye el fondo inicial; en terminal se espera lo cobrado menos lo reembolsado.
+ * @param {Object} shift - Turno ({ fondoInicial })
+ * @param {Object} summary - Totales de summarizeShift
+ * @param {Object} declarado - Conteo del taquillero por forma de pago ({ efectivo, terminal })
+ * @returns {Object} { porMetodo: { [metodo]: { esperado, declarado, diferencia, resultado } }, diferenciaTotal, cuadra }
+ */
+function buildShiftClose(shift, summary, declarado) {
+    const porMetodo = {};
+
+    Object.keys(COUNTER_PAYMENT_METHODS).forEach(metodo => {
+        const base = metodo === 'efectivo' ? shift.fondoInicial : 0;
+        const esperado = roundMoney(base + summary.porMetodo[metodo].neto);
+        const contado = declarado[metodo] || 0;
+        const diferencia = roundMoney(contado - esperado);
+
+        porMetodo[metodo] = { esperado, declarado: contado, diferencia, resultado: describeDifference(diferencia) };
+    });
+
+    const diferenciaTotal = roundMoney(Object.values(porMetodo).reduce((sum, item) => sum + item.diferencia, 0));
+    return {
+        porMetodo,
+        diferenciaTotal,
+        cuadra: Object.values(porMetodo).every(item => item.diferencia === 0)
+    };
+}
+
+export {
+    parseCashAmount,
+    summarizeShift,
+    buildShiftClose,
+    describeDifference
+};
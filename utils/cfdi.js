@@ -0,0 +1,217 @@
+/**
+ * @fileoverview Facturas electrónicas (CFDI 4.0) de TransBus
+ * Catálogos del SAT que usa el formulario de facturación, validación de los datos fiscales del
+ * cliente y generación del XML del comprobante, listo para que el PAC lo selle y timbre.
+ * @author TransBus Team
+ * @version 1.0.0
+ */
+
+import { calculateIvaBreakdown, IVA_RATE } from './taxes.js';
+
+/**
+ * Regímenes fiscales (catálogo c_RegimenFiscal) y a qué tipo de persona aplican
+ */
+const REGIMENES_FISCALES = {
+    '601': { descripcion: 'General de Ley Personas Morales', fisica: false, moral: true },
+    '603': { descripcion: 'Personas Morales con Fines no Lucrativos', fisica: false, moral: true },
+    '605': { descripcion: 'Sueldos y Salarios e Ingresos Asimilados a Salarios', fisica: true, moral: false },
+    '606': { descripcion: 'Arrendamiento', fisica: true, moral: false },
+    '608': { descripcion: 'Demás ingresos', fisica: true, moral: false },
+    '612': { descripcion: 'Personas Físicas con Actividades Empresariales y Profesionales', fisica: true, moral: false },
+    '616': { descripcion: 'Sin obligaciones fiscales', fisica: true, moral: false },
+    '621': { descripcion: 'Incorporación Fiscal', fisica: true, moral: false },
+    '625': { descripcion: 'Actividades Empresariales con ingresos a través de Plataformas Tecnológicas', fisica: true, moral: false },
+    '626': { descripcion: 'Régimen Simplificado de Confianza', fisica: true, moral: true }
+};
+
+/**
+ * Usos del CFDI (catálogo c_UsoCFDI) que aplican a la compra de boletos
+ */
+const USOS_CFDI = {
+    G01: 'Adquisición de mercancías',
+    G03: 'Gastos en general',
+    S01: 'Sin efectos fiscales'
+};
+
+/**
+ * Forma de pago del SAT (c_FormaPago) según el método con que se cobró
+ */
+const FORMAS_PAGO = {
+    card: '04',      // Tarjeta de crédito
+    terminal: '04',
+    oxxo: '01',      // Efectivo
+    cash: '01',
+    efectivo: '01',
+    spei: '03'       // Transferencia electrónica de fondos
+};
+
+/**
+ * Clave de producto o servicio y unidad de cada boleto
+ */
+const CLAVE_PROD_SERV = '78111802';   // Servicios de autobuses interurbanos
+const CLAVE_UNIDAD = 'E48';           // Unidad de servicio
+
+/**
+ * Normalizar un RFC (sin espacios ni guiones y en mayúsculas)
+ */
+function normalizeRfc(rfc) {
+    return String(rfc || '').replace(/[\s-]/g, '').toUpperCase();
+}
+
+/**
+ * Validar los datos fiscales del receptor de una factura
+ * @param {Object} receptor - { rfc, razonSocial, codigoPostal, regimenFiscal, usoCfdi }
+ * @returns {Array<string>} Lista de errores (vacía si son válidos)
+ */
+function validateReceptor({ rfc, razonSocial, codigoPostal, regimenFiscal, usoCfdi }) {
+    const errors = [];
+    const rfcValido = /^[A-ZÑ&]{3,4}\d{6}[A-Z0-9]{3}$/.test(rfc);
+    const personaMoral = rfc.length === 12;
+
+    if (!rfcValido) {
+        errors.push('El RFC no es válido (12 caracteres para personas morales, 13 para personas físicas)');
+    }
+    if (!String(razonSocial || '').trim()) {
+        errors.push('Falta el nombre o razón social');
+    }
+    if (!/^\d{5}$/.test(String(codigoPostal || ''))) {
+        errors.push('El código postal del domicilio fiscal debe tener 5 dígitos');
+    }
+    const regimen = REGIMENES_FISCALES[regimenFiscal];
+    if (!regimen) {
+        errors.push('Elige un régimen fiscal');
+    } else if (rfcValido && !(personaMoral ? regimen.moral : regimen.fisica)) {
+        errors.push(`El régimen ${regimenFiscal} no aplica a ${personaMoral ? 'personas morales' : 'personas físicas'}`);
+    }
+    if (!USOS_CFDI[usoCfdi]) {
+        errors.push('Elige el uso del CFDI');
+    }
+
+    return errors;
+}
+
+/**
+ * Escapar texto para un atributo XML
+ */
+function escapeXml(value) {
+    return String(value ?? '').replace(/[&<>"']/g, char => ({
+        '&': '&amp;',
+        '<': '&lt;',
+        '>': '&gt;',
+        '"': '&quot;',
+        "'": '&apos;'
+    })[char]);
+}
+
+/**
+ * Atributos XML a partir de un objeto (omite los vacíos)
+ */
+function xmlAttributes(attributes) {
+    return Object.entries(attributes)
+        .filter(([, value]) => value !== null && value !== undefined && value !== '')
+        .map(([name, value]) => `${name}="${escapeXml(value)}"`)
+        .join(' ');
+}
+
+/**
+ * Fecha local sin zona horaria (YYYY-MM-DDTHH:mm:ss), como la usa el SAT
+ */
+function formatSatDate(date) {
+    const pad = value => String(value).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}T${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}`;
+}
+
+/**
+ * Importe con dos decimales
+ */
+function amount(value) {
+    return value.toFixed(2);
+}
+
+/**
+ * Generar el XML de un CFDI 4.0 de ingreso por la venta de boletos (sin sello ni timbre)
+ * Cada concepto es un boleto; su precio ya incluye IVA y se desglosa en valor unitario e impuesto.
+ * @param {Object} data - { emisor, receptor, serie, folio, fecha, metodoPago, conceptos }
+ *   emisor: { rfc, nombre, regimenFiscal, lugarExpedicion }; receptor: { rfc, razonSocial, codigoPostal,
+ *   regimenFiscal, usoCfdi }; fecha: fecha local YYYY-MM-DDTHH:mm:ss; metodoPago: método con que se cobró;
+ *   conceptos: [{ noIdentificacion, descripcion, total }]
+ * @returns {{xml: string, subtotal: number, iva: number, total: number}} XML y totales del comprobante
+ */
+function buildCfdiXml({ emisor, receptor, serie, folio, fecha, metodoPago, conceptos }) {
+    const tasa = IVA_RATE.toFixed(6);
+    const items = conceptos.map(concepto => ({ ...concepto, ...calculateIvaBreakdown(concepto.total) }));
+    const subtotal = Math.round(items.reduce((sum, item) => sum + item.subtotal, 0) * 100) / 100;
+    const iva = Math.round(items.reduce((sum, item) => sum + item.iva, 0) * 100) / 100;
+    const total = Math.round((subtotal + iva) * 100) / 100;
+
+    const comprobante = xmlAttributes({
+        'xmlns:cfdi': 'http://www.sat.gob.mx/cfd/4',
+        'xmlns:xsi': 'http://www.w3.org/2001/XMLSchema-instance',
+        'xsi:schemaLocation': 'http://www.sat.gob.mx/cfd/4 http://www.sat.gob.mx/sitio_internet/cfd/4/cfdv40.xsd',
+        Version: '4.0',
+        Serie: serie,
+        Folio: folio,
+        Fecha: fecha,
+        FormaPago: FORMAS_PAGO[metodoPago] || FORMAS_PAGO.card,
+        SubTotal: amount(subtotal),
+        Moneda: 'MXN',
+        Total: amount(total),
+        TipoDeComprobante: 'I',
+        Exportacion: '01',
+        MetodoPago: 'PUE',
+        LugarExpedicion: emisor.lugarExpedicion
+    });
+
+    const conceptosXml = items.map(item => `
+    <cfdi:Concepto ${xmlAttributes({
+        ClaveProdServ: CLAVE_PROD_SERV,
+        NoIdentificacion: item.noIdentificacion,
+        Cantidad: '1',
+        ClaveUnidad: CLAVE_UNIDAD,
+        Unidad: 'Unidad de servicio',
+        Descripcion: item.descripcion,
+        ValorUnitario: amount(item.subtotal),
+        Importe: amount(item.subtotal),
+        ObjetoImp: '02'
+    })}>
+      <cfdi:Impuestos>
+        <cfdi:Traslados>
+          <cfdi:Traslado ${xmlAttributes({ Base: amount(item.subtotal), Impuesto: '002', TipoFactor: 'Tasa', TasaOCuota: tasa, Importe: amount(item.iva) })}/>
+        </cfdi:Traslados>
+      </cfdi:Impuestos>
+    </cfdi:Concepto>`).join('');
+
+    const xml = `<?xml version="1.0" encoding="UTF-8"?>
+<cfdi:Comprobante ${comprobante}>
+  <cfdi:Emisor ${xmlAttributes({ Rfc: emisor.rfc, Nombre: emisor.nombre, RegimenFiscal: emisor.regimenFiscal })}/>
+  <cfdi:Receptor ${xmlAttributes({
+        Rfc: receptor.rfc,
+        Nombre: receptor.razonSocial,
+        DomicilioFiscalReceptor: receptor.codigoPostal,
+        RegimenFiscalReceptor: receptor.regimenFiscal,
+        UsoCFDI: receptor.usoCfdi
+    })}/>
+  <cfdi:Conceptos>${conceptosXml}
+  </cfdi:Conceptos>
+  <cfdi:Impuestos ${xmlAttributes({ TotalImpuestosTrasladados: amount(iva) })}>
+    <cfdi:Traslados>
+      <cfdi:Traslado ${xmlAttributes({ Base: amount(subtotal), Impuesto: '002', TipoFactor: 'Tasa', TasaOCuota: tasa, Importe: amount(iva) })}/>
+    </cfdi:Traslados>
+  </cfdi:Impuestos>
+</cfdi:Comprobante>
+`;
+
+    return { xml, subtotal, iva, total };
+}
+
+export {
+    normalizeRfc,
+    validateReceptor,
+    buildCfdiXml,
+    escapeXml,
+    xmlAttributes,
+    formatSatDate,
+    REGIMENES_FISCALES,
+    USOS_CFDI,
+    FORMAS_PAGO
+};
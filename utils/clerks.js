@@ -0,0 +1,169 @@
+/**
+ * @fileoverview Taquilleros y sesiones de venta en taquilla de TransBus
+ * Cada taquillero entra con su PIN; la sesión identifica quién hizo cada venta
+ * para etiquetar los boletos con el canal y el vendedor.
+ * @author TransBus Team
+ * @version 1.0.0
+ */
+
+import crypto from 'crypto';
+
+/**
+ * Canales de venta de un boleto
+ * key: valor guardado en el boleto -> nombre para mostrar
+ */
+const SALES_CHANNELS = {
+    web: 'Web',
+    taquilla: 'Taquilla'
+};
+
+/**
+ * Formas de pago aceptadas en taquilla
+ * - efectivo: se captura el monto recibido y se calcula el cambio
+ * - terminal: terminal bancaria externa; se captura su número de autorización
+ */
+const COUNTER_PAYMENT_METHODS = {
+    efectivo: 'Efectivo',
+    terminal: 'Terminal bancaria'
+};
+
+/**
+ * Duración de una sesión de taquilla en horas (un turno completo)
+ */
+const CLERK_SESSION_HOURS = Math.max(1, parseInt(process.env.CLERK_SESSION_HOURS, 10) || 12);
+
+/**
+ * Sesiones activas
+ * key: token -> { token, clerkId, nombre, createdAt, expiresAt }
+ * Viven en memoria: al reiniciar el servidor los taquilleros vuelven a entrar con su PIN
+ */
+const sessionsByToken = new Map();
+
+/**
+ * Calcular el hash de un PIN
+ * @param {string} pin - PIN del taquillero
+ * @param {string} [salt] - Sal en hexadecimal; se genera una nueva si no se indica
+ * @returns {{pinSalt: string, pinHash: string}}
+ */
+function hashPin(pin, salt = crypto.randomBytes(16).toString('hex')) {
+    const hash = crypto.scryptSync(String(pin), salt, 32).toString('hex');
+    return { pinSalt: salt, pinHash: hash };
+}
+
+/**
+ * Verificar el PIN de un taquillero
+ * @param {Object} clerk - Taquillero ({ pinSalt, pinHash })
+ * @param {string} pin - PIN capturado
+ * @returns {boolean} True si el PIN es correcto
+ */
+function verifyPin(clerk, pin) {
+    if (!clerk || !clerk.pinSalt || !clerk.pinHash || !pin) {
+        return false;
+    }
+
+    const expected = Buffer.from(clerk.pinHash, 'hex');
+    const actual = Buffer.from(hashPin(pin, clerk.pinSalt).pinHash, 'hex');
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+/**
+ * Validar los datos de un taquillero
+ * Al dar de alta se exigen nombre y PIN; al actualizar solo se validan los campos enviados
+ * @param {Object} data - { nombre, pin }
+ * @param {Object} [options] - { isNew } al dar de alta
+ * @returns {Array<string>} Lista de errores (vacía si es válido)
+ */
+function validateClerk(data, { isNew = true } = {}) {
+    const errors = [];
+
+    if (!data || typeof data !== 'object') {
+        return ['Los datos del taquillero deben ser un objeto'];
+    }
+    if ((isNew || data.nombre !== undefined) && !String(data.nombre || '').trim()) {
+        errors.push('Falta el nombre del taquillero');
+    }
+    if ((isNew || data.pin !== undefined) && !/^\d{4,8}$/.test(String(data.pin || ''))) {
+        errors.push('El PIN debe tener de 4 a 8 dígitos');
+    }
+
+    return errors;
+}
+
+/**
+ * Datos públicos de un taquillero (sin su PIN)
+ * @param {Object} clerk - Taquillero
+ * @returns {Object} { id, nombre, activo, createdAt }
+ */
+function describeClerk({ id, nombre, activo, createdAt }) {
+    return { id, nombre, activo, createdAt };
+}
+
+/**
+ * Abrir una sesión de taquilla
+ * @param {Object} clerk - Taquillero autenticado
+ * @returns {Object} Sesión creada
+ */
+function createClerkSession(clerk) {
+    const now = Date.now();
+    const session = {
+        token: crypto.randomBytes(24).toString('hex'),
+        clerkId: clerk.id,
+        nombre: clerk.nombre,
+        createdAt: now,
+        expiresAt: now + CLERK_SESSION_HOURS * 60 * 60 * 1000
+    };
+
+    sessionsByToken.set(session.token, session);
+    return session;
+}
+
+/**
+ * Obtener una sesión de taquilla activa
+ * @param {string} token - Token de la sesión
+ * @returns {Object|null} Sesión o null si no existe o ya venció
+ */
+function getClerkSession(token) {
+    const session = token ? sessionsByToken.get(token) : null;
+    if (!session) return null;
+
+    if (session.expiresAt <= Date.now()) {
+        sessionsByToken.delete(token);
+        return null;
+    }
+    return session;
+}
+
+/**
+ * Cerrar una sesión de taquilla
+ * @param {string} token - Token de la sesión
+ * @returns {boolean} True si la sesión existía
+ */
+function endClerkSession(token) {
+    return sessionsByToken.delete(token);
+}
+
+/**
+ * Cerrar todas las sesiones de un taquillero (p. ej. al darlo de baja o cambiar su PIN)
+ * @param {string} clerkId - ID del taquillero
+ */
+function endClerkSessions(clerkId) {
+    sessionsByToken.forEach((session, token) => {
+        if (session.clerkId === clerkId) {
+            sessionsByToken.delete(token);
+        }
+    });
+}
+
+export {
+    hashPin,
+    verifyPin,
+    validateClerk,
+    describeClerk,
+    createClerkSession,
+    getClerkSession,
+    endClerkSession,
+    endClerkSessions,
+    SALES_CHANNELS,
+    COUNTER_PAYMENT_METHODS,
+    CLERK_SESSION_HOURS
+};
@@ -0,0 +1,182 @@
+/**
+ * @fileoverview Cupones de descuento (códigos promocionales) de TransBus
+ * Valida las reglas de cada cupón (vigencia, rutas, clase de servicio, límites de uso
+ * y compra mínima) y reparte el descuento entre los boletos de la compra.
+ * @author TransBus Team
+ * @version 1.0.0
+ */
+
+import { DISCOUNT_TYPES } from './fareCategories.js';
+
+/**
+ * Redondear a centavos
+ */
+function roundMoney(amount) {
+    return Math.round(amount * 100) / 100;
+}
+
+/**
+ * Normalizar un código de cupón (sin espacios y en mayúsculas)
+ * @param {*} code - Código capturado
+ * @returns {string} Código normalizado ('' si no se indicó)
+ */
+function normalizeCouponCode(code) {
+    return String(code || '').trim().toUpperCase();
+}
+
+/**
+ * Indica si un valor es un límite válido: entero mayor a 0, o null para no limitar
+ */
+function isValidLimit(value) {
+    return value === null || (Number.isInteger(value) && value > 0);
+}
+
+/**
+ * Validar la definición de un cupón
+ * @param {Object} coupon - Cupón
+ * @returns {Array<string>} Lista de errores (vacía si es válido)
+ */
+function validateCoupon(coupon) {
+    const errors = [];
+    const isDate = value => value === null || /^\d{4}-\d{2}-\d{2}$/.test(String(value));
+
+    if (!coupon || typeof coupon !== 'object') {
+        return ['El cupón debe ser un objeto'];
+    }
+    if (!/^[A-Z0-9_-]{3,20}$/.test(coupon.code || '')) {
+        errors.push('El código debe tener de 3 a 20 letras, números, guiones o guiones bajos');
+    }
+    if (!DISCOUNT_TYPES.includes(coupon.discountType)) {
+        errors.push('discountType debe ser "percent" o "fixed"');
+    }
+    if (typeof coupon.discountValue !== 'number' || coupon.discountValue <= 0) {
+        errors.push('discountValue debe ser un número mayor a 0');
+    } else if (coupon.discountType === 'percent' && coupon.discountValue > 100) {
+        errors.push('Un descuento porcentual no puede ser mayor a 100');
+    }
+    if (!isDate(coupon.validFrom) || !isDate(coupon.validUntil)) {
+        errors.push('validFrom y validUntil deben ser fechas YYYY-MM-DD, o null para no limitar');
+    } else if (coupon.validFrom && coupon.validUntil && coupon.validFrom > coupon.validUntil) {
+        errors.push('validFrom no puede ser posterior a validUntil');
+    }
+    if (!Array.isArray(coupon.routes)) {
+        errors.push('routes debe ser una lista (vacía para todas las rutas)');
+    }
+    if (!Array.isArray(coupon.scheduleTypes)) {
+        errors.push('scheduleTypes debe ser una lista (vacía para todas las clases de servicio)');
+    }
+    if (!isValidLimit(coupon.maxUses)) {
+        errors.push('maxUses debe ser un entero mayor a 0, o null para no limitar');
+    }
+    if (!isValidLimit(coupon.maxUsesPerCustomer)) {
+        errors.push('maxUsesPerCustomer debe ser un entero mayor a 0, o null para no limitar');
+    }
+    if (typeof coupon.minFare !== 'number' || coupon.minFare < 0) {
+        errors.push('minFare debe ser un número mayor o igual a 0');
+    }
+    if (typeof coupon.active !== 'boolean') {
+        errors.push('active debe ser true o false');
+    }
+
+    return errors;
+}
+
+/**
+ * Describir el descuento de un cupón (p. ej. "15%" o "$100")
+ * @param {Object} coupon - Cupón
+ * @returns {string} Descuento para mostrar
+ */
+function describeCouponDiscount(coupon) {
+    return coupon.discountType === 'fixed' ? `$${coupon.discountValue}` : `${coupon.discountValue}%`;
+}
+
+/**
+ * Verificar que un cupón se pueda usar hoy y por este cliente
+ * @param {Object} coupon - Cupón
+ * @param {Object} usage - { today (YYYY-MM-DD), uses, customerUses, customer }
+ *   uses: compras que ya usaron el cupón; customerUses: las de este cliente; customer: su email (o null)
+ * @returns {string|null} Mensaje de error o null si se puede usar
+ */
+function checkCouponAvailability(coupon, { today, uses, customerUses, customer }) {
+    if (!coupon.active) {
+        return `El cupón ${coupon.code} no está activo`;
+    }
+    if (coupon.validFrom && today < coupon.validFrom) {
+        return `El cupón ${coupon.code} es válido a partir del ${coupon.validFrom}`;
+    }
+    if (coupon.validUntil && today > coupon.validUntil) {
+        return `El cupón ${coupon.code} venció el ${coupon.validUntil}`;
+    }
+    if (coupon.maxUses !== null && uses >= coupon.maxUses) {
+        return `El cupón ${coupon.code} ya se agotó`;
+    }
+    if (coupon.maxUsesPerCustomer !== null) {
+        if (!customer) {
+            return `Captura tu email para usar el cupón ${coupon.code}`;
+        }
+        if (customerUses >= coupon.maxUsesPerCustomer) {
+            return `Ya usaste el cupón ${coupon.code} el máximo de veces permitido`;
+        }
+    }
+    return null;
+}
+
+/**
+ * Indica si un boleto cumple las restricciones de ruta y clase de servicio del cupón
+ * @param {Object} coupon - Cupón
+ * @param {Object} seat - { routeKey, scheduleType }
+ */
+function couponAppliesTo(coupon, { routeKey, scheduleType }) {
+    return (coupon.routes.length === 0 || coupon.routes.includes(routeKey))
+        && (coupon.scheduleTypes.length === 0 || coupon.scheduleTypes.includes(scheduleType));
+}
+
+/**
+ * Calcular el descuento de un cupón sobre los boletos de una compra
+ * El porcentaje se aplica a cada boleto elegible; el monto fijo se descuenta una vez por compra
+ * y se reparte en proporción a la tarifa de cada boleto elegible. Los boletos con blackout
+ * (salidas en una temporada sin cupones) nunca son elegibles.
+ * @param {Object} coupon - Cupón
+ * @param {Array<{precio: number, routeKey: string, scheduleType: string, blackout: boolean}>} seats - Boletos con su tarifa
+ * @returns {{discounts: Array<number>, total: number}|{error: string}} Descuento por boleto (alineado
+ *   con seats) y total, o error si el cupón no aplica a la compra
+ */
+function calculateCouponDiscount(coupon, seats) {
+    const eligible = seats.map(seat => !seat.blackout && couponAppliesTo(coupon, seat));
+    const eligibleTotal = roundMoney(seats.reduce((sum, seat, index) => sum + (eligible[index] ? seat.precio : 0), 0));
+
+    if (!eligible.some(Boolean)) {
+        return { error: `El cupón ${coupon.code} no aplica a esta ruta o clase de servicio` };
+    }
+    if (eligibleTotal < coupon.minFare) {
+        return { error: `El cupón ${coupon.code} requiere una compra mínima de $${coupon.minFare.toFixed(2)} MXN` };
+    }
+
+    let discounts;
+    if (coupon.discountType === 'percent') {
+        discounts = seats.map((seat, index) => (eligible[index] ? roundMoney(seat.precio * coupon.discountValue / 100) : 0));
+    } else {
+        const amount = Math.min(coupon.discountValue, eligibleTotal);
+        const lastEligible = eligible.lastIndexOf(true);
+        let remaining = amount;
+        discounts = seats.map((seat, index) => {
+            if (!eligible[index]) return 0;
+            const discount = index === lastEligible
+                ? roundMoney(remaining)
+                : roundMoney(eligibleTotal > 0 ? amount * seat.precio / eligibleTotal : 0);
+            remaining -= discount;
+            return discount;
+        });
+    }
+
+    return { discounts, total: roundMoney(discounts.reduce((sum, discount) => sum + discount, 0)) };
+}
+
+export {
+    normalizeCouponCode,
+    validateCoupon,
+    describeCouponDiscount,
+    checkCouponAvailability,
+    couponAppliesTo,
+    calculateCouponDiscount
+};
@@ -19,7 +19,21 @@ const __dirname = path.dirname(__filename);
 const DATA_DIR = path.join(__dirname, '../data');
 const ROUTES_FILE = path.join(DATA_DIR, 'routes.json');
 const TICKETS_FILE = path.join(DATA_DIR, 'tickets.json');
+const SEAT_HOLDS_FILE = path.join(DATA_DIR, 'seatHolds.json');
 const BOOKINGS_FILE = path.join(DATA_DIR, 'bookings.json');
+const ORDERS_FILE = path.join(DATA_DIR, 'orders.json');
+const LAYOUTS_FILE = path.join(DATA_DIR, 'layouts.json');
+const FARE_CATEGORIES_FILE = path.join(DATA_DIR, 'fareCategories.json');
+const WAITLIST_FILE = path.join(DATA_DIR, 'waitlist.json');
+const AUDIT_LOG_FILE = path.join(DATA_DIR, 'audit.json');
+const MOCK_PAYMENTS_FILE = path.join(DATA_DIR, 'mockPayments.json');
+const CLERKS_FILE = path.join(DATA_DIR, 'clerks.json');
+const SHIFTS_FILE = path.join(DATA_DIR, 'shifts.json');
+const COUPONS_FILE = path.join(DATA_DIR, 'coupons.json');
+const PRICING_RULES_FILE = path.join(DATA_DIR, 'pricingRules.json');
+const SEASONS_FILE = path.join(DATA_DIR, 'seasons.json');
+const INVOICES_FILE = path.join(DATA_DIR, 'invoices.json');
+const BOARDING_SECRET_FILE = path.join(DATA_DIR, 'boardingSecret.json');
 
 /**
  * Crear directorio de datos si no existe
@@ -39,6 +53,11 @@ const DEFAULT_ROUTES = {
         duration: "7h 30m",
         distance: "550 km",
         basePrice: 450.00,
+        stops: [
+            { city: "Ciudad de México", offsetMinutes: 0 },
+            { city: "Querétaro", offsetMinutes: 180 },
+            { city: "Guadalajara", offsetMinutes: 450 }
+        ],
         schedules: [
             { id: 1, time: "06:00", arrival: "13:30", type: "Ejecutivo", price: 450.00 },
             { id: 2, time: "10:00", arrival: "17:30", type: "Primera Clase", price: 550.00 },
@@ -50,16 +69,27 @@ const DEFAULT_ROUTES = {
         duration: "9h 15m",
         distance: "920 km",
         basePrice: 650.00,
+        stops: [
+            { city: "Ciudad de México", offsetMinutes: 0 },
+            { city: "Querétaro", offsetMinutes: 180 },
+            { city: "San Luis Potosí", offsetMinutes: 330 },
+            { city: "Monterrey", offsetMinutes: 555 }
+        ],
         schedules: [
             { id: 5, time: "08:00", arrival: "17:15", type: "Ejecutivo", price: 650.00 },
             { id: 6, time: "16:00", arrival: "01:15+1", type: "Primera Clase", price: 750.00 },
-            { id: 7, time: "22:00", arrival: "07:15+1", type: "Ejecutivo", price: 650.00 }
+            { id: 7, time: "22:00", arrival: "07:15+1", type: "Ejecutivo", price: 650.00, layoutId: "ejecutivo-44-sanitario" }
         ]
     },
     "Guadalajara-Ciudad de México": {
         duration: "7h 30m",
         distance: "550 km",
         basePrice: 450.00,
+        stops: [
+            { city: "Guadalajara", offsetMinutes: 0 },
+            { city: "Querétaro", offsetMinutes: 270 },
+            { city: "Ciudad de México", offsetMinutes: 450 }
+        ],
         schedules: [
             { id: 8, time: "07:00", arrival: "14:30", type: "Primera Clase", price: 550.00 },
             { id: 9, time: "11:00", arrival: "18:30", type: "Ejecutivo", price: 450.00 },
@@ -92,10 +122,16 @@ const DEFAULT_ROUTES = {
         duration: "9h 15m",
         distance: "920 km",
         basePrice: 650.00,
+        stops: [
+            { city: "Monterrey", offsetMinutes: 0 },
+            { city: "San Luis Potosí", offsetMinutes: 225 },
+            { city: "Querétaro", offsetMinutes: 375 },
+            { city: "Ciudad de México", offsetMinutes: 555 }
+        ],
         schedules: [
             { id: 19, time: "09:00", arrival: "18:15", type: "Ejecutivo", price: 650.00 },
             { id: 20, time: "17:00", arrival: "02:15+1", type: "Primera Clase", price: 750.00 },
-            { id: 21, time: "23:00", arrival: "08:15+1", type: "Ejecutivo", price: 650.00 }
+            { id: 21, time: "23:00", arrival: "08:15+1", type: "Ejecutivo", price: 650.00, layoutId: "ejecutivo-44-sanitario" }
         ]
     },
     "Guadalajara-Monterrey": {
@@ -105,7 +141,7 @@ const DEFAULT_ROUTES = {
         schedules: [
             { id: 22, time: "08:00", arrival: "16:45", type: "Ejecutivo", price: 600.00 },
             { id: 23, time: "15:00", arrival: "23:45", type: "Primera Clase", price: 700.00 },
-            { id: 24, time: "21:00", arrival: "05:45+1", type: "Ejecutivo", price: 600.00 }
+            { id: 24, time: "21:00", arrival: "05:45+1", type: "Ejecutivo", price: 600.00, layoutId: "ejecutivo-44-sanitario" }
         ]
     },
     "Monterrey-Guadalajara": {
@@ -115,11 +151,208 @@ const DEFAULT_ROUTES = {
         schedules: [
             { id: 25, time: "09:00", arrival: "17:45", type: "Ejecutivo", price: 600.00 },
             { id: 26, time: "16:00", arrival: "00:45+1", type: "Primera Clase", price: 700.00 },
-            { id: 27, time: "22:00", arrival: "06:45+1", type: "Ejecutivo", price: 600.00 }
+            { id: 27, time: "22:00", arrival: "06:45+1", type: "Ejecutivo", price: 600.00, layoutId: "ejecutivo-44-sanitario" }
         ]
     }
 };
 
+/**
+ * Distribuciones de asientos por defecto
+ * defaultsByType indica el layout de cada tipo de servicio; un horario puede
+ * usar otro layout con su propiedad layoutId
+ */
+const DEFAULT_BUS_LAYOUTS = {
+    defaultsByType: {
+        "Ejecutivo": "ejecutivo-48",
+        "Primera Clase": "primera-clase-2-1",
+        "Lujo": "primera-clase-2-1",
+        "default": "ejecutivo-48"
+    },
+    layouts: {
+        "ejecutivo-48": {
+            id: "ejecutivo-48",
+            name: "Ejecutivo 48 asientos (2+2)",
+            rows: 12,
+            columns: 4,
+            aisleAfter: 2,
+            seatLabels: "position",
+            specialPositions: {}
+        },
+        "ejecutivo-44-sanitario": {
+            id: "ejecutivo-44-sanitario",
+            name: "Ejecutivo 44 asientos (2+2) con sanitario",
+            rows: 12,
+            columns: 4,
+            aisleAfter: 2,
+            seatLabels: "position",
+            specialPositions: {
+                "6C": "empty",
+                "6D": "empty",
+                "12C": "restroom",
+                "12D": "restroom"
+            }
+        },
+        "primera-clase-2-1": {
+            id: "primera-clase-2-1",
+            name: "Primera Clase 30 asientos (2+1)",
+            rows: 10,
+            columns: 3,
+            aisleAfter: 2,
+            seatLabels: "position",
+            specialPositions: {}
+        }
+    }
+};
+
+/**
+ * Categorías de tarifa por defecto
+ * discountType: "percent" (porcentaje sobre la tarifa) o "fixed" (pesos menos por boleto)
+ * quotaPerDeparture: boletos de la categoría que se venden por salida (null = sin límite)
+ * requiredDocuments: tipos de documento aceptados para la categoría (vacío = cualquiera)
+ */
+const DEFAULT_FARE_CATEGORIES = {
+    defaultCategory: "adulto",
+    categories: {
+        "adulto": {
+            id: "adulto",
+            name: "Adulto",
+            discountType: "percent",
+            discountValue: 0,
+            quotaPerDeparture: null,
+            requiredDocuments: [],
+            requirementNote: ""
+        },
+        "nino": {
+            id: "nino",
+            name: "Niño (3 a 12 años)",
+            discountType: "percent",
+            discountValue: 50,
+            quotaPerDeparture: 8,
+            requiredDocuments: ["ACTA_NACIMIENTO", "CURP"],
+            requirementNote: "Presentar acta de nacimiento o CURP del menor al abordar"
+        },
+        "estudiante": {
+            id: "estudiante",
+            name: "Estudiante",
+            discountType: "percent",
+            discountValue: 50,
+            quotaPerDeparture: 4,
+            requiredDocuments: ["CREDENCIAL_ESTUDIANTE"],
+            requirementNote: "Presentar credencial de estudiante vigente al abordar"
+        },
+        "inapam": {
+            id: "inapam",
+            name: "Adulto mayor (INAPAM)",
+            discountType: "percent",
+            discountValue: 50,
+            quotaPerDeparture: 4,
+            requiredDocuments: ["INAPAM"],
+            requirementNote: "Presentar credencial INAPAM al abordar"
+        },
+        "maestro": {
+            id: "maestro",
+            name: "Maestro",
+            discountType: "fixed",
+            discountValue: 100,
+            quotaPerDeparture: 2,
+            requiredDocuments: ["CREDENCIAL_MAESTRO"],
+            requirementNote: "Presentar credencial de maestro vigente al abordar"
+        }
+    }
+};
+
+/**
+ * Reglas de precio dinámico por defecto (ejemplos desactivados)
+ * maxIncreasePercent / maxDecreasePercent: tope de subida y bajada sobre la tarifa base
+ * Cada regla aplica a las salidas de sus rutas y clases (listas vacías = todas) cuya ocupación (%)
+ * y días de anticipación caen en sus rangos (null = sin límite); adjustmentValue positivo sube la
+ * tarifa y negativo la baja, en porcentaje ("percent") o en pesos ("fixed").
+ */
+const DEFAULT_PRICING_RULES = {
+    maxIncreasePercent: 30,
+    maxDecreasePercent: 20,
+    rules: [
+        {
+            id: "alta-ocupacion",
+            name: "Alta ocupación",
+            active: false,
+            routes: [],
+            scheduleTypes: [],
+            minOccupancy: 80,
+            maxOccupancy: null,
+            minDaysBefore: null,
+            maxDaysBefore: null,
+            adjustmentType: "percent",
+            adjustmentValue: 15
+        },
+        {
+            id: "ultimo-momento",
+            name: "Último momento",
+            active: false,
+            routes: [],
+            scheduleTypes: [],
+            minOccupancy: 50,
+            maxOccupancy: null,
+            minDaysBefore: 0,
+            maxDaysBefore: 2,
+            adjustmentType: "percent",
+            adjustmentValue: 10
+        },
+        {
+            id: "compra-anticipada",
+            name: "Compra anticipada",
+            active: false,
+            routes: [],
+            scheduleTypes: [],
+            minOccupancy: null,
+            maxOccupancy: 40,
+            minDaysBefore: 21,
+            maxDaysBefore: null,
+            adjustmentType: "percent",
+            adjustmentValue: -15
+        }
+    ]
+};
+
+/**
+ * Calendario de temporadas por defecto
+ * Cada temporada cubre de startDate a endDate (incluidas) según la fecha de salida; surchargePercent
+ * se suma a la tarifa, blockDiscounts quita los descuentos de categoría y de viaje redondo, y
+ * blockCoupons impide usar cupones en esas salidas.
+ */
+const DEFAULT_SEASONS = {
+    "puente-revolucion-2026": {
+        id: "puente-revolucion-2026",
+        name: "Puente de la Revolución",
+        startDate: "2026-11-13",
+        endDate: "2026-11-16",
+        surchargePercent: 10,
+        blockDiscounts: false,
+        blockCoupons: true,
+        active: true
+    },
+    "fiestas-decembrinas-2026": {
+        id: "fiestas-decembrinas-2026",
+        name: "Fiestas decembrinas",
+        startDate: "2026-12-18",
+        endDate: "2027-01-06",
+        surchargePercent: 20,
+        blockDiscounts: false,
+        blockCoupons: true,
+        active: true
+    },
+    "semana-santa-2027": {
+        id: "semana-santa-2027",
+        name: "Semana Santa",
+        startDate: "2027-03-20",
+        endDate: "2027-04-04",
+        surchargePercent: 25,
+        blockDiscounts: true,
+        blockCoupons: true,
+        active: true
+    }
+};
+
 /**
  * Cargar rutas desde archivo JSON
  * @returns {Object} Objeto con todas las rutas
@@ -214,6 +447,48 @@ function saveTickets(ticketsMap) {
     }
 }
 
+/**
+ * Cargar retenciones de asientos desde archivo JSON
+ * @returns {Map} Map con las retenciones (incluidas las vencidas, que se liberan al arrancar)
+ */
+function loadSeatHolds() {
+    try {
+        ensureDataDirectory();
+        
+        if (!fs.existsSync(SEAT_HOLDS_FILE)) {
+            return new Map();
+        }
+        
+        const data = fs.readFileSync(SEAT_HOLDS_FILE, 'utf8');
+        const holdsMap = new Map(JSON.parse(data));
+        console.log(`✅ Retenciones de asientos cargadas desde archivo: ${holdsMap.size} retenciones`);
+        return holdsMap;
+        
+    } catch (error) {
+        console.error('❌ Error cargando retenciones de asientos:', error.message);
+        return new Map();
+    }
+}
+
+/**
+ * Guardar retenciones de asientos en archivo JSON
+ * @param {Map} holdsMap - Map con las retenciones activas
+ * @returns {boolean} True si se guardó correctamente
+ */
+function saveSeatHolds(holdsMap) {
+    try {
+        ensureDataDirectory();
+        
+        const data = JSON.stringify(Array.from(holdsMap.entries()), null, 2);
+        fs.writeFileSync(SEAT_HOLDS_FILE, data, 'utf8');
+        return true;
+        
+    } catch (error) {
+        console.error('❌ Error guardando retenciones de asientos:', error.message);
+        return false;
+    }
+}
+
 /**
  * Cargar reservas (asientos ocupados) desde archivo JSON
  * @returns {Map} Map con todas las reservas
@@ -272,6 +547,586 @@ function saveBookings(bookingsMap) {
     }
 }
 
+/**
+ * Cargar distribuciones de asientos desde archivo JSON
+ * @returns {Object} Objeto con defaultsByType y layouts
+ */
+function loadLayouts() {
+    try {
+        ensureDataDirectory();
+        
+        if (!fs.existsSync(LAYOUTS_FILE)) {
+            console.log('📝 Archivo de layouts no encontrado, creando con datos iniciales...');
+            saveLayouts(DEFAULT_BUS_LAYOUTS);
+            return DEFAULT_BUS_LAYOUTS;
+        }
+        
+        const data = fs.readFileSync(LAYOUTS_FILE, 'utf8');
+        const layouts = JSON.parse(data);
+        console.log(`✅ Layouts cargados desde archivo: ${Object.keys(layouts.layouts || {}).length} layouts`);
+        return layouts;
+        
+    } catch (error) {
+        console.error('❌ Error cargando layouts:', error.message);
+        console.log('🔄 Usando layouts por defecto...');
+        return DEFAULT_BUS_LAYOUTS;
+    }
+}
+
+/**
+ * Guardar distribuciones de asientos en archivo JSON
+ * @param {Object} layouts - Objeto con defaultsByType y layouts
+ * @returns {boolean} True si se guardó correctamente
+ */
+function saveLayouts(layouts) {
+    try {
+        ensureDataDirectory();
+        
+        const data = JSON.stringify(layouts, null, 2);
+        fs.writeFileSync(LAYOUTS_FILE, data, 'utf8');
+        console.log(`💾 Layouts guardados: ${Object.keys(layouts.layouts || {}).length} layouts`);
+        return true;
+        
+    } catch (error) {
+        console.error('❌ Error guardando layouts:', error.message);
+        return false;
+    }
+}
+
+/**
+ * Cargar categorías de tarifa desde archivo JSON
+ * @returns {Object} Objeto con defaultCategory y categories
+ */
+function loadFareCategories() {
+    try {
+        ensureDataDirectory();
+        
+        if (!fs.existsSync(FARE_CATEGORIES_FILE)) {
+            console.log('📝 Archivo de categorías de tarifa no encontrado, creando con datos iniciales...');
+            saveFareCategories(DEFAULT_FARE_CATEGORIES);
+            return DEFAULT_FARE_CATEGORIES;
+        }
+        
+        const data = fs.readFileSync(FARE_CATEGORIES_FILE, 'utf8');
+        const fareCategories = JSON.parse(data);
+        console.log(`✅ Categorías de tarifa cargadas desde archivo: ${Object.keys(fareCategories.categories || {}).length} categorías`);
+        return fareCategories;
+        
+    } catch (error) {
+        console.error('❌ Error cargando categorías de tarifa:', error.message);
+        console.log('🔄 Usando categorías de tarifa por defecto...');
+        return DEFAULT_FARE_CATEGORIES;
+    }
+}
+
+/**
+ * Guardar categorías de tarifa en archivo JSON
+ * @param {Object} fareCategories - Objeto con defaultCategory y categories
+ * @returns {boolean} True si se guardó correctamente
+ */
+function saveFareCategories(fareCategories) {
+    try {
+        ensureDataDirectory();
+        
+        const data = JSON.stringify(fareCategories, null, 2);
+        fs.writeFileSync(FARE_CATEGORIES_FILE, data, 'utf8');
+        console.log(`💾 Categorías de tarifa guardadas: ${Object.keys(fareCategories.categories || {}).length} categorías`);
+        return true;
+        
+    } catch (error) {
+        console.error('❌ Error guardando categorías de tarifa:', error.message);
+        return false;
+    }
+}
+
+/**
+ * Cargar órdenes de compra (una por sesión de pago) desde archivo JSON
+ * @returns {Map} Map con todas las órdenes
+ */
+function loadOrders() {
+    try {
+        ensureDataDirectory();
+        
+        if (!fs.existsSync(ORDERS_FILE)) {
+            console.log('📝 Archivo de órdenes no encontrado, creando nuevo...');
+            saveOrders(new Map());
+            return new Map();
+        }
+        
+        const data = fs.readFileSync(ORDERS_FILE, 'utf8');
+        const ordersMap = new Map(JSON.parse(data));
+        console.log(`✅ Órdenes cargadas desde archivo: ${ordersMap.size} órdenes`);
+        return ordersMap;
+        
+    } catch (error) {
+        console.error('❌ Error cargando órdenes:', error.message);
+        return new Map();
+    }
+}
+
+/**
+ * Guardar órdenes de compra en archivo JSON
+ * @param {Map} ordersMap - Map con todas las órdenes
+ * @returns {boolean} True si se guardó correctamente
+ */
+function saveOrders(ordersMap) {
+    try {
+        ensureDataDirectory();
+        
+        const data = JSON.stringify(Array.from(ordersMap.entries()), null, 2);
+        fs.writeFileSync(ORDERS_FILE, data, 'utf8');
+        console.log(`💾 Órdenes guardadas: ${ordersMap.size} órdenes`);
+        return true;
+        
+    } catch (error) {
+        console.error('❌ Error guardando órdenes:', error.message);
+        return false;
+    }
+}
+
+/**
+ * Cargar lista de espera de salidas agotadas desde archivo JSON
+ * @returns {Map} Map con todas las solicitudes de lista de espera
+ */
+function loadWaitlist() {
+    try {
+        ensureDataDirectory();
+        
+        if (!fs.existsSync(WAITLIST_FILE)) {
+            console.log('📝 Archivo de lista de espera no encontrado, creando nuevo...');
+            saveWaitlist(new Map());
+            return new Map();
+        }
+        
+        const data = fs.readFileSync(WAITLIST_FILE, 'utf8');
+        const waitlistMap = new Map(JSON.parse(data));
+        console.log(`✅ Lista de espera cargada desde archivo: ${waitlistMap.size} solicitudes`);
+        return waitlistMap;
+        
+    } catch (error) {
+        console.error('❌ Error cargando lista de espera:', error.message);
+        return new Map();
+    }
+}
+
+/**
+ * Guardar lista de espera en archivo JSON
+ * @param {Map} waitlistMap - Map con todas las solicitudes de lista de espera
+ * @returns {boolean} True si se guardó correctamente
+ */
+function saveWaitlist(waitlistMap) {
+    try {
+        ensureDataDirectory();
+        
+        const data = JSON.stringify(Array.from(waitlistMap.entries()), null, 2);
+        fs.writeFileSync(WAITLIST_FILE, data, 'utf8');
+        console.log(`💾 Lista de espera guardada: ${waitlistMap.size} solicitudes`);
+        return true;
+        
+    } catch (error) {
+        console.error('❌ Error guardando lista de espera:', error.message);
+        return false;
+    }
+}
+
+/**
+ * Cargar bitácora de auditoría (cancelaciones, reembolsos y otras operaciones sobre boletos)
+ * @returns {Array} Entradas de la bitácora en orden cronológico
+ */
+function loadAuditLog() {
+    try {
+        ensureDataDirectory();
+        
+        if (!fs.existsSync(AUDIT_LOG_FILE)) {
+            console.log('📝 Archivo de bitácora no encontrado, creando nuevo...');
+            saveAuditLog([]);
+            return [];
+        }
+        
+        const data = fs.readFileSync(AUDIT_LOG_FILE, 'utf8');
+        const entries = JSON.parse(data);
+        console.log(`✅ Bitácora cargada desde archivo: ${entries.length} entradas`);
+        return entries;
+        
+    } catch (error) {
+        console.error('❌ Error cargando bitácora:', error.message);
+        return [];
+    }
+}
+
+/**
+ * Guardar bitácora de auditoría en archivo JSON
+ * @param {Array} entries - Entradas de la bitácora
+ * @returns {boolean} True si se guardó correctamente
+ */
+function saveAuditLog(entries) {
+    try {
+        ensureDataDirectory();
+        
+        const data = JSON.stringify(entries, null, 2);
+        fs.writeFileSync(AUDIT_LOG_FILE, data, 'utf8');
+        console.log(`💾 Bitácora guardada: ${entries.length} entradas`);
+        return true;
+        
+    } catch (error) {
+        console.error('❌ Error guardando bitácora:', error.message);
+        return false;
+    }
+}
+
+/**
+ * Cargar sesiones del simulador de pagos desde archivo JSON
+ * @returns {Map} Map con las sesiones de pago simuladas
+ */
+function loadMockPayments() {
+    try {
+        ensureDataDirectory();
+        
+        if (!fs.existsSync(MOCK_PAYMENTS_FILE)) {
+            return new Map();
+        }
+        
+        const data = fs.readFileSync(MOCK_PAYMENTS_FILE, 'utf8');
+        const sessionsMap = new Map(JSON.parse(data));
+        console.log(`✅ Pagos simulados cargados desde archivo: ${sessionsMap.size} sesiones`);
+        return sessionsMap;
+        
+    } catch (error) {
+        console.error('❌ Error cargando pagos simulados:', error.message);
+        return new Map();
+    }
+}
+
+/**
+ * Guardar sesiones del simulador de pagos en archivo JSON
+ * @param {Map} sessionsMap - Map con las sesiones de pago simuladas
+ * @returns {boolean} True si se guardó correctamente
+ */
+function saveMockPayments(sessionsMap) {
+    try {
+        ensureDataDirectory();
+        
+        const data = JSON.stringify(Array.from(sessionsMap.entries()), null, 2);
+        fs.writeFileSync(MOCK_PAYMENTS_FILE, data, 'utf8');
+        return true;
+        
+    } catch (error) {
+        console.error('❌ Error guardando pagos simulados:', error.message);
+        return false;
+    }
+}
+
+/**
+ * Cargar taquilleros desde archivo JSON
+ * @returns {Map} Map con todos los taquilleros (con el hash de su PIN)
+ */
+function loadClerks() {
+    try {
+        ensureDataDirectory();
+        
+        if (!fs.existsSync(CLERKS_FILE)) {
+            console.log('📝 Archivo de taquilleros no encontrado, creando nuevo...');
+            saveClerks(new Map());
+            return new Map();
+        }
+        
+        const data = fs.readFileSync(CLERKS_FILE, 'utf8');
+        const clerksMap = new Map(JSON.parse(data));
+        console.log(`✅ Taquilleros cargados desde archivo: ${clerksMap.size} taquilleros`);
+        return clerksMap;
+        
+    } catch (error) {
+        console.error('❌ Error cargando taquilleros:', error.message);
+        return new Map();
+    }
+}
+
+/**
+ * Guardar taquilleros en archivo JSON
+ * @param {Map} clerksMap - Map con todos los taquilleros
+ * @returns {boolean} True si se guardó correctamente
+ */
+function saveClerks(clerksMap) {
+    try {
+        ensureDataDirectory();
+        
+        const data = JSON.stringify(Array.from(clerksMap.entries()), null, 2);
+        fs.writeFileSync(CLERKS_FILE, data, 'utf8');
+        console.log(`💾 Taquilleros guardados: ${clerksMap.size} taquilleros`);
+        return true;
+        
+    } catch (error) {
+        console.error('❌ Error guardando taquilleros:', error.message);
+        return false;
+    }
+}
+
+/**
+ * Cargar turnos de caja de la taquilla desde archivo JSON
+ * @returns {Map} Map con todos los turnos (abiertos y cerrados)
+ */
+function loadShifts() {
+    try {
+        ensureDataDirectory();
+        
+        if (!fs.existsSync(SHIFTS_FILE)) {
+            console.log('📝 Archivo de turnos de caja no encontrado, creando nuevo...');
+            saveShifts(new Map());
+            return new Map();
+        }
+        
+        const data = fs.readFileSync(SHIFTS_FILE, 'utf8');
+        const shiftsMap = new Map(JSON.parse(data));
+        console.log(`✅ Turnos de caja cargados desde archivo: ${shiftsMap.size} turnos`);
+        return shiftsMap;
+        
+    } catch (error) {
+        console.error('❌ Error cargando turnos de caja:', error.message);
+        return new Map();
+    }
+}
+
+/**
+ * Guardar turnos de caja en archivo JSON
+ * @param {Map} shiftsMap - Map con todos los turnos
+ * @returns {boolean} True si se guardó correctamente
+ */
+function saveShifts(shiftsMap) {
+    try {
+        ensureDataDirectory();
+        
+        const data = JSON.stringify(Array.from(shiftsMap.entries()), null, 2);
+        fs.writeFileSync(SHIFTS_FILE, data, 'utf8');
+        console.log(`💾 Turnos de caja guardados: ${shiftsMap.size} turnos`);
+        return true;
+        
+    } catch (error) {
+        console.error('❌ Error guardando turnos de caja:', error.message);
+        return false;
+    }
+}
+
+/**
+ * Cargar cupones de descuento desde archivo JSON
+ * @returns {Map} Map con todos los cupones (key: código)
+ */
+function loadCoupons() {
+    try {
+        ensureDataDirectory();
+        
+        if (!fs.existsSync(COUPONS_FILE)) {
+            console.log('📝 Archivo de cupones no encontrado, creando nuevo...');
+            saveCoupons(new Map());
+            return new Map();
+        }
+        
+        const data = fs.readFileSync(COUPONS_FILE, 'utf8');
+        const couponsMap = new Map(JSON.parse(data));
+        console.log(`✅ Cupones cargados desde archivo: ${couponsMap.size} cupones`);
+        return couponsMap;
+        
+    } catch (error) {
+        console.error('❌ Error cargando cupones:', error.message);
+        return new Map();
+    }
+}
+
+/**
+ * Guardar cupones de descuento en archivo JSON
+ * @param {Map} couponsMap - Map con todos los cupones
+ * @returns {boolean} True si se guardó correctamente
+ */
+function saveCoupons(couponsMap) {
+    try {
+        ensureDataDirectory();
+        
+        const data = JSON.stringify(Array.from(couponsMap.entries()), null, 2);
+        fs.writeFileSync(COUPONS_FILE, data, 'utf8');
+        console.log(`💾 Cupones guardados: ${couponsMap.size} cupones`);
+        return true;
+        
+    } catch (error) {
+        console.error('❌ Error guardando cupones:', error.message);
+        return false;
+    }
+}
+
+/**
+ * Cargar reglas de precio dinámico desde archivo JSON
+ * @returns {Object} Objeto con maxIncreasePercent, maxDecreasePercent y rules
+ */
+function loadPricingRules() {
+    try {
+        ensureDataDirectory();
+        
+        if (!fs.existsSync(PRICING_RULES_FILE)) {
+            console.log('📝 Archivo de reglas de precio no encontrado, creando con datos iniciales...');
+            savePricingRules(DEFAULT_PRICING_RULES);
+            return DEFAULT_PRICING_RULES;
+        }
+        
+        const data = fs.readFileSync(PRICING_RULES_FILE, 'utf8');
+        const pricingRules = JSON.parse(data);
+        console.log(`✅ Reglas de precio cargadas desde archivo: ${(pricingRules.rules || []).length} reglas`);
+        return pricingRules;
+        
+    } catch (error) {
+        console.error('❌ Error cargando reglas de precio:', error.message);
+        console.log('🔄 Usando reglas de precio por defecto...');
+        return DEFAULT_PRICING_RULES;
+    }
+}
+
+/**
+ * Guardar reglas de precio dinámico en archivo JSON
+ * @param {Object} pricingRules - Objeto con maxIncreasePercent, maxDecreasePercent y rules
+ * @returns {boolean} True si se guardó correctamente
+ */
+function savePricingRules(pricingRules) {
+    try {
+        ensureDataDirectory();
+        
+        const data = JSON.stringify(pricingRules, null, 2);
+        fs.writeFileSync(PRICING_RULES_FILE, data, 'utf8');
+        console.log(`💾 Reglas de precio guardadas: ${(pricingRules.rules || []).length} reglas`);
+        return true;
+        
+    } catch (error) {
+        console.error('❌ Error guardando reglas de precio:', error.message);
+        return false;
+    }
+}
+
+/**
+ * Cargar calendario de temporadas desde archivo JSON
+ * @returns {Object} Objeto con las temporadas por id
+ */
+function loadSeasons() {
+    try {
+        ensureDataDirectory();
+        
+        if (!fs.existsSync(SEASONS_FILE)) {
+            console.log('📝 Archivo de temporadas no encontrado, creando con datos iniciales...');
+            saveSeasons(DEFAULT_SEASONS);
+            return DEFAULT_SEASONS;
+        }
+        
+        const data = fs.readFileSync(SEASONS_FILE, 'utf8');
+        const seasons = JSON.parse(data);
+        console.log(`✅ Temporadas cargadas desde archivo: ${Object.keys(seasons).length} temporadas`);
+        return seasons;
+        
+    } catch (error) {
+        console.error('❌ Error cargando temporadas:', error.message);
+        console.log('🔄 Usando temporadas por defecto...');
+        return DEFAULT_SEASONS;
+    }
+}
+
+/**
+ * Guardar calendario de temporadas en archivo JSON
+ * @param {Object} seasons - Objeto con las temporadas por id
+ * @returns {boolean} True si se guardó correctamente
+ */
+function saveSeasons(seasons) {
+    try {
+        ensureDataDirectory();
+        
+        const data = JSON.stringify(seasons, null, 2);
+        fs.writeFileSync(SEASONS_FILE, data, 'utf8');
+        console.log(`💾 Temporadas guardadas: ${Object.keys(seasons).length} temporadas`);
+        return true;
+        
+    } catch (error) {
+        console.error('❌ Error guardando temporadas:', error.message);
+        return false;
+    }
+}
+
+/**
+ * Cargar facturas (CFDI) desde archivo JSON
+ * @returns {Map} Map con todas las facturas (key: id de la factura)
+ */
+function loadInvoices() {
+    try {
+        ensureDataDirectory();
+        
+        if (!fs.existsSync(INVOICES_FILE)) {
+            console.log('📝 Archivo de facturas no encontrado, creando nuevo...');
+            saveInvoices(new Map());
+            return new Map();
+        }
+        
+        const data = fs.readFileSync(INVOICES_FILE, 'utf8');
+        const invoicesMap = new Map(JSON.parse(data));
+        console.log(`✅ Facturas cargadas desde archivo: ${invoicesMap.size} facturas`);
+        return invoicesMap;
+        
+    } catch (error) {
+        console.error('❌ Error cargando facturas:', error.message);
+        return new Map();
+    }
+}
+
+/**
+ * Guardar facturas (CFDI) en archivo JSON
+ * @param {Map} invoicesMap - Map con todas las facturas
+ * @returns {boolean} True si se guardó correctamente
+ */
+function saveInvoices(invoicesMap) {
+    try {
+        ensureDataDirectory();
+        
+        const data = JSON.stringify(Array.from(invoicesMap.entries()), null, 2);
+        fs.writeFileSync(INVOICES_FILE, data, 'utf8');
+        console.log(`💾 Facturas guardadas: ${invoicesMap.size} facturas`);
+        return true;
+        
+    } catch (error) {
+        console.error('❌ Error guardando facturas:', error.message);
+        return false;
+    }
+}
+
+/**
+ * Cargar la llave de los códigos de abordaje generada por el servidor
+ * @returns {string|null} Llave o null si todavía no se ha generado
+ */
+function loadBoardingSecret() {
+    try {
+        if (!fs.existsSync(BOARDING_SECRET_FILE)) {
+            return null;
+        }
+        
+        const data = JSON.parse(fs.readFileSync(BOARDING_SECRET_FILE, 'utf8'));
+        return data.secret || null;
+        
+    } catch (error) {
+        console.error('❌ Error cargando la llave de abordaje:', error.message);
+        return null;
+    }
+}
+
+/**
+ * Guardar la llave de los códigos de abordaje (solo la puede leer el usuario del servidor)
+ * @param {string} secret - Llave generada
+ * @returns {boolean} True si se guardó correctamente
+ */
+function saveBoardingSecret(secret) {
+    try {
+        ensureDataDirectory();
+        
+        const data = JSON.stringify({ secret, createdAt: new Date().toISOString() }, null, 2);
+        fs.writeFileSync(BOARDING_SECRET_FILE, data, { encoding: 'utf8', mode: 0o600 });
+        console.log('💾 Llave de abordaje generada y guardada');
+        return true;
+        
+    } catch (error) {
+        console.error('❌ Error guardando la llave de abordaje:', error.message);
+        return false;
+    }
+}
+
 /**
  * Obtener lista de ciudades únicas desde las rutas
  * @param {Object} routes - Objeto con todas las rutas
@@ -280,10 +1135,13 @@ function saveBookings(bookingsMap) {
 function getUniqueCities(routes) {
     const cities = new Set();
     
-    Object.keys(routes).forEach(routeKey => {
+    Object.entries(routes).forEach(([routeKey, route]) => {
         const [origin, destination] = routeKey.split('-');
         cities.add(origin.trim());
         cities.add(destination.trim());
+        
+        // Las paradas intermedias también se venden como origen o destino
+        (route.stops || []).forEach(stop => cities.add(stop.city.trim()));
     });
     
     return Array.from(cities).sort();
@@ -322,11 +1180,43 @@ export {
     saveRoutes,
     loadTickets,
     saveTickets,
+    loadSeatHolds,
+    saveSeatHolds,
     loadBookings,
     saveBookings,
+    loadOrders,
+    saveOrders,
+    loadLayouts,
+    saveLayouts,
+    loadFareCategories,
+    saveFareCategories,
+    loadWaitlist,
+    saveWaitlist,
+    loadAuditLog,
+    saveAuditLog,
+    loadMockPayments,
+    saveMockPayments,
+    loadClerks,
+    saveClerks,
+    loadShifts,
+    saveShifts,
+    loadCoupons,
+    saveCoupons,
+    loadPricingRules,
+    savePricingRules,
+    loadSeasons,
+    saveSeasons,
+    loadInvoices,
+    saveInvoices,
+    loadBoardingSecret,
+    saveBoardingSecret,
     getUniqueCities,
     getRoutesStats,
     DEFAULT_ROUTES,
+    DEFAULT_BUS_LAYOUTS,
+    DEFAULT_FARE_CATEGORIES,
+    DEFAULT_PRICING_RULES,
+    DEFAULT_SEASONS,
     DATA_DIR,
     ROUTES_FILE
 };
@@ -0,0 +1,133 @@
+/**
+ * @fileoverview Categorías de tarifa de TransBus (adulto, niño, estudiante, INAPAM, maestro)
+ * Calcula el precio de un boleto según la categoría del pasajero y valida
+ * los documentos que cada categoría exige al comprar.
+ * @author TransBus Team
+ * @version 1.0.0
+ */
+
+/**
+ * Tipos de documento de identidad aceptados
+ * key: valor que envía el formulario -> nombre para mostrar
+ */
+const DOCUMENT_TYPES = {
+    INE: 'INE/IFE',
+    PASAPORTE: 'Pasaporte',
+    CURP: 'CURP',
+    CEDULA: 'Cédula Profesional',
+    ACTA_NACIMIENTO: 'Acta de nacimiento',
+    CREDENCIAL_ESTUDIANTE: 'Credencial de estudiante',
+    INAPAM: 'Credencial INAPAM',
+    CREDENCIAL_MAESTRO: 'Credencial de maestro'
+};
+
+/**
+ * Tipos de descuento de una categoría
+ * - percent: porcentaje sobre la tarifa del tramo
+ * - fixed: pesos que se restan a la tarifa del tramo
+ */
+const DISCOUNT_TYPES = ['percent', 'fixed'];
+
+/**
+ * Obtener una categoría de tarifa
+ * Sin categoría se usa la categoría por defecto (adulto)
+ * @param {Object} fareData - Contenido de fareCategories.json ({ defaultCategory, categories })
+ * @param {string} [categoryId] - ID de la categoría
+ * @returns {Object|null} Categoría o null si no existe
+ */
+function getFareCategory(fareData, categoryId) {
+    const { categories = {}, defaultCategory } = fareData;
+    return categories[categoryId || defaultCategory] || null;
+}
+
+/**
+ * Aplicar el descuento de una categoría a una tarifa
+ * @param {number} price - Tarifa del tramo
+ * @param {Object|null} category - Categoría del pasajero
+ * @returns {number} Tarifa con descuento, redondeada a centavos y nunca negativa
+ */
+function applyFareDiscount(price, category) {
+    if (!category || !category.discountValue) {
+        return price;
+    }
+
+    const discounted = category.discountType === 'fixed'
+        ? price - category.discountValue
+        : price * (100 - category.discountValue) / 100;
+
+    return Math.max(0, Math.round(discounted * 100) / 100);
+}
+
+/**
+ * Describir el descuento de una categoría (p. ej. "50%" o "$100")
+ * @param {Object} category - Categoría de tarifa
+ * @returns {string} Descuento para mostrar
+ */
+function describeFareDiscount(category) {
+    if (!category.discountValue) return 'Tarifa completa';
+    return category.discountType === 'fixed'
+        ? `$${category.discountValue} menos`
+        : `${category.discountValue}% menos`;
+}
+
+/**
+ * Verificar que el documento del pasajero sea válido para su categoría
+ * @param {Object} category - Categoría de tarifa
+ * @param {string} documentType - Tipo de documento capturado
+ * @returns {string|null} Mensaje de error o null si el documento es aceptado
+ */
+function checkCategoryDocument(category, documentType) {
+    const required = category.requiredDocuments || [];
+    if (required.length === 0 || required.includes(documentType)) {
+        return null;
+    }
+
+    const names = required.map(type => DOCUMENT_TYPES[type] || type);
+    return `La tarifa ${category.name} requiere ${names.join(' o ')}`;
+}
+
+/**
+ * Validar una definición de categoría de tarifa
+ * @param {Object} category - Categoría de tarifa
+ * @returns {Array<string>} Lista de errores (vacía si es válida)
+ */
+function validateFareCategory(category) {
+    const errors = [];
+
+    if (!category || typeof category !== 'object') {
+        return ['La categoría debe ser un objeto'];
+    }
+    if (!category.name) {
+        errors.push('Falta el nombre de la categoría');
+    }
+    if (!DISCOUNT_TYPES.includes(category.discountType)) {
+        errors.push('discountType debe ser "percent" o "fixed"');
+    }
+    if (typeof category.discountValue !== 'number' || category.discountValue < 0) {
+        errors.push('discountValue debe ser un número mayor o igual a 0');
+    } else if (category.discountType === 'percent' && category.discountValue > 100) {
+        errors.push('Un descuento porcentual no puede ser mayor a 100');
+    }
+    if (category.quotaPerDeparture !== null && (!Number.isInteger(category.quotaPerDeparture) || category.quotaPerDeparture < 0)) {
+        errors.push('quotaPerDeparture debe ser un entero mayor o igual a 0, o null para no limitar');
+    }
+    if (!Array.isArray(category.requiredDocuments)) {
+        errors.push('requiredDocuments debe ser una lista');
+    } else {
+        category.requiredDocuments
+            .filter(type => !DOCUMENT_TYPES[type])
+            .forEach(type => errors.push(`Tipo de documento no válido: ${type}`));
+    }
+
+    return errors;
+}
+
+export {
+    getFareCategory,
+    applyFareDiscount,
+    describeFareDiscount,
+    checkCategoryDocument,
+    validateFareCategory,
+    DOCUMENT_TYPES,
+    DISCOUNT_TYPES
+};
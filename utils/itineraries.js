@@ -0,0 +1,226 @@
+/**
+ * @fileoverview Búsqueda de itinerarios con conexión para TransBus
+ * Arma el grafo de ciudades a partir de las rutas y sus paradas y encuentra
+ * viajes directos o con un transbordo, respetando un tiempo mínimo de conexión
+ * entre la llegada del primer tramo y la salida del segundo.
+ * @author TransBus Team
+ * @version 1.0.0
+ */
+
+import {
+    formatDurationMinutes,
+    addMinutesToTime,
+    parseTimeMinutes,
+    getRouteStops,
+    findRouteSegments,
+    getSegmentTimes,
+    getSegmentPrice
+} from './routeSegments.js';
+
+/**
+ * Tiempo mínimo (minutos) entre la llegada del primer autobús y la salida del segundo
+ */
+const MIN_CONNECTION_MINUTES = parseInt(process.env.MIN_CONNECTION_MINUTES, 10) || 45;
+
+/**
+ * Espera máxima (minutos) que se ofrece en una ciudad de conexión
+ */
+const MAX_CONNECTION_MINUTES = parseInt(process.env.MAX_CONNECTION_MINUTES, 10) || 12 * 60;
+
+const DAY_MINUTES = 24 * 60;
+
+function normalizeCity(city) {
+    return (city || '').trim().toLowerCase();
+}
+
+/**
+ * Sumar días a una fecha "YYYY-MM-DD"
+ */
+function addDaysToDate(fecha, days) {
+    const date = new Date(`${fecha}T00:00:00Z`);
+    date.setUTCDate(date.getUTCDate() + days);
+    return date.toISOString().split('T')[0];
+}
+
+/**
+ * Grafo de ciudades: cada ciudad apunta a las ciudades a las que se llega sin transbordo
+ * @param {Object} routes - Todas las rutas
+ * @returns {Map<string, Set<string>>} Ciudad normalizada -> ciudades alcanzables
+ */
+function buildCityGraph(routes) {
+    const graph = new Map();
+
+    Object.entries(routes).forEach(([routeKey, routeData]) => {
+        const stops = getRouteStops(routeKey, routeData);
+        stops.forEach((stop, index) => {
+            const city = normalizeCity(stop.city);
+            if (!graph.has(city)) graph.set(city, new Set());
+            stops.slice(index + 1).forEach(next => graph.get(city).add(next.city));
+        });
+    });
+
+    return graph;
+}
+
+/**
+ * Salidas de origen a destino en una fecha de servicio
+ * Una por hora de salida, resuelta igual que al reservar (primer tramo con ese horario).
+ * @param {Object} routes - Todas las rutas
+ * @param {string} origen - Ciudad de abordaje
+ * @param {string} destino - Ciudad de bajada
+ * @param {string} fecha - Fecha de la búsqueda
+ * @param {number} dayOffset - Días entre la búsqueda y la salida del autobús de su origen
+ * @returns {Array<Object>} Tramos con minutos de salida y llegada desde el inicio de la fecha buscada
+ */
+function getLegOptions(routes, origen, destino, fecha, dayOffset) {
+    const seenTimes = new Set();
+    const options = [];
+
+    findRouteSegments(routes, origen, destino).forEach(segment => {
+        segment.routeData.schedules.forEach(schedule => {
+            if (seenTimes.has(schedule.time)) return;
+            seenTimes.add(schedule.time);
+
+            const { boardingTime, arrival, durationMinutes } = getSegmentTimes(segment, schedule);
+            const departsAt = dayOffset * DAY_MINUTES + parseTimeMinutes(boardingTime);
+            let arrivesAt = dayOffset * DAY_MINUTES + parseTimeMinutes(arrival);
+            // Horarios capturados sin "+1" que llegan al día siguiente
+            while (arrivesAt < departsAt) arrivesAt += DAY_MINUTES;
+
+            options.push({
+                origen,
+                destino,
+                fecha: addDaysToDate(fecha, dayOffset),
+                horario: schedule.time,
+                type: schedule.type,
+                price: getSegmentPrice(segment, schedule),
+                durationMinutes,
+                routeKey: segment.routeKey,
+                stops: segment.stops.slice(segment.fromIndex, segment.toIndex + 1).map(stop => stop.city),
+                departsAt,
+                arrivesAt
+            });
+        });
+    });
+
+    return options;
+}
+
+/**
+ * Fecha y hora ("HH:MM") a partir de minutos desde el inicio de la fecha buscada
+ */
+function toDateTime(fecha, minutes) {
+    const days = Math.floor(minutes / DAY_MINUTES);
+    return {
+        date: addDaysToDate(fecha, days),
+        time: addMinutesToTime('00:00', minutes - days * DAY_MINUTES)
+    };
+}
+
+/**
+ * Armar un itinerario con sus tramos para la respuesta de la API
+ * Cada tramo trae origen, destino, fecha y horario tal como los espera el checkout.
+ */
+function buildItinerary(fecha, legs) {
+    const first = legs[0];
+    const last = legs[legs.length - 1];
+    const departure = toDateTime(fecha, first.departsAt);
+    const arrival = toDateTime(fecha, last.arrivesAt);
+
+    return {
+        id: legs.map(leg => `${leg.fecha}|${leg.horario}|${leg.origen}>${leg.destino}`).join('+'),
+        origen: first.origen,
+        destino: last.destino,
+        departureDate: departure.date,
+        departureTime: departure.time,
+        arrivalDate: arrival.date,
+        arrivalTime: arrival.time,
+        duration: formatDurationMinutes(last.arrivesAt - first.departsAt),
+        price: legs.reduce((sum, leg) => sum + leg.price, 0),
+        connections: legs.length - 1,
+        connectionCities: legs.slice(1).map(leg => leg.origen),
+        connectionMinutes: legs.length > 1 ? legs[1].departsAt - first.arrivesAt : 0,
+        legs: legs.map(leg => {
+            const legDeparture = toDateTime(fecha, leg.departsAt);
+            const legArrival = toDateTime(fecha, leg.arrivesAt);
+            return {
+                origen: leg.origen,
+                destino: leg.destino,
+                fecha: leg.fecha,
+                horario: leg.horario,
+                departureDate: legDeparture.date,
+                departureTime: legDeparture.time,
+                arrivalDate: legArrival.date,
+                arrivalTime: legArrival.time,
+                duration: formatDurationMinutes(leg.durationMinutes),
+                type: leg.type,
+                price: leg.price,
+                routeKey: leg.routeKey,
+                stops: leg.stops
+            };
+        }),
+        departsAt: first.departsAt,
+        arrivesAt: last.arrivesAt
+    };
+}
+
+/**
+ * Buscar itinerarios directos y con un transbordo para una fecha
+ * Las conexiones que no llegan antes que un viaje directo que sale a la misma hora
+ * o después se descartan.
+ * @param {Object} routes - Todas las rutas
+ * @param {string} origen - Ciudad de origen
+ * @param {string} destino - Ciudad de destino
+ * @param {string} fecha - Fecha de salida (YYYY-MM-DD)
+ * @returns {Array<Object>} Itinerarios ordenados por hora de salida
+ */
+function findItineraries(routes, origen, destino, fecha) {
+    const from = normalizeCity(origen);
+    const to = normalizeCity(destino);
+
+    const direct = getLegOptions(routes, origen, destino, fecha, 0)
+        .map(leg => buildItinerary(fecha, [leg]));
+
+    const graph = buildCityGraph(routes);
+    const connecting = [];
+
+    (graph.get(from) || new Set()).forEach(via => {
+        const viaKey = normalizeCity(via);
+        if (viaKey === to || viaKey === from) return;
+
+        const reachesDestination = Array.from(graph.get(viaKey) || []).some(city => normalizeCity(city) === to);
+        if (!reachesDestination) return;
+
+        const firstLegs = getLegOptions(routes, origen, via, fecha, 0);
+        // El segundo autobús puede haber salido de su origen el día anterior o salir días después
+        const secondLegs = [-1, 0, 1, 2]
+            .flatMap(dayOffset => getLegOptions(routes, via, destino, fecha, dayOffset))
+            .sort((a, b) => a.departsAt - b.departsAt);
+
+        firstLegs.forEach(first => {
+            const next = secondLegs.find(second => {
+                const wait = second.departsAt - first.arrivesAt;
+                const sameBus = second.routeKey === first.routeKey && second.fecha === first.fecha && second.horario === first.horario;
+                return !sameBus && wait >= MIN_CONNECTION_MINUTES && wait <= MAX_CONNECTION_MINUTES;
+            });
+            if (next) {
+                connecting.push(buildItinerary(fecha, [first, next]));
+            }
+        });
+    });
+
+    const usefulConnections = connecting.filter(itinerary => !direct.some(option =>
+        option.departsAt >= itinerary.departsAt && option.arrivesAt <= itinerary.arrivesAt
+    ));
+
+    return [...direct, ...usefulConnections]
+        .sort((a, b) => a.departsAt - b.departsAt || a.connections - b.connections)
+        .map(({ departsAt, arrivesAt, ...itinerary }) => itinerary);
+}
+
+export {
+    findItineraries,
+    buildCityGraph,
+    MIN_CONNECTION_MINUTES,
+    MAX_CONNECTION_MINUTES
+};
@@ -0,0 +1,427 @@
+/**
+ * @fileoverview Simulador de pagos de TransBus
+ * Proveedor de pago local (PAYMENT_PROVIDER=mock) para demos y pruebas sin red ni claves de Stripe.
+ * Tiene su propia página de "checkout" donde se elige el resultado: pago exitoso, tarjeta rechazada,
+ * ficha OXXO pendiente (que después se paga o vence) o sesión expirada. Los eventos se entregan al
+ * servidor igual que los webhooks de Stripe, sin pasar por HTTP.
+ * @author TransBus Team
+ * @version 1.0.0
+ */
+
+import crypto from 'crypto';
+import express from 'express';
+import { loadMockPayments, saveMockPayments } from './dataStore.js';
+
+/**
+ * Ruta donde se monta la página de checkout simulada
+ */
+const MOCK_CHECKOUT_PATH = '/mock-checkout';
+
+/**
+ * Secreto con el que se firman los eventos simulados (encabezado mock-signature).
+ * Sin MOCK_WEBHOOK_SECRET se genera uno al arrancar, así nadie puede firmar eventos falsos con un valor conocido.
+ */
+const MOCK_WEBHOOK_SECRET = process.env.MOCK_WEBHOOK_SECRET || crypto.randomBytes(32).toString('hex');
+
+/**
+ * Intervalo de revisión de sesiones y fichas vencidas (ms)
+ */
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Métodos de pago que generan una ficha y se pagan después
+ */
+const ASYNC_PAYMENT_METHODS = ['oxxo', 'customer_balance'];
+
+/**
+ * Escapar texto para insertarlo en HTML
+ */
+function escapeHtml(value) {
+    return String(value ?? '').replace(/[&<>"']/g, char => ({
+        '&': '&amp;',
+        '<': '&lt;',
+        '>': '&gt;',
+        '"': '&quot;',
+        "'": '&#39;'
+    })[char]);
+}
+
+/**
+ * Formatear centavos como pesos
+ */
+function formatAmount(cents, currency) {
+    return `$${(cents / 100).toFixed(2)} ${String(currency || 'mxn').toUpperCase()}`;
+}
+
+/**
+ * Firmar el cuerpo de un evento simulado
+ * @param {string|Buffer} payload - Cuerpo del evento
+ * @returns {string} Firma HMAC-SHA256 en hexadecimal
+ */
+function signMockEvent(payload) {
+    return crypto.createHmac('sha256', MOCK_WEBHOOK_SECRET).update(payload).digest('hex');
+}
+
+/**
+ * Crear el proveedor de pago simulado
+ * Las sesiones se guardan en data/mockPayments.json para que los boletos emitidos
+ * se puedan consultar y reembolsar después de reiniciar el servidor.
+ * @returns {Object} Proveedor de pago (ver paymentProvider.js) con createCheckoutRouter()
+ */
+function createMockPaymentProvider() {
+    const sessions = loadMockPayments();
+    const listeners = [];
+
+    function save() {
+        saveMockPayments(sessions);
+    }
+
+    function getSession(sessionId) {
+        const session = sessions.get(sessionId);
+        if (!session) {
+            throw new Error(`No such checkout session: '${sessionId}'`);
+        }
+        return session;
+    }
+
+    // Copia para que el servidor no modifique la sesión guardada
+    function describeSession(session) {
+        return JSON.parse(JSON.stringify(session));
+    }
+
+    /**
+     * Avisar de un evento; se entrega después de la operación que lo generó, como un webhook
+     */
+    function emit(type, session) {
+        const event = {
+            id: `evt_mock_${crypto.randomBytes(8).toString('hex')}`,
+            type,
+            created: Math.floor(Date.now() / 1000),
+            data: { object: describeSession(session) }
+        };
+        console.log(`🧪 Evento simulado: ${type} (${session.id})`);
+
+        setImmediate(() => {
+            listeners.forEach(listener => {
+                try {
+                    listener(event);
+                } catch (error) {
+                    console.error(`❌ Error procesando evento simulado ${type}:`, error);
+                }
+            });
+        });
+    }
+
+    /**
+     * Vencer sesiones abiertas y fichas OXXO/SPEI cuyo plazo ya pasó
+     */
+    function expireIfDue(session, now = Date.now()) {
+        if (session.status === 'open' && session.expires_at * 1000 <= now) {
+            session.status = 'expired';
+            save();
+            emit('checkout.session.expired', session);
+        } else if (session.voucher && session.voucher.status === 'pending' && session.voucher.expires_at * 1000 <= now) {
+            session.voucher.status = 'expired';
+            save();
+            emit('checkout.session.async_payment_failed', session);
+        }
+    }
+
+    function sweep() {
+        const now = Date.now();
+        sessions.forEach(session => expireIfDue(session, now));
+    }
+
+    const timer = setInterval(sweep, SWEEP_INTERVAL_MS);
+    // No mantener vivo el proceso solo por la revisión
+    timer.unref();
+
+    const provider = {
+        name: 'mock',
+
+        async createCheckoutSession(config) {
+            const id = `cs_mock_${crypto.randomBytes(12).toString('hex')}`;
+            const origin = new URL(config.success_url).origin;
+            const now = Math.floor(Date.now() / 1000);
+
+            const session = {
+                id,
+                object: 'checkout.session',
+                url: `${origin}${MOCK_CHECKOUT_PATH}/${id}`,
+                status: 'open',
+                payment_status: 'unpaid',
+                amount_total: config.line_items.reduce((sum, item) => sum + item.price_data.unit_amount * item.quantity, 0),
+                currency: config.line_items[0] ? config.line_items[0].price_data.currency : 'mxn',
+                metadata: config.metadata || {},
+                payment_intent: null,
+                payment_method_types: config.payment_method_types || ['card'],
+                payment_method_options: config.payment_method_options || null,
+                customer_email: config.customer_email || null,
+                success_url: config.success_url,
+                cancel_url: config.cancel_url,
+                expires_at: config.expires_at || now + 24 * 60 * 60,
+                line_items: config.line_items.map(item => ({
+                    name: item.price_data.product_data.name,
+                    description: item.price_data.product_data.description || '',
+                    amount: item.price_data.unit_amount,
+                    quantity: item.quantity
+                })),
+                voucher: null,
+                refunds: [],
+                created: now
+            };
+
+            sessions.set(id, session);
+            save();
+            console.log(`🧪 Sesión de pago simulada creada: ${id} por ${formatAmount(session.amount_total, session.currency)}`);
+            return describeSession(session);
+        },
+
+        async retrieveCheckoutSession(sessionId) {
+            const session = getSession(sessionId);
+            expireIfDue(session);
+            return describeSession(session);
+        },
+
+        async expireCheckoutSession(sessionId) {
+            const session = getSession(sessionId);
+            if (session.status !== 'open') {
+                throw new Error(`Only open sessions can be expired (session ${sessionId} is ${session.status})`);
+            }
+            session.status = 'expired';
+            save();
+            emit('checkout.session.expired', session);
+            return describeSession(session);
+        },
+
+        async refundPayment({ sessionId, amount, reason, metadata, idempotencyKey }) {
+            const session = getSession(sessionId);
+
+            // Un reintento con la misma llave devuelve el mismo reembolso
+            const previous = idempotencyKey && session.refunds.find(refund => refund.idempotencyKey === idempotencyKey);
+            if (previous) {
+                return { ...previous };
+            }
+
+            if (session.payment_status !== 'paid') {
+                throw new Error(`La sesión ${sessionId} no tiene un pago que reembolsar`);
+            }
+
+            const refunded = session.refunds.reduce((sum, refund) => sum + refund.amount, 0);
+            const refundAmount = amount ?? session.amount_total - refunded;
+            if (refundAmount <= 0 || refunded + refundAmount > session.amount_total) {
+                throw new Error(`El reembolso de ${formatAmount(refundAmount, session.currency)} excede lo cobrado en la sesión ${sessionId}`);
+            }
+
+            const refund = {
+                id: `re_mock_${crypto.randomBytes(8).toString('hex')}`,
+                status: 'succeeded',
+                amount: refundAmount,
+                reason: reason || null,
+                metadata: metadata || {},
+                idempotencyKey: idempotencyKey || null,
+                created: Math.floor(Date.now() / 1000)
+            };
+            session.refunds.push(refund);
+            save();
+            console.log(`🧪 Reembolso simulado: ${formatAmount(refundAmount, session.currency)} de ${sessionId}`);
+            return { ...refund };
+        },
+
+        parseWebhookEvent(rawBody, headers) {
+            const expected = signMockEvent(rawBody);
+            const received = String(headers['mock-signature'] || '');
+            if (received.length !== expected.length || !crypto.timingSafeEqual(Buffer.from(received), Buffer.from(expected))) {
+                throw new Error('Firma del evento simulado no válida');
+            }
+            return JSON.parse(rawBody.toString());
+        },
+
+        onEvent(listener) {
+            listeners.push(listener);
+        },
+
+        /**
+         * Página de checkout simulada (montar en MOCK_CHECKOUT_PATH)
+         * @returns {express.Router} Router con la página y las acciones de cada resultado
+         */
+        createCheckoutRouter() {
+            const router = express.Router();
+
+            router.get('/:sessionId', (req, res) => {
+                const session = sessions.get(req.params.sessionId);
+                if (!session) {
+                    return res.status(404).send(renderPage('Sesión no encontrada', '<p>La sesión de pago no existe.</p>'));
+                }
+                expireIfDue(session);
+                res.send(renderSession(session, req.query.error));
+            });
+
+            router.post('/:sessionId/:action', (req, res) => {
+                const session = sessions.get(req.params.sessionId);
+                if (!session) {
+                    return res.status(404).send(renderPage('Sesión no encontrada', '<p>La sesión de pago no existe.</p>'));
+                }
+                expireIfDue(session);
+
+                const pagePath = `${MOCK_CHECKOUT_PATH}/${session.id}`;
+                const successUrl = session.success_url.replace('{CHECKOUT_SESSION_ID}', session.id);
+                const isOpen = session.status === 'open';
+                const isPendingVoucher = session.voucher && session.voucher.status === 'pending';
+
+                switch (req.params.action) {
+                    case 'pay':
+                        if (!isOpen) break;
+                        session.status = 'complete';
+                        session.payment_status = 'paid';
+                        session.payment_intent = `pi_mock_${crypto.randomBytes(8).toString('hex')}`;
+                        save();
+                        emit('checkout.session.completed', session);
+                        return res.redirect(303, successUrl);
+
+                    case 'decline':
+                        // Como en Stripe, una tarjeta rechazada deja la sesión abierta para reintentar
+                        return res.redirect(303, `${pagePath}?error=${encodeURIComponent('Tarjeta rechazada (simulación). Intenta de nuevo u otro resultado.')}`);
+
+                    case 'voucher': {
+                        if (!isOpen || !session.payment_method_types.some(type => ASYNC_PAYMENT_METHODS.includes(type))) break;
+                        const days = (session.payment_method_options && session.payment_method_options.oxxo && session.payment_method_options.oxxo.expires_after_days) || 3;
+                        session.status = 'complete';
+                        session.voucher = {
+                            number: String(crypto.randomInt(10 ** 9, 10 ** 10)) + String(crypto.randomInt(10 ** 5, 10 ** 6)),
+                            status: 'pending',
+                            expires_at: Math.floor(Date.now() / 1000) + days * 24 * 60 * 60
+                        };
+                        save();
+                        emit('checkout.session.completed', session);
+                        return res.redirect(303, pagePath);
+                    }
+
+                    case 'voucher-paid':
+                        if (!isPendingVoucher) break;
+                        session.voucher.status = 'paid';
+                        session.payment_status = 'paid';
+                        session.payment_intent = `pi_mock_${crypto.randomBytes(8).toString('hex')}`;
+                        save();
+                        emit('checkout.session.async_payment_succeeded', session);
+                        return res.redirect(303, pagePath);
+
+                    case 'voucher-failed':
+                        if (!isPendingVoucher) break;
+                        session.voucher.status = 'failed';
+                        save();
+                        emit('checkout.session.async_payment_failed', session);
+                        return res.redirect(303, pagePath);
+
+                    case 'expire':
+                        if (!isOpen) break;
+                        session.status = 'expired';
+                        save();
+                        emit('checkout.session.expired', session);
+                        return res.redirect(303, pagePath);
+
+                    case 'cancel':
+                        return res.redirect(303, session.cancel_url);
+                }
+
+                res.redirect(303, `${pagePath}?error=${encodeURIComponent('Esa acción no aplica en el estado actual de la sesión')}`);
+            });
+
+            return router;
+        }
+    };
+
+    /**
+     * Página con el estado de la sesión y las acciones que se pueden simular
+     */
+    function renderSession(session, error) {
+        const pagePath = `${MOCK_CHECKOUT_PATH}/${session.id}`;
+        const button = (action, label, color) => `
+            <form method="post" action="${pagePath}/${action}">
+                <button style="background:${color}">${label}</button>
+            </form>`;
+
+        const items = session.line_items.map(item => `
+            <li><strong>${escapeHtml(item.name)}</strong> - ${formatAmount(item.amount * item.quantity, session.currency)}
+            <br><small>${escapeHtml(item.description).replace(/\n/g, '<br>')}</small></li>`).join('');
+
+        let actions;
+        if (session.status === 'open') {
+            const allowsVoucher = session.payment_method_types.some(type => ASYNC_PAYMENT_METHODS.includes(type));
+            actions = `
+                <p>Expira: ${new Date(session.expires_at * 1000).toLocaleString('es-MX')}</p>
+                <div class="actions">
+                    ${button('pay', 'Pagar (pago exitoso)', '#16a34a')}
+                    ${button('decline', 'Tarjeta rechazada', '#dc2626')}
+                    ${allowsVoucher ? button('voucher', 'Generar ficha OXXO / SPEI (pago pendiente)', '#ca8a04') : ''}
+                    ${button('expire', 'Dejar expirar la sesión', '#6b7280')}
+                    ${button('cancel', 'Cancelar y volver', '#374151')}
+                </div>`;
+        } else if (session.voucher && session.voucher.status === 'pending') {
+            actions = `
+                <p>Ficha de pago: <strong>${escapeHtml(session.voucher.number)}</strong></p>
+                <p>Vence: ${new Date(session.voucher.expires_at * 1000).toLocaleString('es-MX')}</p>
+                <div class="actions">
+                    ${button('voucher-paid', 'Simular pago en tienda / transferencia', '#16a34a')}
+                    ${button('voucher-failed', 'Simular pago fallido o ficha vencida', '#dc2626')}
+                </div>
+                <p><a href="${escapeHtml(session.success_url.replace('{CHECKOUT_SESSION_ID}', session.id))}">Volver a TransBus</a></p>`;
+        } else if (session.payment_status === 'paid') {
+            actions = `
+                <p class="ok">Pago completado.</p>
+                <p><a href="${escapeHtml(session.success_url.replace('{CHECKOUT_SESSION_ID}', session.id))}">Volver a TransBus</a></p>`;
+        } else {
+            const reason = session.status === 'expired' ? 'La sesión expiró sin pagarse.' : 'El pago de la ficha no se completó.';
+            actions = `
+                <p class="error">${reason}</p>
+                <p><a href="${escapeHtml(session.cancel_url)}">Volver a TransBus</a></p>`;
+        }
+
+        return renderPage('Checkout simulado', `
+            ${error ? `<p class="error">${escapeHtml(error)}</p>` : ''}
+            <p><small>Sesión ${escapeHtml(session.id)}</small></p>
+            <ul>${items}</ul>
+            <p class="total">Total: ${formatAmount(session.amount_total, session.currency)}</p>
+            ${actions}
+        `);
+    }
+
+    return provider;
+}
+
+/**
+ * Página HTML autónoma (sin recursos externos, funciona sin red)
+ */
+function renderPage(title, body) {
+    return `<!DOCTYPE html>
+<html lang="es">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>TransBus - ${escapeHtml(title)}</title>
+  <style>
+    body { font-family: system-ui, sans-serif; background: #eef2ff; margin: 0; padding: 2rem; color: #1f2937; }
+    main { max-width: 36rem; margin: 0 auto; background: #fff; border-radius: 0.75rem; padding: 1.5rem; box-shadow: 0 4px 12px rgba(0,0,0,0.1); }
+    .banner { background: #fef3c7; color: #92400e; padding: 0.5rem 0.75rem; border-radius: 0.5rem; font-size: 0.875rem; }
+    ul { padding-left: 1.25rem; } li { margin-bottom: 0.5rem; }
+    .total { font-size: 1.25rem; font-weight: bold; }
+    .actions { display: grid; gap: 0.5rem; margin: 1rem 0; }
+    button { width: 100%; color: #fff; border: 0; border-radius: 0.5rem; padding: 0.75rem; font-size: 1rem; cursor: pointer; }
+    .error { color: #dc2626; } .ok { color: #16a34a; font-weight: bold; }
+  </style>
+</head>
+<body>
+  <main>
+    <p class="banner">Simulador de pagos: no se realiza ningún cobro real.</p>
+    <h1>${escapeHtml(title)}</h1>
+    ${body}
+  </main>
+</body>
+</html>`;
+}
+
+export {
+    createMockPaymentProvider,
+    signMockEvent,
+    MOCK_CHECKOUT_PATH
+};
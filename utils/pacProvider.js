@@ -0,0 +1,38 @@
+/**
+ * @fileoverview Proveedores de timbrado (PAC) de TransBus
+ * Las facturas se sellan y timbran a través de una interfaz común para poder cambiar de PAC
+ * (el timbrado local de prueba sirve para demos y desarrollo sin credenciales).
+ *
+ * Un proveedor implementa:
+ * - name: identificador del proveedor
+ * - stamp({ xml, emisor }): sella y timbra el XML de un CFDI; devuelve { uuid, fechaTimbrado, xml }
+ *   con el XML timbrado (con el complemento TimbreFiscalDigital) o lanza un error con el motivo del rechazo
+ * @author TransBus Team
+ * @version 1.0.0
+ */
+
+import { createStubPacProvider } from './stubPacProvider.js';
+
+/**
+ * Proveedores disponibles (variable de entorno PAC_PROVIDER)
+ */
+const PAC_PROVIDERS = ['stub'];
+
+/**
+ * Crear el proveedor de timbrado configurado
+ * @param {string} [name] - Por defecto PAC_PROVIDER o 'stub'
+ * @returns {Object} Proveedor de timbrado
+ */
+function createPacProvider(name = process.env.PAC_PROVIDER || 'stub') {
+    switch (name) {
+        case 'stub':
+            return createStubPacProvider();
+        default:
+            throw new Error(`Proveedor de timbrado desconocido: ${name} (disponibles: ${PAC_PROVIDERS.join(', ')})`);
+    }
+}
+
+export {
+    createPacProvider,
+    PAC_PROVIDERS
+};
@@ -0,0 +1,104 @@
+/**
+ * @fileoverview Proveedores de pago de TransBus
+ * El servidor cobra a través de una interfaz común para poder cambiar de pasarela
+ * (Stripe en producción, el simulador local para demos y pruebas sin red).
+ *
+ * Un proveedor implementa:
+ * - name: identificador del proveedor
+ * - createCheckoutSession(config): crea una sesión de pago con la configuración de Stripe Checkout
+ *   (line_items, success_url, cancel_url, expires_at, metadata, payment_method_types...)
+ * - retrieveCheckoutSession(sessionId): sesión con id, url, status, payment_status, amount_total,
+ *   currency y metadata
+ * - expireCheckoutSession(sessionId): cierra una sesión que aún no se paga
+ * - refundPayment({ sessionId, amount, reason, metadata, idempotencyKey }): reembolsa (en centavos)
+ *   parte o todo lo cobrado en una sesión; devuelve { id, status, amount }
+ * - parseWebhookEvent(rawBody, headers): verifica la firma de un webhook y devuelve el evento
+ *   { id, type, data: { object: sesión } }; lanza un error si la firma no es válida
+ * - onEvent(listener): registra a quién avisar de eventos que el proveedor genera sin webhook HTTP
+ * @author TransBus Team
+ * @version 1.0.0
+ */
+
+import Stripe from 'stripe';
+import { createMockPaymentProvider } from './mockPaymentProvider.js';
+
+/**
+ * Proveedores disponibles (variable de entorno PAYMENT_PROVIDER)
+ */
+const PAYMENT_PROVIDERS = ['stripe', 'mock'];
+
+/**
+ * Proveedor de pago con Stripe Checkout
+ * @param {Object} [options] - { secretKey, webhookSecret }; por defecto, las variables de entorno
+ * @returns {Object} Proveedor de pago
+ */
+function createStripePaymentProvider({
+    secretKey = process.env.STRIPE_SECRET_KEY,
+    webhookSecret = process.env.STRIPE_WEBHOOK_SECRET
+} = {}) {
+    const stripe = new Stripe(secretKey);
+
+    return {
+        name: 'stripe',
+
+        createCheckoutSession(config) {
+            return stripe.checkout.sessions.create(config);
+        },
+
+        retrieveCheckoutSession(sessionId) {
+            return stripe.checkout.sessions.retrieve(sessionId);
+        },
+
+        expireCheckoutSession(sessionId) {
+            return stripe.checkout.sessions.expire(sessionId);
+        },
+
+        async refundPayment({ sessionId, amount, reason, metadata, idempotencyKey }) {
+            const session = await stripe.checkout.sessions.retrieve(sessionId);
+            const paymentIntent = typeof session.payment_intent === 'string'
+                ? session.payment_intent
+                : session.payment_intent && session.payment_intent.id;
+
+            if (!paymentIntent) {
+                throw new Error(`La sesión ${sessionId} no tiene un pago que reembolsar`);
+            }
+
+            return stripe.refunds.create(
+                { payment_intent: paymentIntent, amount, reason, metadata },
+                idempotencyKey ? { idempotencyKey } : undefined
+            );
+        },
+
+        parseWebhookEvent(rawBody, headers) {
+            if (!webhookSecret) {
+                throw new Error('STRIPE_WEBHOOK_SECRET no está configurado');
+            }
+            return stripe.webhooks.constructEvent(rawBody, headers['stripe-signature'], webhookSecret);
+        },
+
+        // Stripe avisa de sus eventos por webhook HTTP
+        onEvent() {}
+    };
+}
+
+/**
+ * Crear el proveedor de pago configurado
+ * @param {string} [name] - 'stripe' o 'mock'; por defecto PAYMENT_PROVIDER o 'stripe'
+ * @returns {Object} Proveedor de pago
+ */
+function createPaymentProvider(name = process.env.PAYMENT_PROVIDER || 'stripe') {
+    switch (name) {
+        case 'stripe':
+            return createStripePaymentProvider();
+        case 'mock':
+            return createMockPaymentProvider();
+        default:
+            throw new Error(`Proveedor de pago desconocido: ${name} (disponibles: ${PAYMENT_PROVIDERS.join(', ')})`);
+    }
+}
+
+export {
+    createPaymentProvider,
+    createStripePaymentProvider,
+    PAYMENT_PROVIDERS
+};
@@ -0,0 +1,86 @@
+/**
+ * @fileoverview Cotizaciones firmadas de TransBus
+ * Una cotización fija la salida, los asientos, la tarifa de cada pasajero y el precio;
+ * se entrega firmada con HMAC y con vencimiento, y el checkout cobra exactamente ese monto.
+ * @author TransBus Team
+ * @version 1.0.0
+ */
+
+import crypto from 'crypto';
+
+/**
+ * Vigencia de una cotización en minutos
+ */
+const QUOTE_DURATION_MINUTES = Math.max(1, parseInt(process.env.QUOTE_MINUTES, 10) || 10);
+
+/**
+ * Llave para firmar las cotizaciones.
+ * Sin QUOTE_SECRET se genera una al arrancar: las cotizaciones dejan de valer al reiniciar el servidor.
+ */
+const QUOTE_SECRET = process.env.QUOTE_SECRET || crypto.randomBytes(32).toString('hex');
+const QUOTE_SECRET_CONFIGURED = Boolean(process.env.QUOTE_SECRET);
+
+/**
+ * Firma HMAC de la parte de datos de una cotización
+ */
+function signPayload(payload) {
+    return crypto.createHmac('sha256', QUOTE_SECRET).update(payload).digest('base64url');
+}
+
+/**
+ * Emitir una cotización firmada
+ * @param {Object} data - Datos cotizados ({ tramos, categorias, cupon, total, ... })
+ * @param {number} [now=Date.now()] - Momento de emisión
+ * @returns {{token: string, quote: Object}} Token para el checkout y la cotización con su id y vencimiento
+ */
+function createQuote(data, now = Date.now()) {
+    const quote = {
+        id: crypto.randomUUID(),
+        ...data,
+        createdAt: now,
+        expiresAt: now + QUOTE_DURATION_MINUTES * 60 * 1000
+    };
+    const payload = Buffer.from(JSON.stringify(quote)).toString('base64url');
+    return { token: `${payload}.${signPayload(payload)}`, quote };
+}
+
+/**
+ * Verificar una cotización
+ * @param {string} token - Token de createQuote
+ * @param {number} [now=Date.now()] - Momento de referencia
+ * @returns {{quote: Object}|{error: string, expired: boolean}} Cotización o motivo del rechazo
+ */
+function verifyQuote(token, now = Date.now()) {
+    const [payload, signature, ...rest] = String(token || '').split('.');
+    if (!payload || !signature || rest.length > 0) {
+        return { error: 'La cotización no es válida', expired: false };
+    }
+
+    const expected = Buffer.from(signPayload(payload));
+    const actual = Buffer.from(signature);
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+        return { error: 'La cotización no es válida', expired: false };
+    }
+
+    let quote;
+    try {
+        quote = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    } catch (error) {
+        return { error: 'La cotización no es válida', expired: false };
+    }
+
+    if (!quote || typeof quote.expiresAt !== 'number') {
+        return { error: 'La cotización no es válida', expired: false };
+    }
+    if (quote.expiresAt <= now) {
+        return { error: 'La cotización venció', expired: true };
+    }
+    return { quote };
+}
+
+export {
+    createQuote,
+    verifyQuote,
+    QUOTE_DURATION_MINUTES,
+    QUOTE_SECRET_CONFIGURED
+};
@@ -0,0 +1,199 @@
+/**
+ * @fileoverview Precios dinámicos de TransBus
+ * Ajusta la tarifa de cada salida según su ocupación y los días que faltan para ella,
+ * con reglas por ruta o por clase de servicio y un tope de subida y bajada sobre la tarifa base.
+ * @author TransBus Team
+ * @version 1.0.0
+ */
+
+/**
+ * Tipos de ajuste de una regla
+ * - percent: porcentaje sobre la tarifa base (positivo sube, negativo baja)
+ * - fixed: pesos que se suman o restan a la tarifa base
+ */
+const ADJUSTMENT_TYPES = ['percent', 'fixed'];
+
+/**
+ * Redondear a centavos
+ */
+function roundMoney(amount) {
+    return Math.round(amount * 100) / 100;
+}
+
+/**
+ * Indica si un valor es un porcentaje de ocupación válido (0 a 100), o null para no limitar
+ */
+function isValidOccupancy(value) {
+    return value === null || (typeof value === 'number' && value >= 0 && value <= 100);
+}
+
+/**
+ * Indica si un valor es un número de días válido (entero desde 0), o null para no limitar
+ */
+function isValidDays(value) {
+    return value === null || (Number.isInteger(value) && value >= 0);
+}
+
+/**
+ * Validar la definición de una regla de precio
+ * @param {Object} rule - Regla
+ * @returns {Array<string>} Lista de errores (vacía si es válida)
+ */
+function validatePricingRule(rule) {
+    const errors = [];
+
+    if (!rule || typeof rule !== 'object') {
+        return ['La regla debe ser un objeto'];
+    }
+    if (!/^[a-z0-9_-]{1,40}$/.test(rule.id || '')) {
+        errors.push('El id de la regla debe tener de 1 a 40 minúsculas, números, guiones o guiones bajos');
+    }
+    if (!String(rule.name || '').trim()) {
+        errors.push(`Falta el nombre de la regla ${rule.id || ''}`.trim());
+    }
+    if (!Array.isArray(rule.routes)) {
+        errors.push('routes debe ser una lista (vacía para todas las rutas)');
+    }
+    if (!Array.isArray(rule.scheduleTypes)) {
+        errors.push('scheduleTypes debe ser una lista (vacía para todas las clases de servicio)');
+    }
+    if (!isValidOccupancy(rule.minOccupancy) || !isValidOccupancy(rule.maxOccupancy)) {
+        errors.push('minOccupancy y maxOccupancy deben ser porcentajes de 0 a 100, o null para no limitar');
+    } else if (rule.minOccupancy !== null && rule.maxOccupancy !== null && rule.minOccupancy >= rule.maxOccupancy) {
+        errors.push('minOccupancy debe ser menor que maxOccupancy');
+    }
+    if (!isValidDays(rule.minDaysBefore) || !isValidDays(rule.maxDaysBefore)) {
+        errors.push('minDaysBefore y maxDaysBefore deben ser enteros desde 0, o null para no limitar');
+    } else if (rule.minDaysBefore !== null && rule.maxDaysBefore !== null && rule.minDaysBefore > rule.maxDaysBefore) {
+        errors.push('minDaysBefore no puede ser mayor que maxDaysBefore');
+    }
+    if (!ADJUSTMENT_TYPES.includes(rule.adjustmentType)) {
+        errors.push('adjustmentType debe ser "percent" o "fixed"');
+    }
+    if (typeof rule.adjustmentValue !== 'number' || !Number.isFinite(rule.adjustmentValue) || rule.adjustmentValue === 0) {
+        errors.push('adjustmentValue debe ser un número distinto de 0 (positivo sube la tarifa, negativo la baja)');
+    } else if (rule.adjustmentType === 'percent' && rule.adjustmentValue < -100) {
+        errors.push('Un ajuste porcentual no puede bajar más de 100');
+    }
+    if (typeof rule.active !== 'boolean') {
+        errors.push('active debe ser true o false');
+    }
+
+    return errors;
+}
+
+/**
+ * Validar la configuración completa de precios dinámicos
+ * @param {Object} config - { maxIncreasePercent, maxDecreasePercent, rules }
+ * @returns {Array<string>} Lista de errores (vacía si es válida)
+ */
+function validatePricingConfig(config) {
+    if (!config || typeof config !== 'object') {
+        return ['La configuración de precios debe ser un objeto'];
+    }
+
+    const errors = [];
+    const isPercent = value => typeof value === 'number' && value >= 0 && value <= 100;
+
+    if (typeof config.maxIncreasePercent !== 'number' || config.maxIncreasePercent < 0) {
+        errors.push('maxIncreasePercent debe ser un número mayor o igual a 0');
+    }
+    if (!isPercent(config.maxDecreasePercent)) {
+        errors.push('maxDecreasePercent debe ser un porcentaje de 0 a 100');
+    }
+    if (!Array.isArray(config.rules)) {
+        errors.push('rules debe ser una lista');
+        return errors;
+    }
+
+    const ids = new Set();
+    config.rules.forEach(rule => {
+        errors.push(...validatePricingRule(rule));
+        if (rule && ids.has(rule.id)) {
+            errors.push(`El id de regla ${rule.id} está repetido`);
+        }
+        ids.add(rule && rule.id);
+    });
+
+    return errors;
+}
+
+/**
+ * Días completos que faltan para una salida
+ * @param {string} fecha - Fecha de la salida (YYYY-MM-DD)
+ * @param {string} today - Fecha de hoy (YYYY-MM-DD)
+ * @returns {number} Días de anticipación (0 el mismo día)
+ */
+function getDaysBeforeDeparture(fecha, today) {
+    return Math.round((Date.parse(`${fecha}T00:00:00Z`) - Date.parse(`${today}T00:00:00Z`)) / (24 * 60 * 60 * 1000));
+}
+
+/**
+ * Indica si una regla aplica a una salida
+ * La ocupación va desde minOccupancy (incluido) hasta maxOccupancy (sin incluir, salvo 100)
+ * y los días desde minDaysBefore hasta maxDaysBefore (ambos incluidos).
+ * @param {Object} rule - Regla
+ * @param {Object} departure - { routeKey, scheduleType, occupancy, daysBefore }
+ */
+function pricingRuleApplies(rule, { routeKey, scheduleType, occupancy, daysBefore }) {
+    const belowMax = rule.maxOccupancy === null
+        || occupancy < rule.maxOccupancy
+        || (rule.maxOccupancy === 100 && occupancy === 100);
+
+    return rule.active
+        && (rule.routes.length === 0 || rule.routes.includes(routeKey))
+        && (rule.scheduleTypes.length === 0 || rule.scheduleTypes.includes(scheduleType))
+        && (rule.minOccupancy === null || occupancy >= rule.minOccupancy)
+        && belowMax
+        && (rule.minDaysBefore === null || daysBefore >= rule.minDaysBefore)
+        && (rule.maxDaysBefore === null || daysBefore <= rule.maxDaysBefore);
+}
+
+/**
+ * Describir el ajuste de una regla (p. ej. "+15%" o "-$50")
+ * @param {Object} rule - Regla
+ * @returns {string} Ajuste para mostrar
+ */
+function describePricingAdjustment(rule) {
+    const sign = rule.adjustmentValue > 0 ? '+' : '-';
+    const value = Math.abs(rule.adjustmentValue);
+    return rule.adjustmentType === 'fixed' ? `${sign}$${value}` : `${sign}${value}%`;
+}
+
+/**
+ * Calcular la tarifa dinámica de una salida
+ * Los ajustes de todas las reglas que aplican se suman sobre la tarifa base y el total
+ * se limita a maxIncreasePercent de subida y maxDecreasePercent de bajada.
+ * @param {Object} config - { maxIncreasePercent, maxDecreasePercent, rules }
+ * @param {number} basePrice - Tarifa del horario sin ajustes
+ * @param {Object} departure - { routeKey, scheduleType, occupancy (0 a 100), daysBefore }
+ * @returns {{price: number, basePrice: number, adjustment: number, rules: Array<Object>}} Tarifa ajustada,
+ *   ajuste aplicado y reglas que aplicaron ({ id, name, adjustment })
+ */
+function calculateDynamicPrice(config, basePrice, departure) {
+    const applied = (config.rules || []).filter(rule => pricingRuleApplies(rule, departure));
+    const rawAdjustment = applied.reduce((sum, rule) => sum + (rule.adjustmentType === 'fixed'
+        ? rule.adjustmentValue
+        : basePrice * rule.adjustmentValue / 100), 0);
+
+    const maxIncrease = basePrice * (config.maxIncreasePercent || 0) / 100;
+    const maxDecrease = basePrice * (config.maxDecreasePercent || 0) / 100;
+    const adjustment = roundMoney(Math.min(maxIncrease, Math.max(-maxDecrease, rawAdjustment)));
+
+    return {
+        price: roundMoney(basePrice + adjustment),
+        basePrice,
+        adjustment,
+        rules: applied.map(rule => ({ id: rule.id, name: rule.name, adjustment: describePricingAdjustment(rule) }))
+    };
+}
+
+export {
+    validatePricingRule,
+    validatePricingConfig,
+    getDaysBeforeDeparture,
+    pricingRuleApplies,
+    describePricingAdjustment,
+    calculateDynamicPrice,
+    ADJUSTMENT_TYPES
+};
@@ -0,0 +1,283 @@
+/**
+ * @fileoverview Rutas con paradas intermedias para TransBus
+ * Resuelve el tramo de una ruta entre dos ciudades, calcula horarios y precios
+ * del tramo y codifica la ocupación de asientos por tramo, de modo que un asiento
+ * vendido CDMX→Querétaro siga disponible Querétaro→Guadalajara.
+ * @author TransBus Team
+ * @version 1.0.0
+ */
+
+/**
+ * Separador entre el número de asiento y el tramo en bookings.json
+ * "12" ocupa toda la ruta; "12@querétaro>guadalajara" solo ese tramo
+ */
+const SEGMENT_SEPARATOR = '@';
+
+function normalizeCity(city) {
+    return (city || '').trim().toLowerCase();
+}
+
+/**
+ * Convertir una duración como "7h 30m" a minutos
+ * @param {string} duration - Duración de la ruta
+ * @returns {number} Minutos (0 si no se puede interpretar)
+ */
+function parseDurationMinutes(duration) {
+    const match = /(?:(\d+)\s*h)?\s*(?:(\d+)\s*m)?/i.exec(duration || '');
+    if (!match) return 0;
+    return (parseInt(match[1], 10) || 0) * 60 + (parseInt(match[2], 10) || 0);
+}
+
+/**
+ * Formatear minutos como duración ("2h 30m")
+ * @param {number} minutes - Minutos
+ * @returns {string} Duración legible
+ */
+function formatDurationMinutes(minutes) {
+    const hours = Math.floor(minutes / 60);
+    const mins = minutes % 60;
+    return `${hours}h ${String(mins).padStart(2, '0')}m`;
+}
+
+/**
+ * Sumar minutos a una hora "HH:MM"
+ * @param {string} time - Hora de salida
+ * @param {number} minutes - Minutos a sumar
+ * @returns {string} Hora resultante, con "+N" si cambia de día (igual que arrival)
+ */
+function addMinutesToTime(time, minutes) {
+    const [hours, mins] = time.split(':').map(Number);
+    const total = hours * 60 + mins + minutes;
+    const days = Math.floor(total / (24 * 60));
+    const dayMinutes = total % (24 * 60);
+    const hh = String(Math.floor(dayMinutes / 60)).padStart(2, '0');
+    const mm = String(dayMinutes % 60).padStart(2, '0');
+    return `${hh}:${mm}${days > 0 ? `+${days}` : ''}`;
+}
+
+/**
+ * Convertir una hora "HH:MM" (o "HH:MM+N" si es N días después) a minutos
+ * @param {string} time - Hora como en time/arrival de los horarios
+ * @returns {number} Minutos desde la medianoche del día de referencia
+ */
+function parseTimeMinutes(time) {
+    const [clock, days] = String(time).split('+');
+    const [hours, mins] = clock.split(':').map(Number);
+    return (parseInt(days, 10) || 0) * 24 * 60 + hours * 60 + mins;
+}
+
+/**
+ * Paradas de una ruta, de origen a destino
+ * Las rutas sin lista de paradas tienen solo su origen y su destino.
+ * @param {string} routeKey - Clave "Origen-Destino"
+ * @param {Object} routeData - Datos de la ruta
+ * @returns {Array<{city: string, offsetMinutes: number}>} Paradas con minutos desde la salida
+ */
+function getRouteStops(routeKey, routeData) {
+    if (Array.isArray(routeData.stops) && routeData.stops.length >= 2) {
+        return routeData.stops;
+    }
+    const [origin, destination] = routeKey.split('-');
+    return [
+        { city: origin.trim(), offsetMinutes: 0 },
+        { city: destination.trim(), offsetMinutes: parseDurationMinutes(routeData.duration) }
+    ];
+}
+
+/**
+ * Construir la lista completa de paradas de una ruta
+ * Acepta la lista completa o solo las paradas intermedias.
+ * @param {string} origin - Ciudad de origen
+ * @param {string} destination - Ciudad de destino
+ * @param {string} duration - Duración total ("7h 30m")
+ * @param {Array} stops - Paradas con { city, offsetMinutes }
+ * @returns {{stops: Array|null, error: string|null}} Paradas normalizadas o error
+ */
+function normalizeRouteStops(origin, destination, duration, stops) {
+    if (!Array.isArray(stops) || stops.length === 0) {
+        return { stops: null, error: null };
+    }
+
+    let list = stops.map(stop => ({
+        city: (stop.city || '').trim(),
+        offsetMinutes: parseInt(stop.offsetMinutes, 10)
+    }));
+
+    const isFullList = normalizeCity(list[0].city) === normalizeCity(origin)
+        && normalizeCity(list[list.length - 1].city) === normalizeCity(destination);
+
+    if (!isFullList) {
+        list = [
+            { city: origin, offsetMinutes: 0 },
+            ...list,
+            { city: destination, offsetMinutes: parseDurationMinutes(duration) }
+        ];
+    }
+
+    for (let i = 0; i < list.length; i++) {
+        const stop = list[i];
+        if (!stop.city || Number.isNaN(stop.offsetMinutes)) {
+            return { stops: null, error: 'Cada parada necesita ciudad y minutos desde la salida' };
+        }
+        if (i > 0 && stop.offsetMinutes <= list[i - 1].offsetMinutes) {
+            return { stops: null, error: `La parada ${stop.city} debe ser posterior a ${list[i - 1].city}` };
+        }
+    }
+
+    const cities = list.map(stop => normalizeCity(stop.city));
+    if (new Set(cities).size !== cities.length) {
+        return { stops: null, error: 'Una ciudad no puede repetirse en la misma ruta' };
+    }
+
+    return { stops: list, error: null };
+}
+
+/**
+ * Buscar los tramos de ruta que conectan dos ciudades
+ * La ruta directa "Origen-Destino" va primero; después las rutas con paradas
+ * que pasan por ambas ciudades en ese orden.
+ * @param {Object} routes - Todas las rutas
+ * @param {string} origen - Ciudad donde sube el pasajero
+ * @param {string} destino - Ciudad donde baja el pasajero
+ * @returns {Array<Object>} Tramos { routeKey, routeData, stops, fromIndex, toIndex, isFullRoute }
+ */
+function findRouteSegments(routes, origen, destino) {
+    const from = normalizeCity(origen);
+    const to = normalizeCity(destino);
+    const segments = [];
+
+    Object.entries(routes).forEach(([routeKey, routeData]) => {
+        const stops = getRouteStops(routeKey, routeData);
+        const cities = stops.map(stop => normalizeCity(stop.city));
+        const fromIndex = cities.indexOf(from);
+        const toIndex = cities.indexOf(to);
+
+        if (fromIndex !== -1 && toIndex !== -1 && fromIndex < toIndex) {
+            segments.push({
+                routeKey,
+                routeData,
+                stops,
+                fromIndex,
+                toIndex,
+                isFullRoute: fromIndex === 0 && toIndex === stops.length - 1
+            });
+        }
+    });
+
+    return segments.sort((a, b) => Number(b.isFullRoute) - Number(a.isFullRoute));
+}
+
+/**
+ * Clave de la salida completa (toda la ruta) a la que pertenece un tramo
+ * Coincide con la clave de getRouteKey para la ruta completa.
+ * @param {Object} segment - Tramo de ruta
+ * @returns {{origin: string, destination: string}} Ciudades extremas de la ruta
+ */
+function getServiceEndpoints(segment) {
+    return {
+        origin: segment.stops[0].city,
+        destination: segment.stops[segment.stops.length - 1].city
+    };
+}
+
+/**
+ * Horarios de abordaje y llegada de un tramo
+ * @param {Object} segment - Tramo de ruta
+ * @param {Object} schedule - Horario de la ruta (time = salida del origen de la ruta)
+ * @returns {{boardingTime: string, arrival: string, durationMinutes: number}} Horarios del tramo
+ */
+function getSegmentTimes(segment, schedule) {
+    const { stops, fromIndex, toIndex } = segment;
+    const boardingTime = addMinutesToTime(schedule.time, stops[fromIndex].offsetMinutes);
+    const arrival = toIndex === stops.length - 1
+        ? schedule.arrival
+        : addMinutesToTime(schedule.time, stops[toIndex].offsetMinutes);
+
+    return {
+        boardingTime,
+        arrival,
+        durationMinutes: stops[toIndex].offsetMinutes - stops[fromIndex].offsetMinutes
+    };
+}
+
+/**
+ * Precio de un tramo: la tarifa del horario prorrateada por tiempo de viaje
+ * @param {Object} segment - Tramo de ruta
+ * @param {Object} schedule - Horario de la ruta
+ * @returns {number} Precio del tramo redondeado a pesos
+ */
+function getSegmentPrice(segment, schedule) {
+    const { stops, fromIndex, toIndex, isFullRoute } = segment;
+    if (isFullRoute) return schedule.price;
+
+    const total = stops[stops.length - 1].offsetMinutes - stops[0].offsetMinutes;
+    const share = (stops[toIndex].offsetMinutes - stops[fromIndex].offsetMinutes) / total;
+    return Math.round(schedule.price * share);
+}
+
+/**
+ * Indica si dos tramos (índices de paradas) comparten algún trayecto
+ * null representa la ruta completa.
+ */
+function segmentsOverlap(a, b) {
+    if (!a || !b) return true;
+    return a.from < b.to && b.from < a.to;
+}
+
+/**
+ * Codificar un asiento vendido para bookings.json
+ * @param {Object} segment - Tramo de ruta
+ * @param {string|number} asiento - Número de asiento
+ * @returns {string} "12" para la ruta completa o "12@origen>destino" para un tramo
+ */
+function encodeSeatEntry(segment, asiento) {
+    if (segment.isFullRoute) return String(asiento);
+    const { stops, fromIndex, toIndex } = segment;
+    return `${asiento}${SEGMENT_SEPARATOR}${normalizeCity(stops[fromIndex].city)}>${normalizeCity(stops[toIndex].city)}`;
+}
+
+/**
+ * Decodificar un asiento de bookings.json al tramo que ocupa
+ * Si las ciudades ya no están en la ruta, el asiento ocupa la ruta completa.
+ * @param {string} entry - Entrada de bookings.json
+ * @param {Array} stops - Paradas actuales de la ruta
+ * @returns {{seat: string, range: Object|null}} Asiento y tramo (null = ruta completa)
+ */
+function decodeSeatEntry(entry, stops) {
+    const [seat, leg] = String(entry).split(SEGMENT_SEPARATOR);
+    if (!leg) return { seat, range: null };
+
+    const [fromCity, toCity] = leg.split('>');
+    const cities = stops.map(stop => normalizeCity(stop.city));
+    const from = cities.indexOf(fromCity);
+    const to = cities.indexOf(toCity);
+
+    if (from === -1 || to === -1 || from >= to) {
+        return { seat, range: null };
+    }
+    return { seat, range: { from, to } };
+}
+
+/**
+ * Tramo de un segmento como rango de índices de paradas
+ */
+function getSegmentRange(segment) {
+    return { from: segment.fromIndex, to: segment.toIndex };
+}
+
+export {
+    parseDurationMinutes,
+    formatDurationMinutes,
+    addMinutesToTime,
+    parseTimeMinutes,
+    getRouteStops,
+    normalizeRouteStops,
+    findRouteSegments,
+    getServiceEndpoints,
+    getSegmentTimes,
+    getSegmentPrice,
+    getSegmentRange,
+    segmentsOverlap,
+    encodeSeatEntry,
+    decodeSeatEntry
+};
@@ -0,0 +1,99 @@
+/**
+ * @fileoverview Calendario de temporadas de TransBus
+ * Rangos de fechas (Semana Santa, vacaciones de diciembre, puentes) con un recargo sobre la tarifa
+ * y, opcionalmente, sin descuentos de tarifa ni cupones para las salidas de esas fechas.
+ * @author TransBus Team
+ * @version 1.0.0
+ */
+
+/**
+ * Redondear a centavos
+ */
+function roundMoney(amount) {
+    return Math.round(amount * 100) / 100;
+}
+
+/**
+ * Validar la definición de una temporada
+ * @param {Object} season - Temporada
+ * @returns {Array<string>} Lista de errores (vacía si es válida)
+ */
+function validateSeason(season) {
+    const errors = [];
+    const isDate = value => /^\d{4}-\d{2}-\d{2}$/.test(String(value)) && !Number.isNaN(Date.parse(`${value}T00:00:00Z`));
+
+    if (!season || typeof season !== 'object') {
+        return ['La temporada debe ser un objeto'];
+    }
+    if (!/^[a-z0-9_-]{1,40}$/.test(season.id || '')) {
+        errors.push('El id de la temporada debe tener de 1 a 40 minúsculas, números, guiones o guiones bajos');
+    }
+    if (!String(season.name || '').trim()) {
+        errors.push('Falta el nombre de la temporada');
+    }
+    if (!isDate(season.startDate) || !isDate(season.endDate)) {
+        errors.push('startDate y endDate deben ser fechas YYYY-MM-DD');
+    } else if (season.startDate > season.endDate) {
+        errors.push('startDate no puede ser posterior a endDate');
+    }
+    if (typeof season.surchargePercent !== 'number' || season.surchargePercent < 0 || season.surchargePercent > 100) {
+        errors.push('surchargePercent debe ser un porcentaje de 0 a 100');
+    }
+    if (typeof season.blockDiscounts !== 'boolean') {
+        errors.push('blockDiscounts debe ser true o false');
+    }
+    if (typeof season.blockCoupons !== 'boolean') {
+        errors.push('blockCoupons debe ser true o false');
+    }
+    if (typeof season.active !== 'boolean') {
+        errors.push('active debe ser true o false');
+    }
+
+    return errors;
+}
+
+/**
+ * Temporada que aplica a una fecha de salida
+ * Si se traslapan varias temporadas activas, se cobra el recargo mayor y basta con que
+ * una bloquee descuentos o cupones para que queden bloqueados.
+ * @param {Object} seasons - Temporadas por id
+ * @param {string} fecha - Fecha de la salida (YYYY-MM-DD)
+ * @returns {{ids: Array<string>, name: string, surchargePercent: number, blockDiscounts: boolean, blockCoupons: boolean}|null}
+ *   Temporada combinada o null si la fecha no cae en ninguna
+ */
+function getSeasonForDate(seasons, fecha) {
+    const matching = Object.values(seasons || {})
+        .filter(season => season.active && season.startDate <= fecha && fecha <= season.endDate)
+        .sort((a, b) => b.surchargePercent - a.surchargePercent);
+
+    if (matching.length === 0) {
+        return null;
+    }
+
+    return {
+        ids: matching.map(season => season.id),
+        name: matching.map(season => season.name).join(' / '),
+        surchargePercent: matching[0].surchargePercent,
+        blockDiscounts: matching.some(season => season.blockDiscounts),
+        blockCoupons: matching.some(season => season.blockCoupons)
+    };
+}
+
+/**
+ * Aplicar el recargo de temporada a una tarifa
+ * @param {number} price - Tarifa de la salida
+ * @param {Object|null} season - Temporada de getSeasonForDate
+ * @returns {number} Tarifa con el recargo
+ */
+function applySeasonSurcharge(price, season) {
+    if (!season || !season.surchargePercent) {
+        return price;
+    }
+    return roundMoney(price * (100 + season.surchargePercent) / 100);
+}
+
+export {
+    validateSeason,
+    getSeasonForDate,
+    applySeasonSurcharge
+};
@@ -0,0 +1,280 @@
+/**
+ * @fileoverview Retenciones temporales de asientos para TransBus
+ * Aparta los asientos mientras el cliente completa el pago en Stripe Checkout,
+ * evitando que dos clientes paguen el mismo asiento al mismo tiempo.
+ * Las retenciones se guardan en disco: una sesión de pago abierta sigue protegida si el servidor se reinicia.
+ * @author TransBus Team
+ * @version 1.0.0
+ */
+
+import crypto from 'crypto';
+import { segmentsOverlap } from './routeSegments.js';
+import { loadSeatHolds, saveSeatHolds } from './dataStore.js';
+
+/**
+ * Duración de una retención en minutos.
+ * Stripe no permite que una sesión de Checkout expire antes de 30 minutos,
+ * por lo que la retención nunca es más corta que eso.
+ */
+const HOLD_DURATION_MINUTES = Math.max(30, parseInt(process.env.SEAT_HOLD_MINUTES, 10) || 30);
+
+/**
+ * Intervalo de limpieza de retenciones vencidas (ms)
+ */
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Retenciones activas (persistidas en data/seatHolds.json)
+ * key: holdId -> { id, items, sessionId, createdAt, expiresAt }
+ * items: [{ routeKey, seats, range }], una por salida (un viaje con conexión aparta varias)
+ * range es el tramo apartado ({ from, to } en índices de paradas) o null para toda la ruta
+ */
+const holdsById = loadSeatHolds();
+
+/**
+ * Funciones a notificar cuando una retención expira
+ */
+const expireListeners = [];
+
+/**
+ * Indica si una retención ya venció
+ * @param {Object} hold - Retención
+ * @param {number} [now=Date.now()] - Momento de referencia
+ * @returns {boolean} True si ya expiró
+ */
+function isExpired(hold, now = Date.now()) {
+    return hold.expiresAt <= now;
+}
+
+/**
+ * Eliminar retenciones vencidas
+ * @returns {Array} Retenciones que se liberaron por expiración
+ */
+function purgeExpiredHolds() {
+    const now = Date.now();
+    const expired = [];
+
+    holdsById.forEach((hold, holdId) => {
+        if (isExpired(hold, now)) {
+            holdsById.delete(holdId);
+            expired.push(hold);
+        }
+    });
+
+    if (expired.length > 0) {
+        saveSeatHolds(holdsById);
+        console.log(`⌛ Retenciones expiradas liberadas: ${expired.length}`);
+        expired.forEach(hold => expireListeners.forEach(listener => listener(hold)));
+    }
+
+    return expired;
+}
+
+/**
+ * Obtener los asientos apartados para una salida
+ * @param {string} routeKey - Clave de la salida (ver getRouteKey en server.js)
+ * @param {Object|null} [range] - Tramo consultado; null para toda la ruta
+ * @param {string|null} [excludeHoldId] - Retención que no se cuenta (la que se va a reemplazar)
+ * @returns {Array<string>} Números de asiento apartados en algún punto del tramo
+ */
+function getHeldSeats(routeKey, range = null, excludeHoldId = null) {
+    purgeExpiredHolds();
+
+    const seats = new Set();
+    holdsById.forEach(hold => {
+        if (hold.id === excludeHoldId) return;
+        hold.items.forEach(item => {
+            if (item.routeKey === routeKey && segmentsOverlap(item.range, range)) {
+                item.seats.forEach(seat => seats.add(seat));
+            }
+        });
+    });
+
+    return Array.from(seats);
+}
+
+/**
+ * Describir las salidas y asientos de una retención para los logs
+ */
+function describeHold(hold) {
+    return hold.items.map(item => `${item.seats.join(', ')} en ${item.routeKey}`).join('; ');
+}
+
+/**
+ * Apartar asientos en una o varias salidas, todas o ninguna
+ * La verificación y el apartado ocurren en el mismo paso síncrono, por lo que
+ * dos solicitudes simultáneas no pueden apartar el mismo asiento.
+ * @param {Array<{routeKey: string, seats: Array, range: Object|null}>} items - Asientos por salida
+ * @param {Object} [options]
+ * @param {string|null} [options.replacesHoldId] - Retención que la nueva reemplaza (p. ej. la oferta de la
+ *   lista de espera): sus asientos no cuentan como conflicto y solo se libera si la nueva se aparta
+ * @returns {Object|null} Retención creada o null si algún asiento ya está apartado
+ */
+function placeHoldItems(items, { replacesHoldId = null } = {}) {
+    const requestedItems = items.map(item => ({
+        routeKey: item.routeKey,
+        seats: item.seats.map(String),
+        range: item.range || null
+    }));
+
+    const conflict = requestedItems.some(item => {
+        const held = new Set(getHeldSeats(item.routeKey, item.range, replacesHoldId));
+        return item.seats.some(seat => held.has(seat));
+    });
+
+    if (conflict) {
+        return null;
+    }
+
+    const now = Date.now();
+    const hold = {
+        id: crypto.randomUUID(),
+        items: requestedItems,
+        sessionId: null,
+        createdAt: now,
+        expiresAt: now + HOLD_DURATION_MINUTES * 60 * 1000
+    };
+
+    // Se quita sin guardar: el archivo se escribe una sola vez con la nueva retención
+    const replaced = replacesHoldId ? holdsById.get(replacesHoldId) : null;
+    if (replaced) {
+        holdsById.delete(replacesHoldId);
+        console.log(`🔓 Retención reemplazada: ${describeHold(replaced)}`);
+    }
+    holdsById.set(hold.id, hold);
+    saveSeatHolds(holdsById);
+    console.log(`🔒 Asientos apartados (${describeHold(hold)}) hasta ${new Date(hold.expiresAt).toISOString()}`);
+
+    return hold;
+}
+
+/**
+ * Apartar asientos de una salida
+ * @param {string} routeKey - Clave de la salida
+ * @param {Array<string|number>} seats - Asientos a apartar
+ * @param {Object|null} [range] - Tramo a apartar; null para toda la ruta
+ * @returns {Object|null} Retención creada o null si algún asiento ya está apartado
+ */
+function placeHold(routeKey, seats, range = null) {
+    return placeHoldItems([{ routeKey, seats, range }]);
+}
+
+/**
+ * Todos los asientos de una retención (de todas sus salidas)
+ * @param {Object} hold - Retención
+ * @returns {Array<string>} Números de asiento
+ */
+function getHoldSeats(hold) {
+    return Array.from(new Set(hold.items.flatMap(item => item.seats)));
+}
+
+/**
+ * Asociar una sesión de pago a una retención
+ * @param {string} holdId - ID de la retención
+ * @param {string} sessionId - ID de la sesión de Stripe
+ * @returns {Object|null} Retención actualizada o null si no existe
+ */
+function attachSessionToHold(holdId, sessionId) {
+    const hold = holdsById.get(holdId);
+    if (!hold) return null;
+
+    hold.sessionId = sessionId;
+    saveSeatHolds(holdsById);
+    return hold;
+}
+
+/**
+ * Obtener una retención activa por su ID
+ * @param {string} holdId - ID de la retención
+ * @returns {Object|null} Retención o null si no existe o ya venció
+ */
+function getHold(holdId) {
+    purgeExpiredHolds();
+    return holdsById.get(holdId) || null;
+}
+
+/**
+ * Extender una retención (p. ej. mientras se espera un pago en OXXO o SPEI)
+ * @param {string} holdId - ID de la retención
+ * @param {number} expiresAt - Nuevo vencimiento (ms); nunca se acorta la retención
+ * @returns {Object|null} Retención actualizada o null si no existe o ya venció
+ */
+function extendHold(holdId, expiresAt) {
+    const hold = getHold(holdId);
+    if (!hold) return null;
+
+    if (expiresAt > hold.expiresAt) {
+        hold.expiresAt = expiresAt;
+        saveSeatHolds(holdsById);
+        console.log(`⏳ Retención extendida (${describeHold(hold)}) hasta ${new Date(hold.expiresAt).toISOString()}`);
+    }
+    return hold;
+}
+
+/**
+ * Liberar una retención
+ * @param {string} holdId - ID de la retención
+ * @returns {Object|null} Retención liberada o null si no existía
+ */
+function releaseHold(holdId) {
+    const hold = holdsById.get(holdId);
+    if (!hold) return null;
+
+    holdsById.delete(holdId);
+    saveSeatHolds(holdsById);
+    console.log(`🔓 Retención liberada: ${describeHold(hold)}`);
+    return hold;
+}
+
+/**
+ * Liberar la retención asociada a una sesión de pago
+ * @param {string} sessionId - ID de la sesión de Stripe
+ * @returns {Object|null} Retención liberada o null si no existía
+ */
+function releaseHoldBySession(sessionId) {
+    for (const hold of holdsById.values()) {
+        if (hold.sessionId === sessionId) {
+            return releaseHold(hold.id);
+        }
+    }
+    return null;
+}
+
+/**
+ * Registrar una función a ejecutar cuando una retención expira
+ * @param {Function} listener - Callback que recibe la retención expirada
+ */
+function onHoldExpired(listener) {
+    expireListeners.push(listener);
+}
+
+/**
+ * Iniciar la limpieza periódica de retenciones vencidas
+ * Las que vencieron con el servidor apagado se liberan en cuanto termina el arranque
+ * (cuando ya están registradas las funciones de onHoldExpired).
+ * @returns {NodeJS.Timeout} Temporizador de limpieza
+ */
+function startHoldSweeper() {
+    setImmediate(purgeExpiredHolds);
+    const timer = setInterval(purgeExpiredHolds, SWEEP_INTERVAL_MS);
+
+    // No mantener vivo el proceso solo por la limpieza
+    timer.unref();
+    return timer;
+}
+
+export {
+    placeHold,
+    placeHoldItems,
+    getHold,
+    getHoldSeats,
+    getHeldSeats,
+    attachSessionToHold,
+    extendHold,
+    releaseHold,
+    releaseHoldBySession,
+    purgeExpiredHolds,
+    onHoldExpired,
+    startHoldSweeper,
+    HOLD_DURATION_MINUTES
+};
@@ -0,0 +1,67 @@
+/**
+ * @fileoverview Timbrado local de prueba de TransBus
+ * Proveedor de timbrado (PAC_PROVIDER=stub) que imita la respuesta de un PAC sin enviar nada al SAT:
+ * asigna un UUID y agrega el complemento TimbreFiscalDigital con sellos de prueba.
+ * Los comprobantes que genera NO tienen validez fiscal.
+ * @author TransBus Team
+ * @version 1.0.0
+ */
+
+import crypto from 'crypto';
+import { xmlAttributes, formatSatDate } from './cfdi.js';
+
+/**
+ * RFC y certificado con los que el timbrado de prueba firma
+ */
+const STUB_PAC_RFC = 'SPR190613I52';
+const STUB_CERTIFICATE_NUMBER = '00000000000000000000';
+
+/**
+ * Sello de prueba: resumen del contenido en base64 (no es una firma con certificado)
+ */
+function stubSeal(content) {
+    return crypto.createHash('sha256').update(content).digest('base64');
+}
+
+/**
+ * Crear el proveedor de timbrado de prueba
+ * @returns {Object} Proveedor de timbrado (ver pacProvider.js)
+ */
+function createStubPacProvider() {
+    return {
+        name: 'stub',
+
+        async stamp({ xml }) {
+            if (!xml.includes('<cfdi:Comprobante') || !xml.includes('</cfdi:Comprobante>')) {
+                throw new Error('El XML no es un CFDI');
+            }
+
+            const uuid = crypto.randomUUID().toUpperCase();
+            const fechaTimbrado = formatSatDate(new Date());
+            const selloCfd = stubSeal(xml);
+            const timbre = xmlAttributes({
+                'xmlns:tfd': 'http://www.sat.gob.mx/TimbreFiscalDigital',
+                'xsi:schemaLocation': 'http://www.sat.gob.mx/TimbreFiscalDigital http://www.sat.gob.mx/sitio_internet/cfd/TimbreFiscalDigital/TimbreFiscalDigitalv11.xsd',
+                Version: '1.1',
+                UUID: uuid,
+                FechaTimbrado: fechaTimbrado,
+                RfcProvCertif: STUB_PAC_RFC,
+                SelloCFD: selloCfd,
+                NoCertificadoSAT: STUB_CERTIFICATE_NUMBER,
+                SelloSAT: stubSeal(`${uuid}|${fechaTimbrado}|${selloCfd}`)
+            });
+
+            // El sello del emisor va en el comprobante y el timbre en su complemento
+            const stamped = xml
+                .replace('<cfdi:Comprobante ', `<cfdi:Comprobante ${xmlAttributes({ NoCertificado: STUB_CERTIFICATE_NUMBER, Sello: selloCfd })} `)
+                .replace('</cfdi:Comprobante>', `  <cfdi:Complemento>\n    <tfd:TimbreFiscalDigital ${timbre}/>\n  </cfdi:Complemento>\n</cfdi:Comprobante>`);
+
+            console.log(`🧾 Timbrado de prueba: ${uuid} (sin validez fiscal)`);
+            return { uuid, fechaTimbrado, xml: stamped };
+        }
+    };
+}
+
+export {
+    createStubPacProvider
+};
@@ -0,0 +1,40 @@
+/**
+ * @fileoverview Impuestos de TransBus
+ * Las tarifas ya incluyen IVA; aquí se desglosa el subtotal y el impuesto de cada cobro.
+ * @author TransBus Team
+ * @version 1.0.0
+ */
+
+/**
+ * Tasa de IVA del transporte foráneo de pasajeros
+ */
+const IVA_RATE = 0.16;
+
+/**
+ * Redondear a centavos
+ */
+function roundMoney(amount) {
+    return Math.round(amount * 100) / 100;
+}
+
+/**
+ * Desglosar el IVA incluido en un monto
+ * El impuesto es la diferencia entre el total y el subtotal redondeado, así subtotal + iva = total.
+ * @param {number} total - Monto cobrado (con IVA)
+ * @param {number} [rate=IVA_RATE] - Tasa de IVA
+ * @returns {{subtotal: number, iva: number, total: number, tasa: number}} Desglose
+ */
+function calculateIvaBreakdown(total, rate = IVA_RATE) {
+    const subtotal = roundMoney(total / (1 + rate));
+    return {
+        subtotal,
+        iva: roundMoney(total - subtotal),
+        total: roundMoney(total),
+        tasa: rate
+    };
+}
+
+export {
+    calculateIvaBreakdown,
+    IVA_RATE
+};
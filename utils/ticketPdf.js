@@ -0,0 +1,181 @@
+/**
+ * @fileoverview Boletos en PDF de TransBus
+ * El servidor arma el PDF con los boletos guardados, así el cliente puede volver a descargarlo desde
+ * el enlace de su compra y la taquilla o el administrador pueden reimprimirlo en cualquier momento.
+ * @author TransBus Team
+ * @version 1.0.0
+ */
+
+import PDFDocument from 'pdfkit';
+import QRCode from 'qrcode';
+import { createBoardingCode } from './boardingPasses.js';
+
+/**
+ * Colores e identidad de la empresa en el boleto
+ */
+const BRAND = {
+    nombre: 'TransBus',
+    lema: 'Tu viaje seguro y cómodo',
+    telefono: '1-800-TRANSBUS',
+    color: '#3B82F6',
+    colorTexto: '#1F2937',
+    colorSecundario: '#6B7280'
+};
+
+/**
+ * Instrucciones impresas en cada boleto
+ */
+const INSTRUCCIONES = [
+    'Llegue 30 minutos antes de la salida',
+    'Presente este boleto (impreso o en pantalla) al abordar',
+    'Mantenga el boleto durante el viaje',
+    `Contacte ${BRAND.telefono} para soporte`
+];
+
+/**
+ * Importe con el código de la moneda del pago (los boletos se cobran en pesos)
+ */
+function formatAmount(amount, currency = 'mxn') {
+    return `$${Number(amount || 0).toFixed(2)} ${String(currency || 'mxn').toUpperCase()}`;
+}
+
+/**
+ * Fecha y hora de compra en el horario del centro de México
+ */
+function formatPurchaseDate(isoDate) {
+    if (!isoDate) {
+        return 'No disponible';
+    }
+    return new Date(isoDate).toLocaleString('es-MX', { timeZone: 'America/Mexico_City' });
+}
+
+/**
+ * Dibujar el QR del código de abordaje cuadro por cuadro
+ */
+function drawBoardingQR(doc, code, x, y, size) {
+    const { modules } = QRCode.create(code, { errorCorrectionLevel: 'M' });
+    const cell = size / modules.size;
+
+    doc.save();
+    doc.rect(x - 4, y - 4, size + 8, size + 8).fill('#FFFFFF');
+    doc.fillColor('#000000');
+    for (let row = 0; row < modules.size; row++) {
+        for (let col = 0; col < modules.size; col++) {
+            if (modules.get(row, col)) {
+                doc.rect(x + col * cell, y + row * cell, cell, cell);
+            }
+        }
+    }
+    doc.fill();
+    doc.restore();
+}
+
+/**
+ * Filas de datos de un boleto
+ */
+function getTicketRows(ticket, { isRoundTrip }) {
+    const currency = ticket.currency || 'mxn';
+    return [
+        ['PASAJERO:', ticket.nombre.toUpperCase()],
+        ['RUTA:', `${ticket.origen.toUpperCase()} - ${ticket.destino.toUpperCase()}`],
+        ['FECHA DE VIAJE:', ticket.fecha || 'No especificada'],
+        ['HORARIO:', ticket.horaAbordaje || ticket.horario],
+        ...(ticket.horaLlegada ? [['LLEGADA:', ticket.horaLlegada]] : []),
+        ...(ticket.referencia ? [['REFERENCIA:', ticket.referencia]] : []),
+        ...(isRoundTrip ? [['SENTIDO:', ticket.sentido === 'regreso' ? 'REGRESO' : 'IDA']] : []),
+        ...(ticket.totalTramos > 1 ? [['TRAMO:', `${ticket.tramo} DE ${ticket.totalTramos}`]] : []),
+        ['ASIENTO:', `NÚMERO ${ticket.asiento}`],
+        ...(ticket.categoriaNombre ? [['TARIFA:', ticket.categoriaNombre.toUpperCase()]] : []),
+        ...(ticket.desgloseIva ? [
+            ['SUBTOTAL:', formatAmount(ticket.desgloseIva.subtotal, currency)],
+            [`IVA ${Math.round(ticket.desgloseIva.tasa * 100)}%:`, formatAmount(ticket.desgloseIva.iva, currency)]
+        ] : []),
+        ['TOTAL PAGADO:', formatAmount(ticket.amountPaid, currency)],
+        ['FECHA DE COMPRA:', formatPurchaseDate(ticket.createdAt)],
+        ...(ticket.taquillero ? [['VENDIDO EN:', `TAQUILLA - ${ticket.taquillero.toUpperCase()}`]] : []),
+        ['ID TRANSACCIÓN:', ticket.sessionId]
+    ];
+}
+
+/**
+ * Dibujar la página de un boleto
+ */
+function drawTicketPage(doc, ticket, { index, total, isRoundTrip, generatedAt }) {
+    const left = doc.page.margins.left;
+    const width = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+
+    // Encabezado con la marca
+    doc.rect(0, 0, doc.page.width, 90).fill(BRAND.color);
+    doc.fillColor('#FFFFFF').font('Helvetica-Bold').fontSize(28).text(BRAND.nombre, left, 24);
+    doc.font('Helvetica').fontSize(11).text(BRAND.lema, left, 58);
+    doc.font('Helvetica-Bold').fontSize(11).text(BRAND.telefono, left, 58, { width: width - 90, align: 'right' });
+
+    // QR firmado que escanea el chofer al abordar
+    drawBoardingQR(doc, createBoardingCode(ticket), left + width - 74, 8, 74);
+
+    doc.fillColor(BRAND.colorTexto).font('Helvetica-Bold').fontSize(18)
+        .text(total > 1 ? `BOLETO DE VIAJE (${index + 1} de ${total})` : 'BOLETO DE VIAJE', left, 125);
+
+    doc.moveTo(left, 150).lineTo(left + width, 150).lineWidth(1.5).strokeColor(BRAND.color).stroke();
+
+    // Información del boleto
+    let y = 168;
+    getTicketRows(ticket, { isRoundTrip }).forEach(([label, value]) => {
+        doc.fillColor(BRAND.colorTexto).font('Helvetica-Bold').fontSize(11).text(label, left, y);
+        doc.font('Helvetica').text(String(value), left + 150, y, { width: width - 150 });
+        y += 22;
+    });
+
+    // Instrucciones
+    y += 20;
+    doc.font('Helvetica-Bold').fontSize(10).text('INSTRUCCIONES:', left, y);
+    y += 16;
+    doc.font('Helvetica').fontSize(9);
+    INSTRUCCIONES.forEach(instruccion => {
+        doc.text(`- ${instruccion}`, left, y);
+        y += 13;
+    });
+
+    // Pie
+    y += 24;
+    doc.fillColor(BRAND.colorSecundario).fontSize(8)
+        .text(`${BRAND.nombre} - ${BRAND.lema}`, left, y)
+        .text(`Generado: ${formatPurchaseDate(generatedAt)}`, left, y + 12);
+}
+
+/**
+ * Generar el PDF de los boletos de una compra, un boleto por página
+ * @param {Object[]} tickets - Boletos guardados (ticketDatabase)
+ * @returns {Promise<Buffer>} Contenido del PDF
+ */
+function renderTicketsPdf(tickets) {
+    return new Promise((resolve, reject) => {
+        const doc = new PDFDocument({
+            size: 'LETTER',
+            margin: 50,
+            info: {
+                Title: `Boletos ${tickets[0].referencia || tickets[0].sessionId}`,
+                Author: BRAND.nombre
+            }
+        });
+        const chunks = [];
+        doc.on('data', chunk => chunks.push(chunk));
+        doc.on('end', () => resolve(Buffer.concat(chunks)));
+        doc.on('error', reject);
+
+        const isRoundTrip = tickets.some(ticket => ticket.sentido === 'regreso');
+        const generatedAt = new Date().toISOString();
+        tickets.forEach((ticket, index) => {
+            if (index > 0) {
+                doc.addPage();
+            }
+            drawTicketPage(doc, ticket, { index, total: tickets.length, isRoundTrip, generatedAt });
+        });
+
+        doc.end();
+    });
+}
+
+export {
+    renderTicketsPdf
+};